@@ -0,0 +1,79 @@
+// contracts/BN256G2Test.sol
+pragma solidity ^0.8.26;
+
+import "../libraries/BN256G1.sol";
+import "../libraries/BN256G2.sol";
+import "../libraries/Pairing.sol";
+
+contract BN256G2Test {
+    function mapToG2(bytes memory message, bytes32 hashToG2Tag) public view returns (BN256G2.G2Point memory) {
+        return BN256G2.mapToG2(message, hashToG2Tag);
+    }
+
+    function hashToG2(bytes memory message, bytes32 hashToG2Tag) public view returns (BN256G2.G2Point memory) {
+        return BN256G2.hashToG2(message, hashToG2Tag);
+    }
+
+    function pairing(BN256G1.G1Point[] memory p1, BN256G2.G2Point[] memory p2) public returns (bool) {
+        return Pairing.pairing(p1, p2);
+    }
+
+    // NOTE: Wrappers over the internal FQ2 and twist arithmetic for the
+    // differential fuzzer (scripts/lib/fuzz-bn256.js). FQ2 elements are passed
+    // as (real, imag) and points as affine (xx, xy, yx, yy), all zero is the
+    // point at infinity.
+    function fq2Mul(uint256 xx, uint256 xy, uint256 yx, uint256 yy) public pure returns (uint256, uint256) {
+        return BN256G2._FQ2Mul(xx, xy, yx, yy);
+    }
+
+    function fq2Muc(uint256 xx, uint256 xy, uint256 c) public pure returns (uint256, uint256) {
+        return BN256G2._FQ2Muc(xx, xy, c);
+    }
+
+    function fq2Add(uint256 xx, uint256 xy, uint256 yx, uint256 yy) public pure returns (uint256, uint256) {
+        return BN256G2._FQ2Add(xx, xy, yx, yy);
+    }
+
+    function fq2Sub(uint256 xx, uint256 xy, uint256 yx, uint256 yy) public pure returns (uint256, uint256) {
+        return BN256G2._FQ2Sub(xx, xy, yx, yy);
+    }
+
+    function fq2Inv(uint256 x, uint256 y) public view returns (uint256, uint256) {
+        return BN256G2._FQ2Inv(x, y);
+    }
+
+    function isOnCurve(uint256 xx, uint256 xy, uint256 yx, uint256 yy) public pure returns (bool) {
+        return BN256G2.IsOnCurve(xx, xy, yx, yy);
+    }
+
+    function getYYCoordinate(uint256 xx, uint256 xy) public pure returns (uint256, uint256) {
+        return BN256G2.Get_yy_coordinate(xx, xy);
+    }
+
+    function ecTwistAdd(uint256[4] memory pt1, uint256[4] memory pt2) public view returns (uint256, uint256, uint256, uint256) {
+        uint256[6] memory pt3 = _ecTwistAddProjective(_toProjective(pt1), _toProjective(pt2));
+        return BN256G2._fromProjective(pt3[0], pt3[1], pt3[2], pt3[3], pt3[4], pt3[5]);
+    }
+
+    function ecTwistMul(uint256 d, uint256[4] memory pt1) public view returns (uint256, uint256, uint256, uint256) {
+        uint256[6] memory pt = _toProjective(pt1);
+        uint256[6] memory pt2 = BN256G2._ECTwistMulProjective(d, pt[0], pt[1], pt[2], pt[3], pt[4], pt[5]);
+        return BN256G2._fromProjective(pt2[0], pt2[1], pt2[2], pt2[3], pt2[4], pt2[5]);
+    }
+
+    function ecTwistMulByCofactor(uint256[4] memory pt1) public view returns (uint256, uint256, uint256, uint256) {
+        return BN256G2.ECTwistMulByCofactor(pt1[0], pt1[1], pt1[2], pt1[3]);
+    }
+
+    function _ecTwistAddProjective(uint256[6] memory pt1, uint256[6] memory pt2) private pure returns (uint256[6] memory) {
+        return BN256G2._ECTwistAddProjective(
+            pt1[0], pt1[1], pt1[2], pt1[3], pt1[4], pt1[5],
+            pt2[0], pt2[1], pt2[2], pt2[3], pt2[4], pt2[5]
+        );
+    }
+
+    function _toProjective(uint256[4] memory pt) private pure returns (uint256[6] memory) {
+        bool infinity = pt[0] == 0 && pt[1] == 0 && pt[2] == 0 && pt[3] == 0;
+        return [pt[0], pt[1], pt[2], pt[3], infinity ? 0 : 1, 0];
+    }
+}
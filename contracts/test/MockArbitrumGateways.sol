@@ -0,0 +1,84 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "../libraries/arbitrum-bridge/IArbToken.sol";
+
+interface IArbitrumEnabledToken {
+    function isArbitrumEnabled() external view returns (uint8);
+}
+
+// NOTE: Stand-ins for the Arbitrum token bridge to rehearse a launch across
+// two local nodes. They keep the parts the launch checks: the L1 gateway and
+// router only register a token that reports itself Arbitrum enabled while
+// registering, and record the L1 to L2 mappings. Retryable tickets are not
+// modelled, `MockL2CustomGateway.finalizeInboundTransfer` is called by hand to
+// deliver a deposit on L2.
+contract MockL1CustomGateway {
+    mapping(address => address) public l1ToL2Token;
+
+    event TokenSet(address indexed l1Address, address indexed l2Address);
+    event DepositEscrowed(address indexed l1Token, address indexed from, uint256 amount);
+
+    function registerTokenToL2(
+        address _l2Address,
+        uint256,
+        uint256,
+        uint256,
+        address
+    ) external payable returns (uint256) {
+        require(IArbitrumEnabledToken(msg.sender).isArbitrumEnabled() == uint8(0xb1), "NOT_ARB_ENABLED");
+        l1ToL2Token[msg.sender] = _l2Address;
+        emit TokenSet(msg.sender, _l2Address);
+        return 0;
+    }
+
+    function escrow(address _l1Token, address _from, uint256 _amount) external {
+        require(l1ToL2Token[_l1Token] != address(0), "NOT_REGISTERED");
+        IERC20(_l1Token).transferFrom(_from, address(this), _amount);
+        emit DepositEscrowed(_l1Token, _from, _amount);
+    }
+}
+
+contract MockL1GatewayRouter {
+    mapping(address => address) public l1TokenToGateway;
+
+    event GatewaySet(address indexed l1Token, address indexed gateway);
+    event DepositInitiated(address indexed l1Token, address indexed from, address indexed to, uint256 amount);
+
+    function setGateway(
+        address _gateway,
+        uint256,
+        uint256,
+        uint256,
+        address
+    ) external payable returns (uint256) {
+        require(IArbitrumEnabledToken(msg.sender).isArbitrumEnabled() == uint8(0xb1), "NOT_ARB_ENABLED");
+        l1TokenToGateway[msg.sender] = _gateway;
+        emit GatewaySet(msg.sender, _gateway);
+        return 0;
+    }
+
+    function outboundTransferCustomRefund(
+        address _token,
+        address,
+        address _to,
+        uint256 _amount,
+        uint256,
+        uint256,
+        bytes calldata
+    ) external payable returns (bytes memory) {
+        address gateway = l1TokenToGateway[_token];
+        require(gateway != address(0), "NO_GATEWAY");
+        MockL1CustomGateway(gateway).escrow(_token, msg.sender, _amount);
+        emit DepositInitiated(_token, msg.sender, _to, _amount);
+        return "";
+    }
+}
+
+contract MockL2CustomGateway {
+    // Deliver a deposit, as the retryable ticket of an L1 deposit would
+    function finalizeInboundTransfer(address _l2Token, address _to, uint256 _amount) external {
+        IArbToken(_l2Token).bridgeMint(_to, _amount);
+    }
+}
@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+// NOTE: Stand-in for Multicall3 (https://github.com/mds1/multicall) on local
+// nodes, which start without it. Only `aggregate3` is modelled, with the same
+// ABI, which is all the snapshot tooling uses. Installed at Multicall3's
+// canonical address by scripts/lib/multicall.js.
+contract MockMulticall3 {
+    struct Call3 {
+        address target;
+        bool allowFailure;
+        bytes callData;
+    }
+
+    struct Result {
+        bool success;
+        bytes returnData;
+    }
+
+    function aggregate3(Call3[] calldata calls) external payable returns (Result[] memory returnData) {
+        uint256 length = calls.length;
+        returnData     = new Result[](length);
+        for (uint256 i = 0; i < length; ) {
+            Call3 calldata call = calls[i];
+            Result memory result = returnData[i];
+            (result.success, result.returnData) = call.target.call(call.callData);
+            if (!result.success && !call.allowFailure) {
+                bytes memory reason = result.returnData;
+                assembly {
+                    revert(add(reason, 32), mload(reason))
+                }
+            }
+            unchecked { i += 1; }
+        }
+    }
+}
@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+// NOTE: Stand-in for a Safe multisig in tests. It only models what the Safe
+// Transaction Builder batches rely on: the Safe is `msg.sender` of every call
+// it executes, and only its owners can make it execute one. Signature
+// collection and thresholds are out of scope, any single owner may execute.
+contract MockSafe {
+    address[] private owners;
+    mapping(address => bool) public isOwner;
+
+    event ExecutionSuccess(address indexed to, uint256 value, bytes data);
+
+    constructor(address[] memory _owners) {
+        require(_owners.length > 0, "MockSafe: no owners");
+        for (uint256 i = 0; i < _owners.length; i++) {
+            require(_owners[i] != address(0) && !isOwner[_owners[i]], "MockSafe: invalid owner");
+            isOwner[_owners[i]] = true;
+        }
+        owners = _owners;
+    }
+
+    function getOwners() external view returns (address[] memory) {
+        return owners;
+    }
+
+    function getThreshold() external pure returns (uint256) {
+        return 1;
+    }
+
+    /// @notice Execute a call from the Safe, bubbling up its revert reason.
+    function execTransaction(address to, uint256 value, bytes calldata data) external payable returns (bytes memory) {
+        require(isOwner[msg.sender], "MockSafe: not an owner");
+        (bool success, bytes memory result) = to.call{value: value}(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        emit ExecutionSuccess(to, value, data);
+        return result;
+    }
+}
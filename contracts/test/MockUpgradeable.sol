@@ -0,0 +1,66 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "../ServiceNodeRewards.sol";
+
+// NOTE: Implementations of a proxy for testing upgrades: V2 appends a variable
+// and bumps VERSION, V2Broken inserts one in front of the existing storage and
+// MockServiceNodeRewardsReinitialized passes the layout checks but overwrites
+// existing state when called during the upgrade.
+contract MockUpgradeableV1 is Initializable {
+    uint256 public constant VERSION = 1;
+
+    uint256 public value;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(uint256 _value) external initializer {
+        value = _value;
+    }
+}
+
+contract MockUpgradeableV2 is Initializable {
+    uint256 public constant VERSION = 2;
+
+    uint256 public value;
+    uint256 public extra;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(uint256 _value) external initializer {
+        value = _value;
+    }
+
+    function initializeV2(uint256 _extra) external reinitializer(2) {
+        extra = _extra;
+    }
+}
+
+contract MockUpgradeableV2Broken is Initializable {
+    uint256 public constant VERSION = 2;
+
+    uint256 public extra;
+    uint256 public value;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(uint256 _value) external initializer {
+        value = _value;
+    }
+}
+
+contract MockServiceNodeRewardsReinitialized is ServiceNodeRewards {
+    function initializeV2(uint256 _stakingRequirement) external reinitializer(2) {
+        stakingRequirement = _stakingRequirement;
+    }
+}
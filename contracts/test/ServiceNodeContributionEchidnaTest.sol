@@ -37,7 +37,7 @@ import "./MockServiceNodeRewards.sol";
 // from echidna yet where I can double check this.
 
 contract ServiceNodeContributionEchidnaTest {
-    // TODO: Staking requirement is currently hard-coded to value in script/deploy-local-test.js
+    // TODO: Staking requirement is currently hard-coded to value in `make deploy-local`
     // TODO: Immutable variables in the testing contract causes Echidna 2.2.3 to crash
     uint256                                public constant STAKING_REQUIREMENT = 1e11;
     IERC20                                 public seshToken;
@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.26;
+
+import "./TokenConverter.sol";
+
+/// @title TokenConverter factory
+/// @notice Deploys a `TokenConverter` with CREATE2 and hands it to its owner in
+/// the same transaction. The converter is owned by whoever deploys it, so
+/// deployed through a generic CREATE2 deployer it would be owned by that
+/// deployer instead. The factory itself is deployed through the CREATE2
+/// deployer, see scripts/lib/token-converter.js.
+contract TokenConverterFactory {
+    event TokenConverterDeployed(address indexed converter, address indexed owner, bytes32 salt);
+
+    /// @notice The CREATE2 salt `deploy` uses. The owner is mixed in so that
+    /// nobody can take a converter's address with another owner.
+    function converterSalt(bytes32 salt, address owner) public pure returns (bytes32) {
+        return keccak256(abi.encode(owner, salt));
+    }
+
+    /// @notice Deploy a `TokenConverter` at the address derived from `salt`
+    /// and `owner`, then transfer it to `owner`.
+    function deploy(
+        bytes32 salt,
+        address tokenA,
+        address tokenB,
+        uint256 initialNumerator,
+        uint256 initialDenominator,
+        address owner
+    ) external returns (TokenConverter converter) {
+        converter = new TokenConverter{salt: converterSalt(salt, owner)}(tokenA, tokenB, initialNumerator, initialDenominator);
+        converter.transferOwnership(owner);
+        emit TokenConverterDeployed(address(converter), owner, salt);
+    }
+}
@@ -5,6 +5,22 @@ require("@nomicfoundation/hardhat-verify");
 
 require("dotenv/config");
 
+require("./tasks/keygen.js");
+require("./tasks/fuzz.js");
+require("./tasks/signing-service.js");
+require("./tasks/audit.js");
+require("./tasks/deploy.js");
+require("./tasks/vesting.js");
+require("./tasks/upgrade.js");
+require("./tasks/dump.js");
+require("./tasks/check.js");
+require("./tasks/ownership.js");
+require("./tasks/admin.js");
+require("./tasks/verify.js");
+require("./tasks/launch.js");
+require("./tasks/devnet.js");
+require("./tasks/seed.js");
+
 const arb_sepolia_account = process.env.ARB_SEPOLIA_PRIVATE_KEY ? [process.env.ARB_SEPOLIA_PRIVATE_KEY] : [];
 const arb_account = process.env.ARB_PRIVATE_KEY ? [process.env.ARB_PRIVATE_KEY] : [];
 const eth_account = process.env.ETH_PRIVATE_KEY ? [process.env.ETH_PRIVATE_KEY] : [];
@@ -32,6 +48,15 @@ module.exports = {
           chainId: 1,
           accounts: eth_account,
       },
+      // Two local nodes standing in for Ethereum and Arbitrum to rehearse
+      // sesh:launch, started with `npx hardhat node --port 8545` and 8546, or
+      // elsewhere with SESH_LOCAL_L1_URL and SESH_LOCAL_L2_URL
+      localL1: {
+          url: process.env.SESH_LOCAL_L1_URL || "http://127.0.0.1:8545",
+      },
+      localL2: {
+          url: process.env.SESH_LOCAL_L2_URL || "http://127.0.0.1:8546",
+      },
   },
   solidity: {
     version: '0.8.30',
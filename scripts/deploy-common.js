@@ -1,11 +1,20 @@
-// We require the Hardhat Runtime Environment explicitly here. This is optional
-// but useful for running the script in a standalone fashion through `node <script>`.
+// Deploys the token (or attaches to an existing one), RewardRatePool,
+// ServiceNodeRewards and ServiceNodeContributionFactory, see the sesh:deploy
+// task in tasks/deploy.js.
 //
-// You can also run a script with `npx hardhat run <script>`. If you do that, Hardhat
-// will compile your contracts, add the Hardhat Runtime Environment's members to the
-// global scope, and execute the script.
+// The deploy is a sequence of steps recorded in the manifest (see
+// lib/steps.js), re-running it after a failure resumes from the first step
+// that did not complete. `args.fresh` starts over instead. With `args.OWNER`
+// every contract is finally handed over to that owner, e.g. a multisig.
 const hre = require("hardhat");
 const chalk = require('chalk')
+const { manifestPath, readManifest, recordDeployment } = require('./lib/manifest.js');
+const { ownershipSteps } = require('./lib/ownership.js');
+const { resetSteps, resumableState, runSteps, hasCode } = require('./lib/steps.js');
+const { verificationBackends, manifestTargets, verifyContracts } = require('./lib/verify.js');
+const { DEFAULT_RATIOS, chainErrors } = require('./lib/profile.js');
+
+const PIPELINE = "contracts";
 
 async function deployTestnetContracts(tokenName, tokenSymbol, args = {}, verify = true, local_devnet = false) {
     args.TOKEN_NAME   = tokenName;
@@ -15,20 +24,14 @@ async function deployTestnetContracts(tokenName, tokenSymbol, args = {}, verify
 }
 
 async function deployContracts(args = {}, verify = true) {
+    const { ethers, upgrades } = hre;
     const networkName = hre.network.name;
     console.log("Deploying contracts to:", networkName);
 
     if (verify) {
-        let apiKey;
-        if (typeof hre.config.etherscan?.apiKey === 'object') {
-            apiKey = hre.config.etherscan.apiKey[networkName];
-        } else {
-            apiKey = hre.config.etherscan?.apiKey;
-        }
-        if (!apiKey || apiKey == "") {
-            console.error(chalk.red("Error: API key for contract verification is missing."));
-            console.error("Please set it in your Hardhat configuration under 'etherscan.apiKey'.");
-            process.exit(1); // Exit with an error code
+        const backends = verificationBackends(hre);
+        if (!backends.etherscan && !backends.sourcify) {
+            throw new Error("API key for contract verification is missing, set it in your Hardhat configuration under 'etherscan.apiKey'");
         }
     }
     const TOKEN_NAME     = args.TOKEN_NAME     || "SESH Token";
@@ -37,58 +40,167 @@ async function deployContracts(args = {}, verify = true) {
     const SUPPLY = args.SUPPLY || 240_000_000n * SESH_UNIT;
     const POOL_INITIAL = args.POOL_INITIAL || 40_000_000n * SESH_UNIT;
     const STAKING_REQ = args.STAKING_REQ || 20_000n * SESH_UNIT;
+    const MAX_CONTRIBUTORS = args.MAX_CONTRIBUTORS ?? BigInt(DEFAULT_RATIOS.maxContributors);
+    const LIQUIDATOR_REWARD_RATIO = args.LIQUIDATOR_REWARD_RATIO ?? BigInt(DEFAULT_RATIOS.liquidatorRewardRatio);
+    const POOL_SHARE_OF_LIQUIDATION_RATIO = args.POOL_SHARE_OF_LIQUIDATION_RATIO ?? BigInt(DEFAULT_RATIOS.poolShareOfLiquidationRatio);
+    const RECIPIENT_RATIO = args.RECIPIENT_RATIO ?? BigInt(DEFAULT_RATIOS.recipientRatio);
     const TOKEN_ADDRESS  = args.TOKEN_ADDRESS  || "";
     const local_devnet = args.local_devnet || false;
     const mainnet = args.mainnet || false;
 
-    MockERC20 = await ethers.getContractFactory("MockERC20");
-    tokenContract = null
+    const pipelineParams = {
+        token:                       TOKEN_ADDRESS || null,
+        tokenName:                   TOKEN_NAME,
+        tokenSymbol:                 TOKEN_SYMBOL,
+        supply:                      SUPPLY,
+        poolInitial:                 POOL_INITIAL,
+        stakingReq:                  STAKING_REQ,
+        maxContributors:             MAX_CONTRIBUTORS,
+        liquidatorRewardRatio:       LIQUIDATOR_REWARD_RATIO,
+        poolShareOfLiquidationRatio: POOL_SHARE_OF_LIQUIDATION_RATIO,
+        recipientRatio:              RECIPIENT_RATIO,
+        mainnet,
+        localDevnet:                 local_devnet,
+    };
+    if (args.fresh) resetSteps(hre, PIPELINE);
+
+    // NOTE: Check an existing token before broadcasting anything. The balance
+    // is not needed once the deployment being resumed has funded the pool.
     if (TOKEN_ADDRESS) {
-        tokenContract = await MockERC20.attach(TOKEN_ADDRESS);
-    } else {
-        try { // Deploy a mock ERC20 token
-            tokenContract = await MockERC20.deploy(TOKEN_NAME, TOKEN_SYMBOL, SUPPLY);
-        } catch (error) {
-            console.error("Failed to deploy Testnet contracts, error when deploying MockERC20 contract:", error);
-            return;
-        }
+        const funded = resumableState(networkName, PIPELINE, pipelineParams)?.steps["pool-funding"]?.status === "done";
+        const errors = await chainErrors(hre, TOKEN_ADDRESS, POOL_INITIAL, { funded });
+        if (errors.length) throw new Error(`Cannot deploy against the token at ${TOKEN_ADDRESS}:\n  - ${errors.join("\n  - ")}`);
     }
 
     // Get signers
-    [owner] = await ethers.getSigners();
+    const [owner] = await ethers.getSigners();
 
     const rewardPoolFactoryName = mainnet ? "RewardRatePool" : "TestnetRewardRatePool";
-    RewardRatePool = await ethers.getContractFactory(rewardPoolFactoryName);
-    rewardRatePool = await upgrades.deployProxy(RewardRatePool, [await owner.getAddress(), await tokenContract.getAddress()]);
-
-    await tokenContract.transfer(rewardRatePool, POOL_INITIAL);
-
-    // Deploy the ServiceNodeRewards contract
     let serviceNodeRewardsDeployContract;
     if (mainnet) {
         serviceNodeRewardsDeployContract = "ServiceNodeRewards";
     } else {
         serviceNodeRewardsDeployContract = local_devnet ? "LocalDevnetServiceNodeRewards" : "TestnetServiceNodeRewards";
     }
-    ServiceNodeRewardsMaster = await ethers.getContractFactory(serviceNodeRewardsDeployContract);
-
-    serviceNodeRewards = await upgrades.deployProxy(ServiceNodeRewardsMaster,[
-        await tokenContract.getAddress(),  // token address
-        await rewardRatePool.getAddress(), // foundation pool address
-        STAKING_REQ,                       // staking requirement
-        10,                                // max contributors
-        3,                                 // liquidator reward ratio
-        17,                                // pool share of liquidation ratio
-        9980                               // recipient ratio
-    ]);
-    await serviceNodeRewards.waitForDeployment();
-
-    snContributionContractFactory = await ethers.getContractFactory("ServiceNodeContributionFactory");
-    snContributionFactory         = await upgrades.deployProxy(snContributionContractFactory,
-                                                               [await serviceNodeRewards.getAddress()]);
-    await snContributionFactory.waitForDeployment();
-
-    rewardRatePool.setBeneficiary(serviceNodeRewards);
+
+    // NOTE: Contracts deployed by this run, as opposed to a previous one that
+    // is being resumed
+    const deployed = {};
+
+    // A step deploying `options.contract` and recording it in the manifest as
+    // `name`. `options.args` are its constructor, or for a proxy initializer,
+    // arguments given the results of the earlier steps.
+    const deployStep = (step, name, options) => {
+        const record = async (ctx, contract, receipt) => {
+            const args = options.args(ctx);
+            await recordDeployment(hre, name, contract, {
+                contract: options.contract,
+                proxy:    options.proxy,
+                receipt,
+                [options.proxy ? "initializerArgs" : "constructorArgs"]: args,
+            });
+            return { address: await contract.getAddress() };
+        };
+        return {
+            name: step,
+            run: async (ctx) => {
+                const factory  = await ethers.getContractFactory(options.contract);
+                const args     = options.args(ctx);
+                const contract = options.proxy ? await upgrades.deployProxy(factory, args) : await factory.deploy(...args);
+                await ctx.sent(contract.deploymentTransaction());
+                await contract.waitForDeployment();
+                deployed[name] = contract;
+                return record(ctx, contract);
+            },
+            resume: async (ctx, receipt) => {
+                const contract = await ethers.getContractAt(options.contract, receipt.contractAddress);
+                return record(ctx, contract, receipt);
+            },
+            check:    hasCode(),
+            describe: (result) => `${name} at ${result.address}`,
+        };
+    };
+
+    // A step sending a single transaction
+    const transactionStep = (step, send, check) => ({
+        name: step,
+        run: async (ctx) => {
+            const tx = await send(ctx);
+            await ctx.sent(tx);
+            await tx.wait();
+            return { txHash: tx.hash };
+        },
+        check,
+        describe: (result) => `sent in ${result.txHash}`,
+    });
+
+    const tokenAddress = (ctx) => TOKEN_ADDRESS || ctx.results.token.address;
+    const steps = [
+        deployStep("pool", "RewardRatePool", {
+            contract: rewardPoolFactoryName,
+            proxy:    true,
+            args:     (ctx) => [owner.address, tokenAddress(ctx)],
+        }),
+        transactionStep("pool-funding", async (ctx) => {
+            const token = await ethers.getContractAt("MockERC20", tokenAddress(ctx));
+            return token.transfer(ctx.results.pool.address, POOL_INITIAL);
+        }),
+        deployStep("rewards", "ServiceNodeRewards", {
+            contract: serviceNodeRewardsDeployContract,
+            proxy:    true,
+            args:     (ctx) => [
+                tokenAddress(ctx),               // token address
+                ctx.results.pool.address,        // foundation pool address
+                STAKING_REQ,                     // staking requirement
+                MAX_CONTRIBUTORS,                // max contributors
+                LIQUIDATOR_REWARD_RATIO,         // liquidator reward ratio
+                POOL_SHARE_OF_LIQUIDATION_RATIO, // pool share of liquidation ratio
+                RECIPIENT_RATIO,                 // recipient ratio
+            ],
+        }),
+        deployStep("factory", "ServiceNodeContributionFactory", {
+            contract: "ServiceNodeContributionFactory",
+            proxy:    true,
+            args:     (ctx) => [ctx.results.rewards.address],
+        }),
+        transactionStep("set-beneficiary", async (ctx) => {
+            const pool = await ethers.getContractAt(rewardPoolFactoryName, ctx.results.pool.address);
+            return pool.setBeneficiary(ctx.results.rewards.address);
+        }, async (ctx) => {
+            const pool        = await ethers.getContractAt(rewardPoolFactoryName, ctx.results.pool.address);
+            const beneficiary = await pool.beneficiary();
+            if (beneficiary !== ctx.results.rewards.address)
+                throw new Error(`the RewardRatePool beneficiary is ${beneficiary}, not ServiceNodeRewards`);
+        }),
+    ];
+    if (!TOKEN_ADDRESS) {
+        steps.unshift(deployStep("token", "SESH", {
+            contract: "MockERC20",
+            args:     () => [TOKEN_NAME, TOKEN_SYMBOL, SUPPLY],
+        }));
+    }
+
+    const results = await runSteps(hre, PIPELINE, steps, { params: pipelineParams });
+
+    // NOTE: The final stage hands the contracts off to their long-term owner,
+    // it runs once the contracts are in the manifest
+    if (args.OWNER) {
+        const names = ["RewardRatePool", "ServiceNodeRewards", "ServiceNodeContributionFactory"];
+        await runSteps(hre, PIPELINE, await ownershipSteps(hre, readManifest(networkName), args.OWNER, { names }));
+    }
+
+    // NOTE: Verification is not a step, the deploy does not depend on the
+    // block explorer being up and what failed is retried with sesh:verify
+    if (verify) {
+        const names = ["RewardRatePool", "ServiceNodeRewards", "ServiceNodeContributionFactory"];
+        if (!TOKEN_ADDRESS) names.unshift("SESH");
+        console.log("\nVerifying contracts...");
+        await verifyContracts(hre, await manifestTargets(hre, readManifest(networkName), { names }));
+    }
+    const tokenContract         = deployed.SESH ?? await ethers.getContractAt("MockERC20", tokenAddress({ results }));
+    const rewardRatePool        = deployed.RewardRatePool ?? await ethers.getContractAt(rewardPoolFactoryName, results.pool.address);
+    const serviceNodeRewards    = deployed.ServiceNodeRewards ?? await ethers.getContractAt(serviceNodeRewardsDeployContract, results.rewards.address);
+    const snContributionFactory = deployed.ServiceNodeContributionFactory ?? await ethers.getContractAt("ServiceNodeContributionFactory", results.factory.address);
 
     console.log(
         '  ',
@@ -114,59 +226,12 @@ async function deployContracts(args = {}, verify = true) {
         'deployed to:',
         chalk.greenBright(await snContributionFactory.getAddress()),
     )
+    console.log('   Deployment manifest written to:', chalk.yellow(manifestPath(networkName)));
 
-    if (verify) {
-      // Add verify task runners
-      console.log("\nVerifying contracts...");
-
-      if (!args.TOKEN_ADDRESS) {
-          console.log(chalk.yellow("\n--- Verifying mockERC20 ---\n"));
-          tokenContract.waitForDeployment();
-          try {
-              await hre.run("verify:verify", {
-                  address: await tokenContract.getAddress(),
-                  constructorArguments: [TOKEN_NAME, TOKEN_SYMBOL, SUPPLY],
-                  contract: "contracts/test/MockERC20.sol:MockERC20",
-                  force: true,
-              });
-          } catch (error) {}
-      }
-
-      console.log(chalk.yellow("\n--- Verifying rewardRatePool ---\n"));
-      rewardRatePool.waitForDeployment();
-      try {
-          await hre.run("verify:verify", {
-              address: await rewardRatePool.getAddress(),
-              constructorArguments: [],
-              force: true,
-          });
-      } catch (error) {}
-
-      console.log(chalk.yellow("\n--- Verifying serviceNodeRewards ---\n"));
-      serviceNodeRewards.waitForDeployment();
-      try {
-          await hre.run("verify:verify", {
-              address: await serviceNodeRewards.getAddress(),
-              constructorArguments: [],
-              force: true,
-          });
-      } catch (error) {}
-
-      console.log(chalk.yellow("\n--- Verifying snContributionFactory ---\n"));
-      snContributionFactory.waitForDeployment();
-      try {
-          await hre.run("verify:verify", {
-              address: await snContributionFactory.getAddress(),
-              constructorArguments: [],
-              force: true,
-          });
-      } catch (error) {}
-
-      console.log("Contract verification complete.");
-    }
+    return { tokenContract, rewardRatePool, serviceNodeRewards, snContributionFactory };
 }
 
-module.exports = function() {
-    this.deployTestnetContracts = deployTestnetContracts;
-    this.deployContracts = deployContracts;
+module.exports = {
+    deployTestnetContracts,
+    deployContracts,
 };
@@ -0,0 +1,230 @@
+// Generates the cross-language test vectors for the BN256 primitives shared by
+// the contracts, the JS library (scripts/lib/bls.js) and the C++ harness
+// (test/cpp). The vectors are checked against the contracts by
+// test/unit-js/TestVectors.js and against mcl by test/cpp/test/src/vectors.cpp.
+//
+// Output is deterministic for a given seed so regenerating only produces a
+// diff when the generator or the primitives change. Bump
+// TEST_VECTORS_VERSION when the file format changes.
+//
+//   node scripts/generate-test-vectors.js [output file]
+//
+// Formats used in the file:
+//   - Byte strings (messages, DSTs, expanded output) are 0x-prefixed hex.
+//   - Field elements are decimal strings.
+//   - G1 points are {X, Y}, (0, 0) is the point at infinity.
+//   - G2 points are {x: [real, imag], y: [real, imag]}, all zero is the point at
+//     infinity. Note the contract's `G2Point` stores [imag, real].
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const bls = require("./lib/bls.js");
+
+const TEST_VECTORS_VERSION = 1;
+const DEFAULT_SEED = "session-token-contracts bn256 test vectors";
+const DEFAULT_OUTPUT = path.join(__dirname, "..", "test", "vectors", "bn256.json");
+
+// NOTE: Same DST/message as test/unit-js/BN256G2.js and test/cpp/test/src/hash.cpp
+const LEGACY_DST = "0xff54977c9d08fb9098f6beae0e4634cb9b2d4c2b9c86f0b3e2f2f0073b73f51c";
+const LEGACY_MESSAGE = ethers.hexlify(ethers.toUtf8Bytes("asdf"));
+
+// Deterministic byte stream, keccak256(seed || counter)
+function seededRandom(seed) {
+    const seedHash = ethers.id(seed);
+    let counter = 0;
+    const bytes = (length) => {
+        let result = new Uint8Array(0);
+        while (result.length < length) {
+            const block = ethers.getBytes(ethers.solidityPackedKeccak256(["bytes32", "uint256"], [seedHash, counter++]));
+            result = ethers.getBytes(ethers.concat([result, block]));
+        }
+        return result.subarray(0, length);
+    };
+    return {
+        bytes: (length) => ethers.hexlify(bytes(length)),
+        field: () => BigInt(ethers.hexlify(bytes(48))) % bls.FIELD_MODULUS,
+        scalar: () => 1n + BigInt(ethers.hexlify(bytes(48))) % (bls.CURVE_ORDER - 1n),
+    };
+}
+
+const dec = (value) => BigInt(value).toString();
+const g1ToJSON = (p) => ({ X: dec(p.X), Y: dec(p.Y) });
+const g2ToJSON = (p) => p
+    ? { x: [dec(p.x[0]), dec(p.x[1])], y: [dec(p.y[0]), dec(p.y[1])] }
+    : { x: ["0", "0"], y: ["0", "0"] };
+
+function expandVectors(rng) {
+    const cases = [
+        [LEGACY_MESSAGE, LEGACY_DST],
+        ["0x", LEGACY_DST],
+        ["0x", "0x"],
+        ["0x" + "ff".repeat(32), "0x" + "00".repeat(32)],
+        [rng.bytes(135), rng.bytes(1)],
+        [rng.bytes(136), rng.bytes(32)],
+        [rng.bytes(137), rng.bytes(255)],
+        [rng.bytes(300), rng.bytes(64)],
+    ];
+    for (let i = 0; i < 4; i++) cases.push([rng.bytes(1 + i * 31), rng.bytes(32)]);
+
+    return cases.map(([message, dst]) => ({
+        message,
+        dst,
+        expected: bls.expandMessageXMDKeccak256(message, dst),
+    }));
+}
+
+function hashToFieldVectors(rng) {
+    const cases = [[LEGACY_MESSAGE, LEGACY_DST], ["0x", LEGACY_DST], ["0x00", "0x" + "00".repeat(32)]];
+    for (let i = 0; i < 8; i++) cases.push([rng.bytes(i * 13), rng.bytes(32)]);
+
+    return cases.map(([message, dst]) => {
+        const [u0, u1, b] = bls.hashToField(message, dst);
+        return { message, dst, expected: { u0: dec(u0), u1: dec(u1), b } };
+    });
+}
+
+function fq2SqrtVectors(rng) {
+    const p = bls.FIELD_MODULUS;
+    const inputs = [
+        [0n, 0n],
+        [1n, 0n],
+        [p - 1n, 0n],          // -1, no square root in Fp
+        [4n, 0n],
+        [0n, 1n],
+        [p - 1n, p - 1n],
+        // NOTE: Zellic vector, see test/unit-js/BN256G2.js
+        [18400763209162137698378342072679747343805045379991482883044659141807904813804n,
+         3757716903061301937348252070019908304499894848840852657694527662312163652493n],
+    ];
+    for (let i = 0; i < 4; i++) inputs.push([rng.field(), 0n]);
+    for (let i = 0; i < 12; i++) inputs.push([rng.field(), rng.field()]);
+
+    return inputs.map(([x1, x2]) => {
+        const [y1, y2] = bls.fq2Sqrt(x1, x2);
+        const isSquare = bls.Fp2.eq(bls.Fp2.mul([y1, y2], [y1, y2]), [x1, x2]);
+        return { input: [dec(x1), dec(x2)], expected: [dec(y1), dec(y2)], isSquare };
+    });
+}
+
+function hashToG2Vectors(rng) {
+    const cases = [[LEGACY_MESSAGE, LEGACY_DST], ["0x", LEGACY_DST]];
+    for (let i = 0; i < 6; i++) cases.push([rng.bytes(i * 19), rng.bytes(32)]);
+
+    return cases.map(([message, dst]) => ({
+        message,
+        dst,
+        mapToG2: g2ToJSON(bls.mapToG2(message, dst)),
+        expected: g2ToJSON(bls.hashToG2(message, dst)),
+    }));
+}
+
+function g1Vectors(rng) {
+    const zero = { X: 0n, Y: 0n };
+    const points = [];
+    for (let i = 0; i < 4; i++) points.push(bls.g1Mul(bls.G1_GENERATOR, rng.scalar()));
+
+    const addCases = [
+        [bls.G1_GENERATOR, bls.G1_GENERATOR],           // doubling
+        [points[0], bls.g1Negate(points[0])],           // P + -P = 0
+        [points[1], zero],
+        [zero, zero],
+        [points[0], points[1]],
+        [points[2], points[3]],
+        [points[3], points[3]],
+    ];
+    const negateCases = [zero, bls.G1_GENERATOR, ...points];
+
+    return {
+        add: addCases.map(([p1, p2]) => ({ p1: g1ToJSON(p1), p2: g1ToJSON(p2), expected: g1ToJSON(bls.g1Add(p1, p2)) })),
+        negate: negateCases.map((p) => ({ p: g1ToJSON(p), expected: g1ToJSON(bls.g1Negate(p)) })),
+    };
+}
+
+function pairingVectors(rng) {
+    const zero = { X: 0n, Y: 0n };
+    const a = rng.scalar();
+    const b = rng.scalar();
+    const sk = rng.scalar();
+    const dst = rng.bytes(32);
+    const message = rng.bytes(40);
+    const signature = bls.sign(sk, message, dst);
+    const hm = bls.hashToG2(message, dst);
+
+    const cases = [
+        { description: "empty input", pairs: [] },
+        { description: "G1 at infinity", pairs: [[zero, bls.G2_GENERATOR]] },
+        { description: "G2 at infinity", pairs: [[bls.G1_GENERATOR, null]] },
+        { description: "e(P1, P2) != 1", pairs: [[bls.G1_GENERATOR, bls.G2_GENERATOR]] },
+        {
+            description: "e(aP1, bP2) * e(-abP1, P2) == 1",
+            pairs: [
+                [bls.g1Mul(bls.G1_GENERATOR, a), bls.g2Mul(bls.G2_GENERATOR, b)],
+                [bls.g1Negate(bls.g1Mul(bls.G1_GENERATOR, a * b)), bls.G2_GENERATOR],
+            ],
+        },
+        {
+            description: "e(aP1, bP2) * e(-aP1, P2) != 1",
+            pairs: [
+                [bls.g1Mul(bls.G1_GENERATOR, a), bls.g2Mul(bls.G2_GENERATOR, b)],
+                [bls.g1Negate(bls.g1Mul(bls.G1_GENERATOR, a)), bls.G2_GENERATOR],
+            ],
+        },
+        {
+            description: "BLS signature, e(P1, sig) * e(-pk, H(m)) == 1",
+            pairs: [[bls.G1_GENERATOR, signature], [bls.g1Negate(bls.getPublicKey(sk)), hm]],
+        },
+        {
+            description: "BLS signature with the wrong key",
+            pairs: [[bls.G1_GENERATOR, signature], [bls.g1Negate(bls.getPublicKey(sk + 1n)), hm]],
+        },
+    ];
+
+    return cases.map(({ description, pairs }) => ({
+        description,
+        pairs: pairs.map(([p, q]) => ({ g1: g1ToJSON(p), g2: g2ToJSON(q) })),
+        expected: bls.pairingCheck(pairs),
+    }));
+}
+
+/**
+ * Generate the full set of test vectors
+ * @param {string} [seed]
+ * @returns {Object}
+ */
+function generateTestVectors(seed = DEFAULT_SEED) {
+    const rng = seededRandom(seed);
+    return {
+        version: TEST_VECTORS_VERSION,
+        generator: "scripts/generate-test-vectors.js",
+        seed: seed,
+        fieldModulus: dec(bls.FIELD_MODULUS),
+        curveOrder: dec(bls.CURVE_ORDER),
+        expandMessageXMDKeccak256: expandVectors(rng),
+        hashToField: hashToFieldVectors(rng),
+        fq2Sqrt: fq2SqrtVectors(rng),
+        hashToG2: hashToG2Vectors(rng),
+        g1: g1Vectors(rng),
+        pairing: pairingVectors(rng),
+    };
+}
+
+async function main() {
+    const output = process.argv[2] ?? DEFAULT_OUTPUT;
+    const vectors = generateTestVectors();
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(output, JSON.stringify(vectors, null, 2) + "\n");
+    console.log(`Wrote version ${vectors.version} test vectors to ${output}`);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    TEST_VECTORS_VERSION,
+    DEFAULT_OUTPUT,
+    generateTestVectors,
+};
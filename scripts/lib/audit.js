@@ -0,0 +1,146 @@
+// Off-chain audit of the service node list held by `ServiceNodeRewards`.
+//
+// The contract maintains `totalNodes` and `_aggregatePubkey` incrementally as
+// nodes are added and removed, and keeps 2 reverse lookups, `serviceNodeIDs`
+// (BLS pubkey to ID) and `ed25519ToServiceNodeID`. `auditServiceNodeList`
+// walks the linked list, re-derives all of it in JS and reports every place
+// the contract disagrees, including what
+// `rederiveTotalNodesAndAggregatePubkey` would repair.
+const { ethers } = require("ethers");
+const bls = require("./bls.js");
+
+const LIST_SENTINEL = 0n;
+
+// Failing checks list at most this many offending nodes in their detail
+const MAX_REPORTED_NODES = 10;
+
+const g1Equal  = (a, b) => BigInt(a.X) === BigInt(b.X) && BigInt(a.Y) === BigInt(b.Y);
+const g1String = (p) => `(${p.X}, ${p.Y})`;
+
+function summarise(failures) {
+    const shown = failures.slice(0, MAX_REPORTED_NODES).join("; ");
+    return failures.length > MAX_REPORTED_NODES ? `${shown}; and ${failures.length - MAX_REPORTED_NODES} more` : shown;
+}
+
+/**
+ * Walk the linked list through `serviceNodes(id).next` from the sentinel.
+ * Unlike `allServiceNodeIDs` this does not depend on `totalNodes` being
+ * correct.
+ */
+async function walkServiceNodes(serviceNodeRewards, overrides) {
+    const nodes   = [];
+    const visited = new Set([LIST_SENTINEL]);
+    const errors  = [];
+    let prev      = LIST_SENTINEL;
+    let current   = (await serviceNodeRewards.serviceNodes(LIST_SENTINEL, overrides)).next;
+    while (current !== LIST_SENTINEL) {
+        if (visited.has(current)) {
+            errors.push(`node ${prev} links back to ${current}, the list has a cycle`);
+            break;
+        }
+        visited.add(current);
+
+        const sn = await serviceNodeRewards.serviceNodes(current, overrides);
+        if (sn.prev !== prev) errors.push(`node ${current} has prev ${sn.prev}, expected ${prev}`);
+        nodes.push({
+            id:            current,
+            blsPubkey:     { X: sn.blsPubkey.X, Y: sn.blsPubkey.Y },
+            ed25519Pubkey: sn.ed25519Pubkey,
+        });
+        prev    = current;
+        current = sn.next;
+    }
+    return { nodes, errors };
+}
+
+/**
+ * Audit the node list, `totalNodes`, the aggregate pubkey and the reverse
+ * lookups of a `ServiceNodeRewards` contract.
+ * @param {ethers.Contract} serviceNodeRewards
+ * @param {Object} [options]
+ * @param {number|string} [options.blockTag] Block to audit, defaults to the latest
+ * @returns {Promise<Object>} `{ok, blockNumber, checks: [{name, ok, detail}],
+ * nodes, derived: {totalNodes, aggregatePubkey}, onChain: {totalNodes,
+ * aggregatePubkey}, rederive: {changesTotalNodes, changesAggregatePubkey}}`
+ */
+async function auditServiceNodeList(serviceNodeRewards, options = {}) {
+    const provider    = serviceNodeRewards.runner.provider;
+    const blockNumber = (await provider.getBlock(options.blockTag ?? "latest")).number;
+    const overrides   = { blockTag: blockNumber };
+    const checks      = [];
+    const check       = (name, failures, passDetail) => checks.push({
+        name,
+        ok:     failures.length === 0,
+        detail: failures.length === 0 ? passDetail : summarise(failures),
+    });
+
+    const { nodes, errors } = await walkServiceNodes(serviceNodeRewards, overrides);
+    check("linked list", errors, `${nodes.length} nodes, prev/next links consistent`);
+
+    // NOTE: `allServiceNodeIDs` sizes its result by `totalNodes`, if that has
+    // drifted the call reverts or pads with zero IDs.
+    const listFailures = [];
+    try {
+        const [ids, pubkeys] = await serviceNodeRewards.allServiceNodeIDs(overrides);
+        if (ids.length !== nodes.length) listFailures.push(`returned ${ids.length} nodes, the list has ${nodes.length}`);
+        for (let i = 0; i < Math.min(ids.length, nodes.length); i++) {
+            if (ids[i] !== nodes[i].id || !g1Equal(pubkeys[i], nodes[i].blsPubkey))
+                listFailures.push(`entry ${i} is node ${ids[i]}, the list has node ${nodes[i].id}`);
+        }
+    } catch (error) {
+        listFailures.push(`reverted: ${error.shortMessage ?? error.message}`);
+    }
+    check("allServiceNodeIDs", listFailures, "matches the linked list");
+
+    const onChain = {
+        totalNodes:      await serviceNodeRewards.totalNodes(overrides),
+        aggregatePubkey: await serviceNodeRewards.aggregatePubkey(overrides),
+    };
+    onChain.aggregatePubkey = { X: onChain.aggregatePubkey.X, Y: onChain.aggregatePubkey.Y };
+
+    const derived = {
+        totalNodes:      BigInt(nodes.length),
+        aggregatePubkey: bls.aggregatePublicKeys(nodes.map((node) => node.blsPubkey)),
+    };
+
+    check("totalNodes",
+        onChain.totalNodes === derived.totalNodes ? [] : [`contract has ${onChain.totalNodes}, the list has ${derived.totalNodes}`],
+        `${onChain.totalNodes}`);
+    check("aggregatePubkey",
+        g1Equal(onChain.aggregatePubkey, derived.aggregatePubkey) ? [] :
+            [`contract has ${g1String(onChain.aggregatePubkey)}, the sum of the list is ${g1String(derived.aggregatePubkey)}`],
+        g1String(onChain.aggregatePubkey));
+
+    const blsFailures     = [];
+    const ed25519Failures = [];
+    for (const node of nodes) {
+        const key   = ethers.AbiCoder.defaultAbiCoder().encode(["uint256", "uint256"], [node.blsPubkey.X, node.blsPubkey.Y]);
+        const blsID = await serviceNodeRewards.serviceNodeIDs(key, overrides);
+        const edID  = await serviceNodeRewards.ed25519ToServiceNodeID(node.ed25519Pubkey, overrides);
+        if (blsID !== node.id) blsFailures.push(`node ${node.id} BLS pubkey maps to ${blsID}`);
+        if (edID !== node.id) ed25519Failures.push(`node ${node.id} Ed25519 pubkey maps to ${edID}`);
+    }
+    check("serviceNodeIDs", blsFailures, `all ${nodes.length} BLS pubkeys map back to their node`);
+    check("ed25519ToServiceNodeID", ed25519Failures, `all ${nodes.length} Ed25519 pubkeys map back to their node`);
+
+    // NOTE: On an empty list `rederiveTotalNodesAndAggregatePubkey` zeroes
+    // `totalNodes` but leaves the aggregate untouched.
+    const rederive = {
+        changesTotalNodes:      onChain.totalNodes !== derived.totalNodes,
+        changesAggregatePubkey: nodes.length > 0 && !g1Equal(onChain.aggregatePubkey, derived.aggregatePubkey),
+    };
+
+    return {
+        ok: checks.every((entry) => entry.ok),
+        blockNumber,
+        checks,
+        nodes,
+        derived,
+        onChain,
+        rederive,
+    };
+}
+
+module.exports = {
+    auditServiceNodeList,
+};
@@ -0,0 +1,766 @@
+// BLS signatures over BN254 (alt_bn128) in plain JavaScript.
+//
+// This mirrors the primitives used by the contracts so that signatures can be
+// produced off-chain for any deployment of `ServiceNodeRewards`:
+//
+//   - Public keys are G1 points, signatures are G2 points.
+//   - Messages are hashed to G2 with the exact same construction as
+//     `BN256G2.hashToG2`, that is, RFC9380 `expand_message_xmd` using
+//     keccak256, the contract's try-and-increment `mapToG2` and the
+//     Fuentes-Castaneda cofactor multiplication.
+//
+// Points are returned in affine coordinates. G1 points use the `{X, Y}` layout
+// of `BN256G1.G1Point` so they can be passed straight into contract calls. G2
+// points are `{x: [real, imag], y: [real, imag]}`, use `signatureToParams` to
+// convert them to the contract's `BLSSignatureParams`.
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+
+const FIELD_MODULUS      = 0x30644e72e131a029b85045b68181585d97816a916871ca8d3c208c16d87cfd47n;
+const CURVE_ORDER        = 0x30644e72e131a029b85045b68181585d2833e84879b9709143e1f593f0000001n;
+const CURVE_ORDER_FACTOR = 4965661367192848881n; // BN parameter `z`, see BN256G2.sol
+const HALF_FIELD_MODULUS = (FIELD_MODULUS + 1n) / 2n;
+const SQRT_EXPONENT      = (FIELD_MODULUS + 1n) / 4n;
+
+// Twist coefficient b' = 3 / (9 + i)
+const TWIST_B = [
+    0x2b149d40ceb8aaae81be18991be06ac3b5b4c5e559dbefa33267e6dc24a138e5n,
+    0x9713b03af0fed4cd2cafadeed8fdf4a74fa084e52d1852e4a2bd0685c315d2n,
+];
+
+// ξ^((p-1)/3) and ξ^((p-1)/2) where ξ = 9 + i, used by the twist Frobenius
+const FROBENIUS_COEFF_X = [
+    21575463638280843010398324269430826099269044274347216827212613867836435027261n,
+    10307601595873709700152284273816112264069230130616436755625194854815875713954n,
+];
+const FROBENIUS_COEFF_Y = [
+    2821565182194536844548159561693502659359617185244120367078079554186484126554n,
+    3505843767911556378687030309984248845540243509899259641013678093033130930403n,
+];
+
+const G1_GENERATOR = { X: 1n, Y: 2n };
+const G2_GENERATOR = {
+    x: [
+        10857046999023057135944570762232829481370756359578518086990519993285655852781n,
+        11559732032986387107991004021392285783925812861821192530917403151452391805634n,
+    ],
+    y: [
+        8495653923123431417604973247489272438418190587263600148770280649306958101930n,
+        4082367875863433681332203403145435568316851327593401208105741076214120093531n,
+    ],
+};
+
+const KECCAK256_BLOCKSIZE = 136;
+const EXPANDED_MESSAGE_LENGTH = 128;
+
+//
+// Fp
+//
+function mod(a, n = FIELD_MODULUS) {
+    const result = a % n;
+    return result < 0n ? result + n : result;
+}
+
+function modPow(base, exponent, n = FIELD_MODULUS) {
+    let result = 1n;
+    base = mod(base, n);
+    while (exponent > 0n) {
+        if (exponent & 1n) result = (result * base) % n;
+        base = (base * base) % n;
+        exponent >>= 1n;
+    }
+    return result;
+}
+
+// Matches `BN256G2._modInv` which uses the modexp precompile, hence the inverse
+// of zero is zero.
+function modInv(a, n = FIELD_MODULUS) {
+    return modPow(a, n - 2n, n);
+}
+
+const Fp = {
+    zero: 0n,
+    one: 1n,
+    add: (a, b) => mod(a + b),
+    sub: (a, b) => mod(a - b),
+    mul: (a, b) => mod(a * b),
+    neg: (a) => mod(-a),
+    inv: (a) => modInv(a),
+    eq: (a, b) => a === b,
+    isZero: (a) => a === 0n,
+    conj: (a) => a,
+};
+
+//
+// Fp2 = Fp[i] / (i^2 + 1), elements are [real, imag]
+//
+const Fp2 = {
+    zero: [0n, 0n],
+    one: [1n, 0n],
+    add: (a, b) => [mod(a[0] + b[0]), mod(a[1] + b[1])],
+    sub: (a, b) => [mod(a[0] - b[0]), mod(a[1] - b[1])],
+    mul: (a, b) => [mod(a[0] * b[0] - a[1] * b[1]), mod(a[0] * b[1] + a[1] * b[0])],
+    neg: (a) => [mod(-a[0]), mod(-a[1])],
+    inv: (a) => {
+        const inv = modInv(mod(a[0] * a[0] + a[1] * a[1]));
+        return [mod(a[0] * inv), mod(-a[1] * inv)];
+    },
+    eq: (a, b) => a[0] === b[0] && a[1] === b[1],
+    isZero: (a) => a[0] === 0n && a[1] === 0n,
+    conj: (a) => [a[0], mod(-a[1])],
+};
+
+/**
+ * Square root in Fp as done by `BN256G2._sqrt`, x^((p+1)/4). The candidate
+ * root is returned even when `a` is not a quadratic residue.
+ * @param {bigint} a
+ * @returns {[bigint, boolean]} The candidate root and whether it is a root
+ */
+function fpSqrt(a) {
+    const x = modPow(a, SQRT_EXPONENT);
+    return [x, (x * x) % FIELD_MODULUS === a];
+}
+
+function divBy2(x) {
+    let y = x / 2n;
+    if (x & 1n) y = (y + HALF_FIELD_MODULUS) % FIELD_MODULUS;
+    return y;
+}
+
+/**
+ * Square root in Fp2, a translation of `BN256G2.FQ2Sqrt` (itself a
+ * translation of herumi's `Fp2::squareRoot`) including its quirks: a failed
+ * root returns (0, 0) and an input with no imaginary part returns the Fp root
+ * in either the real or imaginary slot.
+ * @param {bigint} x1 Real part
+ * @param {bigint} x2 Imaginary part
+ * @returns {[bigint, bigint]}
+ */
+function fq2Sqrt(x1, x2) {
+    let t1, t2, hasRoot;
+    if (x2 === 0n) {
+        [t1, hasRoot] = fpSqrt(x1);
+        return hasRoot ? [t1, 0n] : [0n, t1];
+    }
+
+    t1 = mod(x1 * x1 + x2 * x2);
+    [t1, hasRoot] = fpSqrt(t1);
+    if (!hasRoot) return [0n, 0n];
+
+    t2 = divBy2((x1 + t1) % FIELD_MODULUS);
+    let sqrtT2;
+    [sqrtT2, hasRoot] = fpSqrt(t2);
+    if (!hasRoot) {
+        t2 = divBy2(mod(x1 - t1));
+        [sqrtT2, hasRoot] = fpSqrt(t2);
+        if (!hasRoot) return [0n, 0n];
+    }
+
+    const y1 = sqrtT2;
+    t2 = modInv((sqrtT2 + sqrtT2) % FIELD_MODULUS);
+    const y2 = mod(x2 * t2);
+    return [y1, y2];
+}
+
+//
+// Short Weierstrass curves y^2 = x^3 + b in Jacobian coordinates, shared
+// between G1 (over Fp) and G2 (over Fp2). The point at infinity has Z = 0.
+//
+function makeCurve(F, b) {
+    const infinity = { X: F.one, Y: F.one, Z: F.zero };
+
+    const isInfinity = (P) => F.isZero(P.Z);
+
+    function double(P) {
+        if (isInfinity(P) || F.isZero(P.Y)) return infinity;
+        const A  = F.mul(P.X, P.X);
+        const B  = F.mul(P.Y, P.Y);
+        const C  = F.mul(B, B);
+        const XB = F.add(P.X, B);
+        let D    = F.sub(F.sub(F.mul(XB, XB), A), C);
+        D        = F.add(D, D);
+        const E  = F.add(F.add(A, A), A);
+        const G  = F.mul(E, E);
+        const X3 = F.sub(G, F.add(D, D));
+        let C8   = F.add(C, C);
+        C8       = F.add(C8, C8);
+        C8       = F.add(C8, C8);
+        const Y3 = F.sub(F.mul(E, F.sub(D, X3)), C8);
+        const YZ = F.mul(P.Y, P.Z);
+        const Z3 = F.add(YZ, YZ);
+        return { X: X3, Y: Y3, Z: Z3 };
+    }
+
+    function add(P, Q) {
+        if (isInfinity(P)) return Q;
+        if (isInfinity(Q)) return P;
+        const Z1Z1 = F.mul(P.Z, P.Z);
+        const Z2Z2 = F.mul(Q.Z, Q.Z);
+        const U1   = F.mul(P.X, Z2Z2);
+        const U2   = F.mul(Q.X, Z1Z1);
+        const S1   = F.mul(F.mul(P.Y, Q.Z), Z2Z2);
+        const S2   = F.mul(F.mul(Q.Y, P.Z), Z1Z1);
+        const H    = F.sub(U2, U1);
+        const R    = F.sub(S2, S1);
+        if (F.isZero(H)) return F.isZero(R) ? double(P) : infinity;
+        const HH   = F.mul(H, H);
+        const HHH  = F.mul(H, HH);
+        const V    = F.mul(U1, HH);
+        const X3   = F.sub(F.sub(F.mul(R, R), HHH), F.add(V, V));
+        const Y3   = F.sub(F.mul(R, F.sub(V, X3)), F.mul(S1, HHH));
+        const Z3   = F.mul(F.mul(P.Z, Q.Z), H);
+        return { X: X3, Y: Y3, Z: Z3 };
+    }
+
+    const negate = (P) => ({ X: P.X, Y: F.neg(P.Y), Z: P.Z });
+
+    // NOTE: The scalar is deliberately not reduced by the curve order, cofactor
+    // multiplication operates on points outside of the prime order subgroup.
+    function multiply(P, scalar) {
+        let result = infinity;
+        let addend = P;
+        while (scalar > 0n) {
+            if (scalar & 1n) result = add(result, addend);
+            addend = double(addend);
+            scalar >>= 1n;
+        }
+        return result;
+    }
+
+    function toAffine(P) {
+        if (isInfinity(P)) return null;
+        const zInv  = F.inv(P.Z);
+        const zInv2 = F.mul(zInv, zInv);
+        return [F.mul(P.X, zInv2), F.mul(P.Y, F.mul(zInv2, zInv))];
+    }
+
+    const fromAffine = (x, y) => ({ X: x, Y: y, Z: F.one });
+
+    function isOnCurve(x, y) {
+        const x3 = F.mul(F.mul(x, x), x);
+        return F.eq(F.mul(y, y), F.add(x3, b));
+    }
+
+    return { infinity, isInfinity, double, add, negate, multiply, toAffine, fromAffine, isOnCurve };
+}
+
+const G1Curve = makeCurve(Fp, 3n);
+const G2Curve = makeCurve(Fp2, TWIST_B);
+
+//
+// G1, affine points as `{X, Y}` where (0, 0) is the point at infinity, the
+// same convention used by the ecAdd precompile and `BN256G1`.
+//
+function g1FromJacobian(P) {
+    const affine = G1Curve.toAffine(P);
+    return affine ? { X: affine[0], Y: affine[1] } : { X: 0n, Y: 0n };
+}
+
+function g1ToJacobian(p) {
+    const X = BigInt(p.X);
+    const Y = BigInt(p.Y);
+    return X === 0n && Y === 0n ? G1Curve.infinity : G1Curve.fromAffine(X, Y);
+}
+
+function g1Add(p1, p2) {
+    return g1FromJacobian(G1Curve.add(g1ToJacobian(p1), g1ToJacobian(p2)));
+}
+
+// Same as `BN256G1.negate`
+function g1Negate(p) {
+    const X = BigInt(p.X);
+    const Y = BigInt(p.Y);
+    if (X === 0n && Y === 0n) return { X: 0n, Y: 0n };
+    return { X, Y: FIELD_MODULUS - (Y % FIELD_MODULUS) };
+}
+
+function g1Mul(p, scalar) {
+    return g1FromJacobian(G1Curve.multiply(g1ToJacobian(p), BigInt(scalar)));
+}
+
+function g1IsOnCurve(p) {
+    return G1Curve.isOnCurve(BigInt(p.X), BigInt(p.Y));
+}
+
+//
+// G2, affine points as `{x: [real, imag], y: [real, imag]}`, null is the point
+// at infinity.
+//
+function g2FromJacobian(P) {
+    const affine = G2Curve.toAffine(P);
+    return affine ? { x: affine[0], y: affine[1] } : null;
+}
+
+function g2ToJacobian(p) {
+    return p ? G2Curve.fromAffine(p.x, p.y) : G2Curve.infinity;
+}
+
+function g2Add(p1, p2) {
+    return g2FromJacobian(G2Curve.add(g2ToJacobian(p1), g2ToJacobian(p2)));
+}
+
+function g2Negate(p) {
+    return p ? { x: p.x, y: Fp2.neg(p.y) } : null;
+}
+
+function g2Mul(p, scalar) {
+    return g2FromJacobian(G2Curve.multiply(g2ToJacobian(p), BigInt(scalar)));
+}
+
+function g2IsOnCurve(p) {
+    return G2Curve.isOnCurve(p.x, p.y);
+}
+
+// The twist endomorphism ψ applied in Jacobian coordinates, matches
+// `BN256G2._ECTwistFrobeniusProjective`.
+function g2Frobenius(P) {
+    return {
+        X: Fp2.mul(Fp2.conj(P.X), FROBENIUS_COEFF_X),
+        Y: Fp2.mul(Fp2.conj(P.Y), FROBENIUS_COEFF_Y),
+        Z: Fp2.conj(P.Z),
+    };
+}
+
+// Q = [z]P + ψ([3z]P) + ψ²([z]P) + ψ³(P) as in
+// `BN256G2._ECTwistMulByCofactorProjective`
+function g2MulByCofactor(P) {
+    const T0 = G2Curve.multiply(P, CURVE_ORDER_FACTOR);
+    const T1 = g2Frobenius(G2Curve.add(T0, G2Curve.double(T0)));
+    const T2 = g2Frobenius(g2Frobenius(T0));
+    const T3 = g2Frobenius(g2Frobenius(g2Frobenius(P)));
+    return G2Curve.add(G2Curve.add(G2Curve.add(T0, T1), T2), T3);
+}
+
+/**
+ * Multiply a twist point by the G2 cofactor, identical to
+ * `BN256G2.ECTwistMulByCofactor`.
+ * @param {{x: bigint[], y: bigint[]}|null} p
+ * @returns {{x: bigint[], y: bigint[]}|null}
+ */
+function g2ClearCofactor(p) {
+    return g2FromJacobian(g2MulByCofactor(g2ToJacobian(p)));
+}
+
+//
+// Hash to curve
+//
+
+/**
+ * RFC9380 `expand_message_xmd` with keccak256 producing 128 bytes, identical
+ * to `BN256G2.expandMessageXMDKeccak256`.
+ * @param {ethers.BytesLike} message
+ * @param {ethers.BytesLike} dst Domain separation tag, at most 255 bytes
+ * @returns {string[]} The 4 32-byte blocks as hex strings
+ */
+function expandMessageXMDKeccak256(message, dst) {
+    const msgBytes = ethers.getBytes(message);
+    const dstBytes = ethers.getBytes(dst);
+    if (dstBytes.length > 255) throw new Error(`Domain separation tag is ${dstBytes.length} bytes, at most 255 is permitted`);
+
+    const dstPrime = ethers.concat([dstBytes, Uint8Array.of(dstBytes.length)]);
+    const b0 = ethers.keccak256(ethers.concat([
+        new Uint8Array(KECCAK256_BLOCKSIZE),
+        msgBytes,
+        Uint8Array.of(EXPANDED_MESSAGE_LENGTH >> 8, EXPANDED_MESSAGE_LENGTH & 0xff),
+        Uint8Array.of(0),
+        dstPrime,
+    ]));
+
+    // b_1 = H(b_0 || 1 || DST'), b_i = H((b_0 ^ b_(i-1)) || i || DST')
+    const b0Bytes = ethers.getBytes(b0);
+    const result  = [];
+    let prev      = new Uint8Array(32);
+    for (let i = 1; i <= EXPANDED_MESSAGE_LENGTH / 32; i++) {
+        const chained = b0Bytes.map((byte, index) => byte ^ prev[index]);
+        const bi      = ethers.keccak256(ethers.concat([chained, Uint8Array.of(i), dstPrime]));
+        result.push(bi);
+        prev = ethers.getBytes(bi);
+    }
+    return result;
+}
+
+/**
+ * Hash a message to 2 field elements and a sign bit, identical to
+ * `BN256G2.hashToField`.
+ * @param {ethers.BytesLike} message
+ * @param {ethers.BytesLike} dst 32 byte domain separation tag
+ * @returns {[bigint, bigint, boolean]}
+ */
+function hashToField(message, dst) {
+    const expanded = ethers.getBytes(ethers.concat(expandMessageXMDKeccak256(message, dst)));
+    const u0 = BigInt(ethers.hexlify(expanded.subarray(0, 48))) % FIELD_MODULUS;
+    const u1 = BigInt(ethers.hexlify(expanded.subarray(48, 96))) % FIELD_MODULUS;
+    const b  = (expanded[127] & 1) === 1;
+    return [u0, u1, b];
+}
+
+/**
+ * Try-and-increment map of `message || i` onto the twist, identical to
+ * `BN256G2.mapToG2`. The result is not in the prime order subgroup.
+ * @param {ethers.BytesLike} message
+ * @param {ethers.BytesLike} hashToG2Tag
+ * @returns {{x: bigint[], y: bigint[]}}
+ */
+function mapToG2(message, hashToG2Tag) {
+    const msgBytes = ethers.getBytes(message);
+    const messageWithI = new Uint8Array(msgBytes.length + 1);
+    messageWithI.set(msgBytes);
+
+    for (let increment = 0; increment < 256; increment++) {
+        messageWithI[msgBytes.length] = increment;
+        const [x1, x2, b] = hashToField(messageWithI, hashToG2Tag);
+        const x = [x1, x2];
+        const ySquared = Fp2.add(Fp2.mul(Fp2.mul(x, x), x), TWIST_B);
+        let [y1, y2] = fq2Sqrt(ySquared[0], ySquared[1]);
+        if (y1 !== 0n && y2 !== 0n) {
+            if (b) [y1, y2] = [FIELD_MODULUS - y1, FIELD_MODULUS - y2];
+            if (G2Curve.isOnCurve(x, [y1, y2])) return { x, y: [y1, y2] };
+        }
+    }
+
+    // NOTE: The contract overflows its uint8 counter and reverts here.
+    throw new Error("Failed to map message to G2 within 256 iterations");
+}
+
+/**
+ * Hash a message to a point in G2, identical to `BN256G2.hashToG2`.
+ * @param {ethers.BytesLike} message
+ * @param {ethers.BytesLike} hashToG2Tag The contract's `hashToG2Tag()`
+ * @returns {{x: bigint[], y: bigint[]}}
+ */
+function hashToG2(message, hashToG2Tag) {
+    return g2ClearCofactor(mapToG2(message, hashToG2Tag));
+}
+
+/**
+ * Compute the tag the contract derives in `ServiceNodeRewards.buildTag`.
+ * @param {string} baseTag e.g. "BLS_SIG_TRYANDINCREMENT_POP"
+ * @param {bigint|number} chainId
+ * @param {string} contractAddress
+ * @returns {string} bytes32 hex string
+ */
+function buildTag(baseTag, chainId, contractAddress) {
+    return ethers.solidityPackedKeccak256(["string", "uint256", "address"], [baseTag, chainId, contractAddress]);
+}
+
+//
+// Pairing, the optimal ate pairing e: G1 x G2 -> GT as computed by the
+// ecPairing precompile (EIP-197).
+//
+// Fp6  = Fp2[v] / (v^3 - ξ), elements are [c0, c1, c2]
+// Fp12 = Fp6[w] / (w^2 - v), elements are [c0, c1]
+//
+const ATE_LOOP_COUNT = 6n * CURVE_ORDER_FACTOR + 2n;
+
+// Multiply by ξ = 9 + i
+const fp2MulByXi = (a) => [mod(9n * a[0] - a[1]), mod(a[0] + 9n * a[1])];
+
+const Fp6 = {
+    zero: [Fp2.zero, Fp2.zero, Fp2.zero],
+    one: [Fp2.one, Fp2.zero, Fp2.zero],
+    add: (a, b) => [Fp2.add(a[0], b[0]), Fp2.add(a[1], b[1]), Fp2.add(a[2], b[2])],
+    sub: (a, b) => [Fp2.sub(a[0], b[0]), Fp2.sub(a[1], b[1]), Fp2.sub(a[2], b[2])],
+    neg: (a) => [Fp2.neg(a[0]), Fp2.neg(a[1]), Fp2.neg(a[2])],
+    mul: (a, b) => {
+        const t0 = Fp2.mul(a[0], b[0]);
+        const t1 = Fp2.mul(a[1], b[1]);
+        const t2 = Fp2.mul(a[2], b[2]);
+        const c0 = Fp2.add(t0, fp2MulByXi(Fp2.sub(Fp2.sub(Fp2.mul(Fp2.add(a[1], a[2]), Fp2.add(b[1], b[2])), t1), t2)));
+        const c1 = Fp2.add(Fp2.sub(Fp2.sub(Fp2.mul(Fp2.add(a[0], a[1]), Fp2.add(b[0], b[1])), t0), t1), fp2MulByXi(t2));
+        const c2 = Fp2.add(Fp2.sub(Fp2.sub(Fp2.mul(Fp2.add(a[0], a[2]), Fp2.add(b[0], b[2])), t0), t2), t1);
+        return [c0, c1, c2];
+    },
+    // Multiply by v
+    mulByV: (a) => [fp2MulByXi(a[2]), a[0], a[1]],
+    inv: (a) => {
+        const A = Fp2.sub(Fp2.mul(a[0], a[0]), fp2MulByXi(Fp2.mul(a[1], a[2])));
+        const B = Fp2.sub(fp2MulByXi(Fp2.mul(a[2], a[2])), Fp2.mul(a[0], a[1]));
+        const C = Fp2.sub(Fp2.mul(a[1], a[1]), Fp2.mul(a[0], a[2]));
+        const F = Fp2.add(Fp2.mul(a[0], A), fp2MulByXi(Fp2.add(Fp2.mul(a[2], B), Fp2.mul(a[1], C))));
+        const fInv = Fp2.inv(F);
+        return [Fp2.mul(A, fInv), Fp2.mul(B, fInv), Fp2.mul(C, fInv)];
+    },
+    eq: (a, b) => Fp2.eq(a[0], b[0]) && Fp2.eq(a[1], b[1]) && Fp2.eq(a[2], b[2]),
+};
+
+const Fp12 = {
+    one: [Fp6.one, Fp6.zero],
+    mul: (a, b) => {
+        const t0 = Fp6.mul(a[0], b[0]);
+        const t1 = Fp6.mul(a[1], b[1]);
+        const c1 = Fp6.sub(Fp6.sub(Fp6.mul(Fp6.add(a[0], a[1]), Fp6.add(b[0], b[1])), t0), t1);
+        return [Fp6.add(t0, Fp6.mulByV(t1)), c1];
+    },
+    // Equivalent to raising to the power of p^6
+    conj: (a) => [a[0], Fp6.neg(a[1])],
+    inv: (a) => {
+        const denominator = Fp6.sub(Fp6.mul(a[0], a[0]), Fp6.mulByV(Fp6.mul(a[1], a[1])));
+        const dInv = Fp6.inv(denominator);
+        return [Fp6.mul(a[0], dInv), Fp6.neg(Fp6.mul(a[1], dInv))];
+    },
+    pow: (a, exponent) => {
+        let result = Fp12.one;
+        for (let i = BigInt(exponent.toString(2).length) - 1n; i >= 0n; i--) {
+            result = Fp12.mul(result, result);
+            if ((exponent >> i) & 1n) result = Fp12.mul(result, a);
+        }
+        return result;
+    },
+    eq: (a, b) => Fp6.eq(a[0], b[0]) && Fp6.eq(a[1], b[1]),
+};
+
+// The line through twist points T and Q (tangent when equal) evaluated at
+// P = (xp, yp) after untwisting, (x, y) -> (x·w^2, y·w^3). Returns the line
+// and T + Q. Vertical lines lie in Fp6 and are erased by the final
+// exponentiation, so they are replaced with 1.
+function millerLine(T, Q, xp, yp) {
+    let lambda;
+    if (Fp2.eq(T.x, Q.x)) {
+        if (!Fp2.eq(T.y, Q.y) || Fp2.isZero(T.y)) return [Fp12.one, null];
+        const xx = Fp2.mul(T.x, T.x);
+        lambda = Fp2.mul(Fp2.add(Fp2.add(xx, xx), xx), Fp2.inv(Fp2.add(T.y, T.y)));
+    } else {
+        lambda = Fp2.mul(Fp2.sub(Q.y, T.y), Fp2.inv(Fp2.sub(Q.x, T.x)));
+    }
+    const x3 = Fp2.sub(Fp2.sub(Fp2.mul(lambda, lambda), T.x), Q.x);
+    const y3 = Fp2.sub(Fp2.mul(lambda, Fp2.sub(T.x, x3)), T.y);
+
+    // l(P) = yp - λ·xp·w + (λ·xT - yT)·w^3, and w^3 = v·w
+    const line = [
+        [[yp, 0n], Fp2.zero, Fp2.zero],
+        [Fp2.neg(Fp2.mul(lambda, [xp, 0n])), Fp2.sub(Fp2.mul(lambda, T.x), T.y), Fp2.zero],
+    ];
+    return [line, { x: x3, y: y3 }];
+}
+
+// The p-power Frobenius on the twist
+const twistFrobenius = (Q) => ({
+    x: Fp2.mul(Fp2.conj(Q.x), FROBENIUS_COEFF_X),
+    y: Fp2.mul(Fp2.conj(Q.y), FROBENIUS_COEFF_Y),
+});
+
+function millerLoop(p, q) {
+    const xp = BigInt(p.X);
+    const yp = BigInt(p.Y);
+    let f = Fp12.one;
+    let T = q;
+    let line;
+    for (let i = BigInt(ATE_LOOP_COUNT.toString(2).length) - 2n; i >= 0n; i--) {
+        [line, T] = millerLine(T, T, xp, yp);
+        f = Fp12.mul(Fp12.mul(f, f), line);
+        if ((ATE_LOOP_COUNT >> i) & 1n) {
+            [line, T] = millerLine(T, q, xp, yp);
+            f = Fp12.mul(f, line);
+        }
+    }
+
+    const q1  = twistFrobenius(q);
+    const nq2 = g2Negate(twistFrobenius(q1));
+    [line, T] = millerLine(T, q1, xp, yp);
+    f = Fp12.mul(f, line);
+    [line] = millerLine(T, nq2, xp, yp);
+    return Fp12.mul(f, line);
+}
+
+const FINAL_EXPONENT_HARD = (FIELD_MODULUS ** 4n - FIELD_MODULUS ** 2n + 1n) / CURVE_ORDER;
+
+function finalExponentiation(f) {
+    // (p^12 - 1) / r = (p^6 - 1)(p^2 + 1)(p^4 - p^2 + 1) / r
+    let result = Fp12.mul(Fp12.conj(f), Fp12.inv(f));
+    result = Fp12.mul(Fp12.pow(result, FIELD_MODULUS * FIELD_MODULUS), result);
+    return Fp12.pow(result, FINAL_EXPONENT_HARD);
+}
+
+/**
+ * Check that the product of pairings is one, the same check as the ecPairing
+ * precompile and `Pairing.pairing2`. Pairs containing the point at infinity
+ * contribute nothing.
+ * @param {Array<[{X: bigint, Y: bigint}, {x: bigint[], y: bigint[]}]>} pairs
+ * @returns {boolean}
+ */
+function pairingCheck(pairs) {
+    let f = Fp12.one;
+    for (const [p, q] of pairs) {
+        if (!q || (BigInt(p.X) === 0n && BigInt(p.Y) === 0n)) continue;
+        if (!g1IsOnCurve(p) || !g2IsOnCurve(q)) throw new Error("Pairing input is not on the curve");
+        f = Fp12.mul(f, millerLoop(p, q));
+    }
+    return Fp12.eq(finalExponentiation(f), Fp12.one);
+}
+
+/**
+ * Verify a (possibly aggregate) signature the same way the contract does,
+ * e(G1, signature) == e(publicKey, H(message)).
+ * @param {{X: bigint, Y: bigint}} publicKey
+ * @param {ethers.BytesLike} message
+ * @param {{x: bigint[], y: bigint[]}} signature
+ * @param {ethers.BytesLike} hashToG2Tag
+ * @returns {boolean}
+ */
+function verify(publicKey, message, signature, hashToG2Tag) {
+    return pairingCheck([
+        [G1_GENERATOR, signature],
+        [g1Negate(publicKey), hashToG2(message, hashToG2Tag)],
+    ]);
+}
+
+//
+// Keys and signatures
+//
+
+/**
+ * Generate a random BLS secret key in [1, CURVE_ORDER)
+ * @returns {bigint}
+ */
+function generateSecretKey() {
+    // NOTE: 48 bytes of entropy keeps the modulo bias below 2^-128
+    let sk = 0n;
+    while (sk === 0n) sk = BigInt(ethers.hexlify(crypto.randomBytes(48))) % CURVE_ORDER;
+    return sk;
+}
+
+/**
+ * @param {bigint} secretKey
+ * @returns {{X: bigint, Y: bigint}} G1 public key
+ */
+function getPublicKey(secretKey) {
+    return g1Mul(G1_GENERATOR, secretKey);
+}
+
+/**
+ * Sign a message, the signature is `secretKey * hashToG2(message)`.
+ * @param {bigint} secretKey
+ * @param {ethers.BytesLike} message The packed message bytes
+ * @param {ethers.BytesLike} hashToG2Tag The contract's `hashToG2Tag()`
+ * @returns {{x: bigint[], y: bigint[]}} G2 signature
+ */
+function sign(secretKey, message, hashToG2Tag) {
+    return g2FromJacobian(G2Curve.multiply(g2ToJacobian(hashToG2(message, hashToG2Tag)), secretKey));
+}
+
+/**
+ * @param {Array<{X: bigint, Y: bigint}>} publicKeys
+ * @returns {{X: bigint, Y: bigint}}
+ */
+function aggregatePublicKeys(publicKeys) {
+    return g1FromJacobian(publicKeys.reduce((acc, pk) => G1Curve.add(acc, g1ToJacobian(pk)), G1Curve.infinity));
+}
+
+/**
+ * @param {Array<{x: bigint[], y: bigint[]}>} signatures
+ * @returns {{x: bigint[], y: bigint[]}}
+ */
+function aggregateSignatures(signatures) {
+    return g2FromJacobian(signatures.reduce((acc, sig) => G2Curve.add(acc, g2ToJacobian(sig)), G2Curve.infinity));
+}
+
+/**
+ * Convert a G2 signature to the contract's `BLSSignatureParams`
+ * @param {{x: bigint[], y: bigint[]}} signature
+ * @returns {{sigs0: bigint, sigs1: bigint, sigs2: bigint, sigs3: bigint}}
+ */
+function signatureToParams(signature) {
+    return { sigs0: signature.x[0], sigs1: signature.x[1], sigs2: signature.y[0], sigs3: signature.y[1] };
+}
+
+/**
+ * Convert the contract's `BLSSignatureParams` to a G2 signature
+ * @param {{sigs0: bigint, sigs1: bigint, sigs2: bigint, sigs3: bigint}} params
+ * @returns {{x: bigint[], y: bigint[]}}
+ */
+function paramsToSignature(params) {
+    return {
+        x: [BigInt(params.sigs0), BigInt(params.sigs1)],
+        y: [BigInt(params.sigs2), BigInt(params.sigs3)],
+    };
+}
+
+/**
+ * The message signed for a proof of possession, see
+ * `ServiceNodeRewards._validateProofOfPossession`.
+ * @param {string} proofOfPossessionTag The contract's `proofOfPossessionTag()`
+ * @param {{X: bigint, Y: bigint}} publicKey
+ * @param {string} operator Address of the node operator (1st contributor)
+ * @param {bigint} serviceNodePubkey Ed25519 public key as a uint256
+ * @returns {string} Packed message as hex
+ */
+function proofOfPossessionMessage(proofOfPossessionTag, publicKey, operator, serviceNodePubkey) {
+    return ethers.solidityPacked(
+        ["bytes32", "uint256", "uint256", "address", "uint256"],
+        [proofOfPossessionTag, publicKey.X, publicKey.Y, operator, serviceNodePubkey]
+    );
+}
+
+/**
+ * Message signed by the network to update a recipient's rewards balance
+ * @param {string} rewardTag The contract's `rewardTag()`
+ * @param {string} recipient
+ * @param {bigint} amount
+ * @returns {string} Packed message as hex
+ */
+function rewardsMessage(rewardTag, recipient, amount) {
+    return ethers.solidityPacked(["bytes32", "address", "uint256"], [rewardTag, recipient, amount]);
+}
+
+/**
+ * Message signed by the network to exit or liquidate a node
+ * @param {string} tag The contract's `exitTag()` or `liquidateTag()`
+ * @param {{X: bigint, Y: bigint}} blsPubkey
+ * @param {bigint|number} timestamp
+ * @returns {string} Packed message as hex
+ */
+function removalMessage(tag, blsPubkey, timestamp) {
+    return ethers.solidityPacked(["bytes32", "uint256", "uint256", "uint256"], [tag, blsPubkey.X, blsPubkey.Y, timestamp]);
+}
+
+/**
+ * Create the proof of possession for `addBLSPublicKey` and
+ * `validateProofOfPossession`.
+ * @param {bigint} secretKey
+ * @param {{proofOfPossessionTag: string, hashToG2Tag: string}} tags Tags of the target rewards contract
+ * @param {string} operator
+ * @param {bigint} serviceNodePubkey
+ * @returns {{sigs0: bigint, sigs1: bigint, sigs2: bigint, sigs3: bigint}}
+ */
+function proofOfPossession(secretKey, tags, operator, serviceNodePubkey) {
+    const publicKey = getPublicKey(secretKey);
+    const message   = proofOfPossessionMessage(tags.proofOfPossessionTag, publicKey, operator, serviceNodePubkey);
+    return signatureToParams(sign(secretKey, message, tags.hashToG2Tag));
+}
+
+module.exports = {
+    FIELD_MODULUS,
+    CURVE_ORDER,
+    G1_GENERATOR,
+    G2_GENERATOR,
+    TWIST_B,
+    Fp2,
+    fq2Sqrt,
+    g1Add,
+    g1Negate,
+    g1Mul,
+    g1IsOnCurve,
+    g2Add,
+    g2Negate,
+    g2Mul,
+    g2IsOnCurve,
+    g2ClearCofactor,
+    expandMessageXMDKeccak256,
+    hashToField,
+    mapToG2,
+    hashToG2,
+    buildTag,
+    pairingCheck,
+    verify,
+    generateSecretKey,
+    getPublicKey,
+    sign,
+    aggregatePublicKeys,
+    aggregateSignatures,
+    signatureToParams,
+    paramsToSignature,
+    proofOfPossessionMessage,
+    rewardsMessage,
+    removalMessage,
+    proofOfPossession,
+};
@@ -0,0 +1,96 @@
+// Deterministic deployment through the CREATE2 deployer proxy of
+// https://github.com/Arachnid/deterministic-deployment-proxy, which lives at
+// the same address on Ethereum, Arbitrum and their testnets. A contract
+// deployed with the same init code (bytecode and constructor arguments) and
+// salt gets the same address on every chain, and that address can be handed
+// out before the contract is deployed.
+const { ethers } = require("ethers");
+
+const CREATE2_DEPLOYER = "0x4e59b44847b379578588920cA78FbF26c0B4956C";
+
+// NOTE: Runtime code of the deployer, installed on Hardhat and Anvil nodes
+// which start without it. Its calldata is the salt followed by the init code
+// and it returns the created address.
+const CREATE2_DEPLOYER_CODE =
+    "0x7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffe03601600081602082378035828234f58015156039578182fd5b8082525050506014600cf3";
+
+/**
+ * Derive a salt from the data identifying a contract, e.g. a CSV row.
+ * @param {string[]} types ABI types of `values`
+ * @param {Array} values
+ * @param {string} [salt] Mixed in to deploy the same data to other addresses
+ * @returns {string} 32 byte salt
+ */
+function deriveSalt(types, values, salt = "") {
+    return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["string", ...types], [salt, ...values]));
+}
+
+/**
+ * @param {ethers.ContractFactory} factory
+ * @param {Array} args Constructor arguments
+ * @returns {Promise<string>} The init code deploying the contract
+ */
+async function initCode(factory, args) {
+    return (await factory.getDeployTransaction(...args)).data;
+}
+
+/**
+ * @param {ethers.ContractFactory} factory
+ * @param {Array} args Constructor arguments
+ * @param {string} salt
+ * @returns {Promise<string>} The address the contract is deployed to
+ */
+async function predictAddress(factory, args, salt) {
+    return ethers.getCreate2Address(CREATE2_DEPLOYER, salt, ethers.keccak256(await initCode(factory, args)));
+}
+
+/**
+ * Make sure the CREATE2 deployer exists on the current network, installing it
+ * on development nodes.
+ * @param {Object} hre Hardhat runtime environment
+ */
+async function ensureDeployer(hre) {
+    if ((await hre.ethers.provider.getCode(CREATE2_DEPLOYER)) !== "0x") return;
+    try {
+        await hre.network.provider.send("hardhat_setCode", [CREATE2_DEPLOYER, CREATE2_DEPLOYER_CODE]);
+    } catch (error) {
+        throw new Error(`No CREATE2 deployer at ${CREATE2_DEPLOYER} on ${hre.network.name}, ` +
+                        "see https://github.com/Arachnid/deterministic-deployment-proxy to deploy it");
+    }
+}
+
+/**
+ * Deploy a contract through the CREATE2 deployer, unless it already exists at
+ * its address.
+ * @param {Object} hre Hardhat runtime environment
+ * @param {ethers.ContractFactory} factory Connected to the deployer's signer
+ * @param {Array} args Constructor arguments
+ * @param {string} salt
+ * @param {Object} [options]
+ * @param {Function} [options.sent] Called with the deploy transaction once sent,
+ * e.g. the `ctx.sent` of a step
+ * @returns {Promise<{address: string, txHash: string|null, existing: boolean}>}
+ */
+async function deployCreate2(hre, factory, args, salt, options = {}) {
+    const address = await predictAddress(factory, args, salt);
+    if ((await hre.ethers.provider.getCode(address)) !== "0x") return { address, txHash: null, existing: true };
+
+    await ensureDeployer(hre);
+    const tx = await factory.runner.sendTransaction({
+        to:   CREATE2_DEPLOYER,
+        data: ethers.concat([salt, await initCode(factory, args)]),
+    });
+    if (options.sent) await options.sent(tx);
+    const receipt = await tx.wait();
+    if ((await hre.ethers.provider.getCode(address)) === "0x")
+        throw new Error(`CREATE2 deploy ${receipt.hash} did not create a contract at ${address}`);
+    return { address, txHash: receipt.hash, existing: false };
+}
+
+module.exports = {
+    CREATE2_DEPLOYER,
+    deriveSalt,
+    predictAddress,
+    ensureDeployer,
+    deployCreate2,
+};
@@ -0,0 +1,118 @@
+// Post-deploy check of how the contracts in a deployment manifest are wired
+// together. Every relationship `deployContracts` sets up is read back from
+// the chain and compared against what the manifest says was deployed:
+//
+// - RewardRatePool pays out SESH to ServiceNodeRewards and was funded.
+// - ServiceNodeRewards holds SESH, draws from the RewardRatePool and has the
+//   parameters it was initialised with.
+// - ServiceNodeContributionFactory deploys contributions for ServiceNodeRewards.
+// - Owners, pause states, `isStarted` and each proxy's implementation and admin.
+const { ethers } = require("ethers");
+
+const CONTRACTS = ["SESH", "RewardRatePool", "ServiceNodeRewards", "ServiceNodeContributionFactory"];
+
+// `initialize` arguments of ServiceNodeRewards after the token and pool
+const REWARDS_PARAMETERS = ["stakingRequirement", "maxContributors", "liquidatorRewardRatio", "poolShareOfLiquidationRatio", "recipientRatio"];
+
+const OWNABLE_ABI = ["function owner() view returns (address)"];
+
+// Render a value for a diff, addresses checksummed and bigints in decimal
+function display(value) {
+    if (typeof value === "string" && ethers.isAddress(value)) return ethers.getAddress(value);
+    return String(value);
+}
+
+/**
+ * Check the wiring of the deployment recorded in a manifest.
+ * @param {Object} hre Hardhat runtime environment
+ * @param {Object} manifest As returned by `readManifest`
+ * @param {Object} [expected] Expectations the manifest does not record
+ * @param {string} [expected.owner] Owner of every contract and proxy admin,
+ * defaults to the owner recorded in the manifest, otherwise the deployer
+ * @param {bigint} [expected.poolInitial] SESH the RewardRatePool was funded
+ * with, defaults to that of the recorded deploy steps
+ * @param {boolean} [expected.started] Expected `isStarted`, unchecked if unset
+ * @param {boolean} [expected.paused] Expected pause state, defaults to false
+ * @returns {Promise<Object>} `{ok, checks: [{name, ok, expected, actual}]}`
+ * with `expected` and `actual` as strings
+ */
+async function checkDeployment(hre, manifest, expected = {}) {
+    const missing = CONTRACTS.filter((name) => !manifest.contracts[name]);
+    if (missing.length)
+        throw new Error(`The ${manifest.network} deployment manifest has no ${missing.join(", ")} to check`);
+
+    const entries = manifest.contracts;
+    const address = (name) => ethers.getAddress(entries[name].address);
+    const checks  = [];
+    const check   = (name, expectedValue, actualValue, ok) => checks.push({
+        name,
+        ok:       ok ?? display(expectedValue) === display(actualValue),
+        expected: display(expectedValue),
+        actual:   display(actualValue),
+    });
+
+    for (const name of CONTRACTS) {
+        const code = await hre.ethers.provider.getCode(address(name));
+        check(`${name} code`, "deployed", code === "0x" ? "no code" : "deployed");
+    }
+    if (checks.some((entry) => !entry.ok)) return { ok: false, checks };
+
+    for (const name of CONTRACTS.filter((name) => entries[name].implementation)) {
+        check(`${name} implementation`, entries[name].implementation,
+              await hre.upgrades.erc1967.getImplementationAddress(address(name)));
+        const admin = await hre.upgrades.erc1967.getAdminAddress(address(name));
+        check(`${name} proxy admin`, entries[name].proxyAdmin ?? ethers.ZeroAddress, admin);
+    }
+
+    const pool    = await hre.ethers.getContractAt("RewardRatePool", address("RewardRatePool"));
+    const rewards = await hre.ethers.getContractAt("ServiceNodeRewards", address("ServiceNodeRewards"));
+    const factory = await hre.ethers.getContractAt("ServiceNodeContributionFactory", address("ServiceNodeContributionFactory"));
+
+    check("RewardRatePool.SESH", address("SESH"), await pool.SESH());
+    check("RewardRatePool.beneficiary", address("ServiceNodeRewards"), await pool.beneficiary());
+
+    // NOTE: The pool's balance drops as it pays out, what it has ever held
+    // only grows
+    const poolInitial = expected.poolInitial ?? manifest.steps?.contracts?.params?.poolInitial;
+    if (poolInitial !== undefined) {
+        const deposited = await pool.calculateTotalDeposited();
+        check("RewardRatePool deposited", `>= ${BigInt(poolInitial)}`, deposited, deposited >= BigInt(poolInitial));
+    }
+
+    check("ServiceNodeRewards.designatedToken", address("SESH"), await rewards.designatedToken());
+    check("ServiceNodeRewards.foundationPool", address("RewardRatePool"), await rewards.foundationPool());
+    const initializerArgs = entries.ServiceNodeRewards.initializerArgs ?? [];
+    for (const [index, parameter] of REWARDS_PARAMETERS.entries()) {
+        const value = initializerArgs[index + 2];
+        if (value !== undefined) check(`ServiceNodeRewards.${parameter}`, BigInt(value), await rewards[parameter]());
+    }
+    if (expected.started !== undefined) check("ServiceNodeRewards.isStarted", expected.started, await rewards.isStarted());
+
+    const paused = expected.paused ?? false;
+    check("ServiceNodeRewards.paused", paused, await rewards.paused());
+    check("ServiceNodeContributionFactory.paused", paused, await factory.paused());
+    check("ServiceNodeContributionFactory.stakingRewardsContract", address("ServiceNodeRewards"), await factory.stakingRewardsContract());
+
+    // NOTE: Contracts handed off with lib/ownership.js are expected to be
+    // owned by whoever accepted them, the rest by the deployer
+    const deployer = entries.ServiceNodeRewards.deployer;
+    for (const [name, contract] of [["RewardRatePool", pool], ["ServiceNodeRewards", rewards], ["ServiceNodeContributionFactory", factory]]) {
+        const owner = expected.owner ?? entries[name].owner ?? deployer;
+        if (owner) check(`${name}.owner`, owner, await contract.owner());
+    }
+
+    // NOTE: Each transparent proxy has its own ProxyAdmin, whose owner can
+    // upgrade it
+    for (const name of CONTRACTS.filter((name) => entries[name].proxyAdmin)) {
+        const owner = expected.owner ?? entries[name].proxyAdminOwner ?? deployer;
+        if (!owner) continue;
+        const proxyAdmin = new ethers.Contract(entries[name].proxyAdmin, OWNABLE_ABI, hre.ethers.provider);
+        check(`ProxyAdmin ${entries[name].proxyAdmin} owner`, owner, await proxyAdmin.owner());
+    }
+
+    return { ok: checks.every((entry) => entry.ok), checks };
+}
+
+module.exports = {
+    checkDeployment,
+};
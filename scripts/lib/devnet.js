@@ -0,0 +1,318 @@
+// Local devnet bootstrap: on top of a fresh deployment, funded test wallets and
+// service nodes registered each way a node can be:
+//
+// - solo, the operator calling `ServiceNodeRewards.addBLSPublicKey` directly
+// - multi-contributor, deployed through the `ServiceNodeContributionFactory`
+//   and filled by the operator and other wallets
+// - staked by a `TokenVestingStaking` contract on behalf of its beneficiary
+//
+// Everything needed to drive the devnet, the addresses and the secret keys of
+// the wallets and nodes, is written to `devnet-<network>.json`, as environment
+// variables to `devnet-<network>.env` and, for a node reached over RPC, as an
+// Echidna config to `devnet-<network>.echidna.yml`.
+//
+// Keys derive from a seed, so the same bootstrap of a fresh node gives the same
+// wallets, nodes and addresses every time.
+const fs = require("fs");
+const path = require("path");
+const chalk = require("chalk");
+const { ethers } = require("ethers");
+const bls = require("./bls.js");
+const { overrideVariable } = require("./manifest.js");
+const { createRegistration, registrationToJSON } = require("./registration.js");
+const { SESH_DECIMALS } = require("./sesh-token.js");
+
+const DEVNET_VERSION = 1;
+const CONTRACTS      = ["SESH", "RewardRatePool", "ServiceNodeRewards", "ServiceNodeContributionFactory"];
+const ECHIDNA_CONFIG = path.join(__dirname, "..", "..", "echidna-local.config.yml");
+
+// NOTE: A vesting contract can only stake once its start has passed, and its
+// start has to be in the future when it is deployed. The devnet's clock is
+// moved forward by this much once they are all deployed.
+const VESTING_DELAY    = 60 * 60;
+const VESTING_DURATION = 365 * 24 * 60 * 60;
+
+const TAG_ABI = [
+    "function proofOfPossessionTag() view returns (bytes32)",
+    "function hashToG2Tag() view returns (bytes32)",
+];
+
+const derive = (seed, label, index) => ethers.keccak256(ethers.toUtf8Bytes(`${seed}/${label}/${index}`));
+
+/**
+ * @param {string} seed
+ * @param {number} index
+ * @returns {string} Private key of the seed's `index`th test wallet
+ */
+function walletKey(seed, index) {
+    return derive(seed, "wallet", index);
+}
+
+/**
+ * @param {string} seed
+ * @param {number} index
+ * @returns {{blsSecretKey: bigint, ed25519Seed: string}} Keys of the seed's
+ * `index`th service node
+ */
+function nodeKeys(seed, index) {
+    // NOTE: The modulo bias is irrelevant to keys that are public by design
+    return {
+        blsSecretKey: BigInt(derive(seed, "bls", index)) % (bls.CURVE_ORDER - 1n) + 1n,
+        ed25519Seed:  derive(seed, "ed25519", index),
+    };
+}
+
+// The service node ID `ServiceNodeRewards` assigned in a registration receipt
+function registeredNodeID(rewards, receipt) {
+    const address = rewards.target.toLowerCase();
+    for (const log of receipt.logs) {
+        if (log.address.toLowerCase() !== address) continue;
+        const event = rewards.interface.parseLog(log);
+        if (event?.name === "NewServiceNodeV2") return event.args.serviceNodeID;
+    }
+    throw new Error(`Transaction ${receipt.hash} did not register a service node`);
+}
+
+const registrationArgs = (registration) => [registration.blsPubkey, registration.blsSignature, registration.serviceNodeParams];
+
+/**
+ * Bootstrap a devnet on the deployment in the network's manifest, see the top
+ * of this file.
+ * @param {Object} hre Hardhat runtime environment
+ * @param {Object} contracts Addresses of the deployment by name, see `CONTRACTS`
+ * @param {Object} params
+ * @param {number} params.solo Solo nodes to register
+ * @param {number} params.multi Multi-contributor nodes to register
+ * @param {number} params.vesting Vesting-contract-staked nodes to register
+ * @param {number} params.contributors Contributors to each multi-contributor
+ * node, including its operator
+ * @param {number} params.wallets Funded wallets to create besides those of the
+ * nodes
+ * @param {bigint} params.eth Wei given to every wallet
+ * @param {bigint} params.fund SESH given to every wallet on top of a staking
+ * requirement, atomic units
+ * @param {string} params.seed Seed the keys derive from
+ * @returns {Promise<Object>} The devnet, as written by `writeDevnet`
+ */
+async function bootstrapDevnet(hre, contracts, params) {
+    const provider   = hre.ethers.provider;
+    const [deployer] = await hre.ethers.getSigners();
+    const token      = await hre.ethers.getContractAt("MockERC20", contracts.SESH, deployer);
+    const rewards    = await hre.ethers.getContractAt("ServiceNodeRewards", contracts.ServiceNodeRewards, deployer);
+    const factory    = await hre.ethers.getContractAt("ServiceNodeContributionFactory", contracts.ServiceNodeContributionFactory, deployer);
+
+    const stakingRequirement = await rewards.stakingRequirement();
+    const maxContributors    = await rewards.maxContributors();
+    if (params.multi > 0 && (params.contributors < 2 || BigInt(params.contributors) > maxContributors))
+        throw new Error(`A multi-contributor node takes 2 to ${maxContributors} contributors, got ${params.contributors}`);
+
+    // NOTE: Every wallet gets a staking requirement, enough to register a node
+    // of its own whatever it is used for
+    const walletCount = params.solo + params.multi * params.contributors + params.vesting + params.wallets;
+    const perWallet   = stakingRequirement + params.fund;
+    const needed      = perWallet * BigInt(walletCount) + stakingRequirement * BigInt(params.vesting);
+    const balance     = await token.balanceOf(deployer.address);
+    if (balance < needed)
+        throw new Error(`The deployer ${deployer.address} holds ${ethers.formatUnits(balance, SESH_DECIMALS)} SESH, ` +
+                        `funding ${walletCount} wallets and ${params.vesting} vesting contracts needs ${ethers.formatUnits(needed, SESH_DECIMALS)}`);
+
+    const wallets = [];
+    for (let index = 0; index < walletCount; index++) {
+        const wallet = new hre.ethers.Wallet(walletKey(params.seed, index), provider);
+        await (await deployer.sendTransaction({ to: wallet.address, value: params.eth })).wait();
+        await (await token.transfer(wallet.address, perWallet)).wait();
+        wallets.push(wallet);
+    }
+    console.log(`Funded ${chalk.cyan(walletCount)} wallets with ${ethers.formatEther(params.eth)} ETH and ` +
+                `${ethers.formatUnits(perWallet, SESH_DECIMALS)} SESH each`);
+
+    if (!(await rewards.isStarted())) {
+        await (await rewards.start()).wait();
+        console.log(`Started ServiceNodeRewards at ${chalk.yellow(contracts.ServiceNodeRewards)}`);
+    }
+
+    const tagContract = new ethers.Contract(contracts.ServiceNodeRewards, TAG_ABI, provider);
+    const tags = {
+        proofOfPossessionTag: await tagContract.proofOfPossessionTag(),
+        hashToG2Tag:          await tagContract.hashToG2Tag(),
+    };
+
+    const nodes    = [];
+    let nextWallet = 0;
+    const register = (kind, operator, options = {}) => {
+        const registration = createRegistration(tags, operator, nodeKeys(params.seed, nodes.length));
+        const node = { kind, registration, contract: options.contract ?? null, contributors: options.contributors };
+        nodes.push(node);
+        return node;
+    };
+    const recordID = (node, receipt) => {
+        node.serviceNodeID = registeredNodeID(rewards, receipt);
+        console.log(`Registered ${node.kind} node ${chalk.cyan(node.serviceNodeID)} operated by ${chalk.yellow(node.registration.operator)}`);
+    };
+
+    for (let index = 0; index < params.solo; index++) {
+        const operator = wallets[nextWallet++];
+        const node     = register("solo", operator.address, {
+            contributors: [{ address: operator.address, beneficiary: operator.address, amount: stakingRequirement }],
+        });
+        await (await token.connect(operator).approve(contracts.ServiceNodeRewards, stakingRequirement)).wait();
+        recordID(node, await (await rewards.connect(operator).addBLSPublicKey(...registrationArgs(node.registration), [])).wait());
+    }
+
+    for (let index = 0; index < params.multi; index++) {
+        const members = wallets.slice(nextWallet, nextWallet + params.contributors);
+        nextWallet   += params.contributors;
+        const node    = register("multi", members[0].address, { contributors: [] });
+        const receipt = await (await factory.connect(members[0]).deploy(...registrationArgs(node.registration), [], false)).wait();
+        const created = receipt.logs.map((log) => factory.interface.parseLog(log)).find((event) => event?.name === "NewServiceNodeContributionContract");
+        node.contract = created.args.contributorContract;
+
+        // NOTE: The operator puts in the minimum it has to and the others split
+        // the rest, the last contribution fills the node and registers it
+        const contribution = await hre.ethers.getContractAt("ServiceNodeContribution", node.contract);
+        let amount         = await contribution.minimumOperatorContribution(stakingRequirement);
+        let last;
+        for (const [position, member] of members.entries()) {
+            if (position > 0) {
+                const remaining = stakingRequirement - (await contribution.totalContribution());
+                const share     = remaining / BigInt(members.length - position);
+                const minimum   = await contribution.minimumContribution();
+                amount          = position === members.length - 1 ? remaining : (share > minimum ? share : minimum);
+            }
+            await (await token.connect(member).approve(node.contract, amount)).wait();
+            last = await (await contribution.connect(member).contributeFunds(amount, member.address)).wait();
+            node.contributors.push({ address: member.address, beneficiary: member.address, amount });
+        }
+        recordID(node, last);
+    }
+
+    if (params.vesting > 0) {
+        const latest  = await provider.getBlock("latest");
+        const start   = Math.max(latest.timestamp, Math.floor(Date.now() / 1000)) + VESTING_DELAY;
+        const Vesting = await hre.ethers.getContractFactory("TokenVestingStaking", deployer);
+        const pending = [];
+        for (let index = 0; index < params.vesting; index++) {
+            const beneficiary = wallets[nextWallet++];
+            const vesting     = await Vesting.deploy(beneficiary.address, deployer.address, start, start + VESTING_DURATION, false,
+                                                     contracts.ServiceNodeRewards, contracts.ServiceNodeContributionFactory, contracts.SESH);
+            await vesting.waitForDeployment();
+            await (await token.transfer(vesting.target, stakingRequirement)).wait();
+            pending.push({ beneficiary, vesting });
+        }
+
+        await hre.network.provider.send("evm_setNextBlockTimestamp", [start]);
+        await hre.network.provider.send("evm_mine");
+        console.log(`Moved the devnet's clock to ${new Date(start * 1000).toISOString()}, the start of the vesting contracts`);
+
+        for (const { beneficiary, vesting } of pending) {
+            const node = register("vesting", vesting.target, {
+                contract:     vesting.target,
+                contributors: [{ address: vesting.target, beneficiary: beneficiary.address, amount: stakingRequirement }],
+            });
+            node.beneficiary = beneficiary.address;
+            const tx = await vesting.connect(beneficiary).addBLSPublicKey(...registrationArgs(node.registration), beneficiary.address);
+            recordID(node, await tx.wait());
+        }
+    }
+
+    const network = await provider.getNetwork();
+    return {
+        version:            DEVNET_VERSION,
+        network:            hre.network.name,
+        chainId:            network.chainId.toString(),
+        rpcUrl:             hre.network.config.url ?? null,
+        block:              await provider.getBlockNumber(),
+        seed:               params.seed,
+        stakingRequirement: stakingRequirement.toString(),
+        deployer:           deployer.address,
+        contracts:          Object.fromEntries(CONTRACTS.map((name) => [name, contracts[name]])),
+        wallets:            wallets.map((wallet) => ({ address: wallet.address, privateKey: wallet.privateKey })),
+        nodes:              nodes.map((node) => ({
+            kind:          node.kind,
+            serviceNodeID: node.serviceNodeID.toString(),
+            contract:      node.contract,
+            ...(node.beneficiary ? { beneficiary: node.beneficiary } : {}),
+            contributors:  node.contributors.map((contributor) => ({ ...contributor, amount: contributor.amount.toString() })),
+            ...registrationToJSON(node.registration),
+        })),
+    };
+}
+
+/**
+ * The devnet as environment variables. The contracts' are those overriding the
+ * manifest's addresses, e.g. SERVICE_NODE_REWARDS_ADDRESS, so sourcing the file
+ * points the other tasks and scripts at the devnet.
+ * @param {Object} devnet From `bootstrapDevnet`
+ * @returns {string}
+ */
+function devnetEnv(devnet) {
+    const lines = [
+        `# Devnet bootstrapped by sesh:devnet on ${devnet.network}, holds secret keys`,
+        `DEVNET_NETWORK=${devnet.network}`,
+        `DEVNET_RPC_URL=${devnet.rpcUrl ?? ""}`,
+        `DEVNET_CHAIN_ID=${devnet.chainId}`,
+        `DEVNET_BLOCK=${devnet.block}`,
+        `DEVNET_STAKING_REQUIREMENT=${devnet.stakingRequirement}`,
+        ...Object.entries(devnet.contracts).map(([name, address]) => `${overrideVariable(name)}=${address}`),
+        `DEVNET_WALLET_COUNT=${devnet.wallets.length}`,
+    ];
+    for (const [index, wallet] of devnet.wallets.entries()) {
+        lines.push(`DEVNET_WALLET_${index}_ADDRESS=${wallet.address}`);
+        lines.push(`DEVNET_WALLET_${index}_PRIVATE_KEY=${wallet.privateKey}`);
+    }
+    lines.push(`DEVNET_NODE_COUNT=${devnet.nodes.length}`);
+    for (const [index, node] of devnet.nodes.entries()) {
+        const prefix = `DEVNET_NODE_${index}`;
+        lines.push(`${prefix}_KIND=${node.kind}`);
+        lines.push(`${prefix}_SERVICE_NODE_ID=${node.serviceNodeID}`);
+        lines.push(`${prefix}_OPERATOR=${node.operator}`);
+        lines.push(`${prefix}_CONTRACT=${node.contract ?? ""}`);
+        lines.push(`${prefix}_BLS_SECRET_KEY=${node.blsSecretKey}`);
+        // NOTE: X and Y concatenated, the 64 byte form oxend and the Python
+        // scripts take
+        lines.push(`${prefix}_BLS_PUBKEY=0x${node.blsPubkey.X.slice(2)}${node.blsPubkey.Y.slice(2)}`);
+        lines.push(`${prefix}_ED25519_SEED=${node.ed25519Seed}`);
+        lines.push(`${prefix}_ED25519_PUBKEY=${node.serviceNodeParams.serviceNodePubkey}`);
+    }
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * `echidna-local.config.yml` pointed at the devnet, fetching its state as of
+ * the end of the bootstrap.
+ * @param {Object} devnet From `bootstrapDevnet`, with an `rpcUrl`
+ * @returns {string}
+ */
+function echidnaConfig(devnet) {
+    const config = fs.readFileSync(ECHIDNA_CONFIG, "utf8").replace(/^rpcUrl:.*$/m, `rpcUrl:          "${devnet.rpcUrl}"`);
+    return config.trimEnd() + `\n# Block the devnet was bootstrapped at\nrpcBlock:        ${devnet.block}\n`;
+}
+
+/**
+ * Write the devnet's JSON, env file and, when it is reached over RPC, Echidna
+ * config. They hold secret keys, so are only readable by the user.
+ * @param {Object} devnet From `bootstrapDevnet`
+ * @param {string} out Path of the JSON, the others are written next to it
+ * @returns {Array<string>} The paths written
+ */
+function writeDevnet(devnet, out) {
+    const base  = out.replace(/\.json$/, "");
+    const files = [[out, JSON.stringify(devnet, null, 2) + "\n"], [`${base}.env`, devnetEnv(devnet)]];
+    if (devnet.rpcUrl) files.push([`${base}.echidna.yml`, echidnaConfig(devnet)]);
+    for (const [file, contents] of files) {
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+        fs.writeFileSync(file, contents, { mode: 0o600 });
+    }
+    return files.map(([file]) => file);
+}
+
+module.exports = {
+    DEVNET_VERSION,
+    CONTRACTS,
+    walletKey,
+    nodeKeys,
+    bootstrapDevnet,
+    devnetEnv,
+    echidnaConfig,
+    writeDevnet,
+};
@@ -0,0 +1,415 @@
+// Differential fuzzer for the BN256 Solidity libraries.
+//
+// Random field elements, points and messages are fed to `BN256G1Test`,
+// `BN256G2` and the wrappers in `BN256G2Test`, and each answer is compared
+// against the independent JS implementation in scripts/lib/bls.js. Any input
+// where the two disagree is recorded so it can be saved to the corpus file and
+// replayed later, see tasks/fuzz.js.
+//
+// Inputs and outputs are kept JSON-safe (decimal strings and hex) so that
+// corpus entries round trip exactly. Field elements are always drawn from
+// [0, FIELD_MODULUS), the libraries do not reduce their inputs and `submod`
+// reverts on anything larger.
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const bls = require("./bls.js");
+
+const CORPUS_VERSION = 1;
+const DEFAULT_CORPUS = path.join(__dirname, "..", "..", "test", "vectors", "bn256-fuzz-corpus.json");
+const DEFAULT_SEED   = "session-token-contracts bn256 fuzz";
+
+const P = bls.FIELD_MODULUS;
+const R = bls.CURVE_ORDER;
+
+// Values around the edges of the field that random sampling would never hit
+const EDGE_FIELD_ELEMENTS = [0n, 1n, 2n, 3n, (P - 1n) / 2n, (P + 1n) / 2n, P - 2n, P - 1n];
+const EDGE_SCALARS        = [0n, 1n, 2n, R - 1n, R, R + 1n, P - 1n, 2n ** 256n - 1n];
+
+/**
+ * Deterministic random source, keccak256(seed || counter), biased towards edge
+ * values so that the interesting corners of each function are exercised.
+ * @param {string} seed
+ */
+function fuzzRandom(seed) {
+    const seedHash = ethers.id(seed);
+    let counter = 0;
+    const bytes = (length) => {
+        const blocks = [];
+        for (let size = 0; size < length; size += 32)
+            blocks.push(ethers.solidityPackedKeccak256(["bytes32", "uint256"], [seedHash, counter++]));
+        return ethers.dataSlice(ethers.concat(["0x", ...blocks]), 0, length);
+    };
+    const uint = (byteLength) => byteLength === 0 ? 0n : BigInt(bytes(byteLength));
+    const int  = (n) => Number(uint(4) % BigInt(n));
+    const pick = (values) => values[int(values.length)];
+
+    return {
+        bytes,
+        int,
+        pick,
+        bool:   () => int(2) === 1,
+        field:  () => int(8) === 0 ? pick(EDGE_FIELD_ELEMENTS) : uint(48) % P,
+        scalar: () => int(8) === 0 ? pick(EDGE_SCALARS) : uint(32),
+        // NOTE: Messages of up to 3 keccak blocks, with the lengths around the
+        // 32 byte word and 136 byte block boundaries weighted up
+        message: () => bytes(int(4) === 0 ? pick([0, 1, 31, 32, 33, 135, 136, 137]) : int(3 * 136)),
+    };
+}
+
+const dec     = (value) => BigInt(value).toString();
+const fq2     = (value) => [BigInt(value[0]), BigInt(value[1])];
+const fq2JSON = (value) => [dec(value[0]), dec(value[1])];
+
+const g1       = (p) => ({ X: BigInt(p.X), Y: BigInt(p.Y) });
+const g1JSON   = (p) => ({ X: dec(p.X), Y: dec(p.Y) });
+const g2       = (p) => p.x.every((v) => v === "0") && p.y.every((v) => v === "0") ? null : { x: fq2(p.x), y: fq2(p.y) };
+const g2JSON   = (p) => p ? { x: fq2JSON(p.x), y: fq2JSON(p.y) } : { x: ["0", "0"], y: ["0", "0"] };
+// NOTE: `BN256G2Test` takes and returns twist points as (xx, xy, yx, yy) and
+// `G2Point` as [imag, real]
+const g2Words  = (p) => [...p.x, ...p.y];
+const fromWords = (words) => g2JSON({ x: [words[0], words[1]], y: [words[2], words[3]] });
+const fromG2Point = (point) => g2JSON({ x: [point.X[1], point.X[0]], y: [point.Y[1], point.Y[0]] });
+
+function randomG1(rng) {
+    switch (rng.int(8)) {
+        case 0:  return { X: 0n, Y: 0n };
+        case 1:  return bls.G1_GENERATOR;
+        default: return bls.g1Mul(bls.G1_GENERATOR, rng.scalar());
+    }
+}
+
+function randomG2(rng) {
+    switch (rng.int(8)) {
+        case 0:  return null;
+        case 1:  return bls.G2_GENERATOR;
+        default: return bls.g2Mul(bls.G2_GENERATOR, rng.scalar());
+    }
+}
+
+// A point on the twist that is (almost certainly) not in the r-torsion, found
+// by sampling x until x^3 + b' is a square.
+function randomTwistPoint(rng) {
+    for (;;) {
+        const x   = [rng.field(), rng.field()];
+        const rhs = twistRhs(x);
+        const y   = bls.fq2Sqrt(rhs[0], rhs[1]);
+        if (bls.Fp2.eq(bls.Fp2.mul(y, y), rhs)) return { x, y: rng.bool() ? bls.Fp2.neg(y) : y };
+    }
+}
+
+function twistRhs(x) {
+    return bls.Fp2.add(bls.Fp2.mul(bls.Fp2.mul(x, x), x), bls.TWIST_B);
+}
+
+function randomPair(rng, random, negate) {
+    const p1 = random(rng);
+    switch (rng.int(6)) {
+        case 0:  return [p1, p1];          // doubling
+        case 1:  return [p1, negate(p1)];  // P + -P
+        default: return [p1, random(rng)];
+    }
+}
+
+/**
+ * Each target generates a random input and evaluates it with both the JS
+ * reference and the contracts. `contracts` is the result of
+ * `deployFuzzContracts`.
+ */
+const TARGETS = {
+    g1Add: {
+        generate: (rng) => {
+            const [p1, p2] = randomPair(rng, randomG1, bls.g1Negate);
+            return { p1: g1JSON(p1), p2: g1JSON(p2) };
+        },
+        reference: (input) => g1JSON(bls.g1Add(g1(input.p1), g1(input.p2))),
+        contract:  async (contracts, input) => g1JSON(await contracts.bn256G1Test.addPoints(g1(input.p1), g1(input.p2))),
+    },
+
+    g1Negate: {
+        generate:  (rng) => ({ p: g1JSON(randomG1(rng)) }),
+        reference: (input) => g1JSON(bls.g1Negate(g1(input.p))),
+        contract:  async (contracts, input) => g1JSON(await contracts.bn256G1Test.negatePoint(g1(input.p))),
+    },
+
+    g1GetKey: {
+        generate:  (rng) => ({ p: g1JSON(rng.bool() ? randomG1(rng) : { X: rng.field(), Y: rng.field() }) }),
+        reference: (input) => ethers.AbiCoder.defaultAbiCoder().encode(["uint256", "uint256"], [input.p.X, input.p.Y]),
+        contract:  async (contracts, input) => contracts.bn256G1Test.getKey(g1(input.p)),
+    },
+
+    fq2Add: {
+        generate:  (rng) => ({ a: [dec(rng.field()), dec(rng.field())], b: [dec(rng.field()), dec(rng.field())] }),
+        reference: (input) => fq2JSON(bls.Fp2.add(fq2(input.a), fq2(input.b))),
+        contract:  async (contracts, input) => fq2JSON(await contracts.bn256G2Test.fq2Add(...fq2(input.a), ...fq2(input.b))),
+    },
+
+    fq2Sub: {
+        generate:  (rng) => ({ a: [dec(rng.field()), dec(rng.field())], b: [dec(rng.field()), dec(rng.field())] }),
+        reference: (input) => fq2JSON(bls.Fp2.sub(fq2(input.a), fq2(input.b))),
+        contract:  async (contracts, input) => fq2JSON(await contracts.bn256G2Test.fq2Sub(...fq2(input.a), ...fq2(input.b))),
+    },
+
+    fq2Mul: {
+        generate:  (rng) => ({ a: [dec(rng.field()), dec(rng.field())], b: [dec(rng.field()), dec(rng.field())] }),
+        reference: (input) => fq2JSON(bls.Fp2.mul(fq2(input.a), fq2(input.b))),
+        contract:  async (contracts, input) => fq2JSON(await contracts.bn256G2Test.fq2Mul(...fq2(input.a), ...fq2(input.b))),
+    },
+
+    fq2Muc: {
+        generate:  (rng) => ({ a: [dec(rng.field()), dec(rng.field())], c: dec(rng.field()) }),
+        reference: (input) => fq2JSON(bls.Fp2.mul(fq2(input.a), [BigInt(input.c), 0n])),
+        contract:  async (contracts, input) => fq2JSON(await contracts.bn256G2Test.fq2Muc(...fq2(input.a), input.c)),
+    },
+
+    fq2Inv: {
+        // NOTE: The inverse of zero is undefined, the contract and JS each
+        // return something different for it.
+        generate: (rng) => {
+            for (;;) {
+                const a = [rng.field(), rng.field()];
+                if (!bls.Fp2.isZero(a)) return { a: fq2JSON(a) };
+            }
+        },
+        reference: (input) => fq2JSON(bls.Fp2.inv(fq2(input.a))),
+        // NOTE: `_FQ2Inv` negates the imaginary part as `FIELD_MODULUS - y`
+        // which gives FIELD_MODULUS instead of 0 when y is 0. Every caller
+        // feeds the result through mulmod so compare it reduced.
+        contract: async (contracts, input) => {
+            const [x, y] = await contracts.bn256G2Test.fq2Inv(...fq2(input.a));
+            return fq2JSON([x % P, y % P]);
+        },
+    },
+
+    fq2Sqrt: {
+        generate: (rng) => {
+            // NOTE: Half of the inputs are squares so both branches are taken
+            const a = [rng.field(), rng.int(4) === 0 ? 0n : rng.field()];
+            return { a: fq2JSON(rng.bool() ? bls.Fp2.mul(a, a) : a) };
+        },
+        reference: (input) => fq2JSON(bls.fq2Sqrt(...fq2(input.a))),
+        contract:  async (contracts, input) => fq2JSON(await contracts.bn256G2.FQ2Sqrt(...fq2(input.a))),
+    },
+
+    isOnCurve: {
+        generate: (rng) => {
+            switch (rng.int(4)) {
+                case 0:  return { p: g2JSON(randomTwistPoint(rng)) };
+                case 1:  return { p: g2JSON(randomG2(rng) ?? bls.G2_GENERATOR) };
+                case 2:  { // Off by one in a single coordinate
+                    const p     = randomTwistPoint(rng);
+                    const words = g2Words(p);
+                    const index = rng.int(4);
+                    words[index] = (words[index] + 1n) % P;
+                    return { p: fromWords(words) };
+                }
+                default: return { p: g2JSON({ x: [rng.field(), rng.field()], y: [rng.field(), rng.field()] }) };
+            }
+        },
+        reference: (input) => bls.g2IsOnCurve({ x: fq2(input.p.x), y: fq2(input.p.y) }),
+        contract:  async (contracts, input) => contracts.bn256G2Test.isOnCurve(...fq2(input.p.x), ...fq2(input.p.y)),
+    },
+
+    getYYCoordinate: {
+        generate:  (rng) => ({ x: [dec(rng.field()), dec(rng.field())] }),
+        reference: (input) => fq2JSON(twistRhs(fq2(input.x))),
+        contract:  async (contracts, input) => fq2JSON(await contracts.bn256G2Test.getYYCoordinate(...fq2(input.x))),
+    },
+
+    ecTwistAdd: {
+        generate: (rng) => {
+            const [p1, p2] = randomPair(rng, randomG2, bls.g2Negate);
+            return { p1: g2JSON(p1), p2: g2JSON(p2) };
+        },
+        reference: (input) => g2JSON(bls.g2Add(g2(input.p1), g2(input.p2))),
+        contract:  async (contracts, input) => fromWords(await contracts.bn256G2Test.ecTwistAdd(
+            g2Words(input.p1).map(BigInt), g2Words(input.p2).map(BigInt))),
+    },
+
+    ecTwistMul: {
+        generate:  (rng) => ({ d: dec(rng.scalar()), p: g2JSON(randomG2(rng)) }),
+        reference: (input) => g2JSON(bls.g2Mul(g2(input.p), BigInt(input.d))),
+        contract:  async (contracts, input) => fromWords(await contracts.bn256G2Test.ecTwistMul(
+            input.d, g2Words(input.p).map(BigInt))),
+    },
+
+    ecTwistMulByCofactor: {
+        generate:  (rng) => ({ p: g2JSON(randomTwistPoint(rng)) }),
+        reference: (input) => g2JSON(bls.g2ClearCofactor(g2(input.p))),
+        contract:  async (contracts, input) => fromWords(await contracts.bn256G2Test.ecTwistMulByCofactor(g2Words(input.p).map(BigInt))),
+    },
+
+    expandMessageXMDKeccak256: {
+        generate:  (rng) => ({ message: rng.message(), dst: rng.bytes(rng.int(4) === 0 ? rng.pick([0, 1, 32, 255]) : rng.int(256)) }),
+        reference: (input) => bls.expandMessageXMDKeccak256(input.message, input.dst),
+        contract:  async (contracts, input) => [...await contracts.bn256G2.expandMessageXMDKeccak256(input.message, input.dst)],
+    },
+
+    hashToField: {
+        generate:  (rng) => ({ message: rng.message(), dst: rng.bytes(32) }),
+        reference: (input) => {
+            const [u0, u1, b] = bls.hashToField(input.message, input.dst);
+            return { u0: dec(u0), u1: dec(u1), b };
+        },
+        contract: async (contracts, input) => {
+            const [u0, u1, b] = await contracts.bn256G2.hashToField(input.message, input.dst);
+            return { u0: dec(u0), u1: dec(u1), b };
+        },
+    },
+
+    mapToG2: {
+        generate:  (rng) => ({ message: rng.message(), dst: rng.bytes(32) }),
+        reference: (input) => g2JSON(bls.mapToG2(input.message, input.dst)),
+        contract:  async (contracts, input) => fromG2Point(await contracts.bn256G2Test.mapToG2(input.message, input.dst)),
+    },
+
+    hashToG2: {
+        generate:  (rng) => ({ message: rng.message(), dst: rng.bytes(32) }),
+        reference: (input) => g2JSON(bls.hashToG2(input.message, input.dst)),
+        contract:  async (contracts, input) => fromG2Point(await contracts.bn256G2Test.hashToG2(input.message, input.dst)),
+    },
+};
+
+/**
+ * Deploy the contracts the fuzz targets call into.
+ * @param {Object} ethers The `hre.ethers` object
+ * @returns {Promise<{bn256G1Test: ethers.Contract, bn256G2: ethers.Contract, bn256G2Test: ethers.Contract}>}
+ */
+async function deployFuzzContracts(ethers) {
+    const deploy = async (name) => (await ethers.getContractFactory(name)).deploy();
+    return {
+        bn256G1Test: await deploy("BN256G1Test"),
+        bn256G2:     await deploy("BN256G2"),
+        bn256G2Test: await deploy("BN256G2Test"),
+    };
+}
+
+// A revert (or a JS exception) is recorded as its message, both sides failing
+// on the same input counts as agreement.
+async function evaluate(fn) {
+    try {
+        return { value: await fn() };
+    } catch (error) {
+        return { error: error.shortMessage ?? error.message };
+    }
+}
+
+/**
+ * Run a single input through the JS reference and the contracts.
+ * @param {Object} contracts From `deployFuzzContracts`
+ * @param {Object} target An entry of `TARGETS`
+ * @param {Object} input
+ * @returns {Promise<{match: boolean, expected: Object, actual: Object}>}
+ */
+async function runCase(contracts, target, input) {
+    const expected = await evaluate(() => target.reference(input));
+    const actual   = await evaluate(() => target.contract(contracts, input));
+    const match    = (expected.error !== undefined && actual.error !== undefined) ||
+                     JSON.stringify(expected.value) === JSON.stringify(actual.value);
+    return { match, expected, actual };
+}
+
+/**
+ * Fuzz the contracts against the JS reference.
+ * @param {Object} contracts From `deployFuzzContracts`
+ * @param {Object} [options]
+ * @param {number} [options.iterations] Inputs generated per target
+ * @param {string} [options.seed] Seed for the random source, the same seed always generates the same inputs
+ * @param {string[]} [options.targets] Names of the targets to fuzz, defaults to all of them
+ * @param {Object} [options.definitions] Target definitions, defaults to `TARGETS`
+ * @param {Function} [options.onProgress] Called with (iteration, mismatches) after every iteration
+ * @returns {Promise<{cases: number, mismatches: Object[]}>} Mismatches in corpus entry form
+ */
+async function fuzz(contracts, options = {}) {
+    const iterations  = options.iterations ?? 100;
+    const seed        = options.seed ?? DEFAULT_SEED;
+    const definitions = options.definitions ?? TARGETS;
+    const targets     = options.targets ?? Object.keys(definitions);
+    for (const name of targets) {
+        if (!definitions[name]) throw new Error(`Unknown fuzz target '${name}', expected one of ${Object.keys(definitions).join(", ")}`);
+    }
+
+    const rng        = fuzzRandom(seed);
+    const mismatches = [];
+    let cases        = 0;
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        for (const name of targets) {
+            const input  = definitions[name].generate(rng);
+            const result = await runCase(contracts, definitions[name], input);
+            cases++;
+            if (!result.match) {
+                mismatches.push({ target: name, input, expected: result.expected, actual: result.actual, seed, iteration });
+            }
+        }
+        if (options.onProgress) options.onProgress(iteration + 1, mismatches);
+    }
+    return { cases, mismatches };
+}
+
+/**
+ * Re-run every corpus entry against the current contracts and JS reference.
+ * @param {Object} contracts From `deployFuzzContracts`
+ * @param {{entries: Object[]}} corpus
+ * @param {Object} [definitions] Target definitions, defaults to `TARGETS`
+ * @returns {Promise<Array<{entry: Object, match: boolean, expected: Object, actual: Object}>>}
+ */
+async function replayCorpus(contracts, corpus, definitions = TARGETS) {
+    const results = [];
+    for (const entry of corpus.entries) {
+        const target = definitions[entry.target];
+        if (!target) throw new Error(`Corpus entry references unknown fuzz target '${entry.target}'`);
+        results.push({ entry, ...await runCase(contracts, target, entry.input) });
+    }
+    return results;
+}
+
+/**
+ * Read a corpus file, a missing file is an empty corpus.
+ * @param {string} [file]
+ * @returns {{version: number, entries: Object[]}}
+ */
+function readCorpus(file = DEFAULT_CORPUS) {
+    if (!fs.existsSync(file)) return { version: CORPUS_VERSION, entries: [] };
+    const corpus = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (corpus.version !== CORPUS_VERSION)
+        throw new Error(`Fuzz corpus ${file} is version ${corpus.version}, expected version ${CORPUS_VERSION}`);
+    return corpus;
+}
+
+/**
+ * Append mismatches to a corpus file, inputs already in the corpus are skipped.
+ * @param {string} file
+ * @param {Object[]} mismatches As returned by `fuzz`
+ * @returns {number} The number of new entries written
+ */
+function saveToCorpus(file, mismatches) {
+    const corpus = readCorpus(file);
+    const known  = new Set(corpus.entries.map((entry) => `${entry.target}:${JSON.stringify(entry.input)}`));
+    let added    = 0;
+    for (const mismatch of mismatches) {
+        const key = `${mismatch.target}:${JSON.stringify(mismatch.input)}`;
+        if (known.has(key)) continue;
+        known.add(key);
+        corpus.entries.push(mismatch);
+        added++;
+    }
+    if (added > 0) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(corpus, null, 2) + "\n");
+    }
+    return added;
+}
+
+module.exports = {
+    CORPUS_VERSION,
+    DEFAULT_CORPUS,
+    DEFAULT_SEED,
+    TARGETS,
+    fuzzRandom,
+    deployFuzzContracts,
+    runCase,
+    fuzz,
+    replayCorpus,
+    readCorpus,
+    saveToCorpus,
+};
@@ -0,0 +1,340 @@
+// Mainnet launch of SESH across Ethereum (L1) and Arbitrum (L2) as one flow of
+// stages, each an existing task run on its network:
+//
+// 1. l1-token: sesh:deploy-l1 on L1, or an existing L1 token.
+// 2. l2-token: sesh:deploy-l2 on L2 for the L1 token.
+// 3. register: sesh:bridge-register on L1, registering the pair with the
+//    Arbitrum gateway and router.
+// 4. bridge: sesh:bridge-register --skip-register on L1, bridging the SESH
+//    that funds the RewardRatePool.
+// 5. rewards: sesh:deploy --mainnet on L2 against the L2 token, or with the
+//    deployment profile of the L2 network.
+//
+// and finally sesh:check-deployment on L2. Hardhat is bound to one network per
+// process, so every stage runs the task in a process of its own and stages
+// pass addresses to each other through the networks' deployment manifests.
+// Before a stage the launch checks its preconditions on both chains and asks
+// for confirmation. Completed stages are recorded in the L1 manifest under
+// `steps.launch`, a re-run resumes after them.
+const readline = require("readline");
+const { spawn } = require("child_process");
+const chalk = require("chalk");
+const { ethers } = require("ethers");
+const { readManifest } = require("./manifest.js");
+const { resetSteps, runSteps } = require("./steps.js");
+const { SESH_DECIMALS, registrationCall } = require("./sesh-token.js");
+
+const PIPELINE = "launch";
+
+const GATEWAY_ABI = ["function l1ToL2Token(address l1Token) view returns (address)"];
+const ROUTER_ABI  = ["function l1TokenToGateway(address l1Token) view returns (address)"];
+
+const formatSESH = (amount) => ethers.formatUnits(amount, SESH_DECIMALS);
+
+/**
+ * @param {Object} hre Hardhat runtime environment
+ * @param {string} network Name of a network in the Hardhat config
+ * @returns {ethers.JsonRpcProvider}
+ */
+function networkProvider(hre, network) {
+    const config = hre.config.networks[network];
+    if (!config) throw new Error(`Unknown network ${network}, add it to the Hardhat config`);
+    if (!config.url) throw new Error(`${network} is not a JSON-RPC network, a launch needs a node for each stage to connect to`);
+    return new ethers.JsonRpcProvider(config.url);
+}
+
+/**
+ * @param {Object} hre Hardhat runtime environment
+ * @param {string} network
+ * @param {ethers.Provider} provider Of `network`
+ * @returns {Promise<string>} The account the tasks deploy from on `network`
+ */
+async function deployerAddress(hre, network, provider) {
+    const accounts = hre.config.networks[network].accounts;
+    if (accounts === "remote") {
+        const [account] = await provider.send("eth_accounts", []);
+        if (account) return ethers.getAddress(account);
+    } else if (Array.isArray(accounts) && accounts.length) {
+        return new ethers.Wallet(accounts[0].privateKey ?? accounts[0]).address;
+    } else if (accounts?.mnemonic) {
+        return ethers.HDNodeWallet.fromPhrase(accounts.mnemonic, accounts.passphrase, `${accounts.path}/${accounts.initialIndex}`).address;
+    }
+    throw new Error(`No account to deploy from is configured for ${network}`);
+}
+
+// Command line arguments of a task, e.g. {l1Token, noVerify: true} becomes
+// ["--l1-token", "0x...", "--no-verify"]
+function taskArguments(args) {
+    const argv = [];
+    for (const [name, value] of Object.entries(args)) {
+        if (value === undefined || value === false) continue;
+        argv.push(`--${name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`);
+        if (value !== true) argv.push(String(value));
+    }
+    return argv;
+}
+
+/**
+ * Run a task on a network in a Hardhat process of its own.
+ * @param {Object} hre Hardhat runtime environment
+ * @param {string} network
+ * @param {string} name e.g. "sesh:deploy-l1"
+ * @param {Object} [args] Task arguments by name, flags as booleans
+ */
+function runTask(hre, network, name, args = {}) {
+    const argv = ["--network", network, name, ...taskArguments(args)];
+    console.log(chalk.gray(`$ npx hardhat ${argv.join(" ")}`));
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [require.resolve("hardhat/internal/cli/bootstrap.js"), ...argv], {
+            cwd:   hre.config.paths.root,
+            stdio: "inherit",
+        });
+        child.on("error", reject);
+        child.on("exit", (code) => code === 0 ? resolve() : reject(new Error(`${name} on ${network} failed with exit code ${code}`)));
+    });
+}
+
+async function askConfirmation(question) {
+    if (!process.stdin.isTTY) throw new Error("Cannot ask for confirmation without a terminal, pass --yes to launch unattended");
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const answer = await new Promise((resolve) => rl.question(`${question} [y/N] `, resolve));
+    rl.close();
+    return /^y(es)?$/i.test(answer.trim());
+}
+
+async function requireCode(provider, network, label, address) {
+    if ((await provider.getCode(address)) === "0x") throw new Error(`No ${label} contract at ${address} on ${network}`);
+}
+
+// The SESH of a network's deployment manifest, which must be `contract`
+function manifestToken(network, contract) {
+    const entry = readManifest(network).contracts.SESH;
+    if (!entry) return null;
+    if (entry.contract !== contract)
+        throw new Error(`SESH in the ${network} deployment manifest is a ${entry.contract}, not ${contract}`);
+    return entry.address;
+}
+
+/**
+ * Launch SESH and the rewards contracts across L1 and L2, see the top of this
+ * file for the stages.
+ * @param {Object} hre Hardhat runtime environment
+ * @param {Object} params
+ * @param {string} params.l1Network e.g. "mainnet"
+ * @param {string} params.l2Network e.g. "arbitrum"
+ * @param {string} [params.l1Token] Existing L1 SESH to launch with instead of
+ * deploying one
+ * @param {bigint} params.supply Of the L1 token to deploy, atomic units
+ * @param {string} [params.profile] Deployment profile of the rewards contracts,
+ * see profile.js, which holds the staking requirement and pool funding
+ * @param {bigint} params.stakingReq Atomic units
+ * @param {bigint} params.poolInitial SESH to fund the RewardRatePool with, atomic units
+ * @param {bigint} params.bridgeAmount SESH to bridge to the deployer on L2, atomic units
+ * @param {string} params.router Arbitrum L1 gateway router
+ * @param {string} params.gateway Arbitrum L1 custom gateway
+ * @param {string} params.l2Gateway Arbitrum L2 custom gateway
+ * @param {string} [params.owner] Owner to hand the rewards contracts off to
+ * @param {boolean} [params.allowEoa]
+ * @param {boolean} [params.verify]
+ * @param {boolean} [params.fresh] Forget the progress of an earlier launch
+ * @param {Object} [options]
+ * @param {Function} [options.confirm] Asked `(question)` before each stage,
+ * resolves whether to go ahead. Prompts on the terminal by default.
+ * @returns {Promise<Object>} The result of every stage, keyed by name
+ */
+async function launch(hre, params, options = {}) {
+    const confirm  = options.confirm ?? askConfirmation;
+    const l1       = { name: params.l1Network, provider: networkProvider(hre, params.l1Network) };
+    const l2       = { name: params.l2Network, provider: networkProvider(hre, params.l2Network) };
+    const noVerify = !params.verify;
+
+    // NOTE: The progress is recorded with the steps runner, which only needs
+    // the network's name and provider
+    const recorder = { network: { name: l1.name }, ethers: { provider: l1.provider } };
+    if (params.fresh) resetSteps(recorder, PIPELINE);
+
+    const SESH   = (address) => new ethers.Contract(address, hre.artifacts.readArtifactSync("SESH").abi, l1.provider);
+    const SESHL2 = (address) => new ethers.Contract(address, hre.artifacts.readArtifactSync("SESHL2").abi, l2.provider);
+
+    const stages = [];
+    const stage  = (name, network, description, step) => stages.push({ name, network, description, ...step });
+
+    stage("l1-token", l1, params.l1Token ? `launch with the L1 SESH token at ${params.l1Token}` : "deploy the L1 SESH token", {
+        params: { l1Token: params.l1Token ?? null },
+        run: async () => {
+            await requireCode(l1.provider, l1.name, "Arbitrum L1 gateway router", params.router);
+            await requireCode(l1.provider, l1.name, "Arbitrum L1 custom gateway", params.gateway);
+            let address = params.l1Token;
+            if (!address) {
+                const recorded = manifestToken(l1.name, "SESH");
+                if (recorded)
+                    throw new Error(`The ${l1.name} deployment manifest already has SESH at ${recorded}, pass --l1-token to launch with it`);
+                await runTask(hre, l1.name, "sesh:deploy-l1", { supply: formatSESH(params.supply), router: params.router, gateway: params.gateway, noVerify });
+                address = manifestToken(l1.name, "SESH");
+            }
+            const token = SESH(address);
+            await requireCode(l1.provider, l1.name, "L1 SESH token", address);
+            if ((await token.router()) !== params.router || (await token.gateway()) !== params.gateway)
+                throw new Error(`SESH at ${address} on ${l1.name} was deployed for the router ${await token.router()} and ` +
+                                `gateway ${await token.gateway()}, not ${params.router} and ${params.gateway}`);
+            return { address };
+        },
+        check: async (result) => requireCode(l1.provider, l1.name, "L1 SESH token", result.address),
+    });
+
+    stage("l2-token", l2, "deploy the L2 SESHL2 token for the L1 token", {
+        run: async (results) => {
+            const l1Token = results["l1-token"].address;
+            await requireCode(l2.provider, l2.name, "Arbitrum L2 custom gateway", params.l2Gateway);
+            let address = manifestToken(l2.name, "SESHL2");
+            if (address && (await SESHL2(address).l1Address()) !== l1Token)
+                throw new Error(`The ${l2.name} deployment manifest already has SESHL2 at ${address} for another L1 token`);
+            if (!address) {
+                await runTask(hre, l2.name, "sesh:deploy-l2", { l1Token, gateway: params.l2Gateway, noVerify });
+                address = manifestToken(l2.name, "SESHL2");
+            }
+            await checkL2Token(results, address);
+            return { address };
+        },
+        check: async (result, results) => checkL2Token(results, result.address),
+    });
+
+    // SESHL2 has to point back at the L1 token and mint through the L2 gateway
+    async function checkL2Token(results, address) {
+        const l1Token = results["l1-token"].address;
+        await requireCode(l2.provider, l2.name, "L2 SESHL2 token", address);
+        const token = SESHL2(address);
+        if ((await token.l1Address()) !== l1Token)
+            throw new Error(`SESHL2.l1Address at ${address} on ${l2.name} is ${await token.l1Address()}, not the L1 token ${l1Token}`);
+        if ((await token.l2Gateway()) !== params.l2Gateway)
+            throw new Error(`SESHL2.l2Gateway at ${address} on ${l2.name} is ${await token.l2Gateway()}, not ${params.l2Gateway}`);
+    }
+
+    stage("register", l1, "register the token pair with the Arbitrum gateway and router", {
+        run: async (results) => {
+            const l1Token = results["l1-token"].address;
+            const l2Token = results["l2-token"].address;
+            await checkL2Token(results, l2Token);
+            if (!(await registered(l1Token, l2Token))) {
+                // NOTE: The gateway and router only accept the token while it
+                // reports isArbitrumEnabled during the registration
+                const deployer = await deployerAddress(hre, l1.name, l1.provider);
+                const call     = registrationCall(l2Token, deployer);
+                try {
+                    await SESH(l1Token).registerTokenOnL2.staticCall(...call.args, { value: call.value, from: deployer });
+                } catch (error) {
+                    throw new Error(`Registering SESH at ${l1Token} with the gateways would fail: ${error.shortMessage ?? error.message}`);
+                }
+                await runTask(hre, l1.name, "sesh:bridge-register", { l1Token, l2Token });
+            }
+            if (!(await registered(l1Token, l2Token)))
+                throw new Error(`The Arbitrum gateways on ${l1.name} do not map SESH at ${l1Token} to ${l2Token} after registering`);
+            return { l1Token, l2Token };
+        },
+        check: async (result) => {
+            if (!(await registered(result.l1Token, result.l2Token)))
+                throw new Error(`the Arbitrum gateways on ${l1.name} do not map SESH at ${result.l1Token} to ${result.l2Token}`);
+        },
+    });
+
+    async function registered(l1Token, l2Token) {
+        const gateway = new ethers.Contract(params.gateway, GATEWAY_ABI, l1.provider);
+        const router  = new ethers.Contract(params.router, ROUTER_ABI, l1.provider);
+        return (await gateway.l1ToL2Token(l1Token)) === l2Token && (await router.l1TokenToGateway(l1Token)) === params.gateway;
+    }
+
+    if (params.bridgeAmount > 0n) {
+        stage("bridge", l1, `bridge ${formatSESH(params.bridgeAmount)} SESH to the deployer on ${l2.name}`, {
+            run: async (results) => {
+                const l1Token    = results["l1-token"].address;
+                const l1Deployer = await deployerAddress(hre, l1.name, l1.provider);
+                const l2Deployer = await deployerAddress(hre, l2.name, l2.provider);
+                if (l1Deployer !== l2Deployer)
+                    throw new Error(`SESH is bridged to the ${l1.name} deployer ${l1Deployer} but ${l2.name} deploys from ${l2Deployer}`);
+                const balance = await SESH(l1Token).balanceOf(l1Deployer);
+                if (balance < params.bridgeAmount)
+                    throw new Error(`The deployer ${l1Deployer} has ${formatSESH(balance)} SESH on ${l1.name}, ` +
+                                    `${formatSESH(params.bridgeAmount)} are to be bridged`);
+                await runTask(hre, l1.name, "sesh:bridge-register", { l1Token, skipRegister: true, amount: formatSESH(params.bridgeAmount) });
+                console.log(chalk.yellow(`The SESH arrives on ${l2.name} once the retryable ticket executes, the rewards stage waits for it`));
+                return { amount: params.bridgeAmount.toString() };
+            },
+        });
+    }
+
+    stage("rewards", l2, "deploy RewardRatePool, ServiceNodeRewards and ServiceNodeContributionFactory", {
+        run: async (results) => {
+            const l2Token  = results["l2-token"].address;
+            const deployer = await deployerAddress(hre, l2.name, l2.provider);
+            const funded   = readManifest(l2.name).steps?.contracts?.steps?.["pool-funding"]?.status === "done";
+            const balance  = await SESHL2(l2Token).balanceOf(deployer);
+            if (!funded && balance < params.poolInitial)
+                throw new Error(`The deployer ${deployer} has ${formatSESH(balance)} SESH on ${l2.name}, ${formatSESH(params.poolInitial)} ` +
+                                "are needed to fund the RewardRatePool. Re-run the launch once the bridged SESH has arrived");
+            // NOTE: A profile deploys against the manifest's SESH, which on L2
+            // is the SESHL2 of the l2-token stage
+            const deployment = params.profile !== undefined ? { profile: params.profile } : {
+                mainnet:     true,
+                token:       l2Token,
+                stakingReq:  formatSESH(params.stakingReq),
+                poolInitial: formatSESH(params.poolInitial),
+            };
+            await runTask(hre, l2.name, "sesh:deploy", {
+                ...deployment,
+                owner:       params.owner,
+                allowEoa:    params.allowEoa,
+                noVerify,
+            });
+            const address = readManifest(l2.name).contracts.ServiceNodeRewards?.address;
+            if (!address) throw new Error(`No ServiceNodeRewards in the ${l2.name} deployment manifest after deploying it`);
+            return { serviceNodeRewards: address };
+        },
+        check: async (result) => requireCode(l2.provider, l2.name, "ServiceNodeRewards", result.serviceNodeRewards),
+    });
+
+    let results;
+    try {
+        results = await runSteps(recorder, PIPELINE, stages.map((entry, index) => ({
+            name:   entry.name,
+            params: entry.params,
+            run: async (ctx) => {
+                const title = `Stage ${index + 1}/${stages.length} ${entry.name} on ${entry.network.name}: ${entry.description}`;
+                console.log(chalk.cyan(`\n=== ${title} ===`));
+                if (!params.yes && !(await confirm(`${title}. Continue?`))) throw new Error(`Launch stopped before the ${entry.name} stage, re-run to resume`);
+                return entry.run(ctx.results);
+            },
+            check:    entry.check ? async (ctx, result) => entry.check(result, ctx.results) : undefined,
+            describe: (result) => Object.values(result).join(", "),
+        })), {
+            params: {
+                l2Network:    params.l2Network,
+                profile:      params.profile ?? null,
+                supply:       params.supply,
+                stakingReq:   params.stakingReq,
+                poolInitial:  params.poolInitial,
+                bridgeAmount: params.bridgeAmount,
+                router:       params.router,
+                gateway:      params.gateway,
+                l2Gateway:    params.l2Gateway,
+                owner:        params.owner ?? null,
+            },
+        });
+
+        console.log(chalk.cyan(`\n=== Checking the deployment on ${l2.name} ===`));
+        await runTask(hre, l2.name, "sesh:check-deployment", { poolInitial: formatSESH(params.poolInitial) });
+    } finally {
+        l1.provider.destroy();
+        l2.provider.destroy();
+    }
+    console.log(chalk.green(`\nLaunch complete: SESH ${results["l1-token"].address} on ${l1.name}, ` +
+                            `SESHL2 ${results["l2-token"].address} and ServiceNodeRewards ${results.rewards.serviceNodeRewards} on ${l2.name}`));
+    return results;
+}
+
+module.exports = {
+    networkProvider,
+    deployerAddress,
+    taskArguments,
+    runTask,
+    launch,
+};
@@ -0,0 +1,204 @@
+// Per-network deployment manifest, `deployments/<network>.json`.
+//
+// Every deploy records what it deployed under a logical name (e.g.
+// "ServiceNodeRewards") so later scripts resolve addresses from the manifest
+// instead of hardcoding them. An address can always be overridden with the
+// name's environment variable, e.g. SERVICE_NODE_REWARDS_ADDRESS, or the
+// `override` option.
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const { ethers } = require("ethers");
+
+const MANIFEST_VERSION = 1;
+const DEFAULT_DIR      = path.join(__dirname, "..", "..", "deployments");
+
+// The Ethereum network each Arbitrum network bridges to, and back
+const L1_NETWORKS = { arbitrum: "mainnet", arbitrumSepolia: "sepolia" };
+const L2_NETWORKS = Object.fromEntries(Object.entries(L1_NETWORKS).map(([l2, l1]) => [l1, l2]));
+
+/**
+ * @returns {string} The manifest directory, SESH_DEPLOYMENTS_DIR if set
+ */
+function manifestDir() {
+    return process.env.SESH_DEPLOYMENTS_DIR || DEFAULT_DIR;
+}
+
+function manifestPath(network, dir = manifestDir()) {
+    return path.join(dir, `${network}.json`);
+}
+
+/**
+ * Read the manifest of `network`, empty if nothing was deployed to it yet.
+ * @param {string} network Hardhat network name
+ * @param {Object} [options]
+ * @param {string} [options.dir]
+ * @returns {Object} `{version, network, chainId, contracts}`
+ */
+function readManifest(network, options = {}) {
+    const file = manifestPath(network, options.dir);
+    if (!fs.existsSync(file)) return { version: MANIFEST_VERSION, network, chainId: null, contracts: {} };
+
+    const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (manifest.version !== MANIFEST_VERSION)
+        throw new Error(`Unsupported deployment manifest version ${manifest.version} in ${file}, expected ${MANIFEST_VERSION}`);
+    return manifest;
+}
+
+/**
+ * @param {Object} manifest As returned by `readManifest`
+ * @param {Object} [options]
+ * @param {string} [options.dir]
+ * @returns {string} The path written to
+ */
+function writeManifest(manifest, options = {}) {
+    const file = manifestPath(manifest.network, options.dir);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const json = JSON.stringify(manifest, (_, value) => typeof value === "bigint" ? value.toString() : value, 2);
+    fs.writeFileSync(file, json + "\n");
+    return file;
+}
+
+/**
+ * @returns {{commit: string, dirty: boolean}|null} The checked out commit, null
+ * outside of a git checkout
+ */
+function gitCommit() {
+    try {
+        const options = { cwd: __dirname, stdio: ["ignore", "pipe", "ignore"], encoding: "utf8" };
+        const commit  = execSync("git rev-parse HEAD", options).trim();
+        const dirty   = execSync("git status --porcelain --untracked-files=no", options).trim() !== "";
+        return { commit, dirty };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Record a deployed contract in the manifest of the current network and write
+ * it out immediately, so a deploy that fails part way keeps what it did.
+ * @param {Object} hre Hardhat runtime environment
+ * @param {string} name Logical name to resolve the contract by
+ * @param {ethers.BaseContract} contract The deployed contract, or proxy
+ * @param {Object} [options]
+ * @param {string} [options.contract] Artifact name, defaults to `name`
+ * @param {Array} [options.constructorArgs]
+ * @param {Array} [options.initializerArgs] Set for contracts behind a proxy
+ * @param {boolean} [options.proxy] The contract is an ERC1967 proxy
+ * @param {Object} [options.receipt] Receipt of the deploy, for a contract
+ * attached to rather than deployed by this process
+ * @param {string} [options.dir]
+ * @returns {Promise<Object>} The manifest entry
+ */
+async function recordDeployment(hre, name, contract, options = {}) {
+    const address = await contract.getAddress();
+    const tx      = contract.deploymentTransaction();
+    const receipt = tx ? await tx.wait() : options.receipt ?? null;
+
+    const entry = {
+        contract:        options.contract ?? name,
+        address,
+        txHash:          receipt?.hash ?? null,
+        blockNumber:     receipt?.blockNumber ?? null,
+        deployer:        tx?.from ?? receipt?.from ?? null,
+        constructorArgs: options.constructorArgs ?? [],
+    };
+    if (options.proxy) {
+        entry.implementation  = await hre.upgrades.erc1967.getImplementationAddress(address);
+        const admin           = await hre.upgrades.erc1967.getAdminAddress(address);
+        entry.proxyAdmin      = admin === ethers.ZeroAddress ? null : admin;
+        entry.initializerArgs = options.initializerArgs ?? [];
+    }
+    entry.git        = gitCommit();
+    entry.deployedAt = new Date().toISOString();
+
+    const manifest = readManifest(hre.network.name, options);
+    manifest.chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+    manifest.contracts[name] = entry;
+    writeManifest(manifest, options);
+    return entry;
+}
+
+/**
+ * Record an upgrade of a proxy already in the manifest of the current network.
+ * @param {Object} hre Hardhat runtime environment
+ * @param {string} name Logical name the proxy was recorded under
+ * @param {Object} [options]
+ * @param {string} [options.contract] Artifact name of the new implementation
+ * @param {string} [options.dir]
+ * @returns {Promise<Object>} The updated manifest entry
+ */
+async function recordUpgrade(hre, name, options = {}) {
+    const manifest = readManifest(hre.network.name, options);
+    const entry    = manifest.contracts[name];
+    if (!entry?.implementation)
+        throw new Error(`${name} is not a proxy in the ${hre.network.name} deployment manifest`);
+
+    const implementation = await hre.upgrades.erc1967.getImplementationAddress(entry.address);
+    if (implementation !== entry.implementation) {
+        entry.previousImplementations = [...(entry.previousImplementations ?? []), entry.implementation];
+        entry.implementation          = implementation;
+    }
+    entry.contract   = options.contract ?? entry.contract;
+    entry.git        = gitCommit();
+    entry.upgradedAt = new Date().toISOString();
+    writeManifest(manifest, options);
+    return entry;
+}
+
+/**
+ * @param {string} network Hardhat network name
+ * @returns {string|undefined} The network on the other side of the Arbitrum
+ * bridge, L1_NETWORK or L2_NETWORK if set
+ */
+function counterpartNetwork(network) {
+    if (L1_NETWORKS[network]) return process.env.L1_NETWORK || L1_NETWORKS[network];
+    return process.env.L2_NETWORK || L2_NETWORKS[network];
+}
+
+/**
+ * @param {string} name e.g. "ServiceNodeRewards"
+ * @returns {string} The environment variable overriding its address, e.g.
+ * SERVICE_NODE_REWARDS_ADDRESS
+ */
+function overrideVariable(name) {
+    return name.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toUpperCase() + "_ADDRESS";
+}
+
+/**
+ * Resolve the address of a deployed contract: `options.override`, then its
+ * environment variable, then the manifest.
+ * @param {string} name Logical name the contract was recorded under
+ * @param {Object} options
+ * @param {string} options.network Network whose manifest to read
+ * @param {string} [options.override]
+ * @param {string} [options.dir]
+ * @returns {string}
+ */
+function resolveAddress(name, options) {
+    const variable = overrideVariable(name);
+    let address    = options.override || process.env[variable];
+    let source     = options.override ? "override" : variable;
+    if (!address) {
+        address = readManifest(options.network, options).contracts[name]?.address;
+        source  = manifestPath(options.network, options.dir);
+    }
+    if (!address)
+        throw new Error(`No address for ${name} on ${options.network}, deploy it or set ${variable}`);
+    if (!ethers.isAddress(address))
+        throw new Error(`Invalid ${name} address from ${source}: ${address}`);
+    return ethers.getAddress(address);
+}
+
+module.exports = {
+    MANIFEST_VERSION,
+    manifestDir,
+    manifestPath,
+    readManifest,
+    writeManifest,
+    recordDeployment,
+    recordUpgrade,
+    counterpartNetwork,
+    overrideVariable,
+    resolveAddress,
+};
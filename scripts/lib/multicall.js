@@ -0,0 +1,72 @@
+// Batched reads through Multicall3 (https://github.com/mds1/multicall), which
+// lives at the same address on Ethereum, Arbitrum and their testnets. Many
+// view calls go out in one `eth_call` of `aggregate3`, and every batch of a
+// read is made at the same block so the results are consistent with each
+// other even while the chain moves on.
+const MULTICALL3 = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+const MULTICALL3_ABI = [
+    "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
+];
+
+/**
+ * Make sure Multicall3 exists on the current network, installing
+ * `MockMulticall3` at its address on development nodes.
+ * @param {Object} hre Hardhat runtime environment
+ * @param {number|string} [blockTag] Block it has to exist at, as it is only
+ * installed into the latest state
+ */
+async function ensureMulticall(hre, blockTag) {
+    if ((await hre.ethers.provider.getCode(MULTICALL3)) === "0x") {
+        try {
+            const artifact = await hre.artifacts.readArtifact("MockMulticall3");
+            await hre.network.provider.send("hardhat_setCode", [MULTICALL3, artifact.deployedBytecode]);
+        } catch (error) {
+            throw new Error(`No Multicall3 at ${MULTICALL3} on ${hre.network.name}, see https://github.com/mds1/multicall to deploy it`);
+        }
+    }
+    if (blockTag !== undefined && (await hre.ethers.provider.getCode(MULTICALL3, blockTag)) === "0x")
+        throw new Error(`No Multicall3 at ${MULTICALL3} at block ${blockTag} on ${hre.network.name}, it was deployed after that block, read a later one`);
+}
+
+/**
+ * Make view calls in batches of `aggregate3`, all at the same block.
+ * @param {Object} hre Hardhat runtime environment
+ * @param {Array<{contract: ethers.BaseContract, method: string, args: Array}>} calls
+ * `args` defaults to none
+ * @param {Object} options
+ * @param {number} options.blockTag Block to read at
+ * @param {number} [options.batchSize] Calls per `eth_call`, defaults to all
+ * @returns {Promise<Array<ethers.Result>>} The decoded result of each call, in
+ * order
+ */
+async function multicall(hre, calls, options) {
+    await ensureMulticall(hre, options.blockTag);
+    const aggregator = new hre.ethers.Contract(MULTICALL3, MULTICALL3_ABI, hre.ethers.provider);
+    const batchSize  = options.batchSize ?? calls.length;
+    const results    = [];
+    for (let first = 0; first < calls.length; first += batchSize) {
+        const batch    = calls.slice(first, first + batchSize);
+        const encoded  = await Promise.all(batch.map(async (call) => ({
+            target:       await call.contract.getAddress(),
+            allowFailure: true,
+            callData:     call.contract.interface.encodeFunctionData(call.method, call.args ?? []),
+        })));
+        const returned = await aggregator.aggregate3.staticCall(encoded, { blockTag: options.blockTag });
+        for (const [index, call] of batch.entries()) {
+            const [success, returnData] = returned[index];
+            // NOTE: Failures are allowed so the one that failed can be named,
+            // rather than only the revert of the whole batch
+            if (!success)
+                throw new Error(`${call.method}(${(call.args ?? []).join(", ")}) reverted at block ${options.blockTag}: ${returnData}`);
+            results.push(call.contract.interface.decodeFunctionResult(call.method, returnData));
+        }
+    }
+    return results;
+}
+
+module.exports = {
+    MULTICALL3,
+    ensureMulticall,
+    multicall,
+};
@@ -0,0 +1,123 @@
+// Build the non-signer `ids` for a network signature.
+//
+// `updateRewardsBalance`, `exitBLSPublicKeyWithSignature` and
+// `liquidateBLSPublicKeyWithSignature` verify against the aggregate pubkey
+// minus the nodes listed in `ids`, so `ids` must be exactly the live nodes that
+// did not sign. `buildNonSignerList` computes it from the set of nodes that
+// did sign, warns when the node list changed since the signature was made and
+// predicts the `InsufficientBLSSignatures` revert from `hasEnoughSigners`.
+
+// Marginal gas of each ID in `ids`: calldata, the 2 cold storage reads of the
+// node's pubkey and the ecAdd to subtract it. Measured against
+// `updateRewardsBalance`, the first ID costs slightly more (~5.7k).
+const NON_SIGNER_GAS = 5_550n;
+
+const keyOf = (pubkey) => `${BigInt(pubkey.X)}:${BigInt(pubkey.Y)}`;
+
+async function liveNodes(serviceNodeRewards, blockTag) {
+    const [ids, pubkeys] = await serviceNodeRewards.allServiceNodeIDs({ blockTag });
+    return ids.map((id, i) => ({ id, blsPubkey: { X: pubkeys[i].X, Y: pubkeys[i].Y } }));
+}
+
+/**
+ * Estimate the gas of a signed call, with the revert it would hit if any.
+ * @param {ethers.Contract} serviceNodeRewards
+ * @param {string} method e.g. "updateRewardsBalance"
+ * @param {Array} args The full argument list, including `ids`
+ * @returns {Promise<{gas: bigint|null, error: {name: string, args: Array}|null}>}
+ */
+async function estimateSubmission(serviceNodeRewards, method, args) {
+    try {
+        return { gas: await serviceNodeRewards[method].estimateGas(...args), error: null };
+    } catch (error) {
+        const data   = error.data ?? error.error?.data;
+        const parsed = data ? serviceNodeRewards.interface.parseError(data) : null;
+        if (!parsed) throw error;
+        return { gas: null, error: { name: parsed.name, args: [...parsed.args] } };
+    }
+}
+
+/**
+ * Compute the non-signer list for a set of signers against the live node list.
+ * @param {ethers.Contract} serviceNodeRewards
+ * @param {Array<bigint|number|{X: bigint, Y: bigint}>} signers IDs or BLS pubkeys
+ * of the nodes whose partial signatures are in the aggregate
+ * @param {Object} [options]
+ * @param {number} [options.signedAtBlock] Block the signers were chosen at,
+ * enables the joined/left warnings
+ * @param {number|string} [options.blockTag] Block to build the list at, defaults to the latest
+ * @param {{method: string, args: Array}} [options.submission] The call the list
+ * is for, without the trailing `ids`, to estimate its gas
+ * @returns {Promise<Object>} `{ids, signerIDs, totalNodes, threshold,
+ * enoughSigners, error, warnings, joined, left, gas}`
+ */
+async function buildNonSignerList(serviceNodeRewards, signers, options = {}) {
+    const blockTag = options.blockTag ?? "latest";
+    const nodes    = await liveNodes(serviceNodeRewards, blockTag);
+    const byKey    = new Map(nodes.map((node) => [keyOf(node.blsPubkey), node]));
+    const byID     = new Map(nodes.map((node) => [node.id, node]));
+    const warnings = [];
+
+    const signerIDs = new Set();
+    for (const signer of signers) {
+        const node = typeof signer === "object" ? byKey.get(keyOf(signer)) : byID.get(BigInt(signer));
+        const name = typeof signer === "object" ? `with BLS pubkey (${signer.X}, ${signer.Y})` : `${signer}`;
+        if (!node) {
+            warnings.push({ check: "signers", message: `Signer ${name} is not on the contract, its share of the signature cannot be subtracted and verification will fail` });
+        } else if (signerIDs.has(node.id)) {
+            warnings.push({ check: "signers", message: `Signer ${name} is listed more than once` });
+        } else {
+            signerIDs.add(node.id);
+        }
+    }
+
+    const ids = nodes.filter((node) => !signerIDs.has(node.id)).map((node) => node.id);
+
+    let joined = [];
+    let left   = [];
+    if (options.signedAtBlock !== undefined) {
+        const then     = await liveNodes(serviceNodeRewards, options.signedAtBlock);
+        const thenKeys = new Set(then.map((node) => keyOf(node.blsPubkey)));
+        joined = nodes.filter((node) => !thenKeys.has(keyOf(node.blsPubkey))).map((node) => node.id);
+        left   = then.filter((node) => !byKey.has(keyOf(node.blsPubkey))).map((node) => node.id);
+        for (const id of joined)
+            warnings.push({ check: "joined", message: `Node ${id} joined after block ${options.signedAtBlock} and counts as a non-signer` });
+        for (const id of left)
+            warnings.push({ check: "left", message: `Node ${id} left after block ${options.signedAtBlock}` });
+    }
+
+    // NOTE: See `hasEnoughSigners`
+    const totalNodes    = await serviceNodeRewards.totalNodes({ blockTag });
+    const threshold     = await serviceNodeRewards.blsNonSignerThreshold({ blockTag });
+    const enoughSigners = BigInt(ids.length) <= threshold;
+    const error         = enoughSigners ? null : {
+        name: "InsufficientBLSSignatures",
+        args: [totalNodes - BigInt(ids.length), totalNodes - threshold],
+    };
+    if (error) {
+        warnings.push({ check: "threshold", message:
+            `${ids.length} non-signers exceeds the threshold of ${threshold}, ` +
+            `${error.args[0]} signers of the required ${error.args[1]}, the call will revert with InsufficientBLSSignatures` });
+    }
+
+    const gas = {
+        perNonSigner: NON_SIGNER_GAS,
+        nonSigners:   NON_SIGNER_GAS * BigInt(ids.length),
+        estimate:     null,
+        error:        null,
+    };
+    if (options.submission) {
+        const { method, args } = options.submission;
+        const result = await estimateSubmission(serviceNodeRewards, method, [...args, ids]);
+        gas.estimate = result.gas;
+        gas.error    = result.error;
+    }
+
+    return { ids, signerIDs: [...signerIDs], totalNodes, threshold, enoughSigners, error, warnings, joined, left, gas };
+}
+
+module.exports = {
+    NON_SIGNER_GAS,
+    estimateSubmission,
+    buildNonSignerList,
+};
@@ -0,0 +1,79 @@
+// Owner-only calls made by the admin tasks, either sent from the local signer
+// or, when the contract is owned by a Safe, appended to a Safe Transaction
+// Builder batch for its owners to sign. See lib/safe-batch.js.
+const fs = require("fs");
+const path = require("path");
+const chalk = require("chalk");
+const { manifestDir } = require("./manifest.js");
+const { batchTransaction, createBatch, addTransaction, readBatch, writeBatch, describeTransaction } = require("./safe-batch.js");
+
+/**
+ * @param {string} network
+ * @param {string} [dir] Defaults to the manifest directory
+ * @returns {string} Where to write a new batch, `safe-<network>-<time>.json`
+ */
+function defaultBatchFile(network, dir = manifestDir()) {
+    return path.join(dir, `safe-${network}-${Date.now()}.json`);
+}
+
+/**
+ * Call an owner-only `method`, or with `options.safe` export it to a batch
+ * without broadcasting anything.
+ * @param {Object} hre Hardhat runtime environment
+ * @param {ethers.BaseContract} contract
+ * @param {string} method
+ * @param {Array} args
+ * @param {Object} options
+ * @param {string} options.label Name of the contract for descriptions
+ * @param {string} [options.note] Human readable meaning of the arguments
+ * @param {string} [options.safe] Safe to export a batch for instead of sending
+ * @param {string} [options.out] Batch file to write, appended to if it exists
+ * @param {Object} [options.ownable] Contract whose `owner()` must be the sender
+ * or Safe, defaults to `contract`
+ * @returns {Promise<Object>} `{description, txHash}` once sent, or
+ * `{description, batch, transaction}` once exported
+ */
+async function ownerCall(hre, contract, method, args, options) {
+    const tx          = await batchTransaction(contract, method, args);
+    const description = describeTransaction(options.label, tx, options.note);
+    const owner       = await (options.ownable ?? contract).owner();
+
+    if (options.safe) {
+        if (owner !== options.safe) {
+            console.log(chalk.yellow(`Warning: ${options.label} is owned by ${owner}, not the Safe ${options.safe}, the batch will revert unless that changes`));
+        } else {
+            // NOTE: Simulate the call from the Safe so a batch that can only
+            // revert is never handed to the signers
+            try {
+                await contract.connect(hre.ethers.provider)[method].staticCall(...args, { from: options.safe });
+            } catch (error) {
+                throw new Error(`${description} reverts when executed by the Safe: ${error.shortMessage ?? error.message}`);
+            }
+        }
+
+        const chainId = (await hre.ethers.provider.getNetwork()).chainId;
+        const file    = options.out ?? defaultBatchFile(hre.network.name);
+        const batch   = fs.existsSync(file)
+            ? readBatch(file, { chainId, safe: options.safe })
+            : createBatch({ chainId, safe: options.safe, name: `SESH admin on ${hre.network.name}` });
+        addTransaction(batch, tx, description);
+        writeBatch(file, batch);
+        console.log("Exported for the Safe, not broadcast:", description);
+        console.log(`Safe Transaction Builder batch (${batch.transactions.length} transaction(s)) written to:`, chalk.yellow(file));
+        return { description, batch: file, transaction: tx };
+    }
+
+    const [signer] = await hre.ethers.getSigners();
+    if (owner !== signer.address)
+        throw new Error(`${signer.address} is not the owner of ${options.label}, ${owner} is. Pass --safe ${owner} to export a Safe batch instead`);
+    console.log("Sending:", description);
+    const sent = await contract.connect(signer)[method](...args);
+    await sent.wait();
+    console.log(chalk.green("Done, tx hash:"), sent.hash);
+    return { description, txHash: sent.hash };
+}
+
+module.exports = {
+    defaultBatchFile,
+    ownerCall,
+};
@@ -0,0 +1,188 @@
+// Hand-off of a deployment to its long-term owner, e.g. a multisig.
+//
+// ServiceNodeRewards, RewardRatePool and the contribution factory are
+// Ownable2Step, `transferOwnership` only nominates the new owner who then has
+// to `acceptOwnership`. The ProxyAdmin of each transparent proxy is plain
+// Ownable, its ownership (and with it the right to upgrade) moves immediately.
+//
+// Transfers are recorded in the manifest entries as `pendingOwner` and
+// `proxyAdminOwner`, `owner` once the acceptance has been confirmed.
+const { ethers } = require("ethers");
+const { readManifest, writeManifest } = require("./manifest.js");
+
+const PROXY_ADMIN_ABI = [
+    "function owner() view returns (address)",
+    "function transferOwnership(address newOwner)",
+];
+
+/**
+ * @param {Object} hre Hardhat runtime environment
+ * @param {Object} manifest As returned by `readManifest`
+ * @param {Array<string>} [names] Restrict to these manifest names
+ * @returns {Promise<Array<Object>>} `{name, address, contract, twoStep}` for
+ * every ownable contract in the manifest
+ */
+async function ownableContracts(hre, manifest, names = Object.keys(manifest.contracts)) {
+    const result = [];
+    for (const name of names) {
+        const entry = manifest.contracts[name];
+        if (!entry) throw new Error(`No ${name} in the ${manifest.network} deployment manifest`);
+        const { abi } = await hre.artifacts.readArtifact(entry.contract);
+        const has     = (fn) => abi.some((item) => item.type === "function" && item.name === fn);
+        if (!has("transferOwnership")) continue;
+        result.push({ name, address: entry.address, contract: entry.contract, twoStep: has("acceptOwnership") });
+    }
+    return result;
+}
+
+/**
+ * @param {Object} manifest
+ * @param {Array<string>} [names] Restrict to the proxies of these manifest names
+ * @returns {Array<{address: string, proxies: Array<string>}>} Each distinct
+ * ProxyAdmin and the names of the proxies it administers
+ */
+function proxyAdmins(manifest, names = Object.keys(manifest.contracts)) {
+    const admins = new Map();
+    for (const name of names) {
+        const admin = manifest.contracts[name]?.proxyAdmin;
+        if (!admin) continue;
+        if (!admins.has(admin)) admins.set(admin, []);
+        admins.get(admin).push(name);
+    }
+    return [...admins].map(([address, proxies]) => ({ address, proxies }));
+}
+
+/**
+ * Set fields of manifest entries of the current network.
+ * @param {Object} hre
+ * @param {Array<string>} names
+ * @param {Object} fields
+ */
+function recordOwnership(hre, names, fields) {
+    const manifest = readManifest(hre.network.name);
+    for (const name of names) Object.assign(manifest.contracts[name], fields);
+    writeManifest(manifest);
+}
+
+/**
+ * Steps (see lib/steps.js) transferring ownership of the ownable contracts and
+ * proxy admins of a deployment to `owner`. Contracts already owned by, or
+ * pending to, `owner` are left alone.
+ * @param {Object} hre Hardhat runtime environment
+ * @param {Object} manifest As returned by `readManifest`
+ * @param {string} owner
+ * @param {Object} [options]
+ * @param {Array<string>} [options.names] Restrict to these manifest names
+ * @returns {Promise<Array<Object>>}
+ */
+async function ownershipSteps(hre, manifest, owner, options = {}) {
+    const steps = [];
+    for (const ownable of await ownableContracts(hre, manifest, options.names)) {
+        const fields = ownable.twoStep ? { pendingOwner: owner } : { owner, pendingOwner: null };
+        steps.push({
+            name:   `ownership:${ownable.name}`,
+            params: { owner },
+            run: async (ctx) => {
+                const contract = await hre.ethers.getContractAt(ownable.contract, ownable.address);
+                const current  = await contract.owner();
+                if (current === owner) {
+                    recordOwnership(hre, [ownable.name], { owner, pendingOwner: null });
+                    return { alreadyOwned: true };
+                }
+                if (ownable.twoStep && (await contract.pendingOwner()) === owner) {
+                    recordOwnership(hre, [ownable.name], fields);
+                    return { alreadyPending: true };
+                }
+
+                console.log(`Transferring ownership of ${ownable.name} ${ownable.address} from ${current} to ${owner} ...`);
+                const tx = await contract.transferOwnership(owner);
+                await ctx.sent(tx);
+                await tx.wait();
+                recordOwnership(hre, [ownable.name], fields);
+                return { txHash: tx.hash };
+            },
+            resume: async (ctx, receipt) => {
+                recordOwnership(hre, [ownable.name], fields);
+                return { txHash: receipt.hash };
+            },
+            describe: () => `${ownable.name} transferred to ${owner}`,
+        });
+    }
+
+    for (const admin of proxyAdmins(manifest, options.names)) {
+        steps.push({
+            name:   `ownership:ProxyAdmin:${admin.address}`,
+            params: { owner },
+            run: async (ctx) => {
+                const [signer]   = await hre.ethers.getSigners();
+                const proxyAdmin = new ethers.Contract(admin.address, PROXY_ADMIN_ABI, signer);
+                if ((await proxyAdmin.owner()) !== owner) {
+                    console.log(`Transferring ProxyAdmin ${admin.address} of ${admin.proxies.join(", ")} to ${owner} ...`);
+                    const tx = await proxyAdmin.transferOwnership(owner);
+                    await ctx.sent(tx);
+                    await tx.wait();
+                }
+                recordOwnership(hre, admin.proxies, { proxyAdminOwner: owner });
+                return {};
+            },
+            resume: async (ctx, receipt) => {
+                recordOwnership(hre, admin.proxies, { proxyAdminOwner: owner });
+                return { txHash: receipt.hash };
+            },
+            describe: () => `ProxyAdmin of ${admin.proxies.join(", ")} transferred to ${owner}`,
+        });
+    }
+    return steps;
+}
+
+/**
+ * Read back who owns every contract and proxy admin handed off in the
+ * manifest, and whether the hand-off is complete.
+ * @param {Object} hre Hardhat runtime environment
+ * @param {Object} manifest As returned by `readManifest`
+ * @returns {Promise<Object>} `{ok, entries: [{name, address, expected, owner,
+ * pendingOwner, accepted}]}`, only for contracts with a recorded transfer
+ */
+async function ownershipStatus(hre, manifest) {
+    const entries = [];
+    for (const ownable of await ownableContracts(hre, manifest)) {
+        const recorded = manifest.contracts[ownable.name];
+        const expected = recorded.pendingOwner ?? recorded.owner;
+        if (!expected) continue;
+
+        const contract     = await hre.ethers.getContractAt(ownable.contract, ownable.address);
+        const owner        = await contract.owner();
+        const pendingOwner = ownable.twoStep ? await contract.pendingOwner() : ethers.ZeroAddress;
+        entries.push({
+            name:     ownable.name,
+            address:  ownable.address,
+            expected,
+            owner,
+            pendingOwner,
+            accepted: owner === expected && pendingOwner === ethers.ZeroAddress,
+        });
+    }
+
+    for (const admin of proxyAdmins(manifest)) {
+        const expected = manifest.contracts[admin.proxies[0]].proxyAdminOwner;
+        if (!expected) continue;
+        const owner = await new ethers.Contract(admin.address, PROXY_ADMIN_ABI, hre.ethers.provider).owner();
+        entries.push({
+            name:         `ProxyAdmin of ${admin.proxies.join(", ")}`,
+            address:      admin.address,
+            expected,
+            owner,
+            pendingOwner: ethers.ZeroAddress,
+            accepted:     owner === expected,
+        });
+    }
+    return { ok: entries.length > 0 && entries.every((entry) => entry.accepted), entries };
+}
+
+module.exports = {
+    ownableContracts,
+    proxyAdmins,
+    recordOwnership,
+    ownershipSteps,
+    ownershipStatus,
+};
@@ -0,0 +1,140 @@
+// Off-chain preflight of network (aggregate) signatures.
+//
+// Runs the same checks as `ServiceNodeRewards` before a transaction is sent so
+// that a stale non-signer list or a bad signature is caught without paying for
+// a reverted transaction. The checks mirror `hasEnoughSigners`,
+// `signatureTimestampHasExpired` and `validateSignatureOrRevert`, each failure
+// is reported with the custom error the contract would have reverted with.
+const bls = require("./bls.js");
+
+/**
+ * Preflight an aggregate signature over an arbitrary message.
+ * @param {ethers.Contract} serviceNodeRewards
+ * @param {Object} params
+ * @param {ethers.BytesLike} params.message Packed message that was signed
+ * @param {{sigs0: bigint, sigs1: bigint, sigs2: bigint, sigs3: bigint}} params.signature
+ * @param {Array<bigint|number>} params.ids Service node IDs that did not sign
+ * @param {bigint|number} [params.timestamp] Signature timestamp, for exits and liquidations
+ * @param {bigint|number} [params.now] Time to check expiry against, defaults to the latest block
+ * @returns {Promise<{ok: boolean, failures: Array<{check: string, error: string, message: string}>, aggregatePubkey: Object}>}
+ */
+async function preflightSignature(serviceNodeRewards, params) {
+    const failures = [];
+    const ids      = params.ids.map(BigInt);
+
+    // NOTE: Expiry, `block.timestamp > timestamp + signatureExpiry`
+    if (params.timestamp !== undefined) {
+        const expiry = await serviceNodeRewards.signatureExpiry();
+        const now    = params.now !== undefined
+            ? BigInt(params.now)
+            : BigInt((await serviceNodeRewards.runner.provider.getBlock("latest")).timestamp);
+        if (now > BigInt(params.timestamp) + expiry) {
+            failures.push({
+                check:   "expiry",
+                error:   "SignatureExpired",
+                message: `Signature timestamp ${params.timestamp} expired at ${BigInt(params.timestamp) + expiry}, now is ${now}`,
+            });
+        }
+    }
+
+    // NOTE: Non-signer count, see `hasEnoughSigners`
+    const threshold  = await serviceNodeRewards.blsNonSignerThreshold();
+    const totalNodes = await serviceNodeRewards.totalNodes();
+    if (BigInt(ids.length) > threshold) {
+        failures.push({
+            check:   "threshold",
+            error:   "InsufficientBLSSignatures",
+            message: `${ids.length} non-signers exceeds the threshold of ${threshold}, ` +
+                     `${totalNodes - BigInt(ids.length)} signers of the required ${totalNodes - threshold}`,
+        });
+    }
+
+    // NOTE: The contract silently subtracts whatever is stored at each ID, an
+    // unknown ID subtracts nothing and a repeated ID subtracts twice. Both
+    // would fail the pairing, flag them explicitly.
+    const seen    = new Set();
+    const pubkeys = [];
+    for (const id of ids) {
+        if (seen.has(id)) {
+            failures.push({ check: "nonSigners", error: "InvalidBLSSignature", message: `Non-signer ${id} is listed more than once` });
+        }
+        seen.add(id);
+
+        const node   = await serviceNodeRewards.serviceNodes(id);
+        const pubkey = { X: node.blsPubkey.X, Y: node.blsPubkey.Y };
+        if (pubkey.X === 0n && pubkey.Y === 0n) {
+            failures.push({ check: "nonSigners", error: "InvalidBLSSignature", message: `Non-signer ${id} is not a registered service node` });
+        }
+        pubkeys.push(pubkey);
+    }
+
+    // NOTE: Pairing, against the aggregate pubkey minus the non-signers
+    const onChainAggregate = await serviceNodeRewards.aggregatePubkey();
+    const aggregatePubkey  = bls.g1Add(
+        { X: onChainAggregate.X, Y: onChainAggregate.Y },
+        bls.g1Negate(bls.aggregatePublicKeys(pubkeys)));
+    const hashToG2Tag = await serviceNodeRewards.hashToG2Tag();
+    const signature   = bls.paramsToSignature(params.signature);
+
+    let valid = false;
+    try {
+        valid = bls.verify(aggregatePubkey, params.message, signature, hashToG2Tag);
+    } catch {
+        // NOTE: Points that aren't on the curve make the pairing precompile fail
+    }
+    if (!valid) {
+        failures.push({
+            check:   "pairing",
+            error:   "InvalidBLSSignature",
+            message: `Signature does not verify against the aggregate pubkey (${aggregatePubkey.X}, ${aggregatePubkey.Y}) less ${ids.length} non-signer(s)`,
+        });
+    }
+
+    return { ok: failures.length === 0, failures, aggregatePubkey };
+}
+
+/**
+ * Preflight the arguments of `updateRewardsBalance`
+ * @param {ethers.Contract} serviceNodeRewards
+ * @param {string} recipient
+ * @param {bigint} amount
+ * @param {Object} signature `BLSSignatureParams`
+ * @param {Array<bigint|number>} ids
+ */
+async function preflightRewards(serviceNodeRewards, recipient, amount, signature, ids) {
+    const message = bls.rewardsMessage(await serviceNodeRewards.rewardTag(), recipient, amount);
+    return preflightSignature(serviceNodeRewards, { message, signature, ids });
+}
+
+/**
+ * Preflight the arguments of `exitBLSPublicKeyWithSignature`
+ * @param {ethers.Contract} serviceNodeRewards
+ * @param {{X: bigint, Y: bigint}} blsPubkey
+ * @param {bigint|number} timestamp
+ * @param {Object} signature `BLSSignatureParams`
+ * @param {Array<bigint|number>} ids
+ */
+async function preflightExit(serviceNodeRewards, blsPubkey, timestamp, signature, ids) {
+    const message = bls.removalMessage(await serviceNodeRewards.exitTag(), blsPubkey, timestamp);
+    return preflightSignature(serviceNodeRewards, { message, signature, ids, timestamp });
+}
+
+/**
+ * Preflight the arguments of `liquidateBLSPublicKeyWithSignature`
+ * @param {ethers.Contract} serviceNodeRewards
+ * @param {{X: bigint, Y: bigint}} blsPubkey
+ * @param {bigint|number} timestamp
+ * @param {Object} signature `BLSSignatureParams`
+ * @param {Array<bigint|number>} ids
+ */
+async function preflightLiquidate(serviceNodeRewards, blsPubkey, timestamp, signature, ids) {
+    const message = bls.removalMessage(await serviceNodeRewards.liquidateTag(), blsPubkey, timestamp);
+    return preflightSignature(serviceNodeRewards, { message, signature, ids, timestamp });
+}
+
+module.exports = {
+    preflightSignature,
+    preflightRewards,
+    preflightExit,
+    preflightLiquidate,
+};
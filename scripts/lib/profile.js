@@ -0,0 +1,225 @@
+// Deployment profiles, `profiles/<name>.json`: every parameter of a sesh:deploy
+// for one network, versioned with the repository rather than typed on the
+// command line. For example:
+//
+//     {
+//         "version": 1,
+//         "network": "arbitrum",
+//         "contracts": "mainnet",
+//         "token": { "address": "manifest", "decimals": 9 },
+//         "poolInitial": "40000000",
+//         "stakingRequirement": "25000",
+//         "maxContributors": 10,
+//         "liquidatorRewardRatio": 3,
+//         "poolShareOfLiquidationRatio": 17,
+//         "recipientRatio": 9980
+//     }
+//
+// `contracts` picks the variants deployed: "mainnet", "testnet" or
+// "localDevnet". The token is an address, "manifest" for the network's SESH in
+// the deployment manifest, or `name`, `symbol` and `supply` of a MockERC20 to
+// deploy. Amounts are in SESH.
+//
+// Parameters are checked against the rules the contracts enforce before
+// anything is broadcast, see `parameterErrors` and `chainErrors`.
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { SESH_DECIMALS } = require("./sesh-token.js");
+
+const PROFILE_VERSION = 1;
+const PROFILES_DIR    = path.join(__dirname, "..", "..", "profiles");
+
+const CONTRACTS = ["mainnet", "testnet", "localDevnet"];
+
+// Ratios ServiceNodeRewards is initialised with unless a profile says otherwise
+const DEFAULT_RATIOS = {
+    maxContributors:             10,
+    liquidatorRewardRatio:       3,
+    poolShareOfLiquidationRatio: 17,
+    recipientRatio:              9980,
+};
+
+const KEYS       = ["version", "network", "description", "contracts", "token", "poolInitial", "stakingRequirement", ...Object.keys(DEFAULT_RATIOS)];
+const TOKEN_KEYS = ["address", "name", "symbol", "supply", "decimals"];
+
+/**
+ * @param {string} profile A name in profiles/ or the path of a profile
+ * @returns {string}
+ */
+function profilePath(profile) {
+    if (profile.endsWith(".json") || profile.includes(path.sep) || profile.includes("/")) return path.resolve(profile);
+    return path.join(PROFILES_DIR, `${profile}.json`);
+}
+
+/**
+ * @returns {Array<string>} Names of the profiles in profiles/
+ */
+function listProfiles() {
+    if (!fs.existsSync(PROFILES_DIR)) return [];
+    return fs.readdirSync(PROFILES_DIR).filter((file) => file.endsWith(".json")).map((file) => path.basename(file, ".json")).sort();
+}
+
+/**
+ * Read a profile and check its parameters.
+ * @param {string} profile A name in profiles/ or the path of a profile
+ * @returns {Object} See `parseProfile`
+ */
+function loadProfile(profile) {
+    const file = profilePath(profile);
+    if (!fs.existsSync(file)) {
+        const known = listProfiles();
+        throw new Error(`No deployment profile ${profile} at ${file}` + (known.length ? `, known profiles: ${known.join(", ")}` : ""));
+    }
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+        throw new Error(`Deployment profile ${file} is not valid JSON: ${error.message}`);
+    }
+    return parseProfile(raw, path.basename(file, ".json"));
+}
+
+/**
+ * Turn the JSON of a profile into deployment parameters, throwing with every
+ * problem found.
+ * @param {Object} raw
+ * @param {string} name For errors
+ * @returns {Object} `{name, network, description, contracts, token: {address,
+ * name, symbol, supply, decimals}, poolInitial, stakingRequirement,
+ * maxContributors, liquidatorRewardRatio, poolShareOfLiquidationRatio,
+ * recipientRatio}`, amounts in atomic units and a token address of "manifest"
+ * or null to deploy one
+ */
+function parseProfile(raw, name) {
+    const errors = [];
+    const fail   = (message) => { errors.push(message); return undefined; };
+    if (typeof raw !== "object" || raw === null || Array.isArray(raw)) throw new Error(`Deployment profile ${name} is not a JSON object`);
+    if (raw.version !== PROFILE_VERSION)
+        throw new Error(`Unsupported deployment profile version ${raw.version} in ${name}, expected ${PROFILE_VERSION}`);
+
+    for (const key of Object.keys(raw).filter((key) => !KEYS.includes(key))) fail(`unknown key ${key}`);
+    for (const key of KEYS.filter((key) => key !== "description" && raw[key] === undefined)) fail(`${key} is missing`);
+
+    const token = raw.token ?? {};
+    if (typeof token !== "object" || Array.isArray(token)) fail("token must be an object");
+    for (const key of Object.keys(token).filter((key) => !TOKEN_KEYS.includes(key))) fail(`unknown key token.${key}`);
+
+    const decimals = Number.isInteger(token.decimals) ? token.decimals : fail("token.decimals must be an integer");
+    const amount   = (key, value) => {
+        if (value === undefined) return undefined;
+        if (typeof value !== "string") return fail(`${key} must be a string amount of SESH, e.g. "20000"`);
+        try {
+            return ethers.parseUnits(value, decimals ?? SESH_DECIMALS);
+        } catch (error) {
+            return fail(`${key} is not an amount of SESH: ${value}`);
+        }
+    };
+    const integer = (key) => Number.isSafeInteger(raw[key]) ? BigInt(raw[key]) : (raw[key] === undefined ? undefined : fail(`${key} must be an integer`));
+
+    let address = null;
+    if (token.address === "manifest") {
+        address = "manifest";
+    } else if (token.address !== undefined) {
+        address = ethers.isAddress(token.address) ? ethers.getAddress(token.address) : fail(`token.address is not an address: ${token.address}`);
+    }
+    const mock = ["name", "symbol", "supply"].filter((key) => token[key] !== undefined);
+    if (token.address !== undefined && mock.length) fail(`token.${mock.join(", token.")} only apply to a token to deploy, not one at an address`);
+    if (token.address === undefined) {
+        for (const key of ["name", "symbol", "supply"].filter((key) => token[key] === undefined)) fail(`token.${key} is missing, or set token.address`);
+    }
+
+    const profile = {
+        name,
+        network:                     typeof raw.network === "string" ? raw.network : fail("network must be a string"),
+        description:                 raw.description ?? "",
+        contracts:                   raw.contracts === undefined || CONTRACTS.includes(raw.contracts)
+            ? raw.contracts : fail(`contracts must be one of ${CONTRACTS.join(", ")}, got ${raw.contracts}`),
+        token: {
+            address,
+            name:     token.name,
+            symbol:   token.symbol,
+            supply:   amount("token.supply", token.supply),
+            decimals,
+        },
+        poolInitial:                 amount("poolInitial", raw.poolInitial),
+        stakingRequirement:          amount("stakingRequirement", raw.stakingRequirement),
+        maxContributors:             integer("maxContributors"),
+        liquidatorRewardRatio:       integer("liquidatorRewardRatio"),
+        poolShareOfLiquidationRatio: integer("poolShareOfLiquidationRatio"),
+        recipientRatio:              integer("recipientRatio"),
+    };
+    if (!errors.length) errors.push(...parameterErrors(profile));
+    if (errors.length) throw new Error(`Invalid deployment profile ${name}:\n  - ${errors.join("\n  - ")}`);
+    return profile;
+}
+
+/**
+ * The problems with deployment parameters that the contracts would reject, or
+ * that would leave the deployment unusable.
+ * @param {Object} params As returned by `parseProfile`, the token's `address`
+ * null for a token deployed along with the contracts
+ * @returns {Array<string>}
+ */
+function parameterErrors(params) {
+    const errors = [];
+    if (params.token.decimals !== SESH_DECIMALS) errors.push(`token.decimals must be ${SESH_DECIMALS}, got ${params.token.decimals}`);
+    if (params.contracts === "mainnet" && params.token.address === null)
+        errors.push("mainnet contracts are deployed against an existing token, set token.address");
+    if (params.stakingRequirement <= 0n) errors.push("stakingRequirement must be greater than 0");
+    if (params.poolInitial <= 0n) errors.push("poolInitial must be greater than 0");
+    if (params.maxContributors <= 0n) errors.push("maxContributors must be greater than 0");
+    for (const key of ["liquidatorRewardRatio", "poolShareOfLiquidationRatio"])
+        if (params[key] < 0n) errors.push(`${key} must not be negative`);
+    // NOTE: ServiceNodeRewards.initialize reverts with PositiveNumberRequirement
+    // and LiquidatorPenaltyTooHigh
+    if (params.recipientRatio < 1n) errors.push("recipientRatio must be at least 1");
+    if ((params.liquidatorRewardRatio + params.poolShareOfLiquidationRatio) * 3n > params.recipientRatio)
+        errors.push(`(liquidatorRewardRatio + poolShareOfLiquidationRatio) * 3 must not exceed recipientRatio, ` +
+                    `(${params.liquidatorRewardRatio} + ${params.poolShareOfLiquidationRatio}) * 3 > ${params.recipientRatio}`);
+    if (params.token.address === null) {
+        if (params.token.supply <= 0n) errors.push("token.supply must be greater than 0");
+        else if (params.poolInitial > params.token.supply)
+            errors.push(`poolInitial of ${ethers.formatUnits(params.poolInitial, SESH_DECIMALS)} SESH exceeds the ` +
+                        `token.supply of ${ethers.formatUnits(params.token.supply, SESH_DECIMALS)} SESH`);
+    }
+    return errors;
+}
+
+/**
+ * The problems with deploying against an existing token: its decimals, and
+ * the deployer's balance to fund the RewardRatePool with.
+ * @param {Object} hre Hardhat runtime environment
+ * @param {string} tokenAddress
+ * @param {bigint} poolInitial Atomic units
+ * @param {Object} [options]
+ * @param {boolean} [options.funded] The pool was funded by the deployment
+ * being resumed, the balance is not needed any more
+ * @returns {Promise<Array<string>>}
+ */
+async function chainErrors(hre, tokenAddress, poolInitial, options = {}) {
+    const token    = await hre.ethers.getContractAt("MockERC20", tokenAddress);
+    const [owner]  = await hre.ethers.getSigners();
+    const errors   = [];
+    const decimals = await token.decimals();
+    if (decimals !== BigInt(SESH_DECIMALS))
+        errors.push(`the token at ${tokenAddress} has ${decimals} decimals, not ${SESH_DECIMALS}`);
+    if (!options.funded) {
+        const balance = await token.balanceOf(owner.address);
+        if (balance < poolInitial)
+            errors.push(`the deployer ${owner.address} holds ${ethers.formatUnits(balance, decimals)} of the token at ${tokenAddress}, ` +
+                        `poolInitial needs ${ethers.formatUnits(poolInitial, SESH_DECIMALS)}`);
+    }
+    return errors;
+}
+
+module.exports = {
+    PROFILE_VERSION,
+    DEFAULT_RATIOS,
+    profilePath,
+    listProfiles,
+    loadProfile,
+    parseProfile,
+    parameterErrors,
+    chainErrors,
+};
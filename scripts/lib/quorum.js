@@ -0,0 +1,223 @@
+// A simulated service node network for driving `ServiceNodeRewards` from JS.
+//
+// Each simulated node holds a real BLS key so the quorum can produce aggregate
+// signatures for `updateRewardsBalance`, `exitBLSPublicKeyWithSignature` and
+// `liquidateBLSPublicKeyWithSignature` in the same way the Session network
+// would. Nodes are registered either by seeding (as the owner, before the
+// contract is started) or through `addBLSPublicKey` with a valid proof of
+// possession.
+const { ethers } = require("ethers");
+const bls = require("./bls.js");
+const { rewardsMessage, removalMessage } = bls;
+
+const SEED_BATCH_SIZE = 50;
+
+function randomUint256() {
+    return BigInt(ethers.hexlify(ethers.randomBytes(32)));
+}
+
+function newNode() {
+    const secretKey = bls.generateSecretKey();
+    return {
+        id:            null,
+        secretKey:     secretKey,
+        blsPubkey:     bls.getPublicKey(secretKey),
+        ed25519Pubkey: randomUint256(),
+    };
+}
+
+/**
+ * Create a quorum bound to a deployed `ServiceNodeRewards` contract.
+ *
+ * The returned object keeps track of every node it registered. Signing always
+ * uses the contract's current node list, so every node still on the contract
+ * must either be known to the quorum or be listed as a non-signer.
+ *
+ * @param {ethers.Contract} serviceNodeRewards Contract connected to a signer,
+ * for seeding this must be the owner.
+ * @returns {Promise<Object>}
+ */
+async function createQuorum(serviceNodeRewards) {
+    const tags = {
+        proofOfPossessionTag: await serviceNodeRewards.proofOfPossessionTag(),
+        rewardTag:            await serviceNodeRewards.rewardTag(),
+        exitTag:              await serviceNodeRewards.exitTag(),
+        liquidateTag:         await serviceNodeRewards.liquidateTag(),
+        hashToG2Tag:          await serviceNodeRewards.hashToG2Tag(),
+    };
+
+    // Keyed by the BLS pubkey X/Y so that IDs can be resolved from the contract
+    const nodesByKey = new Map();
+    const keyOf      = (pk) => `${BigInt(pk.X)}:${BigInt(pk.Y)}`;
+
+    async function assignIDs() {
+        const [ids, pubkeys] = await serviceNodeRewards.allServiceNodeIDs();
+        for (let i = 0; i < ids.length; i++) {
+            const node = nodesByKey.get(keyOf(pubkeys[i]));
+            if (node) node.id = ids[i];
+        }
+        return ids;
+    }
+
+    const quorum = {
+        tags,
+
+        /** All nodes created by this quorum, including exited ones */
+        get nodes() {
+            return [...nodesByKey.values()];
+        },
+
+        /**
+         * Seed `count` nodes via `seedPublicKeyList`. The contract must not be
+         * started yet.
+         * @param {number} count
+         * @param {Object} [options]
+         * @param {Function} [options.contributors] Returns the contributor list for
+         * the i-th node, defaults to the contract runner staking the full requirement.
+         * @param {bigint} [options.addedTimestamp] Defaults to the latest block time.
+         * @returns {Promise<Object[]>} The seeded nodes with their assigned IDs
+         */
+        async seed(count, options = {}) {
+            const runner             = serviceNodeRewards.runner;
+            const stakingRequirement = await serviceNodeRewards.stakingRequirement();
+            const addedTimestamp     = options.addedTimestamp ?? BigInt((await runner.provider.getBlock("latest")).timestamp);
+            const operator           = await runner.getAddress();
+            const contributors       = options.contributors ?? (() => [{
+                staker:       { addr: operator, beneficiary: operator },
+                stakedAmount: stakingRequirement,
+            }]);
+
+            const seeded = [];
+            for (let i = 0; i < count; i++) seeded.push(newNode());
+
+            for (let start = 0; start < seeded.length; start += SEED_BATCH_SIZE) {
+                const batch = seeded.slice(start, start + SEED_BATCH_SIZE).map((node, index) => ({
+                    blsPubkey:      node.blsPubkey,
+                    ed25519Pubkey:  node.ed25519Pubkey,
+                    addedTimestamp: addedTimestamp,
+                    contributors:   contributors(start + index),
+                }));
+                await (await serviceNodeRewards.seedPublicKeyList(batch)).wait();
+            }
+
+            for (const node of seeded) nodesByKey.set(keyOf(node.blsPubkey), node);
+            await assignIDs();
+            return seeded;
+        },
+
+        /**
+         * Register `count` solo nodes via `addBLSPublicKey` with valid proofs of
+         * possession, approving the staking requirement from `operator` first.
+         * @param {number} count
+         * @param {ethers.Signer} operator Must hold enough of the staking token
+         * @returns {Promise<Object[]>} The registered nodes with their assigned IDs
+         */
+        async register(count, operator) {
+            const stakingRequirement = await serviceNodeRewards.stakingRequirement();
+            const operatorAddress    = await operator.getAddress();
+            const token              = new ethers.Contract(
+                await serviceNodeRewards.designatedToken(),
+                ["function approve(address spender, uint256 amount) returns (bool)"],
+                operator);
+            await (await token.approve(await serviceNodeRewards.getAddress(), stakingRequirement * BigInt(count))).wait();
+
+            const registered = [];
+            for (let i = 0; i < count; i++) {
+                const node   = newNode();
+                const params = {
+                    serviceNodePubkey:     node.ed25519Pubkey,
+                    serviceNodeSignature1: randomUint256(),
+                    serviceNodeSignature2: randomUint256(),
+                    fee:                   0,
+                };
+                const pop = bls.proofOfPossession(node.secretKey, tags, operatorAddress, node.ed25519Pubkey);
+                await (await serviceNodeRewards.connect(operator).addBLSPublicKey(node.blsPubkey, pop, params, [])).wait();
+                nodesByKey.set(keyOf(node.blsPubkey), node);
+                registered.push(node);
+            }
+
+            await assignIDs();
+            return registered;
+        },
+
+        /**
+         * Add nodes whose keys were generated elsewhere (e.g. by `sesh:keygen`)
+         * and that are already registered on the contract.
+         * @param {Array<{secretKey: bigint, ed25519Pubkey: bigint}>} keys
+         * @returns {Promise<Object[]>} The added nodes, `id` is null for keys not
+         * found on the contract
+         */
+        async addKeys(keys) {
+            const added = keys.map((key) => ({
+                id:            null,
+                secretKey:     BigInt(key.secretKey),
+                blsPubkey:     bls.getPublicKey(BigInt(key.secretKey)),
+                ed25519Pubkey: BigInt(key.ed25519Pubkey),
+            }));
+            for (const node of added) nodesByKey.set(keyOf(node.blsPubkey), node);
+            await assignIDs();
+            return added;
+        },
+
+        /**
+         * Produce the network's aggregate signature over `message`.
+         * @param {ethers.BytesLike} message
+         * @param {Array<bigint|Object>} [nonSigners] Nodes (or node IDs) that do not sign
+         * @returns {Promise<{signature: Object, ids: bigint[]}>} `signature` as
+         * `BLSSignatureParams` and `ids` to pass to the contract.
+         */
+        async sign(message, nonSigners = []) {
+            const excluded = new Set(nonSigners.map((entry) => BigInt(typeof entry === "object" ? entry.id : entry)));
+            const [ids, pubkeys] = await serviceNodeRewards.allServiceNodeIDs();
+
+            // NOTE: Summing the secret keys and signing once yields the same
+            // point as aggregating each node's individual signature.
+            let aggregateSecretKey = 0n;
+            for (let i = 0; i < ids.length; i++) {
+                if (excluded.has(ids[i])) continue;
+                const node = nodesByKey.get(keyOf(pubkeys[i]));
+                if (!node) throw new Error(`Service node ${ids[i]} is not part of the quorum and was not listed as a non-signer`);
+                aggregateSecretKey = (aggregateSecretKey + node.secretKey) % bls.CURVE_ORDER;
+            }
+
+            const signature = bls.signatureToParams(bls.sign(aggregateSecretKey, message, tags.hashToG2Tag));
+            return { signature, ids: [...excluded] };
+        },
+
+        /**
+         * Sign for `updateRewardsBalance(recipient, amount, signature, ids)`
+         * @param {string} recipient
+         * @param {bigint} amount
+         * @param {Array<bigint|Object>} [nonSigners]
+         */
+        async signRewards(recipient, amount, nonSigners = []) {
+            return quorum.sign(rewardsMessage(tags.rewardTag, recipient, amount), nonSigners);
+        },
+
+        /**
+         * Sign for `exitBLSPublicKeyWithSignature(blsPubkey, timestamp, signature, ids)`
+         * @param {{X: bigint, Y: bigint}} blsPubkey
+         * @param {bigint|number} timestamp
+         * @param {Array<bigint|Object>} [nonSigners]
+         */
+        async signExit(blsPubkey, timestamp, nonSigners = []) {
+            return quorum.sign(removalMessage(tags.exitTag, blsPubkey, timestamp), nonSigners);
+        },
+
+        /**
+         * Sign for `liquidateBLSPublicKeyWithSignature(blsPubkey, timestamp, signature, ids)`
+         * @param {{X: bigint, Y: bigint}} blsPubkey
+         * @param {bigint|number} timestamp
+         * @param {Array<bigint|Object>} [nonSigners]
+         */
+        async signLiquidate(blsPubkey, timestamp, nonSigners = []) {
+            return quorum.sign(removalMessage(tags.liquidateTag, blsPubkey, timestamp), nonSigners);
+        },
+    };
+
+    return quorum;
+}
+
+module.exports = {
+    createQuorum,
+};
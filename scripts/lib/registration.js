@@ -0,0 +1,153 @@
+// Registration bundles: everything a node operator needs to call
+// `ServiceNodeRewards.addBLSPublicKey` or
+// `ServiceNodeContributionFactory.deploy` for a fresh service node.
+const crypto = require("crypto");
+const fs = require("fs");
+const { ethers } = require("ethers");
+const bls = require("./bls.js");
+
+// DER prefixes of Node's Ed25519 key encodings, the raw 32 byte key follows
+const ED25519_PKCS8_PREFIX = Buffer.from("302e020100300506032b657004220420", "hex");
+const ED25519_SPKI_PREFIX  = Buffer.from("302a300506032b6570032100", "hex");
+
+const toUint256Hex = (value) => ethers.toBeHex(value, 32);
+
+/**
+ * Generate an Ed25519 keypair, or load it from a 32 byte seed
+ * @param {ethers.BytesLike} [seed]
+ * @returns {{seed: Buffer, publicKey: Buffer, privateKey: crypto.KeyObject}}
+ */
+function ed25519Keypair(seed) {
+    const privateKey = seed
+        ? crypto.createPrivateKey({ key: Buffer.concat([ED25519_PKCS8_PREFIX, ethers.getBytes(seed)]), format: "der", type: "pkcs8" })
+        : crypto.generateKeyPairSync("ed25519").privateKey;
+    const publicKey = crypto.createPublicKey(privateKey).export({ format: "der", type: "spki" });
+    return {
+        seed:       privateKey.export({ format: "der", type: "pkcs8" }).subarray(ED25519_PKCS8_PREFIX.length),
+        publicKey:  publicKey.subarray(ED25519_SPKI_PREFIX.length),
+        privateKey: privateKey,
+    };
+}
+
+/**
+ * Verify an Ed25519 signature over `message`
+ * @param {ethers.BytesLike} publicKey 32 byte public key
+ * @param {ethers.BytesLike} message
+ * @param {ethers.BytesLike} signature 64 byte signature
+ * @returns {boolean}
+ */
+function ed25519Verify(publicKey, message, signature) {
+    const key = crypto.createPublicKey({
+        key:    Buffer.concat([ED25519_SPKI_PREFIX, ethers.getBytes(publicKey)]),
+        format: "der",
+        type:   "spki",
+    });
+    return crypto.verify(null, ethers.getBytes(message), key, ethers.getBytes(signature));
+}
+
+/**
+ * Create the keys and signatures to register a node with `operator` as the
+ * first contributor.
+ *
+ * The BLS proof of possession is signed over the contract's PoP message. The
+ * Ed25519 key signs those same message bytes; the contract stores but does
+ * not verify this signature.
+ *
+ * @param {{proofOfPossessionTag: string, hashToG2Tag: string}} tags Tags of the target rewards contract
+ * @param {string} operator Address of the node operator
+ * @param {Object} [options]
+ * @param {number} [options.fee] Operator fee in basis points (multi-contributor nodes)
+ * @param {bigint} [options.blsSecretKey] Use an existing BLS key
+ * @param {ethers.BytesLike} [options.ed25519Seed] Use an existing Ed25519 key
+ * @returns {Object} Bundle with BigInt values, see `registrationToJSON`
+ */
+function createRegistration(tags, operator, options = {}) {
+    const blsSecretKey = options.blsSecretKey ?? bls.generateSecretKey();
+    const blsPubkey    = bls.getPublicKey(blsSecretKey);
+    const ed25519      = ed25519Keypair(options.ed25519Seed);
+    const ed25519Pubkey = BigInt(ethers.hexlify(ed25519.publicKey));
+
+    const message          = bls.proofOfPossessionMessage(tags.proofOfPossessionTag, blsPubkey, operator, ed25519Pubkey);
+    const blsSignature     = bls.signatureToParams(bls.sign(blsSecretKey, message, tags.hashToG2Tag));
+    const ed25519Signature = crypto.sign(null, ethers.getBytes(message), ed25519.privateKey);
+
+    return {
+        operator:          ethers.getAddress(operator),
+        blsSecretKey:      blsSecretKey,
+        ed25519Seed:       BigInt(ethers.hexlify(ed25519.seed)),
+        blsPubkey:         blsPubkey,
+        blsSignature:      blsSignature,
+        serviceNodeParams: {
+            serviceNodePubkey:     ed25519Pubkey,
+            serviceNodeSignature1: BigInt(ethers.hexlify(ed25519Signature.subarray(0, 32))),
+            serviceNodeSignature2: BigInt(ethers.hexlify(ed25519Signature.subarray(32, 64))),
+            fee:                   options.fee ?? 0,
+        },
+    };
+}
+
+/**
+ * Serialise a registration bundle, uint256 values become 32 byte hex strings
+ * @param {Object} registration From `createRegistration`
+ * @param {Object} [extra] Additional top-level fields (e.g. network details)
+ * @returns {Object}
+ */
+function registrationToJSON(registration, extra = {}) {
+    return {
+        ...extra,
+        operator:     registration.operator,
+        blsSecretKey: toUint256Hex(registration.blsSecretKey),
+        ed25519Seed:  toUint256Hex(registration.ed25519Seed),
+        blsPubkey: {
+            X: toUint256Hex(registration.blsPubkey.X),
+            Y: toUint256Hex(registration.blsPubkey.Y),
+        },
+        blsSignature: {
+            sigs0: toUint256Hex(registration.blsSignature.sigs0),
+            sigs1: toUint256Hex(registration.blsSignature.sigs1),
+            sigs2: toUint256Hex(registration.blsSignature.sigs2),
+            sigs3: toUint256Hex(registration.blsSignature.sigs3),
+        },
+        serviceNodeParams: {
+            serviceNodePubkey:     toUint256Hex(registration.serviceNodeParams.serviceNodePubkey),
+            serviceNodeSignature1: toUint256Hex(registration.serviceNodeParams.serviceNodeSignature1),
+            serviceNodeSignature2: toUint256Hex(registration.serviceNodeParams.serviceNodeSignature2),
+            fee:                   registration.serviceNodeParams.fee,
+        },
+    };
+}
+
+/**
+ * Load a registration bundle written by `sesh:keygen`
+ * @param {string} filePath
+ * @returns {Object} Bundle with BigInt values, extra fields are preserved
+ */
+function readRegistration(filePath) {
+    const json = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    return {
+        ...json,
+        blsSecretKey: BigInt(json.blsSecretKey),
+        ed25519Seed:  BigInt(json.ed25519Seed),
+        blsPubkey:    { X: BigInt(json.blsPubkey.X), Y: BigInt(json.blsPubkey.Y) },
+        blsSignature: {
+            sigs0: BigInt(json.blsSignature.sigs0),
+            sigs1: BigInt(json.blsSignature.sigs1),
+            sigs2: BigInt(json.blsSignature.sigs2),
+            sigs3: BigInt(json.blsSignature.sigs3),
+        },
+        serviceNodeParams: {
+            serviceNodePubkey:     BigInt(json.serviceNodeParams.serviceNodePubkey),
+            serviceNodeSignature1: BigInt(json.serviceNodeParams.serviceNodeSignature1),
+            serviceNodeSignature2: BigInt(json.serviceNodeParams.serviceNodeSignature2),
+            fee:                   json.serviceNodeParams.fee,
+        },
+    };
+}
+
+module.exports = {
+    ed25519Keypair,
+    ed25519Verify,
+    createRegistration,
+    registrationToJSON,
+    readRegistration,
+};
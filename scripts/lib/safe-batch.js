@@ -0,0 +1,174 @@
+// Safe Transaction Builder batches, for owner-only calls on contracts owned by
+// a Safe multisig. Instead of sending the call the admin tasks write it to a
+// batch file which is imported into the Transaction Builder app of the Safe,
+// signed by its owners and executed from there.
+//
+// The file format is that of the Transaction Builder's export: each
+// transaction names the method and its inputs rather than raw calldata so the
+// signers see what they are approving, with `meta.checksum` computed the same
+// way the app does so it imports without a warning.
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const BATCH_VERSION      = "1.0";
+const TX_BUILDER_VERSION = "1.16.5";
+
+// NOTE: Mirrors the Transaction Builder's `serializeJSONObject`, keys are
+// sorted and listed up front followed by each value with a trailing comma
+function serializeJSONObject(json) {
+    const replacer = (_, value) => value === undefined ? null : value;
+    if (Array.isArray(json)) return `[${json.map(serializeJSONObject).join(",")}]`;
+    if (typeof json === "object" && json !== null) {
+        const keys = Object.keys(json).sort();
+        return `{${JSON.stringify(keys, replacer)}${keys.map((key) => `${serializeJSONObject(json[key])},`).join("")}}`;
+    }
+    return JSON.stringify(json, replacer);
+}
+
+/**
+ * @param {Object} batch
+ * @returns {string} The Transaction Builder checksum of the batch, which
+ * excludes its name
+ */
+function calculateChecksum(batch) {
+    const { checksum, ...meta } = batch.meta;
+    const serialized = serializeJSONObject({ ...batch, meta: { ...meta, name: null } });
+    return ethers.keccak256(ethers.toUtf8Bytes(serialized));
+}
+
+// Render a decoded argument as the Transaction Builder expects its inputs
+function inputValue(param, value) {
+    if (param.baseType === "array" || param.baseType === "tuple")
+        return JSON.stringify(value, (_, v) => typeof v === "bigint" ? v.toString() : v);
+    return String(value);
+}
+
+/**
+ * @param {ethers.BaseContract} contract
+ * @param {string} method Function name or signature
+ * @param {Array} args
+ * @param {Object} [options]
+ * @param {bigint} [options.value] Wei to send with the call
+ * @returns {Promise<Object>} A Transaction Builder transaction calling `method`
+ */
+async function batchTransaction(contract, method, args, options = {}) {
+    const fragment = contract.interface.getFunction(method);
+    // NOTE: Encoding validates the arguments against the ABI up front
+    contract.interface.encodeFunctionData(fragment, args);
+    return {
+        to:    await contract.getAddress(),
+        value: String(options.value ?? 0n),
+        data:  null,
+        contractMethod: {
+            inputs:  fragment.inputs.map((input) => ({ internalType: input.type, name: input.name, type: input.type })),
+            name:    fragment.name,
+            payable: fragment.payable,
+        },
+        contractInputsValues: Object.fromEntries(fragment.inputs.map((input, i) => [input.name, inputValue(input, args[i])])),
+    };
+}
+
+/**
+ * @param {Object} tx A Transaction Builder transaction
+ * @returns {string} The calldata the Safe will execute for it
+ */
+function batchCalldata(tx) {
+    if (tx.data) return tx.data;
+    const { name, inputs, payable } = tx.contractMethod;
+    const iface  = new ethers.Interface([{ type: "function", name, inputs, outputs: [], stateMutability: payable ? "payable" : "nonpayable" }]);
+    const values = inputs.map((input) => {
+        const value = tx.contractInputsValues[input.name];
+        if (input.type.endsWith("]") || input.type.startsWith("tuple")) return JSON.parse(value);
+        if (input.type === "bool") return value === "true";
+        return value;
+    });
+    return iface.encodeFunctionData(name, values);
+}
+
+/**
+ * @param {Object} params
+ * @param {number|bigint} params.chainId
+ * @param {string} params.safe Safe the batch is for
+ * @param {string} params.name
+ * @returns {Object} An empty batch
+ */
+function createBatch(params) {
+    return {
+        version:   BATCH_VERSION,
+        chainId:   String(params.chainId),
+        createdAt: Date.now(),
+        meta: {
+            name:                    params.name,
+            description:             "",
+            txBuilderVersion:        TX_BUILDER_VERSION,
+            createdFromSafeAddress:  ethers.getAddress(params.safe),
+            createdFromOwnerAddress: "",
+        },
+        transactions: [],
+    };
+}
+
+/**
+ * Append a transaction, and its description to those of the batch.
+ * @param {Object} batch
+ * @param {Object} tx As returned by `batchTransaction`
+ * @param {string} description What the transaction does, decoded
+ */
+function addTransaction(batch, tx, description) {
+    batch.transactions.push(tx);
+    batch.meta.description = [batch.meta.description, `${batch.transactions.length}. ${description}`].filter(Boolean).join("\n");
+}
+
+/**
+ * Read a batch to append to, which must be for the same Safe and chain.
+ * @param {string} file
+ * @param {Object} params
+ * @param {number|bigint} params.chainId
+ * @param {string} params.safe
+ * @returns {Object}
+ */
+function readBatch(file, params) {
+    const batch = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!Array.isArray(batch.transactions) || !batch.meta)
+        throw new Error(`${file} is not a Safe Transaction Builder batch`);
+    if (batch.chainId !== String(params.chainId))
+        throw new Error(`Safe batch ${file} is for chain ${batch.chainId}, not ${params.chainId}`);
+    if (ethers.getAddress(batch.meta.createdFromSafeAddress) !== ethers.getAddress(params.safe))
+        throw new Error(`Safe batch ${file} is for the Safe ${batch.meta.createdFromSafeAddress}, not ${params.safe}`);
+    return batch;
+}
+
+/**
+ * @param {string} file
+ * @param {Object} batch
+ * @returns {string} The path written to
+ */
+function writeBatch(file, batch) {
+    batch.meta.checksum = calculateChecksum(batch);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(batch, null, 2) + "\n");
+    return file;
+}
+
+/**
+ * @param {string} label e.g. "ServiceNodeRewards"
+ * @param {Object} tx As returned by `batchTransaction`
+ * @param {string} [note] Human readable meaning of the arguments, e.g. "25000 SESH"
+ * @returns {string} e.g. "ServiceNodeRewards.setStakingRequirement(newRequirement: 25000000000000) at 0x..."
+ */
+function describeTransaction(label, tx, note) {
+    const inputs = Object.entries(tx.contractInputsValues).map(([name, value]) => `${name}: ${value}`).join(", ");
+    return `${label}.${tx.contractMethod.name}(${inputs}) at ${tx.to}${note ? `, ${note}` : ""}`;
+}
+
+module.exports = {
+    calculateChecksum,
+    batchTransaction,
+    batchCalldata,
+    createBatch,
+    addTransaction,
+    readBatch,
+    writeBatch,
+    describeTransaction,
+};
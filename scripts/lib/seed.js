@@ -0,0 +1,384 @@
+// Migration of the existing Oxen service node list onto `ServiceNodeRewards`
+// through `seedPublicKeyList`, before the contract is started. The list is an
+// export of the nodes in JSON:
+//
+//     {
+//         "nodes": [
+//             {
+//                 "blsPubkey": "0x<X><Y>",
+//                 "ed25519Pubkey": "0x<32 bytes>",
+//                 "addedTimestamp": 1717171717,
+//                 "contributors": [
+//                     { "address": "0x...", "beneficiary": "0x...", "amount": "15000000000000" }
+//                 ]
+//             }
+//         ]
+//     }
+//
+// `blsPubkey` is the 64 byte X and Y, or `{"X": ..., "Y": ...}`. A contributor's
+// `beneficiary` defaults to its `address` and the `amount` is in atomic units,
+// the first contributor is the operator. Other top level keys (e.g. the height
+// it was exported at) are ignored.
+//
+// Entries are checked against the rules of the contract before anything is
+// sent, then submitted in batches sized by their estimated gas. Each batch is
+// a step of the resumable "seed" pipeline, see steps.js, and once they all
+// landed `totalNodes` and `aggregatePubkey` are compared against the values
+// computed from the list.
+//
+// `verifySeededNodes` then reads every node of the list back from the contract
+// and reports those that differ from it, to be run before `start()`.
+const fs = require("fs");
+const path = require("path");
+const chalk = require("chalk");
+const { ethers } = require("ethers");
+const bls = require("./bls.js");
+const { manifestDir } = require("./manifest.js");
+const { resumableState, runSteps } = require("./steps.js");
+
+const NODE_KEYS        = ["blsPubkey", "ed25519Pubkey", "addedTimestamp", "contributors"];
+const CONTRIBUTOR_KEYS = ["address", "beneficiary", "amount"];
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * @param {{X: bigint, Y: bigint}} blsPubkey
+ * @returns {string} The key `ServiceNodeRewards.serviceNodeIDs` maps the
+ * pubkey with, `BN256G1.getKeyForG1Point`
+ */
+function blsPubkeyKey(blsPubkey) {
+    return abiCoder.encode(["uint256", "uint256"], [blsPubkey.X, blsPubkey.Y]);
+}
+
+// Parse an unsigned integer from a JSON number or a decimal or hex string
+function parseUint(value) {
+    if (typeof value === "number" && Number.isSafeInteger(value) && value >= 0) return BigInt(value);
+    if (typeof value === "string" && /^(0x[0-9a-fA-F]+|[0-9]+)$/.test(value)) return BigInt(value);
+    return null;
+}
+
+function parseBLSPubkey(value) {
+    if (typeof value === "string") {
+        const hex = value.startsWith("0x") ? value.slice(2) : value;
+        if (!/^[0-9a-fA-F]{128}$/.test(hex)) return null;
+        return { X: BigInt(`0x${hex.slice(0, 64)}`), Y: BigInt(`0x${hex.slice(64)}`) };
+    }
+    if (typeof value !== "object" || value === null) return null;
+    const X = parseUint(value.X);
+    const Y = parseUint(value.Y);
+    return X === null || Y === null ? null : { X, Y };
+}
+
+/**
+ * Read an exported service node list, throwing with every entry that is not in
+ * the format at the top of this file.
+ * @param {string} file
+ * @returns {Array<Object>} `SeedServiceNode`s as `seedPublicKeyList` takes them:
+ * `{blsPubkey: {X, Y}, ed25519Pubkey, addedTimestamp, contributors: [{staker:
+ * {addr, beneficiary}, stakedAmount}]}`
+ */
+function readSeedList(file) {
+    if (!fs.existsSync(file)) throw new Error(`Service node list not found at ${file}`);
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+        throw new Error(`Service node list ${file} is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(raw?.nodes)) throw new Error(`Service node list ${file} has no "nodes" array`);
+
+    const errors = [];
+    const nodes  = raw.nodes.map((entry, index) => {
+        const fail = (message) => { errors.push(`node ${index}: ${message}`); return null; };
+        if (typeof entry !== "object" || entry === null || Array.isArray(entry)) return fail("is not an object");
+        for (const key of Object.keys(entry).filter((key) => !NODE_KEYS.includes(key))) fail(`unknown key ${key}`);
+
+        const contributors = Array.isArray(entry.contributors) ? entry.contributors : (fail("contributors must be an array") ?? []);
+        const node = {
+            blsPubkey:      parseBLSPubkey(entry.blsPubkey) ?? fail(`blsPubkey is not a 64 byte hex key or {X, Y}: ${JSON.stringify(entry.blsPubkey)}`),
+            ed25519Pubkey:  parseUint(entry.ed25519Pubkey) ?? fail(`ed25519Pubkey is not a 32 byte hex key: ${JSON.stringify(entry.ed25519Pubkey)}`),
+            addedTimestamp: parseUint(entry.addedTimestamp) ?? fail(`addedTimestamp is not a unix time: ${JSON.stringify(entry.addedTimestamp)}`),
+            contributors:   contributors.map((contributor, position) => {
+                const label = `contributor ${position}`;
+                if (typeof contributor !== "object" || contributor === null) return fail(`${label} is not an object`);
+                for (const key of Object.keys(contributor).filter((key) => !CONTRIBUTOR_KEYS.includes(key))) fail(`${label} has an unknown key ${key}`);
+                const address = (name) => ethers.isAddress(contributor[name])
+                    ? ethers.getAddress(contributor[name]) : fail(`${label} ${name} is not an address: ${contributor[name]}`);
+                const addr    = address("address");
+                return {
+                    staker: {
+                        addr,
+                        beneficiary: contributor.beneficiary === undefined ? addr : address("beneficiary"),
+                    },
+                    stakedAmount: parseUint(contributor.amount) ?? fail(`${label} amount is not an amount in atomic units: ${contributor.amount}`),
+                };
+            }),
+        };
+        if (node.ed25519Pubkey !== null && node.ed25519Pubkey >= 2n ** 256n) fail("ed25519Pubkey is longer than 32 bytes");
+        return node;
+    });
+    if (errors.length) throw new Error(`Invalid service node list ${file}:\n  - ${errors.join("\n  - ")}`);
+    return nodes;
+}
+
+/**
+ * The entries `seedPublicKeyList` would reject, or that would break the list.
+ * @param {Array<Object>} nodes From `readSeedList`
+ * @param {Object} rules
+ * @param {bigint} rules.stakingRequirement
+ * @param {bigint} rules.maxContributors
+ * @returns {Array<string>}
+ */
+function seedListErrors(nodes, rules) {
+    const errors  = [];
+    const blsKeys = new Map();
+    const edKeys  = new Map();
+    for (const [index, node] of nodes.entries()) {
+        const fail = (message) => errors.push(`node ${index}: ${message}`);
+        if (node.blsPubkey.X === 0n || node.blsPubkey.Y === 0n) fail("blsPubkey is zero");
+        // NOTE: The contract adds the key to its aggregate with the ecAdd
+        // precompile, which reverts on a point off the curve
+        else if (!bls.g1IsOnCurve(node.blsPubkey)) fail("blsPubkey is not a point on BN254");
+        if (node.ed25519Pubkey === 0n) fail("ed25519Pubkey is zero");
+
+        const blsKey = blsPubkeyKey(node.blsPubkey);
+        if (blsKeys.has(blsKey)) fail(`blsPubkey duplicates that of node ${blsKeys.get(blsKey)}`);
+        else blsKeys.set(blsKey, index);
+        if (edKeys.has(node.ed25519Pubkey)) fail(`ed25519Pubkey duplicates that of node ${edKeys.get(node.ed25519Pubkey)}`);
+        else edKeys.set(node.ed25519Pubkey, index);
+
+        if (node.contributors.length === 0) fail("has no contributors");
+        if (BigInt(node.contributors.length) > rules.maxContributors)
+            fail(`has ${node.contributors.length} contributors, the contract allows ${rules.maxContributors}`);
+        for (const [position, contributor] of node.contributors.entries())
+            if (contributor.staker.addr === ethers.ZeroAddress) fail(`contributor ${position} is the zero address`);
+        const total = node.contributors.reduce((sum, contributor) => sum + contributor.stakedAmount, 0n);
+        if (total !== rules.stakingRequirement)
+            fail(`contributions add up to ${total}, not the staking requirement of ${rules.stakingRequirement}`);
+    }
+    return errors;
+}
+
+// Estimate the gas of seeding `count` nodes from `first`, naming the nodes
+// that failed rather than only the revert
+async function estimateBatch(rewards, nodes, first, count) {
+    try {
+        return await rewards.seedPublicKeyList.estimateGas(nodes.slice(first, first + count));
+    } catch (error) {
+        const reason = error.revert ? `${error.revert.name}(${error.revert.args.join(", ")})` : (error.shortMessage ?? error.message);
+        throw new Error(`Seeding nodes ${first} to ${first + count - 1} would fail: ${reason}`);
+    }
+}
+
+/**
+ * Split the nodes into batches that each fit in `maxGas`, measured with
+ * `eth_estimateGas` against the current state of the contract. Batches are
+ * independent of each other, none of them reads what another writes.
+ * @param {ethers.Contract} rewards
+ * @param {Array<Object>} nodes
+ * @param {bigint} maxGas
+ * @returns {Promise<Array<{first: number, count: number, gas: string}>>}
+ */
+async function planBatches(rewards, nodes, maxGas) {
+    const batches = [];
+    let guess     = 1;
+    for (let first = 0; first < nodes.length;) {
+        const remaining = nodes.length - first;
+        let count       = Math.min(remaining, guess);
+        let best        = null;
+        for (;;) {
+            const gas = await estimateBatch(rewards, nodes, first, count);
+            if (gas <= maxGas) {
+                // NOTE: Each node's share of the batch includes the fixed cost
+                // of the transaction, so scaling up stays under the limit
+                best       = { count, gas };
+                const next = Math.min(remaining, Number((BigInt(count) * maxGas) / gas));
+                if (next <= count) break;
+                count = next;
+            } else if (best) {
+                break;
+            } else if (count === 1) {
+                throw new Error(`Seeding node ${first} alone needs ${gas} gas, more than the maximum of ${maxGas}`);
+            } else {
+                count = Math.max(1, Math.min(count - 1, Number((BigInt(count) * maxGas) / gas)));
+            }
+        }
+        batches.push({ first, count: best.count, gas: best.gas.toString() });
+        guess  = best.count;
+        first += best.count;
+    }
+    return batches;
+}
+
+/**
+ * Seed the nodes onto `ServiceNodeRewards`, resuming an unfinished migration of
+ * the same list from the manifest.
+ * @param {Object} hre Hardhat runtime environment, its first signer the owner
+ * @param {string} rewardsAddress
+ * @param {Array<Object>} nodes From `readSeedList`, checked by `seedListErrors`
+ * @param {Object} options
+ * @param {string} options.source Hash of the list, resuming requires the same
+ * @param {bigint} options.maxGas Gas a batch may use
+ * @returns {Promise<Object>} `{batches, totalNodes, aggregatePubkey}`
+ */
+async function seedNodes(hre, rewardsAddress, nodes, options) {
+    const network = hre.network.name;
+    const [owner] = await hre.ethers.getSigners();
+    const rewards = await hre.ethers.getContractAt("ServiceNodeRewards", rewardsAddress, owner);
+    const params  = { rewards: rewardsAddress, source: options.source, nodes: nodes.length, maxGas: options.maxGas };
+
+    // NOTE: The plan is recorded by its step, a resumed migration keeps the
+    // batches it started with as the nodes already seeded cannot be estimated
+    // again
+    let plan = resumableState(network, "seed", params)?.steps.plan?.result;
+    if (!plan) {
+        if ((await rewards.owner()) !== owner.address)
+            throw new Error(`The signer ${owner.address} is not the owner of ServiceNodeRewards at ${rewardsAddress}, only the owner can seed`);
+        if (await rewards.isStarted())
+            throw new Error(`ServiceNodeRewards at ${rewardsAddress} is started, it can no longer be seeded`);
+
+        const [ids, pubkeys] = await rewards.allServiceNodeIDs();
+        const existing       = new Map(pubkeys.map((pubkey, index) => [blsPubkeyKey(pubkey), ids[index]]));
+        const registered     = nodes.flatMap((node, index) => existing.has(blsPubkeyKey(node.blsPubkey))
+            ? [`node ${index}: blsPubkey is already registered as service node ${existing.get(blsPubkeyKey(node.blsPubkey))}`] : []);
+        if (registered.length) throw new Error(`The service node list overlaps the nodes on ServiceNodeRewards:\n  - ${registered.join("\n  - ")}`);
+
+        const aggregate = await rewards.aggregatePubkey();
+        plan = {
+            existingNodes:     (await rewards.totalNodes()).toString(),
+            existingAggregate: { X: aggregate.X.toString(), Y: aggregate.Y.toString() },
+            batches:           await planBatches(rewards, nodes, options.maxGas),
+        };
+    }
+    console.log(`Seeding ${chalk.cyan(nodes.length)} service nodes in ${chalk.cyan(plan.batches.length)} batches of at most ${options.maxGas} gas`);
+
+    const steps = [{ name: "plan", run: async () => plan, describe: (result) => `${result.batches.length} batches` }];
+    for (const [index, batch] of plan.batches.entries()) {
+        const last     = batch.first + batch.count - 1;
+        const toResult = (receipt) => ({ txHash: receipt.hash, gasUsed: receipt.gasUsed.toString() });
+        steps.push({
+            name:   `batch-${index}`,
+            params: { first: batch.first, count: batch.count },
+            run:    async (ctx) => {
+                const tx = await rewards.seedPublicKeyList(nodes.slice(batch.first, last + 1));
+                await ctx.sent(tx);
+                const receipt = await tx.wait();
+                console.log(`Seeded nodes ${batch.first} to ${last} in ${chalk.yellow(receipt.hash)}, ${receipt.gasUsed} gas`);
+                return toResult(receipt);
+            },
+            resume: async (ctx, receipt) => toResult(receipt),
+            check:  async () => {
+                for (const position of [batch.first, last])
+                    if ((await rewards.serviceNodeIDs(blsPubkeyKey(nodes[position].blsPubkey))) === 0n)
+                        throw new Error(`node ${position} of the list is not on ServiceNodeRewards`);
+            },
+            describe: () => `nodes ${batch.first} to ${last}`,
+        });
+    }
+    const results = await runSteps(hre, "seed", steps, { params });
+
+    // NOTE: Computed from the list alone, so a batch the contract took
+    // differently than expected shows up here
+    const expectedNodes     = BigInt(plan.existingNodes) + BigInt(nodes.length);
+    const expectedAggregate = bls.aggregatePublicKeys([plan.existingAggregate, ...nodes.map((node) => node.blsPubkey)]);
+    const totalNodes        = await rewards.totalNodes();
+    const aggregate         = await rewards.aggregatePubkey();
+    const mismatches        = [];
+    if (totalNodes !== expectedNodes) mismatches.push(`totalNodes is ${totalNodes}, expected ${expectedNodes}`);
+    if (aggregate.X !== expectedAggregate.X || aggregate.Y !== expectedAggregate.Y)
+        mismatches.push(`aggregatePubkey is (${aggregate.X}, ${aggregate.Y}), expected (${expectedAggregate.X}, ${expectedAggregate.Y})`);
+    if (mismatches.length) throw new Error(`ServiceNodeRewards does not hold the seeded list:\n  - ${mismatches.join("\n  - ")}`);
+    console.log(chalk.green(`ServiceNodeRewards holds ${totalNodes} nodes with the aggregate pubkey computed from the list`));
+
+    return {
+        batches:         plan.batches.map((batch, index) => ({ ...batch, ...results[`batch-${index}`] })),
+        totalNodes,
+        aggregatePubkey: { X: aggregate.X, Y: aggregate.Y },
+    };
+}
+
+/**
+ * @param {string} network
+ * @param {string} [dir] Defaults to the manifest directory
+ * @returns {string} Where to write a new report, `seed-report-<network>-<time>.json`
+ */
+function defaultReportFile(network, dir = manifestDir()) {
+    return path.join(dir, `seed-report-${network}-${Date.now()}.json`);
+}
+
+// The fields of a seeded node that differ from its entry in the list, as
+// `{field, expected, actual}` with the values as strings
+function nodeMismatches(node, onchain) {
+    const mismatches = [];
+    const compare    = (field, expected, actual) => {
+        if (String(expected) !== String(actual)) mismatches.push({ field, expected: String(expected), actual: String(actual) });
+    };
+    compare("blsPubkey.X", node.blsPubkey.X, onchain.blsPubkey.X);
+    compare("blsPubkey.Y", node.blsPubkey.Y, onchain.blsPubkey.Y);
+    compare("ed25519Pubkey", ethers.toBeHex(node.ed25519Pubkey, 32), ethers.toBeHex(onchain.ed25519Pubkey, 32));
+    compare("operator", node.contributors[0].staker.addr, onchain.operator);
+    compare("addedTimestamp", node.addedTimestamp, onchain.addedTimestamp);
+    compare("deposit", node.contributors.reduce((sum, contributor) => sum + contributor.stakedAmount, 0n), onchain.deposit);
+    compare("contributors.length", node.contributors.length, onchain.contributors.length);
+    for (const [position, contributor] of node.contributors.entries()) {
+        const actual = onchain.contributors[position];
+        if (!actual) break;
+        compare(`contributors[${position}].staker`, contributor.staker.addr, actual.staker.addr);
+        compare(`contributors[${position}].beneficiary`, contributor.staker.beneficiary, actual.staker.beneficiary);
+        compare(`contributors[${position}].amount`, contributor.stakedAmount, actual.stakedAmount);
+    }
+    return mismatches;
+}
+
+/**
+ * Compare every node of the list with the node `ServiceNodeRewards` holds for
+ * its BLS pubkey, read through `serviceNodes(id)`.
+ * @param {Object} hre Hardhat runtime environment
+ * @param {string} rewardsAddress
+ * @param {Array<Object>} nodes From `readSeedList`
+ * @returns {Promise<Object>} The report, `{rewards, blockNumber, isStarted,
+ * totalNodes, checked, missing, mismatched, unlisted, nodes}` where `nodes`
+ * has a `{index, id, status, mismatches}` per node of the list, its status one
+ * of "ok", "mismatch" or "missing", and `unlisted` the IDs of the nodes on the
+ * contract that are not in the list
+ */
+async function verifySeededNodes(hre, rewardsAddress, nodes) {
+    const rewards     = await hre.ethers.getContractAt("ServiceNodeRewards", rewardsAddress);
+    // NOTE: Read at one block so nodes changing meanwhile do not mix states
+    const blockTag    = await hre.ethers.provider.getBlockNumber();
+    const [ids]       = await rewards.allServiceNodeIDs({ blockTag });
+    const listed      = new Set();
+    const results     = [];
+    for (const [index, node] of nodes.entries()) {
+        const id = await rewards.serviceNodeIDs(blsPubkeyKey(node.blsPubkey), { blockTag });
+        if (id === 0n) {
+            results.push({ index, id: null, status: "missing", mismatches: [] });
+            continue;
+        }
+        listed.add(id);
+        const mismatches = nodeMismatches(node, await rewards.serviceNodes(id, { blockTag }));
+        results.push({ index, id: id.toString(), status: mismatches.length ? "mismatch" : "ok", mismatches });
+    }
+
+    return {
+        rewards:     rewardsAddress,
+        blockNumber: blockTag,
+        isStarted:   await rewards.isStarted({ blockTag }),
+        totalNodes:  (await rewards.totalNodes({ blockTag })).toString(),
+        checked:     nodes.length,
+        missing:     results.filter((result) => result.status === "missing").length,
+        mismatched:  results.filter((result) => result.status === "mismatch").length,
+        unlisted:    ids.filter((id) => !listed.has(id)).map((id) => id.toString()),
+        nodes:       results,
+    };
+}
+
+module.exports = {
+    blsPubkeyKey,
+    readSeedList,
+    seedListErrors,
+    planBatches,
+    seedNodes,
+    defaultReportFile,
+    verifySeededNodes,
+};
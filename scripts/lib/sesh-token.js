@@ -0,0 +1,220 @@
+// The SESH token on Ethereum (L1) and its Arbitrum (L2) counterpart: deploying
+// both and registering the pair with the Arbitrum custom gateway.
+//
+// The order is: `deployL1Token` on Ethereum, `deployL2Token` on Arbitrum with
+// the L1 address, then `registerTokenOnL2` (and optionally `bridgeToL2`) on
+// Ethereum with both addresses.
+const chalk = require("chalk");
+const { manifestPath, readManifest, recordDeployment } = require("./manifest.js");
+const { manifestTargets, verifyContracts } = require("./verify.js");
+
+// NOTE: The contracts assume 9 decimals, e.g. ServiceNodeRewards' claim
+// threshold is `1_000_000 * 1e9`
+const SESH_DECIMALS = 9;
+
+// Arbitrum token bridge defaults per network, see
+// https://docs.arbitrum.io/build-decentralized-apps/reference/contract-addresses
+const ARBITRUM_BRIDGE = {
+    mainnet: {
+        router:  "0x72Ce9c846789fdB6fC1f34aC4AD25Dd9ef7031ef", // https://github.com/OffchainLabs/arbitrum-sdk/blob/9326101b86353f9459767a221eaa0c733218e2fa/packages/sdk/src/lib/dataEntities/networks.ts#L160
+        gateway: "0xcEe284F754E854890e311e3280b767F80797180d", // https://github.com/OffchainLabs/arbitrum-sdk/blob/9326101b86353f9459767a221eaa0c733218e2fa/packages/sdk/src/lib/dataEntities/networks.ts#L164
+    },
+    arbitrum: {
+        gateway: "0x096760F208390250649E3e8763348E783AEF5562", // https://github.com/OffchainLabs/arbitrum-sdk/blob/9326101b86353f9459767a221eaa0c733218e2fa/packages/sdk/src/lib/dataEntities/networks.ts#L165C24-L165C66
+    },
+};
+
+// Retryable ticket parameters for the registration and bridging messages
+const L2_GAS_PRICE_BID                       = 1_000_000_000n;
+const MAX_GAS_FOR_CUSTOM_GATEWAY             = 1_000_000n;
+const MAX_GAS_FOR_ROUTER                     = 500_000n;
+const MAX_SUBMISSION_COST_FOR_CUSTOM_GATEWAY = 500_000_000_000_000n;
+const MAX_SUBMISSION_COST_FOR_ROUTER         = 300_000_000_000_000n;
+const BRIDGE_L1_MAX_GAS                      = 300_000n;
+const BRIDGE_L2_MAX_GAS                      = 1_000_000n;
+const BRIDGE_MAX_SUBMISSION_COST             = 500_000_000_000_000n;
+
+/**
+ * Deploy the L1 SESH token, minting the supply to the deployer.
+ * @param {Object} hre
+ * @param {Object} params
+ * @param {bigint} params.supply Atomic units
+ * @param {string} params.router Arbitrum L1 gateway router
+ * @param {string} params.gateway Arbitrum L1 custom gateway
+ * @param {boolean} [params.verify]
+ * @param {number} [params.confirmations] Wait for before verifying
+ * @returns {Promise<ethers.Contract>}
+ */
+async function deployL1Token(hre, params) {
+    const [owner]      = await hre.ethers.getSigners();
+    const ownerAddress = await owner.getAddress();
+    console.log("Deploying SESH contract to:", chalk.yellow(hre.network.name));
+
+    const constructorArgs = [params.supply, ownerAddress, params.gateway, params.router];
+    const SeshERC20       = await hre.ethers.getContractFactory("SESH", owner);
+    const seshERC20       = await SeshERC20.deploy(...constructorArgs);
+    await seshERC20.waitForDeployment();
+
+    console.log("  ", chalk.cyan(`SESH Contract`), "deployed to:", chalk.greenBright(await seshERC20.getAddress()));
+    console.log("  ", "Initial Supply will be received by:", chalk.green(ownerAddress));
+    await recordDeployment(hre, "SESH", seshERC20, { constructorArgs });
+    console.log("  ", "Deployment manifest written to:", chalk.yellow(manifestPath(hre.network.name)));
+
+    if (params.verify) {
+        const targets = await manifestTargets(hre, readManifest(hre.network.name), { names: ["SESH"] });
+        await verifyContracts(hre, targets, { confirmations: params.confirmations ?? 6 });
+    }
+    return seshERC20;
+}
+
+/**
+ * Deploy the L2 SESHL2 token behind a proxy.
+ * @param {Object} hre
+ * @param {Object} params
+ * @param {string} params.l1Token Address of the L1 SESH token
+ * @param {string} params.gateway Arbitrum L2 custom gateway
+ * @param {boolean} [params.verify]
+ * @param {number} [params.confirmations] Wait for before verifying
+ * @returns {Promise<ethers.Contract>}
+ */
+async function deployL2Token(hre, params) {
+    const [owner] = await hre.ethers.getSigners();
+    console.log("Deploying SESHL2 proxy contract to:", chalk.yellow(hre.network.name));
+
+    const initializerArgs = [params.gateway, params.l1Token];
+    const SESHL2          = await hre.ethers.getContractFactory("SESHL2", owner);
+    const seshl2Proxy     = await hre.upgrades.deployProxy(SESHL2, initializerArgs);
+    await seshl2Proxy.waitForDeployment();
+
+    console.log("  ", chalk.cyan("SESHL2 Proxy Contract"), "deployed to:", chalk.greenBright(await seshl2Proxy.getAddress()));
+    console.log("  ", "Deployment transaction sender:", chalk.green(await owner.getAddress()));
+    await recordDeployment(hre, "SESH", seshl2Proxy, { contract: "SESHL2", proxy: true, initializerArgs });
+    console.log("  ", "Deployment manifest written to:", chalk.yellow(manifestPath(hre.network.name)));
+
+    if (params.verify) {
+        const confirmations = params.confirmations ?? 60;
+        console.log(`Waiting for ${confirmations} confirmations of the proxy deploy ...`);
+        await seshl2Proxy.deploymentTransaction().wait(confirmations);
+        const targets = await manifestTargets(hre, readManifest(hre.network.name), { names: ["SESH"] });
+        await verifyContracts(hre, targets, { confirmations: 0 });
+    }
+    return seshl2Proxy;
+}
+
+/**
+ * @param {string} l2Token
+ * @param {string} creditBackAddress Refunded what the retryable tickets do not spend
+ * @returns {{args: Array, value: bigint}} The arguments and value of
+ * `SESH.registerTokenOnL2`
+ */
+function registrationCall(l2Token, creditBackAddress) {
+    const valueForGateway = MAX_SUBMISSION_COST_FOR_CUSTOM_GATEWAY + MAX_GAS_FOR_CUSTOM_GATEWAY * L2_GAS_PRICE_BID;
+    const valueForRouter  = MAX_SUBMISSION_COST_FOR_ROUTER + MAX_GAS_FOR_ROUTER * L2_GAS_PRICE_BID;
+    return {
+        args: [
+            l2Token,
+            MAX_SUBMISSION_COST_FOR_CUSTOM_GATEWAY,
+            MAX_SUBMISSION_COST_FOR_ROUTER,
+            MAX_GAS_FOR_CUSTOM_GATEWAY,
+            MAX_GAS_FOR_ROUTER,
+            L2_GAS_PRICE_BID,
+            valueForGateway,
+            valueForRouter,
+            creditBackAddress,
+        ],
+        value: valueForGateway + valueForRouter,
+    };
+}
+
+/**
+ * Register the L1 token with its L2 counterpart through the gateway and router
+ * the L1 token was deployed with.
+ * @param {Object} hre Connected to the L1 network
+ * @param {Object} params
+ * @param {string} params.l1Token
+ * @param {string} params.l2Token
+ * @returns {Promise<ethers.TransactionReceipt>}
+ */
+async function registerTokenOnL2(hre, params) {
+    const [owner]      = await hre.ethers.getSigners();
+    const ownerAddress = await owner.getAddress();
+    const l1Token      = await hre.ethers.getContractAt("SESH", params.l1Token, owner);
+
+    const call         = registrationCall(params.l2Token, ownerAddress);
+
+    console.log(chalk.blue("\nRegistering L1 token to L2 token..."));
+    console.log("Transaction parameters:");
+    console.log(`L1 Token Address: ${params.l1Token}`);
+    console.log(`L2 Token Address: ${params.l2Token}`);
+    console.log(`Max Submission Cost (Gateway): ${MAX_SUBMISSION_COST_FOR_CUSTOM_GATEWAY}`);
+    console.log(`Max Submission Cost (Router): ${MAX_SUBMISSION_COST_FOR_ROUTER}`);
+    console.log(`Max Gas (Gateway): ${MAX_GAS_FOR_CUSTOM_GATEWAY}`);
+    console.log(`Max Gas (Router): ${MAX_GAS_FOR_ROUTER}`);
+    console.log(`Gas Price Bid: ${L2_GAS_PRICE_BID}`);
+    console.log(`Value For Gateway: ${call.args[6]}`);
+    console.log(`Value For Router: ${call.args[7]}`);
+    console.log(`Total Value: ${call.value}`);
+
+    const registerTx = await l1Token.registerTokenOnL2(...call.args, { value: call.value });
+    console.log("Registration transaction submitted, waiting for confirmation...");
+    const receipt = await registerTx.wait();
+    console.log(chalk.green(`Token registration successful: ${receipt.hash}`));
+    return receipt;
+}
+
+/**
+ * Bridge `amount` of the deployer's L1 tokens to the same address on L2.
+ * @param {Object} hre Connected to the L1 network
+ * @param {Object} params
+ * @param {string} params.l1Token
+ * @param {bigint} params.amount Atomic units
+ * @returns {Promise<ethers.TransactionReceipt>}
+ */
+async function bridgeToL2(hre, params) {
+    const { ethers }   = hre;
+    const [owner]      = await ethers.getSigners();
+    const ownerAddress = await owner.getAddress();
+    const l1Token      = await ethers.getContractAt("SESH", params.l1Token, owner);
+    const gateway      = await l1Token.gateway();
+    const router       = new ethers.Contract(await l1Token.router(), [
+        "function outboundTransferCustomRefund(address _token, address _refundTo, address _to, uint256 _amount, uint256 _maxGas, uint256 _gasPriceBid, bytes calldata _data) external payable returns (bytes memory)",
+    ], owner);
+
+    console.log(chalk.blue("\nInitiating token bridge via the custom bridge..."));
+    const feeData      = await ethers.provider.getFeeData();
+    const l1GasPrice   = feeData.gasPrice ? feeData.gasPrice * 2n : ethers.parseUnits("10", "gwei");
+    const l2CallValue  = ethers.parseEther("0.002");
+    const totalL2Value = BRIDGE_MAX_SUBMISSION_COST + BRIDGE_L2_MAX_GAS * L2_GAS_PRICE_BID + l2CallValue;
+    const extraData    = ethers.AbiCoder.defaultAbiCoder().encode(["uint256", "bytes"], [BRIDGE_MAX_SUBMISSION_COST, "0x"]);
+
+    console.log(`Approving ${ethers.formatUnits(params.amount, 9)} tokens for the L1 Gateway...`);
+    await (await l1Token.approve(gateway, params.amount)).wait();
+    console.log(chalk.green("Token approval complete."));
+
+    console.log("Initiating outbound transfer on the custom bridge...");
+    const outboundTx = await router.outboundTransferCustomRefund(
+        params.l1Token,
+        ownerAddress,   // refund recipient
+        ownerAddress,   // destination on L2
+        params.amount,
+        BRIDGE_L2_MAX_GAS,
+        L2_GAS_PRICE_BID,
+        extraData,
+        { gasLimit: BRIDGE_L1_MAX_GAS, gasPrice: l1GasPrice, value: totalL2Value },
+    );
+    console.log("Outbound transfer transaction submitted, waiting for confirmation...");
+    const receipt = await outboundTx.wait();
+    console.log(chalk.green(`Outbound transfer successful: ${receipt.hash}`));
+    console.log(`Track the retryable ticket here: https://retryable-dashboard.arbitrum.io/tx/${receipt.hash}`);
+    return receipt;
+}
+
+module.exports = {
+    SESH_DECIMALS,
+    ARBITRUM_BRIDGE,
+    registrationCall,
+    deployL1Token,
+    deployL2Token,
+    registerTokenOnL2,
+    bridgeToL2,
+};
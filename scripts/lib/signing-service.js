@@ -0,0 +1,306 @@
+// A local stand-in for the oxend BLS signing RPC.
+//
+// Holds the keys of a simulated quorum (see quorum.js) and answers the same
+// JSON-RPC requests oxend does, `bls_rewards_request` and
+// `bls_exit_liquidation_request`, by collecting each node's partial signature
+// and aggregating them. Nodes can be made to go offline or to return invalid
+// partial signatures so that clients (scripts/liquidator.py, the C++
+// integration tests, JS bots) can be exercised end to end without a real
+// Session network.
+//
+// Results use the oxend encoding: signatures are the 4 `BLSSignatureParams`
+// words and pubkeys the 2 G1 words as one unprefixed hex string.
+const fs = require("fs");
+const http = require("http");
+const { ethers } = require("ethers");
+const bls = require("./bls.js");
+const { createQuorum } = require("./quorum.js");
+
+const BEHAVIOURS = ["online", "offline", "invalid"];
+
+// JSON-RPC 2.0 error codes
+const INVALID_REQUEST  = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS   = -32602;
+const INTERNAL_ERROR   = -32603;
+
+class RPCError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+const toWord = (value) => BigInt(value).toString(16).padStart(64, "0");
+
+function encodeSignature(params) {
+    return [params.sigs0, params.sigs1, params.sigs2, params.sigs3].map(toWord).join("");
+}
+
+function encodeG1(p) {
+    return toWord(p.X) + toWord(p.Y);
+}
+
+/**
+ * Create a signing service bound to a deployed `ServiceNodeRewards` contract.
+ * @param {ethers.Contract} serviceNodeRewards
+ * @param {Object} [options]
+ * @param {Object} [options.quorum] Quorum holding the node keys, defaults to an
+ * empty quorum, add nodes with `service.quorum.seed/register/addKeys`.
+ * @param {string} [options.nettype] Reported by `get_info`, default "localdev"
+ * @returns {Promise<Object>}
+ */
+async function createSigningService(serviceNodeRewards, options = {}) {
+    const quorum   = options.quorum ?? await createQuorum(serviceNodeRewards);
+    const nettype  = options.nettype ?? "localdev";
+    const provider = serviceNodeRewards.runner.provider;
+
+    // Keyed by the node's BLS pubkey so they survive the node's ID changing
+    const behaviours   = new Map();
+    const liquidatable = new Map();
+    const keyOf        = (pubkey) => `${BigInt(pubkey.X)}:${BigInt(pubkey.Y)}`;
+    let server         = null;
+
+    function findNode(ed25519Pubkey) {
+        let pubkey;
+        try {
+            pubkey = BigInt(ed25519Pubkey.startsWith("0x") ? ed25519Pubkey : "0x" + ed25519Pubkey);
+        } catch {
+            throw new RPCError(INVALID_PARAMS, `Invalid service node pubkey '${ed25519Pubkey}'`);
+        }
+        const node = quorum.nodes.find((candidate) => candidate.ed25519Pubkey === pubkey);
+        if (!node) throw new RPCError(INVALID_PARAMS, `Service node ${ed25519Pubkey} is not known to this service`);
+        return node;
+    }
+
+    async function latestBlock() {
+        return provider.getBlock("latest");
+    }
+
+    const service = {
+        quorum,
+
+        /**
+         * Set how a node responds to signing requests
+         * @param {Object} node A node of `service.quorum`
+         * @param {string} behaviour "online", "offline" (never answers) or
+         * "invalid" (answers with a partial signature over the wrong key)
+         */
+        setBehaviour(node, behaviour) {
+            if (!BEHAVIOURS.includes(behaviour))
+                throw new Error(`Unknown behaviour '${behaviour}', expected one of ${BEHAVIOURS.join(", ")}`);
+            if (behaviour === "online") behaviours.delete(keyOf(node.blsPubkey));
+            else behaviours.set(keyOf(node.blsPubkey), behaviour);
+        },
+
+        /**
+         * Report a node in `bls_exit_liquidation_list`
+         * @param {Object} node A node of `service.quorum`
+         * @param {number} [liquidationHeight] Height from which the node may be
+         * liquidated, defaults to 0 (immediately)
+         */
+        setLiquidatable(node, liquidationHeight = 0) {
+            liquidatable.set(keyOf(node.blsPubkey), { node, liquidationHeight });
+        },
+
+        /**
+         * Collect a partial signature over `message` from every node on the
+         * contract and aggregate them. Nodes that are offline, unknown to the
+         * quorum, or whose partial signature fails to verify become non-signers.
+         * @param {ethers.BytesLike} message
+         * @returns {Promise<{signature: Object, ids: bigint[]}>} `signature` as
+         * `BLSSignatureParams` and the non-signer `ids`
+         */
+        async aggregate(message) {
+            const hm    = bls.hashToG2(message, quorum.tags.hashToG2Tag);
+            const nodes = new Map(quorum.nodes.map((node) => [keyOf(node.blsPubkey), node]));
+            const [ids, pubkeys] = await serviceNodeRewards.allServiceNodeIDs();
+            if (ids.length === 0) throw new RPCError(INTERNAL_ERROR, "There are no service nodes on the contract to sign with");
+
+            const nonSigners = [];
+            let partials     = [];
+            for (let i = 0; i < ids.length; i++) {
+                const id        = ids[i];
+                const node      = nodes.get(keyOf(pubkeys[i]));
+                const behaviour = node ? behaviours.get(keyOf(node.blsPubkey)) : "offline";
+                if (behaviour === "offline") {
+                    nonSigners.push(id);
+                    continue;
+                }
+                const secretKey = behaviour === "invalid" ? bls.generateSecretKey() : node.secretKey;
+                partials.push({ id, node, signature: bls.g2Mul(hm, secretKey) });
+            }
+
+            // NOTE: Verify the aggregate once and only check partials one by
+            // one when it fails, as each check is a pairing.
+            const check = (pubkey, signature) => bls.pairingCheck([
+                [bls.G1_GENERATOR, signature],
+                [bls.g1Negate(pubkey), hm],
+            ]);
+            const aggregateOf = (entries) => ({
+                pubkey:    bls.aggregatePublicKeys(entries.map((entry) => entry.node.blsPubkey)),
+                signature: bls.aggregateSignatures(entries.map((entry) => entry.signature)),
+            });
+            let aggregate = aggregateOf(partials);
+            if (partials.length > 0 && !check(aggregate.pubkey, aggregate.signature)) {
+                const valid = partials.filter((entry) => check(entry.node.blsPubkey, entry.signature));
+                for (const entry of partials) {
+                    if (!valid.includes(entry)) nonSigners.push(entry.id);
+                }
+                partials  = valid;
+                aggregate = aggregateOf(partials);
+            }
+
+            const threshold = await serviceNodeRewards.blsNonSignerThreshold();
+            if (BigInt(nonSigners.length) > threshold) {
+                throw new RPCError(INTERNAL_ERROR,
+                    `Insufficient signatures: ${partials.length} of ${ids.length} nodes signed, ` +
+                    `at most ${threshold} non-signers are permitted but there were ${nonSigners.length}`);
+            }
+
+            return { signature: bls.signatureToParams(aggregate.signature), ids: nonSigners };
+        },
+
+        /**
+         * Handle a single JSON-RPC request object
+         * @param {Object} request `{jsonrpc, id, method, params}`
+         * @returns {Promise<Object>} The JSON-RPC response
+         */
+        async handle(request) {
+            const id = request?.id ?? null;
+            try {
+                if (typeof request !== "object" || request === null || typeof request.method !== "string")
+                    throw new RPCError(INVALID_REQUEST, "Invalid JSON-RPC request");
+                const method = methods[request.method];
+                if (!method) throw new RPCError(METHOD_NOT_FOUND, `Method not found: ${request.method}`);
+                return { jsonrpc: "2.0", id, result: await method(request.params ?? {}) };
+            } catch (error) {
+                const code = error instanceof RPCError ? error.code : INTERNAL_ERROR;
+                return { jsonrpc: "2.0", id, error: { code, message: error.message } };
+            }
+        },
+
+        /**
+         * Serve `POST /json_rpc` over HTTP
+         * @param {number} [port] Defaults to a random free port
+         * @param {string} [host]
+         * @returns {Promise<string>} The base URL, i.e. what liquidator.py takes as `--oxen`
+         */
+        async listen(port = 0, host = "127.0.0.1") {
+            server = http.createServer((req, res) => {
+                if (req.method !== "POST" || req.url !== "/json_rpc") {
+                    res.writeHead(404).end();
+                    return;
+                }
+                let body = "";
+                req.on("data", (chunk) => body += chunk);
+                req.on("end", async () => {
+                    let response;
+                    try {
+                        response = await service.handle(JSON.parse(body));
+                    } catch {
+                        response = { jsonrpc: "2.0", id: null, error: { code: -32700, message: "Parse error" } };
+                    }
+                    res.writeHead(200, { "Content-Type": "application/json" }).end(JSON.stringify(response));
+                });
+            });
+            await new Promise((resolve, reject) => {
+                server.once("error", reject);
+                server.listen(port, host, resolve);
+            });
+            return `http://${host}:${server.address().port}`;
+        },
+
+        /** Stop serving HTTP requests */
+        async close() {
+            if (!server) return;
+            await new Promise((resolve) => server.close(resolve));
+            server = null;
+        },
+    };
+
+    const methods = {
+        async get_info() {
+            return { status: "OK", nettype, height: (await latestBlock()).number };
+        },
+
+        async get_height() {
+            return { status: "OK", height: (await latestBlock()).number };
+        },
+
+        // NOTE: Unlike oxend the service keeps no rewards ledger, the amount to
+        // sign for is part of the request.
+        async bls_rewards_request(params) {
+            if (!ethers.isAddress(params.address)) throw new RPCError(INVALID_PARAMS, `Invalid address '${params.address}'`);
+            let amount;
+            try {
+                amount = BigInt(params.amount);
+            } catch {
+                throw new RPCError(INVALID_PARAMS, `Invalid amount '${params.amount}'`);
+            }
+
+            const message = bls.rewardsMessage(quorum.tags.rewardTag, params.address, amount);
+            const { signature, ids } = await service.aggregate(message);
+            return {
+                status:             "OK",
+                address:            ethers.getAddress(params.address),
+                amount:             amount.toString(),
+                height:             (await latestBlock()).number,
+                msg_to_sign:        ethers.hexlify(message).slice(2),
+                non_signer_indices: ids.map(Number),
+                signature:          encodeSignature(signature),
+            };
+        },
+
+        async bls_exit_liquidation_request(params) {
+            if (typeof params.pubkey !== "string") throw new RPCError(INVALID_PARAMS, "Missing service node pubkey");
+            const node = findNode(params.pubkey);
+            if (node.id === null) throw new RPCError(INVALID_PARAMS, `Service node ${params.pubkey} is not registered on the contract`);
+
+            const timestamp = (await latestBlock()).timestamp;
+            const tag       = params.liquidate ? quorum.tags.liquidateTag : quorum.tags.exitTag;
+            const message   = bls.removalMessage(tag, node.blsPubkey, timestamp);
+            const { signature, ids } = await service.aggregate(message);
+            return {
+                status:             "OK",
+                bls_pubkey:         encodeG1(node.blsPubkey),
+                msg_to_sign:        ethers.hexlify(message).slice(2),
+                non_signer_indices: ids.map(Number),
+                signature:          encodeSignature(signature),
+                timestamp:          timestamp,
+            };
+        },
+
+        async bls_exit_liquidation_list() {
+            return [...liquidatable.values()].map(({ node, liquidationHeight }) => ({
+                service_node_pubkey: toWord(node.ed25519Pubkey),
+                liquidation_height:  liquidationHeight,
+                info: { bls_public_key: encodeG1(node.blsPubkey) },
+            }));
+        },
+    };
+
+    return service;
+}
+
+/**
+ * Read a node keys file, `{"nodes": [...]}` where each entry is either
+ * `{blsSecretKey, ed25519Pubkey}` or a `sesh:keygen` registration bundle.
+ * @param {string} file
+ * @returns {Array<{secretKey: bigint, ed25519Pubkey: bigint}>} For `quorum.addKeys`
+ */
+function readNodeKeys(file) {
+    const json = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!Array.isArray(json.nodes)) throw new Error(`${file} has no 'nodes' array`);
+    return json.nodes.map((entry, index) => {
+        const ed25519Pubkey = entry.ed25519Pubkey ?? entry.serviceNodeParams?.serviceNodePubkey;
+        if (entry.blsSecretKey === undefined || ed25519Pubkey === undefined)
+            throw new Error(`Node ${index} in ${file} needs a blsSecretKey and an ed25519Pubkey`);
+        return { secretKey: BigInt(entry.blsSecretKey), ed25519Pubkey: BigInt(ed25519Pubkey) };
+    });
+}
+
+module.exports = {
+    createSigningService,
+    readNodeKeys,
+};
@@ -0,0 +1,103 @@
+// Snapshot of the state of a `ServiceNodeRewards` deployment: its parameters,
+// every service node with its contributors, and the rewards of every
+// beneficiary. The reads go through Multicall3 in batches, see multicall.js,
+// all at one block so the snapshot is internally consistent.
+const { multicall } = require("./multicall.js");
+
+// NOTE: Printed by sesh:dump in this order
+const STATE_GETTERS = [
+    "aggregatePubkey",
+    "blsNonSignerThresholdMax",
+    "blsNonSignerThreshold",
+    "claimThreshold",
+    "claimCycle",
+    "currentClaimTotal",
+    "currentClaimCycle",
+    "lastHeightPubkeyWasAggregated",
+    "liquidatorRewardRatio",
+    "maxContributors",
+    "maxPermittedPubkeyAggregations",
+    "nextServiceNodeID",
+    "numPubkeyAggregationsForHeight",
+    "poolShareOfLiquidationRatio",
+    "recipientRatio",
+    "exitTag",
+    "rewardTag",
+    "stakingRequirement",
+    "totalNodes",
+    "isStarted",
+];
+
+/**
+ * @param {Object} hre Hardhat runtime environment
+ * @param {string} rewardsAddress
+ * @param {Object} [options]
+ * @param {number|string} [options.blockTag] Block to snapshot, defaults to the latest
+ * @param {number} [options.batchSize] Calls per `eth_call`
+ * @param {boolean} [options.skipContributors] Leave out the service nodes'
+ * details and the contributors' rewards
+ * @returns {Promise<Object>} `{address, blockNumber, state, totalNodes,
+ * serviceNodes: [{id, blsPubkey, ...}], contributors: [{address, total_staked,
+ * rewards_balance, rewards_claimed}]}`, the service nodes only with their ID
+ * and key and `contributors` null with `skipContributors`
+ */
+async function snapshotRewards(hre, rewardsAddress, options = {}) {
+    const rewards     = await hre.ethers.getContractAt("ServiceNodeRewards", rewardsAddress);
+    const blockNumber = (await hre.ethers.provider.getBlock(options.blockTag ?? "latest")).number;
+    const read        = (calls) => multicall(hre, calls, { blockTag: blockNumber, batchSize: options.batchSize });
+
+    const values = await read(STATE_GETTERS.map((method) => ({ contract: rewards, method })));
+    const state  = Object.fromEntries(STATE_GETTERS.map((method, index) => [method, values[index][0]]));
+    state.aggregatePubkey = { X: state.aggregatePubkey.X, Y: state.aggregatePubkey.Y };
+
+    const [ids, pubkeys] = await rewards.allServiceNodeIDs({ blockTag: blockNumber });
+    const snapshot       = {
+        address:      rewardsAddress,
+        blockNumber,
+        state,
+        totalNodes:   state.totalNodes,
+        serviceNodes: ids.map((id, index) => ({ id, blsPubkey: { X: pubkeys[index].X, Y: pubkeys[index].Y } })),
+        contributors: null,
+    };
+    if (options.skipContributors) return snapshot;
+
+    const nodes = await read(ids.map((id) => ({ contract: rewards, method: "serviceNodes", args: [id] })));
+    for (const [index, [node]] of nodes.entries()) {
+        Object.assign(snapshot.serviceNodes[index], {
+            operator:                    node.operator,
+            ed25519Pubkey:               node.ed25519Pubkey,
+            addedTimestamp:              node.addedTimestamp,
+            leaveRequestTimestamp:       node.leaveRequestTimestamp,
+            latestLeaveRequestTimestamp: node.latestLeaveRequestTimestamp,
+            deposit:                     node.deposit,
+            contributors:                node.contributors.map((contributor) => ({
+                staker:       contributor.staker.addr,
+                beneficiary:  contributor.staker.beneficiary,
+                stakedAmount: contributor.stakedAmount,
+            })),
+        });
+    }
+
+    // NOTE: Contributors are keyed by the beneficiary their rewards are paid
+    // out to
+    const contributors = new Map();
+    for (const node of snapshot.serviceNodes) {
+        for (const contributor of node.contributors) {
+            const previous = contributors.get(contributor.beneficiary)?.total_staked ?? 0n;
+            contributors.set(contributor.beneficiary, { total_staked: previous + contributor.stakedAmount, rewards_balance: 0n, rewards_claimed: 0n });
+        }
+    }
+    const addresses  = [...contributors.keys()];
+    const recipients = await read(addresses.map((address) => ({ contract: rewards, method: "recipients", args: [address] })));
+    for (const [index, address] of addresses.entries()) {
+        const info           = contributors.get(address);
+        info.rewards_balance = recipients[index].rewards;
+        info.rewards_claimed = recipients[index].claimed;
+    }
+    snapshot.contributors = addresses.map((address) => ({ address, ...contributors.get(address) }));
+    return snapshot;
+}
+
+module.exports = {
+    snapshotRewards,
+};
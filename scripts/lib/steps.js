@@ -0,0 +1,186 @@
+// Resumable deployments. A deployment is a list of named steps whose progress
+// is recorded in the network's manifest, under `steps.<pipeline>`, as each one
+// completes so a deploy that fails part way can be re-run:
+//
+// - Completed steps are skipped, after their `check` confirms the chain still
+//   matches what was recorded.
+// - A step that sent a transaction but never saw it mined (`ctx.sent`) waits
+//   for that transaction instead of sending another one.
+// - Everything else runs as normal.
+//
+// A pipeline started with some `params` refuses to resume with different ones
+// until it is reset, e.g. with `--fresh`. Once every step of it has completed,
+// re-running with different params starts a new deployment instead.
+const chalk = require("chalk");
+const { readManifest, writeManifest } = require("./manifest.js");
+
+const canonical = (value) => JSON.stringify(value ?? null, (_, v) => typeof v === "bigint" ? v.toString() : v);
+
+function saveState(hre, pipeline, state, options) {
+    const manifest = readManifest(hre.network.name, options);
+    manifest.steps = { ...manifest.steps, [pipeline]: state };
+    writeManifest(manifest, options);
+}
+
+/**
+ * @param {string} network Hardhat network name
+ * @param {string} pipeline
+ * @param {Object} [options]
+ * @param {string} [options.dir]
+ * @returns {Object|null} `{params, startedAt, completedAt, steps}` recorded for
+ * the pipeline, with `steps` keyed by step name
+ */
+function pipelineState(network, pipeline, options = {}) {
+    return readManifest(network, options).steps?.[pipeline] ?? null;
+}
+
+/**
+ * @param {string} network Hardhat network name
+ * @param {string} pipeline
+ * @param {Object} params Parameters of the whole pipeline
+ * @param {Object} [options]
+ * @param {string} [options.dir]
+ * @returns {Object|null} The state `runSteps` would resume with `params`, null
+ * if it would start a new deployment
+ */
+function resumableState(network, pipeline, params, options = {}) {
+    const state = pipelineState(network, pipeline, options);
+    return state && canonical(state.params) === canonical(params) ? state : null;
+}
+
+/**
+ * Forget the progress of a pipeline so its next run starts from scratch. What
+ * it deployed stays recorded in the manifest's contracts until redeployed.
+ * @param {Object} hre Hardhat runtime environment
+ * @param {string} pipeline
+ * @param {Object} [options]
+ * @param {string} [options.dir]
+ */
+function resetSteps(hre, pipeline, options = {}) {
+    const manifest = readManifest(hre.network.name, options);
+    if (!manifest.steps?.[pipeline]) return;
+    delete manifest.steps[pipeline];
+    writeManifest(manifest, options);
+}
+
+// The receipt of a recorded transaction if it was (or is about to be) mined
+// successfully, null if it was dropped or reverted
+async function pendingReceipt(hre, txHash) {
+    const tx = await hre.ethers.provider.getTransaction(txHash);
+    if (!tx) return null;
+    try {
+        return await tx.wait();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Run the steps of a pipeline in order, skipping those already completed.
+ *
+ * Each step is `{name, params, run, resume, check, describe}`:
+ * - `run(ctx)` performs the step and returns its result, which must be JSON
+ *   serialisable (addresses, hashes).
+ * - `params` (optional) are compared against those the step completed with, a
+ *   mismatch is an error rather than silently reusing the old result.
+ * - `resume(ctx, receipt)` (optional) turns the receipt of a transaction
+ *   recorded with `ctx.sent` into the step's result, defaults to `{txHash}`.
+ * - `check(ctx, result)` (optional) throws if a completed step's result no
+ *   longer holds on chain.
+ *
+ * `ctx` is `{hre, results, sent}`: the results of the steps so far by name, and
+ * `sent(tx)` which records a transaction before waiting on it.
+ *
+ * @param {Object} hre Hardhat runtime environment
+ * @param {string} pipeline Name the progress is recorded under, e.g. "contracts"
+ * @param {Array<Object>} steps
+ * @param {Object} [options]
+ * @param {Object} [options.params] Parameters of the whole pipeline
+ * @param {string} [options.dir]
+ * @returns {Promise<Object>} The result of every step, keyed by name
+ */
+async function runSteps(hre, pipeline, steps, options = {}) {
+    const network = hre.network.name;
+    let state     = pipelineState(network, pipeline, options);
+    if (state && options.params !== undefined && canonical(state.params) !== canonical(options.params)) {
+        if (!state.completedAt)
+            throw new Error(`The unfinished ${pipeline} deployment on ${network} was started with different parameters, ` +
+                            `re-run it with the same ones or pass --fresh to start over`);
+        console.log(chalk.yellow(`Parameters differ from the completed ${pipeline} deployment on ${network}, starting a new one`));
+        state = null;
+    }
+    if (!state) state = { params: options.params ?? null, startedAt: new Date().toISOString(), completedAt: null, steps: {} };
+    const save = () => saveState(hre, pipeline, state, options);
+
+    const results = {};
+    for (const step of steps) {
+        const record = state.steps[step.name];
+        if (record && step.params !== undefined && canonical(record.params) !== canonical(step.params))
+            throw new Error(`Step ${step.name} of the ${pipeline} deployment on ${network} was completed with different parameters, ` +
+                            `pass --fresh to start over`);
+
+        const ctx = {
+            hre,
+            results,
+            sent: async (tx) => {
+                state.steps[step.name] = { status: "pending", params: step.params ?? null, txHash: tx.hash };
+                save();
+            },
+        };
+
+        if (record?.status === "done") {
+            if (step.check) {
+                try {
+                    await step.check(ctx, record.result);
+                } catch (error) {
+                    throw new Error(`Completed step ${step.name} of the ${pipeline} deployment on ${network} no longer holds: ` +
+                                    `${error.message}. Pass --fresh to start over`);
+                }
+            }
+            const description = step.describe ? `: ${step.describe(record.result)}` : "";
+            console.log(chalk.gray(`Skipping completed step ${step.name}${description}`));
+            results[step.name] = record.result;
+            continue;
+        }
+
+        let result;
+        if (record?.status === "pending") {
+            console.log(`Waiting on ${step.name} transaction ${chalk.yellow(record.txHash)} from an earlier run ...`);
+            const receipt = await pendingReceipt(hre, record.txHash);
+            if (receipt) {
+                result = step.resume ? await step.resume(ctx, receipt) : { txHash: receipt.hash };
+            } else {
+                console.log(chalk.yellow(`Transaction ${record.txHash} of step ${step.name} was dropped or reverted, running it again`));
+            }
+        }
+        if (result === undefined) result = (await step.run(ctx)) ?? {};
+
+        state.steps[step.name] = { status: "done", params: step.params ?? null, result, completedAt: new Date().toISOString() };
+        save();
+        results[step.name] = result;
+    }
+
+    state.completedAt = steps.every((step) => state.steps[step.name]?.status === "done") ? new Date().toISOString() : null;
+    save();
+    return results;
+}
+
+/**
+ * A `check` for steps that deploy a contract, its code must still be there.
+ * @param {string} [key] Key of the result holding the address
+ * @returns {Function}
+ */
+function hasCode(key = "address") {
+    return async (ctx, result) => {
+        const code = await ctx.hre.ethers.provider.getCode(result[key]);
+        if (code === "0x") throw new Error(`there is no contract at ${result[key]}`);
+    };
+}
+
+module.exports = {
+    pipelineState,
+    resumableState,
+    resetSteps,
+    runSteps,
+    hasCode,
+};
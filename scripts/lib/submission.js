@@ -0,0 +1,139 @@
+// Submission of exit and liquidation signatures with respect to their expiry.
+//
+// `_validateBLSExitWithSignature` rejects a signature once
+// `block.timestamp > timestamp + signatureExpiry` (10 minutes by default).
+// Arbitrum's `block.timestamp` can lag behind or run ahead of wall-clock time,
+// so the time a transaction will be mined at is estimated from both the latest
+// block and the local clock. Signatures that would expire before then are
+// refused and a fresh one requested instead of paying for a revert.
+
+// Seconds allowed for a transaction to be sent and mined
+const DEFAULT_INCLUSION_DELAY = 30;
+// Extra seconds a signature must remain valid for past the expected inclusion
+const DEFAULT_SAFETY_MARGIN   = 30;
+const DEFAULT_MAX_ATTEMPTS    = 3;
+
+const wallClock = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Work out how long a removal signature remains valid for.
+ * @param {ethers.Contract} serviceNodeRewards
+ * @param {bigint|number} timestamp The timestamp the signature was made for
+ * @param {Object} [options]
+ * @param {Function} [options.now] Returns the wall-clock time in seconds
+ * @param {number} [options.inclusionDelay] Seconds expected until the transaction is mined
+ * @param {number} [options.safetyMargin] Seconds the signature must outlive the inclusion by
+ * @returns {Promise<Object>} `{timestamp, expiresAt, chainTime, wallClock,
+ * skew, expectedInclusion, remaining, usable}`, times in seconds as bigints.
+ * `skew` is the chain ahead (positive) or behind (negative) of the local
+ * clock, `remaining` the validity left at the expected inclusion time.
+ */
+async function signatureWindow(serviceNodeRewards, timestamp, options = {}) {
+    const inclusionDelay = BigInt(options.inclusionDelay ?? DEFAULT_INCLUSION_DELAY);
+    const safetyMargin   = BigInt(options.safetyMargin ?? DEFAULT_SAFETY_MARGIN);
+    const expiry         = await serviceNodeRewards.signatureExpiry();
+    const chainTime      = BigInt((await serviceNodeRewards.runner.provider.getBlock("latest")).timestamp);
+    const localTime      = BigInt((options.now ?? wallClock)());
+
+    // NOTE: The next block is never earlier than the latest one. When the
+    // chain lags the local clock it is assumed to catch up by the time the
+    // transaction is mined.
+    const expectedInclusion = (chainTime > localTime ? chainTime : localTime) + inclusionDelay;
+    const expiresAt         = BigInt(timestamp) + expiry;
+    const remaining         = expiresAt - expectedInclusion;
+    return {
+        timestamp:         BigInt(timestamp),
+        expiresAt,
+        chainTime,
+        wallClock:         localTime,
+        skew:              chainTime - localTime,
+        expectedInclusion,
+        remaining,
+        usable:            remaining >= safetyMargin,
+    };
+}
+
+/**
+ * Request a removal signature from oxend (or `sesh:signing-service`) with
+ * `bls_exit_liquidation_request`.
+ * @param {string} oxenURL Base URL of the RPC, e.g. http://127.0.0.1:22023
+ * @param {string} ed25519Pubkey Hex service node pubkey
+ * @param {Object} [options]
+ * @param {boolean} [options.liquidate]
+ * @returns {Promise<{blsPubkey: Object, timestamp: bigint, signature: Object, ids: bigint[]}>}
+ */
+async function requestRemovalSignature(oxenURL, ed25519Pubkey, options = {}) {
+    const response = await fetch(oxenURL + "/json_rpc", {
+        method:  "POST",
+        headers: { "Content-Type": "application/json" },
+        body:    JSON.stringify({
+            jsonrpc: "2.0",
+            id:      0,
+            method:  "bls_exit_liquidation_request",
+            params:  { pubkey: ed25519Pubkey, liquidate: options.liquidate ?? false },
+        }),
+    });
+    const json = await response.json();
+    if (json.error) throw new Error(`Failed to obtain removal signature for ${ed25519Pubkey}: ${json.error.message}`);
+
+    const { result } = json;
+    const words = (hex, count) => Array.from({ length: count }, (_, i) => BigInt("0x" + hex.slice(i * 64, (i + 1) * 64)));
+    const [X, Y] = words(result.bls_pubkey, 2);
+    const [sigs0, sigs1, sigs2, sigs3] = words(result.signature, 4);
+    return {
+        blsPubkey: { X, Y },
+        timestamp: BigInt(result.timestamp),
+        signature: { sigs0, sigs1, sigs2, sigs3 },
+        ids:       result.non_signer_indices.map(BigInt),
+    };
+}
+
+/**
+ * Submit `exitBLSPublicKeyWithSignature` or
+ * `liquidateBLSPublicKeyWithSignature`, re-requesting the signature while it
+ * would expire before the transaction is likely to be mined.
+ * @param {ethers.Contract} serviceNodeRewards Connected to the sending signer
+ * @param {Object} params
+ * @param {{X: bigint, Y: bigint}} params.blsPubkey Node to remove
+ * @param {boolean} [params.liquidate] Liquidate instead of exit
+ * @param {Function} params.requestSignature Async, returns `{timestamp,
+ * signature, ids}` for a fresh signature, e.g. `requestRemovalSignature`
+ * @param {number} [params.maxAttempts] Signatures to request before giving up
+ * @param {number} [params.inclusionDelay]
+ * @param {number} [params.safetyMargin]
+ * @param {Function} [params.now]
+ * @param {Function} [params.log] Called with a message when a signature is refused
+ * @returns {Promise<{tx: ethers.TransactionResponse, validity: Object, attempts: number}>}
+ */
+async function submitRemoval(serviceNodeRewards, params) {
+    const maxAttempts = params.maxAttempts ?? DEFAULT_MAX_ATTEMPTS;
+    const method      = params.liquidate ? "liquidateBLSPublicKeyWithSignature" : "exitBLSPublicKeyWithSignature";
+    const log         = params.log ?? (() => {});
+
+    let validity;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const { timestamp, signature, ids } = await params.requestSignature();
+        validity = await signatureWindow(serviceNodeRewards, timestamp, params);
+        if (!validity.usable) {
+            log(`Signature for timestamp ${timestamp} expires at ${validity.expiresAt}, ${validity.remaining}s after the ` +
+                `expected inclusion at ${validity.expectedInclusion} (chain skew ${validity.skew}s), ` +
+                `requesting a new one (attempt ${attempt}/${maxAttempts})`);
+            continue;
+        }
+
+        const tx = await serviceNodeRewards[method](params.blsPubkey, timestamp, signature, ids);
+        return { tx, validity, attempts: attempt };
+    }
+
+    throw new Error(`Unable to obtain a signature that stays valid until inclusion after ${maxAttempts} attempts, ` +
+                    `the last expires at ${validity.expiresAt} with inclusion expected at ${validity.expectedInclusion}`);
+}
+
+module.exports = {
+    DEFAULT_INCLUSION_DELAY,
+    DEFAULT_SAFETY_MARGIN,
+    DEFAULT_MAX_ATTEMPTS,
+    signatureWindow,
+    requestRemovalSignature,
+    submitRemoval,
+};
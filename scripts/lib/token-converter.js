@@ -0,0 +1,114 @@
+// TokenConverter deployment, wOXEN in for SESH out at a conversion rate. With
+// `create2` it is deployed through `TokenConverterFactory`, itself deployed
+// through the CREATE2 deployer (see create2.js), so its address is known
+// beforehand. That address derives from the tokens, the rate and the owner, it
+// only matches on another chain where all of them are the same.
+const chalk = require("chalk");
+const { readManifest, recordDeployment } = require("./manifest.js");
+const { deriveSalt, predictAddress, deployCreate2 } = require("./create2.js");
+const { verifyContracts } = require("./verify.js");
+
+// NOTE: The factory has no constructor arguments, so it has one address on
+// every chain
+const FACTORY_SALT = deriveSalt(["string"], ["TokenConverterFactory"]);
+
+// The address `TokenConverterFactory.deploy` creates a converter at
+async function predictConverter(hre, TokenConverter, constructorArgs, salt, owner) {
+    const factory       = await predictAddress(await hre.ethers.getContractFactory("TokenConverterFactory"), [], FACTORY_SALT);
+    const converterSalt = hre.ethers.keccak256(hre.ethers.AbiCoder.defaultAbiCoder().encode(["address", "bytes32"], [owner, salt]));
+    const initCode      = (await TokenConverter.getDeployTransaction(...constructorArgs)).data;
+    return hre.ethers.getCreate2Address(factory, converterSalt, hre.ethers.keccak256(initCode));
+}
+
+// Deploy the converter through the factory, deploying the factory first if
+// it is not on this chain yet
+async function deployThroughFactory(hre, TokenConverter, constructorArgs, salt, owner) {
+    const address = await predictConverter(hre, TokenConverter, constructorArgs, salt, owner);
+    if ((await hre.ethers.provider.getCode(address)) !== "0x") return { address, txHash: null, existing: true };
+
+    const [deployer] = await hre.ethers.getSigners();
+    const Factory    = await hre.ethers.getContractFactory("TokenConverterFactory", deployer);
+    const deployed   = await deployCreate2(hre, Factory, [], FACTORY_SALT);
+    if (!deployed.existing) console.log("TokenConverterFactory deployed to:", chalk.greenBright(deployed.address));
+
+    const factory = Factory.attach(deployed.address);
+    const receipt = await (await factory.deploy(salt, ...constructorArgs, owner)).wait();
+    if ((await hre.ethers.provider.getCode(address)) === "0x")
+        throw new Error(`TokenConverterFactory deploy ${receipt.hash} did not create a converter at ${address}`);
+    return { address, txHash: receipt.hash, existing: false };
+}
+
+/**
+ * @param {string} [salt] Mixed in to deploy the same converter to another address
+ * @returns {string} The CREATE2 salt of the TokenConverter
+ */
+function converterSalt(salt) {
+    return deriveSalt(["string"], ["TokenConverter"], salt);
+}
+
+/**
+ * Deploy a TokenConverter and record it in the manifest as "TokenConverter".
+ * @param {Object} hre
+ * @param {Object} params
+ * @param {string} params.tokenA Token converted from, e.g. wOXEN
+ * @param {string} params.tokenB Token converted to, SESH
+ * @param {bigint} params.numerator
+ * @param {bigint} params.denominator `denominator` of token A convert to
+ * `numerator` of token B
+ * @param {string} params.owner
+ * @param {boolean} [params.create2] Deploy through `TokenConverterFactory`,
+ * unless the converter already exists at its address
+ * @param {string} [params.salt] See `converterSalt`
+ * @param {boolean} [params.predict] Only return the CREATE2 address
+ * @param {boolean} [params.verify]
+ * @returns {Promise<{address: string, txHash: string|null, existing: boolean}>}
+ */
+async function deployTokenConverter(hre, params) {
+    const TokenConverter  = await hre.ethers.getContractFactory("TokenConverter");
+    const constructorArgs = [params.tokenA, params.tokenB, params.numerator, params.denominator];
+    const salt            = converterSalt(params.salt);
+
+    if (params.predict) {
+        const address  = await predictConverter(hre, TokenConverter, constructorArgs, salt, params.owner);
+        const existing = (await hre.ethers.provider.getCode(address)) !== "0x";
+        console.log("TokenConverter address:", chalk.greenBright(address), existing ? "(deployed)" : "(not deployed)");
+        return { address, txHash: null, existing };
+    }
+
+    console.log("Deploying TokenConverter...");
+    let deployed;
+    if (params.create2) {
+        deployed = await deployThroughFactory(hre, TokenConverter, constructorArgs, salt, params.owner);
+        const receipt = deployed.txHash ? await hre.ethers.provider.getTransactionReceipt(deployed.txHash) : null;
+        if (deployed.existing) console.log(chalk.gray(`TokenConverter already deployed at ${deployed.address}, skipping`));
+        // NOTE: Keep the manifest's record of a converter found on chain, it
+        // has the deploy transaction
+        if (!deployed.existing || readManifest(hre.network.name).contracts.TokenConverter?.address !== deployed.address)
+            await recordDeployment(hre, "TokenConverter", TokenConverter.attach(deployed.address), { constructorArgs, receipt });
+    } else {
+        const tokenConverter = await TokenConverter.deploy(...constructorArgs);
+        const entry          = await recordDeployment(hre, "TokenConverter", tokenConverter, { constructorArgs });
+        deployed = { address: entry.address, txHash: entry.txHash, existing: false };
+        if ((await tokenConverter.owner()) !== params.owner) {
+            console.log("Transferring TokenConverter ownership to:", chalk.yellow(params.owner));
+            await (await tokenConverter.transferOwnership(params.owner)).wait();
+        }
+    }
+    if (!deployed.existing) console.log("TokenConverter deployed to:", chalk.greenBright(deployed.address));
+
+    if (params.verify) {
+        await verifyContracts(hre, [{
+            name:                 "TokenConverter",
+            address:              deployed.address,
+            contract:             "contracts/utils/TokenConverter.sol:TokenConverter",
+            constructorArguments: constructorArgs,
+            txHash:               deployed.txHash,
+        }]);
+    }
+    return deployed;
+}
+
+module.exports = {
+    converterSalt,
+    deployTokenConverter,
+};
@@ -0,0 +1,192 @@
+// Checks around a proxy upgrade beyond what the upgrades plugin validates:
+//
+// - Proxies not in the deployment manifest are found in the plugin's own
+//   `.openzeppelin` manifest by the contract that declares their storage.
+// - The storage layout recorded there for the current implementation is
+//   diffed against the new one so the operator sees what moved.
+// - `VERSION` has to increase.
+// - A few state samples per contract read the same before and after, the
+//   cheapest sign that storage was not shifted or reinitialised.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// NOTE: The file names the upgrades plugin uses for these chains, see
+// `networkNames` in @openzeppelin/upgrades-core. Other chains are
+// `unknown-<chainId>`.
+const OPENZEPPELIN_NETWORKS = {
+    1:        "mainnet",
+    42161:    "arbitrum-one",
+    11155111: "sepolia",
+};
+
+// Getters read before and after an upgrade of the proxy recorded under each
+// name, they must not change
+const STATE_SAMPLES = {
+    ServiceNodeRewards:             ["totalNodes", "aggregatePubkey", "stakingRequirement"],
+    RewardRatePool:                 ["SESH", "beneficiary", "totalPaidOut", "lastPaidOutTime"],
+    ServiceNodeContributionFactory: ["stakingRewardsContract"],
+    SESH:                           ["totalSupply"],
+};
+
+const VERSION_ABI = ["function VERSION() view returns (uint256)"];
+
+/**
+ * @param {Object} hre Hardhat runtime environment
+ * @returns {Promise<string>} The `.openzeppelin` manifest of the current
+ * network, on Hardhat and Anvil nodes the per-instance one in the temp dir
+ */
+async function openzeppelinManifestFile(hre) {
+    const chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+    let metadata;
+    try {
+        metadata = await hre.network.provider.send("hardhat_metadata", []);
+    } catch (error) {
+        metadata = undefined;
+    }
+    if (metadata) return path.join(os.tmpdir(), "openzeppelin-upgrades", `hardhat-${chainId}-${metadata.instanceId}.json`);
+    return path.join(hre.config.paths.root, ".openzeppelin", `${OPENZEPPELIN_NETWORKS[chainId] ?? `unknown-${chainId}`}.json`);
+}
+
+/**
+ * @param {string} file
+ * @returns {Object} The `.openzeppelin` manifest, empty if there is none
+ */
+function readOpenzeppelinManifest(file) {
+    if (!fs.existsSync(file)) return { proxies: [], impls: {} };
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    return { ...data, proxies: data.proxies ?? [], impls: data.impls ?? {} };
+}
+
+/**
+ * @param {Object} data As returned by `readOpenzeppelinManifest`
+ * @param {string} implementation Address of an implementation
+ * @returns {Object|undefined} The recorded storage layout of `implementation`
+ */
+function recordedLayout(data, implementation) {
+    const address = implementation.toLowerCase();
+    const impl = Object.values(data.impls).find((impl) =>
+        [impl.address, ...(impl.allAddresses ?? [])].some((candidate) => candidate.toLowerCase() === address));
+    return impl?.layout;
+}
+
+/**
+ * Find the proxies in the `.openzeppelin` manifest whose current
+ * implementation has storage declared by `contract`.
+ * @param {Object} hre Hardhat runtime environment
+ * @param {Object} data As returned by `readOpenzeppelinManifest`
+ * @param {string} contract e.g. "ServiceNodeRewards"
+ * @returns {Promise<string[]>} Their addresses
+ */
+async function findProxies(hre, data, contract) {
+    const found = [];
+    for (const proxy of data.proxies) {
+        if ((await hre.ethers.provider.getCode(proxy.address)) === "0x") continue;
+        let implementation;
+        try {
+            implementation = await hre.upgrades.erc1967.getImplementationAddress(proxy.address);
+        } catch (error) {
+            continue;
+        }
+        const layout = recordedLayout(data, implementation);
+        if (layout?.storage.some((item) => item.contract === contract)) found.push(ethers.getAddress(proxy.address));
+    }
+    return found;
+}
+
+// Render a storage variable for the diff, e.g. "uint256 totalNodes (slot 3)"
+function describeVariable(layout, item) {
+    const type   = layout.types?.[item.type]?.label ?? item.type;
+    const offset = item.offset ? `, offset ${item.offset}` : "";
+    return `${type} ${item.label} (slot ${item.slot}${offset})`;
+}
+
+/**
+ * Diff two storage layouts variable by variable, keyed by name as state
+ * variables cannot be shadowed.
+ * @param {Object} before Layout of the current implementation
+ * @param {Object} after Layout of the new implementation
+ * @returns {Array<Object>} `{change, variable, before, after}` for every
+ * variable `"added"`, `"removed"` or `"changed"`
+ */
+function diffLayouts(before, after) {
+    const key      = (item) => item.label;
+    const previous = new Map(before.storage.map((item) => [key(item), item]));
+    const next     = new Map(after.storage.map((item) => [key(item), item]));
+    const diff     = [];
+    for (const [variable, item] of previous) {
+        if (!next.has(variable)) {
+            diff.push({ change: "removed", variable, before: describeVariable(before, item), after: null });
+            continue;
+        }
+        const was = describeVariable(before, item);
+        const now = describeVariable(after, next.get(variable));
+        if (was !== now) diff.push({ change: "changed", variable, before: was, after: now });
+    }
+    for (const [variable, item] of next) {
+        if (!previous.has(variable)) diff.push({ change: "added", variable, before: null, after: describeVariable(after, item) });
+    }
+    return diff;
+}
+
+/**
+ * @param {ethers.ContractRunner} runner
+ * @param {string} address
+ * @returns {Promise<bigint|undefined>} `VERSION()` of the contract, undefined
+ * if it has none
+ */
+async function readVersion(runner, address) {
+    try {
+        return await new ethers.Contract(address, VERSION_ABI, runner).VERSION();
+    } catch (error) {
+        return undefined;
+    }
+}
+
+// Render a sampled value, structs as arrays and integers in decimal
+function display(value) {
+    return JSON.stringify(value, (_, v) => typeof v === "bigint" ? v.toString() : v);
+}
+
+/**
+ * Read the state samples of `name` through `contract`.
+ * @param {ethers.BaseContract} contract Attached to the proxy
+ * @param {string} name Name of the proxy in the deployment manifest
+ * @returns {Promise<Object>} Getter to rendered value, or to the error it threw
+ */
+async function sampleState(contract, name) {
+    const samples = {};
+    for (const getter of STATE_SAMPLES[name] ?? []) {
+        if (!contract.interface.getFunction(getter)) continue;
+        try {
+            samples[getter] = display(await contract[getter]());
+        } catch (error) {
+            samples[getter] = `error: ${error.shortMessage ?? error.message}`;
+        }
+    }
+    return samples;
+}
+
+/**
+ * @param {Object} before As returned by `sampleState`
+ * @param {Object} after
+ * @returns {Array<Object>} `{getter, before, after}` for every sample that differs
+ */
+function compareSamples(before, after) {
+    return Object.keys(before)
+        .filter((getter) => before[getter] !== after[getter])
+        .map((getter) => ({ getter, before: before[getter], after: after[getter] }));
+}
+
+module.exports = {
+    STATE_SAMPLES,
+    openzeppelinManifestFile,
+    readOpenzeppelinManifest,
+    recordedLayout,
+    findProxies,
+    diffLayouts,
+    readVersion,
+    sampleState,
+    compareSamples,
+};
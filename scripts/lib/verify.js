@@ -0,0 +1,255 @@
+// Source verification of deployed contracts on the block explorer, shared by
+// every deploy and by sesh:verify.
+//
+// - Each contract waits for its deploy transaction to be confirmed rather than
+//   sleeping for a fixed time.
+// - Etherscan is retried with exponential backoff while it has not indexed the
+//   contract yet, "already verified" counts as success.
+// - Sourcify is the fallback when Etherscan fails or has no API key.
+// - Failures never throw, deploys carry on and print a summary table. What
+//   verified is recorded in the manifest under `verifications` so the rest can
+//   be retried later from the manifest with sesh:verify.
+const chalk = require("chalk");
+const { readManifest, writeManifest } = require("./manifest.js");
+
+const DEFAULT_CONFIRMATIONS = 5;
+const DEFAULT_RETRIES       = 4;
+const DEFAULT_BACKOFF_MS    = 15_000;
+
+const ALREADY_VERIFIED = /already (been )?verified/i;
+
+// NOTE: Explorer errors that clear up by themselves, typically because the
+// explorer has not indexed the deploy yet or is rate limiting us
+const RETRYABLE = [
+    /does not have bytecode/i,
+    /unable to locate contractcode/i,
+    /network request failed/i,
+    /status code: (429|5\d\d)/i,
+    /rate limit/i,
+    /pending in queue/i,
+    /ETIMEDOUT|ECONNRESET|timed out/i,
+];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const errorMessage = (error) => String(error?.message ?? error).split("\n")[0];
+
+/**
+ * @param {Object} hre Hardhat runtime environment
+ * @returns {string|undefined} The block explorer API key of the current network
+ */
+function explorerApiKey(hre) {
+    const apiKey = hre.config.etherscan?.apiKey;
+    return (typeof apiKey === "object" ? apiKey[hre.network.name] : apiKey) || undefined;
+}
+
+/**
+ * @param {Object} hre Hardhat runtime environment
+ * @returns {{etherscan: boolean, sourcify: boolean}} Where contracts on the
+ * current network can be verified
+ */
+function verificationBackends(hre) {
+    return {
+        etherscan: hre.config.etherscan?.enabled !== false && explorerApiKey(hre) !== undefined,
+        sourcify:  hre.config.sourcify?.enabled === true,
+    };
+}
+
+// Fully qualified name of an artifact, so the plugin skips bytecode matching
+async function qualifiedName(hre, contract) {
+    try {
+        const artifact = await hre.artifacts.readArtifact(contract);
+        return `${artifact.sourceName}:${artifact.contractName}`;
+    } catch (error) {
+        return undefined;
+    }
+}
+
+/**
+ * Collect what to verify of a deployment manifest: every contract, the
+ * implementation rather than the proxy for proxies, and the vesting contracts
+ * recorded by sesh:vesting-deploy.
+ * @param {Object} hre Hardhat runtime environment
+ * @param {Object} manifest As returned by `readManifest`
+ * @param {Object} [options]
+ * @param {string[]} [options.names] Only these contracts, and no vesting
+ * contracts unless "TokenVestingStaking" is one of them
+ * @returns {Promise<Array<Object>>} `{name, address, contract,
+ * constructorArguments, txHash}` for `verifyContracts`
+ */
+async function manifestTargets(hre, manifest, options = {}) {
+    const wanted  = (name) => !options.names || options.names.includes(name);
+    const targets = [];
+    for (const [name, entry] of Object.entries(manifest.contracts)) {
+        if (!wanted(name)) continue;
+        const contract = await qualifiedName(hre, entry.contract);
+        if (entry.implementation) {
+            targets.push({ name: `${name} implementation`, address: entry.implementation, contract, constructorArguments: [], txHash: null });
+        } else {
+            targets.push({ name, address: entry.address, contract, constructorArguments: entry.constructorArgs ?? [], txHash: entry.txHash });
+        }
+    }
+
+    if (wanted("TokenVestingStaking")) {
+        const contract = await qualifiedName(hre, "TokenVestingStaking");
+        for (const [pipeline, state] of Object.entries(manifest.steps ?? {})) {
+            if (!pipeline.startsWith("vesting")) continue;
+            for (const [step, record] of Object.entries(state.steps)) {
+                if (!/^investor-\d+$/.test(step) || record.status !== "done") continue;
+                targets.push({
+                    name:                 `TokenVestingStaking for ${record.params[0]}`,
+                    address:              record.result.vestingAddress,
+                    contract,
+                    constructorArguments: record.params,
+                    txHash:               record.result.txHash ?? null,
+                });
+            }
+        }
+    }
+    return targets;
+}
+
+/**
+ * Verify a contract, on Etherscan with retries then on Sourcify.
+ * @param {Object} hre Hardhat runtime environment
+ * @param {Object} target See `manifestTargets`, `txHash` and `contract` are optional
+ * @param {Object} [options]
+ * @param {number} [options.confirmations] Of `target.txHash` to wait for first
+ * @param {number} [options.retries] Etherscan attempts after the first
+ * @param {number} [options.backoffMs] Wait before the first retry, doubling after
+ * @param {Object} [options.backends] See `verificationBackends`
+ * @param {Function} [options.run] Runs the verify subtasks, `hre.run` by default
+ * @param {Function} [options.sleep]
+ * @returns {Promise<Object>} `{name, address, status, explorer, attempts, error}`
+ * with `status` "verified", "already verified" or "failed"
+ */
+async function verifyContract(hre, target, options = {}) {
+    const run           = options.run ?? hre.run;
+    const wait          = options.sleep ?? sleep;
+    const backends      = options.backends ?? verificationBackends(hre);
+    const retries       = options.retries ?? DEFAULT_RETRIES;
+    const backoffMs     = options.backoffMs ?? DEFAULT_BACKOFF_MS;
+    const confirmations = options.confirmations ?? DEFAULT_CONFIRMATIONS;
+    const result        = { name: target.name, address: target.address, status: "failed", explorer: null, attempts: 0, error: null };
+
+    console.log(chalk.yellow(`\n--- Verifying ${target.name} at ${target.address} ---\n`));
+    if (target.txHash && confirmations > 0) {
+        console.log(`Waiting for ${confirmations} confirmations of ${target.txHash} ...`);
+        await hre.ethers.provider.waitForTransaction(target.txHash, confirmations);
+    }
+
+    if (backends.etherscan) {
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            result.attempts++;
+            try {
+                await run("verify:etherscan", {
+                    address:               target.address,
+                    constructorArgsParams: target.constructorArguments ?? [],
+                    contract:              target.contract,
+                    force:                 true,
+                });
+                return { ...result, status: "verified", explorer: "Etherscan" };
+            } catch (error) {
+                if (ALREADY_VERIFIED.test(error.message)) return { ...result, status: "already verified", explorer: "Etherscan" };
+                result.error = errorMessage(error);
+                if (attempt === retries || !RETRYABLE.some((pattern) => pattern.test(error.message))) break;
+                const delay = backoffMs * 2 ** attempt;
+                console.log(chalk.yellow(`Etherscan is not ready for ${target.name} (${result.error}), retrying in ${delay / 1000}s`));
+                await wait(delay);
+            }
+        }
+    }
+
+    if (backends.sourcify) {
+        if (backends.etherscan) console.log(chalk.yellow(`Falling back to Sourcify for ${target.name}`));
+        result.attempts++;
+        try {
+            await run("verify:sourcify", { address: target.address, contract: target.contract });
+            return { ...result, status: "verified", explorer: "Sourcify", error: null };
+        } catch (error) {
+            if (ALREADY_VERIFIED.test(error.message)) return { ...result, status: "already verified", explorer: "Sourcify", error: null };
+            result.error = errorMessage(error);
+        }
+    }
+    if (!backends.etherscan && !backends.sourcify) result.error = `No block explorer to verify on for ${hre.network.name}`;
+    return result;
+}
+
+/**
+ * Record the outcome of verifications in the manifest of the current network.
+ * @param {Object} hre Hardhat runtime environment
+ * @param {Array<Object>} results As returned by `verifyContract`
+ * @param {Object} [options]
+ * @param {string} [options.dir]
+ */
+function recordVerifications(hre, results, options = {}) {
+    const manifest = readManifest(hre.network.name, options);
+    manifest.verifications = manifest.verifications ?? {};
+    for (const result of results) {
+        manifest.verifications[result.address] = {
+            name:       result.name,
+            status:     result.status,
+            explorer:   result.explorer,
+            error:      result.error,
+            verifiedAt: result.status === "failed" ? null : new Date().toISOString(),
+        };
+    }
+    writeManifest(manifest, options);
+}
+
+/**
+ * @param {Array<Object>} results As returned by `verifyContract`
+ */
+function printSummary(results) {
+    if (!results.length) return;
+    console.log(chalk.cyan("\nVerification Summary:"));
+    console.table(results.map((result) => ({
+        Contract: result.name,
+        Address:  result.address,
+        Status:   result.status,
+        Explorer: result.explorer ?? "-",
+        Attempts: result.attempts,
+    })));
+    for (const result of results.filter((result) => result.status === "failed"))
+        console.log(chalk.red(`${result.name}: ${result.error}`));
+}
+
+/**
+ * Verify several contracts one after another, recording and summarising the
+ * outcome. Contracts already verified according to the manifest are skipped.
+ * @param {Object} hre Hardhat runtime environment
+ * @param {Array<Object>} targets See `manifestTargets`
+ * @param {Object} [options] As for `verifyContract`, and
+ * @param {boolean} [options.force] Verify again what the manifest says is verified
+ * @param {string} [options.dir]
+ * @returns {Promise<Array<Object>>} The result of every target, "skipped" ones included
+ */
+async function verifyContracts(hre, targets, options = {}) {
+    const recorded = readManifest(hre.network.name, options).verifications ?? {};
+    const results  = [];
+    for (const target of targets) {
+        const previous = recorded[target.address];
+        if (!options.force && previous && previous.status !== "failed") {
+            console.log(chalk.gray(`Skipping ${target.name} at ${target.address}, ${previous.status} on ${previous.explorer}`));
+            results.push({ name: target.name, address: target.address, status: "skipped", explorer: previous.explorer, attempts: 0, error: null });
+            continue;
+        }
+        const result = await verifyContract(hre, target, options);
+        recordVerifications(hre, [result], options);
+        results.push(result);
+    }
+    printSummary(results);
+    if (results.some((result) => result.status === "failed"))
+        console.log(chalk.yellow(`Retry the failed verifications later with: npx hardhat sesh:verify --network ${hre.network.name}`));
+    return results;
+}
+
+module.exports = {
+    explorerApiKey,
+    verificationBackends,
+    manifestTargets,
+    verifyContract,
+    verifyContracts,
+    recordVerifications,
+    printSummary,
+};
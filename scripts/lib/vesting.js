@@ -0,0 +1,406 @@
+// Investor vesting: a `TokenVestingStaking` contract per row of an investors
+// CSV, optionally funded from the deployer, and the results written to
+// `deployments/vesting-<network>-<time>.{json,csv}` for funding later.
+//
+// With `create2` the contracts are deployed through the CREATE2 deployer with a
+// salt derived from their CSV row, so their addresses can be predicted and
+// announced to investors before the deploy. The init code also holds the SESH,
+// ServiceNodeRewards and factory addresses, so a row only gets the same address
+// on another chain where those are the same too.
+const fs = require("fs");
+const path = require("path");
+const csv = require("csv-parse/sync");
+const chalk = require("chalk");
+const { manifestDir } = require("./manifest.js");
+const { pipelineState, resetSteps, runSteps, hasCode } = require("./steps.js");
+const { verifyContracts } = require("./verify.js");
+const { deriveSalt, predictAddress, deployCreate2 } = require("./create2.js");
+const { SESH_DECIMALS } = require("./sesh-token.js");
+
+const CSV_HEADERS = ["beneficiary", "revoker", "start", "end", "transferableBeneficiary", "amount"];
+
+/**
+ * Read and validate an investors CSV with the headers
+ * beneficiary,revoker,start,end,transferableBeneficiary,amount
+ * @param {Object} hre
+ * @param {string} file
+ * @param {Object} [options]
+ * @param {number} [options.now] Start times must be after this, in seconds
+ * @returns {Array<Object>} `{beneficiary, revoker, start, end,
+ * transferableBeneficiary, amount}` with `start`/`end` in seconds and the
+ * `amount` string in SESH
+ */
+function readInvestors(hre, file, options = {}) {
+    if (!fs.existsSync(file)) throw new Error(`Investors CSV not found at ${file}, its headers must be: ${CSV_HEADERS.join(",")}`);
+
+    const records = csv.parse(fs.readFileSync(file), { columns: true, skip_empty_lines: true });
+    const missing = CSV_HEADERS.filter((header) => records.length && !(header in records[0]));
+    if (missing.length) throw new Error(`Investors CSV ${file} is missing the columns: ${missing.join(", ")}`);
+
+    const now = options.now ?? Math.floor(Date.now() / 1000);
+    return records.map((record, index) => {
+        const row = `${file} row ${index + 1}`;
+        if (!hre.ethers.isAddress(record.beneficiary)) throw new Error(`${row}: invalid beneficiary address: ${record.beneficiary}`);
+        if (!hre.ethers.isAddress(record.revoker)) throw new Error(`${row}: invalid revoker address: ${record.revoker}`);
+
+        const start = Math.floor(new Date(record.start).getTime() / 1000);
+        const end   = Math.floor(new Date(record.end).getTime() / 1000);
+        if (Number.isNaN(start) || Number.isNaN(end)) throw new Error(`${row}: invalid start or end date: ${record.start}, ${record.end}`);
+        if (start <= now) throw new Error(`${row}: start time must be in the future. Current: ${now}, Start: ${start}`);
+        if (end <= start) throw new Error(`${row}: end time must be after start time. Start: ${start}, End: ${end}`);
+
+        try {
+            hre.ethers.parseUnits(record.amount, SESH_DECIMALS);
+        } catch (error) {
+            throw new Error(`${row}: invalid amount of SESH: ${record.amount}`);
+        }
+
+        return {
+            beneficiary:             hre.ethers.getAddress(record.beneficiary),
+            revoker:                 hre.ethers.getAddress(record.revoker),
+            start,
+            end,
+            transferableBeneficiary: record.transferableBeneficiary.toLowerCase() === "true",
+            amount:                  record.amount,
+        };
+    });
+}
+
+// A step transferring `amount` SESH into a vesting contract, shared by
+// `deployVesting` and `fundVesting` so a contract is only ever funded once
+function fundStep(hre, seshContract, vestingAddress, amount) {
+    return {
+        name:   `fund:${vestingAddress}`,
+        params: { amount },
+        run: async (ctx) => {
+            console.log(chalk.cyan(`Transferring ${amount} SESH to ${vestingAddress}...`));
+            const transferTx = await seshContract.transfer(vestingAddress, hre.ethers.parseUnits(amount, SESH_DECIMALS));
+            await ctx.sent(transferTx);
+            await transferTx.wait();
+            console.log(chalk.green("Tokens transferred:"), chalk.yellow(amount), "SESH, tx hash:", transferTx.hash);
+            return { txHash: transferTx.hash };
+        },
+        describe: (result) => `${amount} SESH already transferred to ${vestingAddress} in ${result.txHash}`,
+    };
+}
+
+/**
+ * @param {Object} hre
+ * @param {Object} investor As returned by `readInvestors`
+ * @param {string} [salt] Mixed into the salt of every row
+ * @returns {string} The CREATE2 salt of the investor's vesting contract,
+ * derived from every column of their CSV row
+ */
+function vestingSalt(hre, investor, salt) {
+    return deriveSalt(
+        ["address", "address", "uint256", "uint256", "bool", "uint256"],
+        [
+            investor.beneficiary,
+            investor.revoker,
+            investor.start,
+            investor.end,
+            investor.transferableBeneficiary,
+            hre.ethers.parseUnits(investor.amount, SESH_DECIMALS),
+        ],
+        salt);
+}
+
+/**
+ * @param {Object} hre
+ * @param {Array<Object>} investors As returned by `readInvestors`
+ * @param {string} [salt] Mixed into the salt of every row
+ * @returns {Array<string>} `vestingSalt` of every investor, throwing if two
+ * rows are identical as they would get the same address
+ */
+function vestingSalts(hre, investors, salt) {
+    const rows = new Map();
+    return investors.map((investor, index) => {
+        const derived = vestingSalt(hre, investor, salt);
+        if (rows.has(derived))
+            throw new Error(`Investors rows ${rows.get(derived) + 1} and ${index + 1} are identical and would get the same CREATE2 address, ` +
+                            "merge them or tell them apart (e.g. by their start)");
+        rows.set(derived, index);
+        return derived;
+    });
+}
+
+// Constructor arguments of an investor's TokenVestingStaking
+function vestingArgs(investor, params) {
+    return [
+        investor.beneficiary,
+        investor.revoker,
+        investor.start,
+        investor.end,
+        investor.transferableBeneficiary,
+        params.rewards,
+        params.factory,
+        params.sesh,
+    ];
+}
+
+/**
+ * Predict the CREATE2 addresses `deployVesting` deploys to with `create2`,
+ * without deploying anything.
+ * @param {Object} hre
+ * @param {Array<Object>} investors As returned by `readInvestors`
+ * @param {Object} params As for `deployVesting`
+ * @returns {Promise<Array<Object>>} `{beneficiary, vestingAddress, amount,
+ * deployed}` per investor, `deployed` if there is a contract at the address
+ */
+async function predictVesting(hre, investors, params) {
+    const TokenVestingStaking = await hre.ethers.getContractFactory("TokenVestingStaking");
+    const salts               = vestingSalts(hre, investors, params.salt);
+    const predictions         = [];
+    for (const [index, investor] of investors.entries()) {
+        const vestingAddress = await predictAddress(TokenVestingStaking, vestingArgs(investor, params), salts[index]);
+        predictions.push({
+            beneficiary: investor.beneficiary,
+            vestingAddress,
+            amount:      investor.amount,
+            deployed:    (await hre.ethers.provider.getCode(vestingAddress)) !== "0x",
+        });
+    }
+
+    console.log(chalk.cyan("\nPredicted vesting contract addresses:"));
+    console.table(predictions.map((prediction) => ({
+        Beneficiary:        prediction.beneficiary,
+        "Vesting Contract": prediction.vestingAddress,
+        Amount:             prediction.amount,
+        Deployed:           prediction.deployed ? "yes" : "no",
+    })));
+    return predictions;
+}
+
+/**
+ * @param {string} file Investors CSV
+ * @returns {string} The name `deployVesting` records its progress under
+ */
+function vestingPipeline(file) {
+    return `vesting-${path.basename(file, path.extname(file))}`;
+}
+
+/**
+ * Deploy a vesting contract per investor. Failures are reported and skipped so
+ * the results of the rest are still written out.
+ *
+ * Progress is recorded in the manifest under `params.pipeline`, re-running
+ * after a crash or failure reuses the contracts already deployed (and funded)
+ * for each investor rather than deploying duplicates.
+ * @param {Object} hre
+ * @param {Array<Object>} investors As returned by `readInvestors`
+ * @param {Object} params
+ * @param {string} params.sesh
+ * @param {string} params.rewards ServiceNodeRewards
+ * @param {string} params.factory ServiceNodeContributionFactory
+ * @param {string} [params.pipeline] See `vestingPipeline`, defaults to "vesting"
+ * @param {boolean} [params.fresh] Deploy every contract again
+ * @param {boolean} [params.create2] Deploy through the CREATE2 deployer,
+ * skipping contracts that already exist at their address
+ * @param {string} [params.salt] See `vestingSalt`
+ * @param {boolean} [params.verify]
+ * @param {boolean} [params.fund] Transfer each `amount` from the deployer
+ * @param {string} [params.outDir] Defaults to the manifest directory
+ * @returns {Promise<{contracts: Array<Object>, failed: Array<Object>, json: string, csv: string}>}
+ */
+async function deployVesting(hre, investors, params) {
+    const networkName         = hre.network.name;
+    const pipeline            = params.pipeline ?? "vesting";
+    const TokenVestingStaking = await hre.ethers.getContractFactory("TokenVestingStaking");
+    const seshContract        = await hre.ethers.getContractAt("SESH", params.sesh);
+    const salts               = params.create2 ? vestingSalts(hre, investors, params.salt) : null;
+    if (params.fresh) resetSteps(hre, pipeline);
+
+    const deployedContracts = [];
+    const failed            = [];
+    const targets           = [];
+    for (const [index, investor] of investors.entries()) {
+        try {
+            const constructorArgs = vestingArgs(investor, params);
+            const salt            = params.create2 ? salts[index] : null;
+            const predicted       = params.create2 ? await predictAddress(TokenVestingStaking, constructorArgs, salt) : null;
+
+            const step    = `investor-${index + 1}`;
+            const results = await runSteps(hre, pipeline, [{
+                name:   step,
+                params: constructorArgs,
+                run: async (ctx) => {
+                    console.log(chalk.cyan("\nDeploying vesting contract for:"), chalk.yellow(investor.beneficiary));
+                    if (params.create2) {
+                        const deployed = await deployCreate2(hre, TokenVestingStaking, constructorArgs, salt, { sent: ctx.sent });
+                        if (deployed.existing) console.log(chalk.gray(`Vesting contract already deployed at ${deployed.address}, skipping`));
+                        else console.log(chalk.green("Vesting contract deployed to:"), chalk.yellow(deployed.address));
+                        return { vestingAddress: deployed.address, txHash: deployed.txHash, existing: deployed.existing };
+                    }
+                    const vestingContract = await TokenVestingStaking.deploy(...constructorArgs);
+                    await ctx.sent(vestingContract.deploymentTransaction());
+                    await vestingContract.waitForDeployment();
+                    const vestingAddress = await vestingContract.getAddress();
+                    console.log(chalk.green("Vesting contract deployed to:"), chalk.yellow(vestingAddress));
+                    return { vestingAddress, txHash: vestingContract.deploymentTransaction().hash };
+                },
+                // NOTE: A CREATE2 deploy is a call to the deployer, its receipt
+                // has no contract address
+                resume:   async (ctx, receipt) => ({ vestingAddress: predicted ?? receipt.contractAddress, txHash: receipt.hash }),
+                check:    hasCode("vestingAddress"),
+                describe: (result) => `vesting contract for ${investor.beneficiary} at ${result.vestingAddress}`,
+            }], { params: params.create2 ? { create2: true, salt: params.salt ?? "" } : undefined });
+            const vestingAddress = results[step].vestingAddress;
+
+            // NOTE: A contract found at its CREATE2 address came from another
+            // run, which may have funded it already
+            if (params.fund && results[step].existing && (await seshContract.balanceOf(vestingAddress)) > 0n)
+                console.log(chalk.yellow(`Vesting contract ${vestingAddress} already holds SESH, not funding it`));
+            else if (params.fund) await runSteps(hre, pipeline, [fundStep(hre, seshContract, vestingAddress, investor.amount)]);
+            targets.push({
+                name:                 `TokenVestingStaking for ${investor.beneficiary}`,
+                address:              vestingAddress,
+                contract:             "contracts/utils/TokenVestingStaking.sol:TokenVestingStaking",
+                constructorArguments: constructorArgs,
+                txHash:               results[step].txHash ?? null,
+            });
+
+            deployedContracts.push({
+                beneficiary:             investor.beneficiary,
+                vestingAddress:          vestingAddress,
+                amount:                  investor.amount,
+                start:                   new Date(investor.start * 1000).toISOString(),
+                end:                     new Date(investor.end * 1000).toISOString(),
+                transferableBeneficiary: investor.transferableBeneficiary,
+                revoker:                 investor.revoker,
+            });
+        } catch (error) {
+            console.error(chalk.red(`Error deploying contract for ${investor.beneficiary}:`), error);
+            failed.push({ beneficiary: investor.beneficiary, error: error.message });
+        }
+    }
+
+    const deploymentResults = {
+        timestamp:               new Date().toISOString(),
+        network:                 networkName,
+        pipeline,
+        seshAddress:             params.sesh,
+        rewardsAddress:          params.rewards,
+        multiContributorAddress: params.factory,
+        create2:                 Boolean(params.create2),
+        salt:                    params.create2 ? params.salt ?? "" : null,
+        contracts:               deployedContracts,
+    };
+
+    const outputDir = params.outDir ?? manifestDir();
+    fs.mkdirSync(outputDir, { recursive: true });
+    const stem           = path.join(outputDir, `vesting-${networkName}-${Date.now()}`);
+    const jsonOutputPath = `${stem}.json`;
+    fs.writeFileSync(jsonOutputPath, JSON.stringify(deploymentResults, null, 2));
+    console.log(chalk.green("\nDeployment results saved to:"), jsonOutputPath);
+
+    const csvHeaders = ["beneficiary", "vestingAddress", "amount", "start", "end", "transferableBeneficiary", "revoker"];
+    const csvRows    = [
+        csvHeaders.join(","),
+        ...deployedContracts.map((contract) => csvHeaders.map((header) => contract[header]).join(",")),
+    ];
+    const csvOutputPath = `${stem}.csv`;
+    fs.writeFileSync(csvOutputPath, csvRows.join("\n"));
+    console.log(chalk.green("Deployment CSV summary saved to:"), csvOutputPath);
+
+    console.log(chalk.cyan("\nDeployment Summary:"));
+    console.log("Network:", chalk.yellow(networkName));
+    console.log("Total contracts deployed:", chalk.yellow(deployedContracts.length));
+    console.table(deployedContracts.map((c) => ({
+        Beneficiary:        c.beneficiary,
+        "Vesting Contract": c.vestingAddress,
+        Amount:             c.amount,
+    })));
+
+    if (params.verify) await verifyContracts(hre, targets);
+    return { contracts: deployedContracts, failed, json: jsonOutputPath, csv: csvOutputPath };
+}
+
+/**
+ * @param {string} networkName
+ * @param {string} [dir] Defaults to the manifest directory
+ * @returns {string|null} The most recent `deployVesting` results of the network
+ */
+function latestVestingFile(networkName, dir = manifestDir()) {
+    const pattern = new RegExp(`^vesting-${networkName}-(\\d+)\\.json$`);
+    const files   = fs.existsSync(dir) ? fs.readdirSync(dir).filter((file) => pattern.test(file)) : [];
+    files.sort((a, b) => Number(a.match(pattern)[1]) - Number(b.match(pattern)[1]));
+    return files.length ? path.join(dir, files[files.length - 1]) : null;
+}
+
+/**
+ * Transfer each vesting contract's `amount` from the deployer. Transfers are
+ * recorded in the manifest alongside the deployment, contracts already funded
+ * (by `deployVesting` with `fund` or an earlier run) are skipped.
+ * @param {Object} hre
+ * @param {string} file `deployVesting` results
+ * @param {Object} params
+ * @param {string} params.sesh
+ * @returns {Promise<{successful: number, skipped: number, failed: number}>}
+ */
+async function fundVesting(hre, file, params) {
+    const [deployer] = await hre.ethers.getSigners();
+
+    let deployments;
+    try {
+        deployments = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+        throw new Error(`Error reading vesting deployments ${file}: ${error.message}`);
+    }
+    if (!deployments || !Array.isArray(deployments["contracts"]) || deployments["contracts"].length === 0)
+        throw new Error(`Vesting deployments ${file} are empty or invalid`);
+    if (deployments.network && deployments.network !== hre.network.name)
+        throw new Error(`Vesting deployments ${file} are for ${deployments.network}, not ${hre.network.name}`);
+
+    const pipeline = deployments.pipeline ?? `vesting-fund-${path.basename(file, ".json")}`;
+    const funded   = pipelineState(hre.network.name, pipeline)?.steps ?? {};
+    const unfunded = deployments["contracts"].filter((deployment) => funded[`fund:${deployment["vestingAddress"]}`]?.status !== "done");
+
+    const seshContract    = await hre.ethers.getContractAt("SESH", params.sesh);
+    const deployerBalance = await seshContract.balanceOf(deployer.address);
+    const totalRequired   = unfunded.reduce((sum, deployment) => {
+        return sum + hre.ethers.parseUnits(deployment.amount, SESH_DECIMALS);
+    }, 0n);
+
+    console.log("Your balance:", chalk.yellow(hre.ethers.formatUnits(deployerBalance, SESH_DECIMALS)), "SESH");
+    console.log("Total required:", chalk.yellow(hre.ethers.formatUnits(totalRequired, SESH_DECIMALS)), "SESH",
+                `for ${unfunded.length} of ${deployments["contracts"].length} contract(s)`);
+    if (deployerBalance < totalRequired) {
+        throw new Error(`Insufficient SESH balance for transfers, you have ${hre.ethers.formatUnits(deployerBalance, SESH_DECIMALS)} ` +
+                        `SESH, but need ${hre.ethers.formatUnits(totalRequired, SESH_DECIMALS)} SESH`);
+    }
+
+    console.log(chalk.yellow("Starting transfers...\n"));
+    let successful = 0;
+    let failed     = 0;
+    for (const deployment of unfunded) {
+        try {
+            if (!hre.ethers.isAddress(deployment["vestingAddress"])) {
+                throw new Error(`Invalid vesting contract address: ${deployment["vestingAddress"]}`);
+            }
+            await runSteps(hre, pipeline, [fundStep(hre, seshContract, deployment["vestingAddress"], deployment["amount"])]);
+            successful++;
+        } catch (error) {
+            console.error(chalk.red(`Error transferring to ${deployment["vestingAddress"]}:`), error.message);
+            failed++;
+        }
+    }
+
+    const skipped = deployments["contracts"].length - unfunded.length;
+    console.log(chalk.cyan("\nTransfer Summary:"));
+    console.log("Total contracts:", chalk.yellow(deployments["contracts"].length));
+    console.log("Successful:", chalk.green(successful));
+    console.log("Already funded:", chalk.yellow(skipped));
+    console.log("Failed:", failed > 0 ? chalk.red(failed) : chalk.green(failed));
+    return { successful, skipped, failed };
+}
+
+module.exports = {
+    readInvestors,
+    vestingSalt,
+    vestingSalts,
+    vestingPipeline,
+    predictVesting,
+    deployVesting,
+    latestVestingFile,
+    fundVesting,
+};
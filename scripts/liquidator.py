@@ -23,6 +23,7 @@ import requests
 from eth_account import Account
 from solcx import compile_source, install_solc
 import argparse
+import json
 import sys
 import os
 from Crypto.Hash import keccak
@@ -46,6 +47,12 @@ netparser.add_argument(
 netparser.add_argument(
     "--mainnet", action="store_true", help="Run for the main Session network"
 )
+netparser.add_argument(
+    "--local",
+    metavar="DEVNET_JSON",
+    help="Run for a local devnet, reading its chain and contracts from the JSON written by "
+    "`npx hardhat sesh:devnet`",
+)
 
 
 parser.add_argument("-l", "--l2", help="L2 provider URL", required=True)
@@ -116,13 +123,22 @@ if not w3.is_connected():
     print("L2 connection failed; check your --l2 value", file=sys.stderr)
     sys.exit(1)
 
+devnet = None
+if args.local:
+    with open(args.local) as f:
+        devnet = json.load(f)
+
 netname = (
     "mainnet"
     if args.mainnet
     else (
         "testnet"
         if args.testnet
-        else "devnet" if args.devnet else "stagenet" if args.stagenet else "???"
+        else (
+            "devnet"
+            if args.devnet
+            else "stagenet" if args.stagenet else "localdev" if args.local else "???"
+        )
     )
 )
 
@@ -137,7 +153,9 @@ if oxen_net != netname:
     sys.exit(1)
 
 
-expect_chain = 0xA4B1 if args.mainnet else 0x66EEE
+expect_chain = (
+    int(devnet["chainId"]) if args.local else 0xA4B1 if args.mainnet else 0x66EEE
+)
 actual_chain = w3.eth.chain_id
 if actual_chain != expect_chain:
     print(
@@ -177,6 +195,12 @@ elif args.testnet:
         "0xA5E28A879F464438Bb300903464382feA62828D0",
         "0x0B5C58A27A41D5fE3FF83d74060d761D7dDDc1D2",
     )
+elif args.local:
+    print(f"Configured for the local devnet in {args.local}")
+    sesh_addr, snrewards_addr = (
+        devnet["contracts"]["SESH"],
+        devnet["contracts"]["ServiceNodeRewards"],
+    )
 else:
     print(f"This script does not support Session {netname} yet!", file=sys.stderr)
     sys.exit(1)
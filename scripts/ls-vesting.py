@@ -11,6 +11,7 @@ import requests
 from eth_account import Account
 from solcx import compile_source, install_solc
 import argparse
+import json
 import sys
 import os
 from Crypto.Hash import keccak
@@ -40,15 +41,36 @@ parser.add_argument(
     metavar="0x...",
 )
 
+parser.add_argument(
+    "-D",
+    "--devnet",
+    help="JSON written by `npx hardhat sesh:devnet`, validating against its contracts and "
+    "deployer and listing its vesting contracts unless others are given",
+    metavar="DEVNET_JSON",
+)
+
 parser.add_argument(
     "contracts",
-    nargs="+",
+    nargs="*",
     help="Stakable vesting contracts to query",
     metavar="0xContractAddr",
 )
 
 args = parser.parse_args()
 
+if args.devnet:
+    with open(args.devnet) as f:
+        devnet = json.load(f)
+    args.sesh = args.sesh or devnet["contracts"]["SESH"]
+    args.rewards = args.rewards or devnet["contracts"]["ServiceNodeRewards"]
+    args.contrib = args.contrib or devnet["contracts"]["ServiceNodeContributionFactory"]
+    args.revoker = args.revoker or devnet["deployer"]
+    if not args.contracts:
+        args.contracts = [n["contract"] for n in devnet["nodes"] if n["kind"] == "vesting"]
+
+if not args.contracts:
+    parser.error("no vesting contracts to query, pass them or a --devnet with vesting nodes")
+
 print(f"Loading contracts...")
 basedir = os.path.dirname(__file__) + "/.."
 install_solc("0.8.26")
@@ -0,0 +1,110 @@
+// Owner-only administration of the deployed contracts. Each task either sends
+// the call from the local signer, which must be the owner, or with --safe
+// writes it to a Safe Transaction Builder batch without broadcasting. See
+// scripts/lib/owner-call.js.
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { readManifest, resolveAddress } = require("../scripts/lib/manifest.js");
+const { ownerCall } = require("../scripts/lib/owner-call.js");
+const { parseAddress, parseSESH, requireContract, contractAddress } = require("./params.js");
+
+const PAUSABLE = ["ServiceNodeRewards", "ServiceNodeContributionFactory", "TokenConverter"];
+
+// Declare a task with the parameters every admin task shares
+function adminTask(name, description) {
+    return task(name, description)
+        .addOptionalParam("address", "Address of the contract (default: the network's deployment manifest)")
+        .addOptionalParam("safe", "Export a Safe Transaction Builder batch for this Safe instead of sending")
+        .addOptionalParam("out", "Batch file to write with --safe, appended to if it exists (default: deployments/safe-<network>-<time>.json)");
+}
+
+// Attach to `name` at --address or its address in the manifest
+async function adminContract(hre, args, name) {
+    const address  = await contractAddress(hre, args, "address", name);
+    const artifact = readManifest(hre.network.name).contracts[name]?.contract ?? name;
+    return hre.ethers.getContractAt(artifact, address);
+}
+
+async function adminCall(hre, args, contract, method, callArgs, options) {
+    const safe = args.safe !== undefined ? parseAddress(hre, "safe", args.safe) : undefined;
+    if (safe) await requireContract(hre, "Safe", safe);
+    if (args.out !== undefined && !safe) throw new HardhatPluginError("sesh", "--out only applies with --safe");
+    try {
+        return await ownerCall(hre, contract, method, callArgs, { ...options, safe, out: args.out });
+    } catch (error) {
+        throw new HardhatPluginError("sesh", error.shortMessage ?? error.message);
+    }
+}
+
+adminTask("sesh:set-staking-requirement", "Set the ServiceNodeRewards staking requirement")
+    .addParam("amount", "New staking requirement in SESH")
+    .setAction(async (args, hre) => {
+        const amount = parseSESH(hre, "amount", args.amount);
+        if (amount === 0n) throw new HardhatPluginError("sesh", "--amount must be greater than 0");
+        const rewards = await adminContract(hre, args, "ServiceNodeRewards");
+        return adminCall(hre, args, rewards, "setStakingRequirement", [amount], { label: "ServiceNodeRewards", note: `${args.amount} SESH` });
+    });
+
+adminTask("sesh:set-claim-threshold", "Set the SESH that ServiceNodeRewards lets be claimed per claim cycle")
+    .addParam("amount", "New claim threshold in SESH")
+    .setAction(async (args, hre) => {
+        const amount  = parseSESH(hre, "amount", args.amount);
+        const rewards = await adminContract(hre, args, "ServiceNodeRewards");
+        return adminCall(hre, args, rewards, "setClaimThreshold", [amount], { label: "ServiceNodeRewards", note: `${args.amount} SESH` });
+    });
+
+adminTask("sesh:set-liquidation-ratios", "Set how ServiceNodeRewards splits a liquidated stake")
+    .addParam("liquidator", "Share of the liquidator", undefined, types.int)
+    .addParam("pool", "Share returned to the RewardRatePool", undefined, types.int)
+    .addParam("recipient", "Share returned to the contributors", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const ratios = [args.liquidator, args.pool, args.recipient];
+        if (ratios.some((ratio) => ratio < 0)) throw new HardhatPluginError("sesh", "Liquidation ratios must not be negative");
+        const rewards = await adminContract(hre, args, "ServiceNodeRewards");
+        const total   = ratios.reduce((sum, ratio) => sum + ratio, 0);
+        return adminCall(hre, args, rewards, "setLiquidationRatios", ratios, {
+            label: "ServiceNodeRewards",
+            note:  `${args.liquidator}/${args.pool}/${args.recipient} of ${total}`,
+        });
+    });
+
+for (const [name, method] of [["sesh:pause", "pause"], ["sesh:unpause", "unpause"]]) {
+    adminTask(name, `${method === "pause" ? "Pause" : "Unpause"} ServiceNodeRewards, ServiceNodeContributionFactory or TokenConverter`)
+        .addOptionalParam("contract", `Manifest name of the contract, one of ${PAUSABLE.join(", ")}`, "ServiceNodeRewards")
+        .setAction(async (args, hre) => {
+            if (!PAUSABLE.includes(args.contract))
+                throw new HardhatPluginError("sesh", `--contract must be one of ${PAUSABLE.join(", ")}, got ${args.contract}`);
+            const contract = await adminContract(hre, args, args.contract);
+            return adminCall(hre, args, contract, method, [], { label: args.contract });
+        });
+}
+
+adminTask("sesh:set-beneficiary", "Set who the RewardRatePool pays out to")
+    .addOptionalParam("beneficiary", "New beneficiary (default: ServiceNodeRewards in the network's manifest)")
+    .setAction(async (args, hre) => {
+        let beneficiary;
+        if (args.beneficiary !== undefined) {
+            beneficiary = parseAddress(hre, "beneficiary", args.beneficiary);
+        } else {
+            try {
+                beneficiary = resolveAddress("ServiceNodeRewards", { network: hre.network.name });
+            } catch (error) {
+                throw new HardhatPluginError("sesh", `${error.message}, or pass --beneficiary`);
+            }
+        }
+        const pool = await adminContract(hre, args, "RewardRatePool");
+        return adminCall(hre, args, pool, "setBeneficiary", [beneficiary], { label: "RewardRatePool" });
+    });
+
+adminTask("sesh:update-conversion-rate", "Set the TokenConverter rate, --denominator of token A in converts to --numerator of token B out")
+    .addParam("numerator", "Token B out", undefined, types.bigint)
+    .addParam("denominator", "Token A in", undefined, types.bigint)
+    .setAction(async (args, hre) => {
+        if (args.numerator <= 0n || args.denominator <= 0n)
+            throw new HardhatPluginError("sesh", "--numerator and --denominator must be greater than 0");
+        const converter = await adminContract(hre, args, "TokenConverter");
+        return adminCall(hre, args, converter, "updateConversionRate", [args.numerator, args.denominator], {
+            label: "TokenConverter",
+            note:  `${args.denominator} in to ${args.numerator} out`,
+        });
+    });
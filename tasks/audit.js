@@ -0,0 +1,43 @@
+// sesh:audit-aggregate, check the contract's node count, aggregate pubkey and
+// pubkey lookups against the linked list. See scripts/lib/audit.js.
+const chalk = require("chalk");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { auditServiceNodeList } = require("../scripts/lib/audit.js");
+
+task("sesh:audit-aggregate", "Audit totalNodes, the aggregate BLS pubkey and the pubkey to ID mappings of ServiceNodeRewards")
+    .addParam("rewards", "Address of the ServiceNodeRewards contract")
+    .addOptionalParam("block", "Block number to audit at (default: latest)", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        if (!ethers.isAddress(args.rewards)) throw new HardhatPluginError("sesh", `Invalid rewards address: ${args.rewards}`);
+        if ((await ethers.provider.getCode(args.rewards, args.block)) === "0x")
+            throw new HardhatPluginError("sesh", `No contract deployed at ${args.rewards} on ${hre.network.name}`);
+
+        const rewards = await ethers.getContractAt("ServiceNodeRewards", args.rewards);
+        const report  = await auditServiceNodeList(rewards, { blockTag: args.block });
+
+        console.log(`Audit of ServiceNodeRewards ${args.rewards} on ${hre.network.name} at block ${report.blockNumber}`);
+        for (const check of report.checks) {
+            const status = check.ok ? chalk.green("PASS") : chalk.red("FAIL");
+            console.log(`  ${status} ${check.name.padEnd(24)} ${check.detail}`);
+        }
+
+        const { changesTotalNodes, changesAggregatePubkey } = report.rederive;
+        if (changesTotalNodes || changesAggregatePubkey) {
+            const changes = [
+                changesTotalNodes      && `totalNodes ${report.onChain.totalNodes} -> ${report.derived.totalNodes}`,
+                changesAggregatePubkey && "the aggregate pubkey",
+            ].filter(Boolean).join(" and ");
+            console.log(chalk.yellow(`rederiveTotalNodesAndAggregatePubkey() would change ${changes}`));
+        } else {
+            console.log("rederiveTotalNodesAndAggregatePubkey() would not change anything");
+        }
+
+        if (!report.ok) {
+            const failed = report.checks.filter((check) => !check.ok).map((check) => check.name);
+            throw new HardhatPluginError("sesh", `Audit failed: ${failed.join(", ")}`);
+        }
+        console.log(chalk.green("Audit passed"));
+        return report;
+    });
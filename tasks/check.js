@@ -0,0 +1,48 @@
+// sesh:check-deployment, check the contracts of the network's deployment
+// manifest are wired together as expected. See scripts/lib/deployment-check.js.
+const chalk = require("chalk");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { readManifest } = require("../scripts/lib/manifest.js");
+const { checkDeployment } = require("../scripts/lib/deployment-check.js");
+const { parseAddress, parseSESH } = require("./params.js");
+
+task("sesh:check-deployment", "Check the wiring, parameters, owners and implementations of the deployment in the manifest")
+    .addOptionalParam("owner", "Expected owner of the contracts and proxy admins (default: the deployer)")
+    .addOptionalParam("poolInitial", "SESH the RewardRatePool must have been funded with (default: that of sesh:deploy)")
+    .addOptionalParam("started", "Expected ServiceNodeRewards.isStarted (default: not checked)", undefined, types.boolean)
+    .addFlag("paused", "Expect ServiceNodeRewards and the factory to be paused")
+    .setAction(async (args, hre) => {
+        const manifest = readManifest(hre.network.name);
+        const expected = {
+            owner:       args.owner !== undefined ? parseAddress(hre, "owner", args.owner) : undefined,
+            poolInitial: args.poolInitial !== undefined ? parseSESH(hre, "pool-initial", args.poolInitial) : undefined,
+            started:     args.started,
+            paused:      args.paused,
+        };
+
+        let report;
+        try {
+            report = await checkDeployment(hre, manifest, expected);
+        } catch (error) {
+            throw new HardhatPluginError("sesh", error.message);
+        }
+
+        console.log(`Deployment check of ${hre.network.name}`);
+        for (const check of report.checks) {
+            if (check.ok) {
+                console.log(`  ${chalk.green("PASS")} ${check.name.padEnd(60)} ${check.actual}`);
+            } else {
+                console.log(`  ${chalk.red("FAIL")} ${check.name}`);
+                console.log(chalk.green(`         - expected: ${check.expected}`));
+                console.log(chalk.red(`         + actual:   ${check.actual}`));
+            }
+        }
+
+        if (!report.ok) {
+            const failed = report.checks.filter((check) => !check.ok).map((check) => check.name);
+            throw new HardhatPluginError("sesh", `Deployment check failed: ${failed.join(", ")}`);
+        }
+        console.log(chalk.green("Deployment check passed"));
+        return report;
+    });
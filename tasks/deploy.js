@@ -0,0 +1,302 @@
+// sesh:deploy, sesh:deploy-l1, sesh:deploy-l2, sesh:bridge-register and
+// sesh:deploy-token-converter, deploying the contracts, the L1/L2 token pair and
+// the wOXEN to SESH converter. Every deployment is recorded in the network's
+// deployment manifest, see scripts/lib/manifest.js. sesh:check-profile checks
+// the deployment profiles of sesh:deploy, see scripts/lib/profile.js.
+const chalk = require("chalk");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { counterpartNetwork, readManifest, resolveAddress } = require("../scripts/lib/manifest.js");
+const { SESH_DECIMALS, ARBITRUM_BRIDGE, deployL1Token, deployL2Token, registerTokenOnL2, bridgeToL2 } = require("../scripts/lib/sesh-token.js");
+const { deployTokenConverter } = require("../scripts/lib/token-converter.js");
+const { DEFAULT_RATIOS, listProfiles, loadProfile, parameterErrors, chainErrors } = require("../scripts/lib/profile.js");
+const { parseAddress, parseSESH, parseOwner, requireContract, shouldVerify } = require("./params.js");
+
+// Resolve a manifest address, turning a missing one into a task error
+function resolveOrThrow(name, options, param) {
+    try {
+        return resolveAddress(name, options);
+    } catch (error) {
+        throw new HardhatPluginError("sesh", param ? `${error.message}, or pass --${param}` : error.message);
+    }
+}
+
+// Take a bridge contract from the parameters or the network's defaults
+function bridgeAddress(hre, args, param, key) {
+    const address = args[param] ?? ARBITRUM_BRIDGE[hre.network.name]?.[key];
+    if (!address) throw new HardhatPluginError("sesh", `No default Arbitrum ${key} for ${hre.network.name}, pass --${param}`);
+    return parseAddress(hre, param, address);
+}
+
+// Parameters of sesh:deploy the profile holds, which --profile replaces
+const PROFILE_PARAMS = ["token", "tokenName", "tokenSymbol", "supply", "poolInitial", "stakingReq", "mainnet", "localDevnet"];
+
+// The deployment parameters of the command line, in the shape of a profile
+function commandLineProfile(hre, args) {
+    if (args.mainnet && args.localDevnet) throw new HardhatPluginError("sesh", "--mainnet and --local-devnet are mutually exclusive");
+    if (args.mainnet && args.stakingReq === undefined)
+        throw new HardhatPluginError("sesh", "--staking-req must be set explicitly for a --mainnet deployment");
+
+    const profile = {
+        name:               "command line",
+        network:            hre.network.name,
+        contracts:          args.mainnet ? "mainnet" : (args.localDevnet ? "localDevnet" : "testnet"),
+        token: {
+            address:  null,
+            name:     args.tokenName ?? "SESH Token",
+            symbol:   args.tokenSymbol ?? "SESH",
+            supply:   parseSESH(hre, "supply", args.supply ?? "240000000"),
+            decimals: SESH_DECIMALS,
+        },
+        poolInitial:        parseSESH(hre, "pool-initial", args.poolInitial ?? "40000000"),
+        stakingRequirement: parseSESH(hre, "staking-req", args.stakingReq ?? "20000"),
+        ...Object.fromEntries(Object.entries(DEFAULT_RATIOS).map(([key, value]) => [key, BigInt(value)])),
+    };
+    if (profile.stakingRequirement === 0n) throw new HardhatPluginError("sesh", "--staking-req must be greater than 0");
+    if (args.token !== undefined) profile.token.address = parseAddress(hre, "token", args.token);
+    else if (args.mainnet) profile.token.address = "manifest";
+    return profile;
+}
+
+// The deployment parameters of a profile, which has to be for this network
+function deploymentProfile(hre, args) {
+    const conflicts = PROFILE_PARAMS.filter((name) => args[name] !== undefined && args[name] !== false);
+    if (conflicts.length) {
+        const flags = conflicts.map((name) => `--${name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`);
+        throw new HardhatPluginError("sesh", `--profile holds every deployment parameter, ${flags.join(", ")} cannot be combined with it`);
+    }
+    let profile;
+    try {
+        profile = loadProfile(args.profile);
+    } catch (error) {
+        throw new HardhatPluginError("sesh", error.message);
+    }
+    if (profile.network !== hre.network.name)
+        throw new HardhatPluginError("sesh", `Deployment profile ${profile.name} is for ${profile.network}, not ${hre.network.name}`);
+    return profile;
+}
+
+task("sesh:deploy", "Deploy RewardRatePool, ServiceNodeRewards and ServiceNodeContributionFactory (and a mock token for testnets)")
+    .addOptionalParam("profile", "Deployment profile holding every deployment parameter, a name in profiles/ or the path of one")
+    .addOptionalParam("token", "Existing SESH token to use instead of deploying a MockERC20 (default for --mainnet: the manifest's SESH)")
+    .addOptionalParam("tokenName", "Name of the MockERC20 token to deploy (default: SESH Token)")
+    .addOptionalParam("tokenSymbol", "Symbol of the MockERC20 token to deploy (default: SESH)")
+    .addOptionalParam("supply", "Supply of the MockERC20 token to deploy, in SESH (default: 240000000)")
+    .addOptionalParam("poolInitial", "SESH to transfer from the deployer into the RewardRatePool (default: 40000000)")
+    .addOptionalParam("stakingReq", "Staking requirement in SESH (default: 20000, required for --mainnet)")
+    .addFlag("mainnet", "Deploy the mainnet ServiceNodeRewards and RewardRatePool instead of the testnet variants")
+    .addFlag("localDevnet", "Deploy LocalDevnetServiceNodeRewards for a local oxen devnet")
+    .addFlag("noVerify", "Skip verifying the contracts on the block explorer")
+    .addOptionalParam("owner", "Finally transfer ownership of the contracts and their proxy admins to this owner, e.g. a multisig")
+    .addFlag("allowEoa", "Allow an --owner without code")
+    .addFlag("fresh", "Start a new deployment instead of resuming an unfinished one from the manifest")
+    .setAction(async (args, hre) => {
+        const profile = args.profile !== undefined ? deploymentProfile(hre, args) : commandLineProfile(hre, args);
+
+        const params = {
+            TOKEN_NAME:                      profile.token.name,
+            TOKEN_SYMBOL:                    profile.token.symbol,
+            SUPPLY:                          profile.token.supply,
+            POOL_INITIAL:                    profile.poolInitial,
+            STAKING_REQ:                     profile.stakingRequirement,
+            MAX_CONTRIBUTORS:                profile.maxContributors,
+            LIQUIDATOR_REWARD_RATIO:         profile.liquidatorRewardRatio,
+            POOL_SHARE_OF_LIQUIDATION_RATIO: profile.poolShareOfLiquidationRatio,
+            RECIPIENT_RATIO:                 profile.recipientRatio,
+            local_devnet:                    profile.contracts === "localDevnet",
+            mainnet:                         profile.contracts === "mainnet",
+            fresh:                           args.fresh,
+        };
+        if (args.owner !== undefined) params.OWNER = await parseOwner(hre, args.owner, args.allowEoa);
+
+        if (profile.token.address === "manifest") {
+            params.TOKEN_ADDRESS = resolveOrThrow("SESH", { network: hre.network.name }, args.profile === undefined ? "token" : null);
+        } else if (profile.token.address) {
+            params.TOKEN_ADDRESS = profile.token.address;
+        }
+        if (params.TOKEN_ADDRESS) {
+            await requireContract(hre, "SESH token", params.TOKEN_ADDRESS);
+            console.log("Using the existing token at", chalk.yellow(params.TOKEN_ADDRESS));
+        }
+
+        // NOTE: Nothing is broadcast until the parameters pass the checks of the
+        // contracts, deployContracts checks an existing token
+        const errors = parameterErrors({ ...profile, token: { ...profile.token, address: params.TOKEN_ADDRESS ?? null } });
+        if (errors.length)
+            throw new HardhatPluginError("sesh", `Invalid deployment parameters (${profile.name}):\n  - ${errors.join("\n  - ")}`);
+
+        const verify = shouldVerify(hre, args);
+        // NOTE: Loaded here as it requires "hardhat", which can't be imported while
+        // the config is loading
+        const { deployContracts } = require("../scripts/deploy-common.js");
+        await deployContracts(params, verify);
+        return readManifest(hre.network.name);
+    });
+
+task("sesh:check-profile", "Check deployment profiles against the rules of the contracts, and the chain for those of this network")
+    .addOptionalParam("profile", "A name in profiles/ or the path of a profile (default: every profile in profiles/)")
+    .setAction(async (args, hre) => {
+        const names = args.profile !== undefined ? [args.profile] : listProfiles();
+        if (!names.length) throw new HardhatPluginError("sesh", "No deployment profiles in profiles/ to check");
+
+        const failed   = [];
+        const profiles = [];
+        for (const name of names) {
+            let profile;
+            let errors = [];
+            try {
+                profile = loadProfile(name);
+            } catch (error) {
+                errors = [error.message];
+            }
+            if (profile) {
+                profiles.push(profile);
+                const amount = (value) => value === undefined ? "-" : `${hre.ethers.formatUnits(value, profile.token.decimals)} SESH`;
+                console.log(`Deployment profile ${chalk.cyan(profile.name)} for ${profile.network}${profile.description ? `: ${profile.description}` : ""}`);
+                console.log(`  contracts                    ${profile.contracts}`);
+                console.log(`  token                        ${profile.token.address ?? `deploy ${profile.token.name} (${profile.token.symbol}), supply ${amount(profile.token.supply)}`}`);
+                console.log(`  poolInitial                  ${amount(profile.poolInitial)}`);
+                console.log(`  stakingRequirement           ${amount(profile.stakingRequirement)}`);
+                for (const key of Object.keys(DEFAULT_RATIOS)) console.log(`  ${key.padEnd(28)} ${profile[key]}`);
+
+                // NOTE: The token can only be checked from the profile's network
+                if (profile.network === hre.network.name && profile.token.address) {
+                    let token = profile.token.address;
+                    if (token === "manifest") token = resolveOrThrow("SESH", { network: hre.network.name }, null);
+                    await requireContract(hre, "SESH token", token);
+                    errors = await chainErrors(hre, token, profile.poolInitial);
+                } else if (profile.token.address) {
+                    console.log(chalk.gray(`  Not connected to ${profile.network}, the token was not checked`));
+                }
+            }
+            if (errors.length) {
+                console.log(chalk.red(`  ${errors.join("\n  ")}`));
+                failed.push(profile?.name ?? name);
+            } else {
+                console.log(chalk.green("  OK"));
+            }
+        }
+        if (failed.length) throw new HardhatPluginError("sesh", `Invalid deployment profiles: ${failed.join(", ")}`);
+        return profiles;
+    });
+
+task("sesh:deploy-l1", "Deploy the L1 SESH token on Ethereum, minting the supply to the deployer")
+    .addOptionalParam("supply", "Total supply in SESH", "240000000")
+    .addOptionalParam("router", "Arbitrum L1 gateway router (default: the network's Arbitrum router)")
+    .addOptionalParam("gateway", "Arbitrum L1 custom gateway (default: the network's Arbitrum custom gateway)")
+    .addOptionalParam("confirmations", "Confirmations to wait for before verifying", 6, types.int)
+    .addFlag("noVerify", "Skip verifying the contract on the block explorer")
+    .setAction(async (args, hre) => {
+        const supply = parseSESH(hre, "supply", args.supply);
+        if (supply === 0n) throw new HardhatPluginError("sesh", "--supply must be greater than 0");
+
+        const token = await deployL1Token(hre, {
+            supply,
+            router:        bridgeAddress(hre, args, "router", "router"),
+            gateway:       bridgeAddress(hre, args, "gateway", "gateway"),
+            verify:        shouldVerify(hre, args),
+            confirmations: args.confirmations,
+        });
+        return token.getAddress();
+    });
+
+task("sesh:deploy-l2", "Deploy the L2 SESHL2 token on Arbitrum for the L1 SESH token")
+    .addOptionalParam("l1Token", "L1 SESH token (default: SESH in the manifest of the L1 network, e.g. sepolia for arbitrumSepolia)")
+    .addOptionalParam("gateway", "Arbitrum L2 custom gateway (default: the network's Arbitrum custom gateway)")
+    .addOptionalParam("confirmations", "Confirmations to wait for before verifying", 60, types.int)
+    .addFlag("noVerify", "Skip verifying the contract on the block explorer")
+    .setAction(async (args, hre) => {
+        let l1Token;
+        if (args.l1Token !== undefined) {
+            l1Token = parseAddress(hre, "l1-token", args.l1Token);
+        } else {
+            const l1Network = counterpartNetwork(hre.network.name);
+            if (!l1Network) throw new HardhatPluginError("sesh", `No L1 network is known for ${hre.network.name}, pass --l1-token`);
+            l1Token = resolveOrThrow("SESH", { network: l1Network, override: process.env.L1_TOKEN_ADDRESS }, "l1-token");
+        }
+        console.log("L1 token:", chalk.yellow(l1Token));
+
+        const token = await deployL2Token(hre, {
+            l1Token,
+            gateway:       bridgeAddress(hre, args, "gateway", "gateway"),
+            verify:        shouldVerify(hre, args),
+            confirmations: args.confirmations,
+        });
+        return token.getAddress();
+    });
+
+task("sesh:bridge-register", "Register the L1 SESH token with its L2 counterpart and optionally bridge tokens to L2")
+    .addOptionalParam("l1Token", "L1 SESH token (default: SESH in this network's manifest)")
+    .addOptionalParam("l2Token", "L2 SESHL2 token (default: SESH in the manifest of the L2 network, e.g. arbitrumSepolia for sepolia)")
+    .addOptionalParam("amount", "SESH to bridge to the deployer's address on L2 after registering", "0")
+    .addFlag("skipRegister", "Only bridge --amount, the tokens are already registered")
+    .setAction(async (args, hre) => {
+        const l1Token = args.l1Token !== undefined
+            ? parseAddress(hre, "l1-token", args.l1Token)
+            : resolveOrThrow("SESH", { network: hre.network.name, override: process.env.L1_TOKEN_ADDRESS }, "l1-token");
+
+        let l2Token;
+        if (args.l2Token !== undefined) {
+            l2Token = parseAddress(hre, "l2-token", args.l2Token);
+        } else if (!args.skipRegister) {
+            const l2Network = counterpartNetwork(hre.network.name);
+            if (!l2Network) throw new HardhatPluginError("sesh", `No L2 network is known for ${hre.network.name}, pass --l2-token`);
+            l2Token = resolveOrThrow("SESH", { network: l2Network, override: process.env.L2_TOKEN_ADDRESS }, "l2-token");
+        }
+
+        const amount = parseSESH(hre, "amount", args.amount);
+        if (args.skipRegister && amount === 0n) throw new HardhatPluginError("sesh", "Nothing to do, --skip-register without an --amount to bridge");
+        await requireContract(hre, "L1 SESH token", l1Token);
+
+        const result = { register: null, bridge: null };
+        if (!args.skipRegister) result.register = await registerTokenOnL2(hre, { l1Token, l2Token });
+        if (amount > 0n) result.bridge = await bridgeToL2(hre, { l1Token, amount });
+        console.log(chalk.green("\nToken registration and bridging complete."));
+        return result;
+    });
+
+task("sesh:deploy-token-converter", "Deploy the TokenConverter converting wOXEN to SESH at a fixed rate")
+    .addParam("tokenA", "Token converted from, wOXEN")
+    .addOptionalParam("tokenB", "Token converted to (default: SESH in this network's manifest)")
+    .addParam("numerator", "SESH out for every --denominator wOXEN in", undefined, types.bigint)
+    .addParam("denominator", "wOXEN in for every --numerator SESH out", undefined, types.bigint)
+    .addOptionalParam("owner", "Owner of the converter (default: the deployer)")
+    .addFlag("create2", "Deploy through TokenConverterFactory to an address derived from the tokens, rate and owner, unless it is deployed already")
+    .addOptionalParam("salt", "Mixed into the CREATE2 salt, to deploy another converter")
+    .addFlag("predict", "Only print the address --create2 deploys to")
+    .addFlag("noVerify", "Skip verifying the contract on the block explorer")
+    .setAction(async (args, hre) => {
+        if (args.salt !== undefined && !args.create2 && !args.predict)
+            throw new HardhatPluginError("sesh", "--salt only applies with --create2 or --predict");
+        if (args.numerator <= 0n || args.denominator <= 0n)
+            throw new HardhatPluginError("sesh", "--numerator and --denominator must be greater than 0");
+
+        const [deployer] = await hre.ethers.getSigners();
+        const tokenA     = parseAddress(hre, "token-a", args.tokenA);
+        const tokenB     = args.tokenB !== undefined
+            ? parseAddress(hre, "token-b", args.tokenB)
+            : resolveOrThrow("SESH", { network: hre.network.name }, "token-b");
+        const owner      = args.owner !== undefined ? parseAddress(hre, "owner", args.owner) : deployer.address;
+        if (owner === hre.ethers.ZeroAddress) throw new HardhatPluginError("sesh", "--owner must not be the zero address");
+        if (!args.predict) {
+            await requireContract(hre, "token A", tokenA);
+            await requireContract(hre, "token B", tokenB);
+        }
+        const verify = !args.predict && shouldVerify(hre, args);
+
+        try {
+            return await deployTokenConverter(hre, {
+                tokenA,
+                tokenB,
+                numerator:   args.numerator,
+                denominator: args.denominator,
+                owner,
+                create2:     args.create2,
+                salt:        args.salt,
+                predict:     args.predict,
+                verify,
+            });
+        } catch (error) {
+            throw new HardhatPluginError("sesh", error.shortMessage ?? error.message);
+        }
+    });
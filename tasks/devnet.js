@@ -0,0 +1,63 @@
+// sesh:devnet, deploy the contracts onto a local devnet and populate it with
+// funded test wallets and registered service nodes, writing out the addresses
+// and keys for the C++ tests, Echidna and the Python scripts. See
+// scripts/lib/devnet.js.
+const chalk = require("chalk");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { CONTRACTS, bootstrapDevnet, writeDevnet } = require("../scripts/lib/devnet.js");
+const { LOCAL_NETWORKS, parseSESH } = require("./params.js");
+
+task("sesh:devnet", "Deploy onto a local devnet, fund test wallets, start the rewards contract and register service nodes")
+    .addOptionalParam("profile", "Deployment profile to deploy with instead of the LocalDevnetServiceNodeRewards of make deploy-local-devnet")
+    .addOptionalParam("solo", "Solo service nodes to register", 0, types.int)
+    .addOptionalParam("multi", "Multi-contributor service nodes to register through the contribution factory", 0, types.int)
+    .addOptionalParam("vesting", "Service nodes to register staked by a TokenVestingStaking contract", 0, types.int)
+    .addOptionalParam("contributors", "Contributors to each multi-contributor node, including its operator", 2, types.int)
+    .addOptionalParam("wallets", "Funded wallets to create besides those of the nodes", 0, types.int)
+    .addOptionalParam("eth", "ETH given to every wallet", "10")
+    .addOptionalParam("fund", "SESH given to every wallet on top of a staking requirement", "1000")
+    .addOptionalParam("seed", "Seed the wallet and node keys derive from", "sesh-devnet")
+    .addOptionalParam("out", "File to write the devnet's addresses and keys to (default: devnet-<network>.json)")
+    .setAction(async (args, hre) => {
+        // NOTE: The bootstrap hands out private keys and moves the clock, it is
+        // not meant for a shared network
+        if (!LOCAL_NETWORKS.includes(hre.network.name))
+            throw new HardhatPluginError("sesh", `sesh:devnet bootstraps a local devnet, not ${hre.network.name}`);
+        for (const name of ["solo", "multi", "vesting", "wallets"])
+            if (args[name] < 0) throw new HardhatPluginError("sesh", `--${name} must not be negative, got ${args[name]}`);
+        let eth;
+        try {
+            eth = hre.ethers.parseEther(args.eth);
+        } catch (error) {
+            throw new HardhatPluginError("sesh", `Invalid --eth amount: ${args.eth}`);
+        }
+        const fund = parseSESH(hre, "fund", args.fund);
+
+        const deployArgs = args.profile !== undefined
+            ? { profile: args.profile, fresh: true }
+            : { localDevnet: true, tokenName: "SENT Token", tokenSymbol: "SENT", stakingReq: "120", fresh: true };
+        const manifest  = await hre.run("sesh:deploy", deployArgs);
+        const contracts = Object.fromEntries(CONTRACTS.map((name) => [name, manifest.contracts[name].address]));
+
+        let devnet;
+        try {
+            devnet = await bootstrapDevnet(hre, contracts, {
+                solo:         args.solo,
+                multi:        args.multi,
+                vesting:      args.vesting,
+                contributors: args.contributors,
+                wallets:      args.wallets,
+                eth,
+                fund,
+                seed:         args.seed,
+            });
+        } catch (error) {
+            throw new HardhatPluginError("sesh", error.message);
+        }
+
+        const files = writeDevnet(devnet, args.out ?? `devnet-${hre.network.name}.json`);
+        console.log(`Devnet with ${chalk.cyan(devnet.nodes.length)} service nodes and ${chalk.cyan(devnet.wallets.length)} wallets ` +
+                    `written to ${files.map((file) => chalk.greenBright(file)).join(", ")}, they contain secret keys`);
+        return devnet;
+    });
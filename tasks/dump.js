@@ -0,0 +1,78 @@
+// sesh:dump, dump the state of a ServiceNodeRewards deployment at one block.
+// The service nodes and contributor rewards are read in batches through
+// Multicall3. See scripts/lib/snapshot.js.
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { snapshotRewards } = require("../scripts/lib/snapshot.js");
+const { contractAddress } = require("./params.js");
+
+task("sesh:dump", "Dump the state, service nodes and contributor rewards of ServiceNodeRewards")
+    .addOptionalParam("rewards", "ServiceNodeRewards address (default: the network's deployment manifest)")
+    .addFlag("skipContributors", "Skip enumerating the contributors and their rewards")
+    .addOptionalParam("block", "Block number to dump at (default: latest)", undefined, types.int)
+    .addOptionalParam("batchSize", "Calls per Multicall3 eth_call", 200, types.int)
+    .setAction(async (args, hre) => {
+        const address = await contractAddress(hre, args, "rewards", "ServiceNodeRewards");
+        if (args.batchSize <= 0) throw new HardhatPluginError("sesh", "--batch-size must be greater than 0");
+
+        let snapshot;
+        try {
+            snapshot = await snapshotRewards(hre, address, {
+                blockTag:         args.block,
+                batchSize:        args.batchSize,
+                skipContributors: args.skipContributors,
+            });
+        } catch (error) {
+            throw new HardhatPluginError("sesh", error.message);
+        }
+        const { state } = snapshot;
+
+        console.log("Service Node Rewards:               " + address);
+        console.log("Block Number:                       " + snapshot.blockNumber);
+        console.log("Aggregate Pubkey:                   " + state.aggregatePubkey.X.toString(16) + " " + state.aggregatePubkey.Y.toString(16));
+        console.log("BLS Non Signer Threshold Max:       " + state.blsNonSignerThresholdMax);
+        console.log("BLS Non Signer Threshold:           " + state.blsNonSignerThreshold);
+        console.log("Claim Threshold:                    " + state.claimThreshold);
+        console.log("Claim Cycle:                        " + state.claimCycle);
+        console.log("Current Claim Total:                " + state.currentClaimTotal);
+        console.log("Current Claim Cycle:                " + state.currentClaimCycle);
+        console.log("Last Height Pubkey Aggregated:      " + state.lastHeightPubkeyWasAggregated);
+        console.log("Liquidator Reward Ratio:            " + state.liquidatorRewardRatio);
+        console.log("Max Contributors:                   " + state.maxContributors);
+        console.log("Max Permitted Pubkey Aggregations:  " + state.maxPermittedPubkeyAggregations);
+        console.log("Next Service Node ID:               " + state.nextServiceNodeID);
+        console.log("Num Pubkey Aggregations For Height: " + state.numPubkeyAggregationsForHeight);
+        console.log("Pool Share of Liquidation Ratio:    " + state.poolShareOfLiquidationRatio);
+        console.log("Recipient Ratio:                    " + state.recipientRatio);
+        console.log("Exit Tag:                           " + state.exitTag);
+        console.log("Reward Tag:                         " + state.rewardTag);
+        console.log("Staking Requirement:                " + state.stakingRequirement);
+        console.log("Total Nodes:                        " + state.totalNodes);
+
+        // NOTE: Print all the Session Node IDs into a JS structure
+        let js_code_bls_key_array = "  const contract_bls_keys = [\n";
+        for (const [i, node] of snapshot.serviceNodes.entries()) {
+            js_code_bls_key_array += "    ";
+            js_code_bls_key_array += "/*" + i.toString().padStart(4) + "*/ {";
+            js_code_bls_key_array += "'id': " + node.id.toString().padStart(5) + ", ";
+            js_code_bls_key_array += "'bls_pubkey': {'x': BigInt('0x" + node.blsPubkey.X.toString(16).padStart(64, '0') + "'), 'y': BigInt('0x" + node.blsPubkey.Y.toString(16).padStart(64, '0') + "')}";
+            js_code_bls_key_array += "},\n";
+        }
+        js_code_bls_key_array += "  ];";
+        console.log("All Service Node IDs:\n" + js_code_bls_key_array);
+        if (args.skipContributors) return snapshot;
+
+        // NOTE: Print all active contributor rewards
+        let js_code_contributor_rewards = "  const contributor_rewards = [\n";
+        for (const contributor of snapshot.contributors) {
+            js_code_contributor_rewards += "    {";
+            js_code_contributor_rewards += "'address': " + contributor.address + ", ";
+            js_code_contributor_rewards += "'total_staked': " + contributor.total_staked + ", ";
+            js_code_contributor_rewards += "'rewards_balance': " + contributor.rewards_balance + ", ";
+            js_code_contributor_rewards += "'rewards_claimed': " + contributor.rewards_claimed + ", ";
+            js_code_contributor_rewards += "},\n";
+        }
+        js_code_contributor_rewards += "  ];";
+        console.log("Active Contributor Rewards:\n" + js_code_contributor_rewards);
+        return snapshot;
+    });
@@ -0,0 +1,71 @@
+// sesh:fuzz-bn256, differential fuzzing of the BN256 libraries against the JS
+// reference in scripts/lib/bls.js. See scripts/lib/fuzz-bn256.js.
+const chalk = require("chalk");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const {
+    DEFAULT_CORPUS,
+    TARGETS,
+    deployFuzzContracts,
+    fuzz,
+    replayCorpus,
+    readCorpus,
+    saveToCorpus,
+} = require("../scripts/lib/fuzz-bn256.js");
+
+task("sesh:fuzz-bn256", "Fuzz BN256G1/BN256G2 against the JS BN254 implementation")
+    .addOptionalParam("iterations", "Number of random inputs per target", 1000, types.int)
+    .addOptionalParam("seed", "Seed for the inputs, a run can be reproduced from its seed (default: random)")
+    .addOptionalParam("targets", `Comma separated targets to fuzz (default: all of ${Object.keys(TARGETS).join(", ")})`)
+    .addOptionalParam("corpus", "Corpus file mismatching inputs are saved to and replayed from", DEFAULT_CORPUS)
+    .addFlag("replay", "Only replay the inputs saved in the corpus")
+    .setAction(async (args, hre) => {
+        if (hre.network.name !== "hardhat")
+            throw new HardhatPluginError("sesh", `sesh:fuzz-bn256 deploys test contracts and must run on the hardhat network, not ${hre.network.name}`);
+
+        const contracts = await deployFuzzContracts(hre.ethers);
+
+        if (args.replay) {
+            const corpus  = readCorpus(args.corpus);
+            const results = await replayCorpus(contracts, corpus);
+            const failing = results.filter((result) => !result.match);
+            for (const result of failing) {
+                console.log(chalk.red(`  ${result.entry.target} ${JSON.stringify(result.entry.input)}`));
+                console.log(`    expected: ${JSON.stringify(result.expected)}`);
+                console.log(`    actual:   ${JSON.stringify(result.actual)}`);
+            }
+            console.log(`Replayed ${results.length} corpus entries from ${args.corpus}, ${failing.length} still mismatch`);
+            if (failing.length > 0) throw new HardhatPluginError("sesh", `${failing.length} corpus entries still mismatch`);
+            return results;
+        }
+
+        const seed    = args.seed ?? hre.ethers.hexlify(hre.ethers.randomBytes(16));
+        const targets = args.targets ? args.targets.split(",").map((name) => name.trim()) : Object.keys(TARGETS);
+        for (const name of targets) {
+            if (!TARGETS[name]) throw new HardhatPluginError("sesh", `Unknown target '${name}', expected one of ${Object.keys(TARGETS).join(", ")}`);
+        }
+
+        console.log(`Fuzzing ${targets.length} targets for ${args.iterations} iterations with seed ${chalk.cyan(seed)}`);
+        const step   = Math.max(1, Math.floor(args.iterations / 10));
+        const result = await fuzz(contracts, {
+            iterations: args.iterations,
+            seed:       seed,
+            targets:    targets,
+            onProgress: (iteration, mismatches) => {
+                if (iteration % step === 0 || iteration === args.iterations)
+                    console.log(`  ${iteration}/${args.iterations} iterations, ${mismatches.length} mismatches`);
+            },
+        });
+
+        if (result.mismatches.length === 0) {
+            console.log(chalk.green(`All ${result.cases} cases matched`));
+            return result;
+        }
+
+        for (const mismatch of result.mismatches) {
+            console.log(chalk.red(`  ${mismatch.target} (iteration ${mismatch.iteration}) ${JSON.stringify(mismatch.input)}`));
+        }
+        const added = saveToCorpus(args.corpus, result.mismatches);
+        console.log(`Saved ${added} new entries to ${args.corpus}, replay them with --replay`);
+        throw new HardhatPluginError("sesh", `${result.mismatches.length} of ${result.cases} cases mismatched`);
+    });
@@ -0,0 +1,77 @@
+// sesh:keygen, generate the keys and signatures needed to register a service
+// node against a specific `ServiceNodeRewards` deployment.
+const fs = require("fs");
+const chalk = require("chalk");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const bls = require("../scripts/lib/bls.js");
+const { createRegistration, registrationToJSON } = require("../scripts/lib/registration.js");
+
+const TAG_ABI = [
+    "function proofOfPossessionTag() view returns (bytes32)",
+    "function hashToG2Tag() view returns (bytes32)",
+];
+
+task("sesh:keygen", "Generate a BLS key, proof of possession and Ed25519 params for a service node registration")
+    .addParam("rewards", "Address of the ServiceNodeRewards contract the node will register with")
+    .addParam("operator", "Address of the node operator (the first contributor)")
+    .addOptionalParam("out", "File to write the registration bundle to (default: registration-<ed25519 prefix>.json)")
+    .addOptionalParam("chainId", "Derive the tags offline for this chain instead of reading them from the contract", undefined, types.int)
+    .addOptionalParam("fee", "Operator fee in basis points for multi-contributor nodes", 0, types.int)
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        if (!ethers.isAddress(args.rewards)) throw new HardhatPluginError("sesh", `Invalid rewards address: ${args.rewards}`);
+        if (!ethers.isAddress(args.operator)) throw new HardhatPluginError("sesh", `Invalid operator address: ${args.operator}`);
+        if (args.fee < 0 || args.fee > 10000) throw new HardhatPluginError("sesh", `Fee must be between 0 and 10000 basis points, got ${args.fee}`);
+
+        let chainId;
+        let tags;
+        if (args.chainId !== undefined) {
+            chainId = BigInt(args.chainId);
+            tags = {
+                proofOfPossessionTag: bls.buildTag("BLS_SIG_TRYANDINCREMENT_POP", chainId, args.rewards),
+                hashToG2Tag:          bls.buildTag("BLS_SIG_HASH_TO_FIELD_TAG", chainId, args.rewards),
+            };
+        } else {
+            chainId = (await ethers.provider.getNetwork()).chainId;
+            if ((await ethers.provider.getCode(args.rewards)) === "0x")
+                throw new HardhatPluginError("sesh", `No contract deployed at ${args.rewards} on ${hre.network.name}`);
+
+            const rewards = new ethers.Contract(args.rewards, TAG_ABI, ethers.provider);
+            tags = {
+                proofOfPossessionTag: await rewards.proofOfPossessionTag(),
+                hashToG2Tag:          await rewards.hashToG2Tag(),
+            };
+
+            // NOTE: Tags should always be derivable, a mismatch means we're not
+            // talking to the contract we think we are.
+            if (tags.proofOfPossessionTag !== bls.buildTag("BLS_SIG_TRYANDINCREMENT_POP", chainId, args.rewards))
+                console.warn(chalk.yellow("Warning: on-chain proofOfPossessionTag does not match the derived tag, using the on-chain value"));
+        }
+
+        const registration = createRegistration(tags, args.operator, { fee: args.fee });
+        const json = registrationToJSON(registration, {
+            chainId:        chainId.toString(),
+            rewardsAddress: ethers.getAddress(args.rewards),
+            tags:           tags,
+        });
+
+        const out = args.out ?? `registration-${json.serviceNodeParams.serviceNodePubkey.slice(2, 10)}.json`;
+        // NOTE: The bundle holds secret keys, keep it private to the user
+        fs.writeFileSync(out, JSON.stringify(json, null, 2) + "\n", { mode: 0o600 });
+
+        console.log(
+            chalk.cyan(`BLS Pubkey`),
+            "\n  X:",
+            chalk.greenBright(json.blsPubkey.X),
+            "\n  Y:",
+            chalk.greenBright(json.blsPubkey.Y),
+        );
+        console.log(
+            chalk.cyan(`Ed25519 Pubkey`),
+            "\n ",
+            chalk.greenBright(json.serviceNodeParams.serviceNodePubkey),
+        );
+        console.log(`Registration bundle written to ${chalk.greenBright(out)}, it contains secret keys`);
+        return json;
+    });
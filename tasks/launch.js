@@ -0,0 +1,83 @@
+// sesh:launch, the mainnet launch of the L1 SESH token, its L2 SESHL2
+// counterpart and the rewards contracts across two networks in one resumable
+// flow. See scripts/lib/launch.js.
+const { task } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { ARBITRUM_BRIDGE } = require("../scripts/lib/sesh-token.js");
+const { launch } = require("../scripts/lib/launch.js");
+const { loadProfile } = require("../scripts/lib/profile.js");
+const { parseAddress, parseSESH } = require("./params.js");
+
+// Take a bridge contract from the parameters or the network's defaults
+function bridgeAddress(hre, value, param, network, key) {
+    const address = value ?? ARBITRUM_BRIDGE[network]?.[key];
+    if (!address) throw new HardhatPluginError("sesh", `No default Arbitrum ${key} for ${network}, pass --${param}`);
+    return parseAddress(hre, param, address);
+}
+
+task("sesh:launch", "Launch SESH on L1, SESHL2 on L2 and the rewards contracts on L2, pausing for confirmation between stages")
+    .addOptionalParam("l1Network", "Network to deploy the L1 SESH token on", "mainnet")
+    .addOptionalParam("l2Network", "Network to deploy SESHL2 and the rewards contracts on", "arbitrum")
+    .addOptionalParam("l1Token", "Existing L1 SESH token to launch with instead of deploying one")
+    .addOptionalParam("supply", "Total supply of the L1 token in SESH", "240000000")
+    .addOptionalParam("profile", "Deployment profile of the rewards contracts on --l2-network, e.g. mainnet, instead of --staking-req and --pool-initial")
+    .addOptionalParam("stakingReq", "Staking requirement in SESH")
+    .addOptionalParam("poolInitial", "SESH to fund the RewardRatePool with (default: 40000000)")
+    .addOptionalParam("bridgeAmount", "SESH to bridge to the deployer on L2, 0 if it already holds enough (default: --pool-initial)")
+    .addOptionalParam("router", "Arbitrum L1 gateway router (default: that of --l1-network)")
+    .addOptionalParam("gateway", "Arbitrum L1 custom gateway (default: that of --l1-network)")
+    .addOptionalParam("l2Gateway", "Arbitrum L2 custom gateway (default: that of --l2-network)")
+    .addOptionalParam("owner", "Finally transfer ownership of the rewards contracts and their proxy admins to this owner, e.g. a multisig")
+    .addFlag("allowEoa", "Allow an --owner without code")
+    .addFlag("noVerify", "Skip verifying the contracts on the block explorers")
+    .addFlag("yes", "Do not ask for confirmation before each stage")
+    .addFlag("fresh", "Start a new launch instead of resuming an unfinished one from the L1 manifest")
+    .setAction(async (args, hre) => {
+        if (args.l1Network === args.l2Network) throw new HardhatPluginError("sesh", "--l1-network and --l2-network must be different networks");
+        let profile;
+        if (args.profile !== undefined) {
+            if (args.stakingReq !== undefined || args.poolInitial !== undefined)
+                throw new HardhatPluginError("sesh", "--profile holds the rewards parameters, --staking-req and --pool-initial cannot be combined with it");
+            try {
+                profile = loadProfile(args.profile);
+            } catch (error) {
+                throw new HardhatPluginError("sesh", error.message);
+            }
+            if (profile.network !== args.l2Network)
+                throw new HardhatPluginError("sesh", `Deployment profile ${profile.name} is for ${profile.network}, not ${args.l2Network}`);
+            if (profile.contracts !== "mainnet" || profile.token.address !== "manifest")
+                throw new HardhatPluginError("sesh", `Deployment profile ${profile.name} must deploy mainnet contracts against the manifest's token to launch with`);
+        } else if (args.stakingReq === undefined) {
+            throw new HardhatPluginError("sesh", "--staking-req must be set explicitly for a launch");
+        }
+        const poolInitial = profile?.poolInitial ?? parseSESH(hre, "pool-initial", args.poolInitial ?? "40000000");
+
+        const params = {
+            l1Network:    args.l1Network,
+            l2Network:    args.l2Network,
+            supply:       parseSESH(hre, "supply", args.supply),
+            profile:      args.profile,
+            stakingReq:   profile?.stakingRequirement ?? parseSESH(hre, "staking-req", args.stakingReq),
+            poolInitial,
+            bridgeAmount: args.bridgeAmount !== undefined ? parseSESH(hre, "bridge-amount", args.bridgeAmount) : poolInitial,
+            router:       bridgeAddress(hre, args.router, "router", args.l1Network, "router"),
+            gateway:      bridgeAddress(hre, args.gateway, "gateway", args.l1Network, "gateway"),
+            l2Gateway:    bridgeAddress(hre, args.l2Gateway, "l2-gateway", args.l2Network, "gateway"),
+            allowEoa:     args.allowEoa,
+            verify:       !args.noVerify,
+            yes:          args.yes,
+            fresh:        args.fresh,
+        };
+        if (params.supply === 0n) throw new HardhatPluginError("sesh", "--supply must be greater than 0");
+        if (params.stakingReq === 0n) throw new HardhatPluginError("sesh", "--staking-req must be greater than 0");
+        if (args.l1Token !== undefined) params.l1Token = parseAddress(hre, "l1-token", args.l1Token);
+        // NOTE: The owner is validated by sesh:deploy on the L2 network, it may
+        // not have code on this one
+        if (args.owner !== undefined) params.owner = parseAddress(hre, "owner", args.owner);
+
+        try {
+            return await launch(hre, params);
+        } catch (error) {
+            throw new HardhatPluginError("sesh", error.message);
+        }
+    });
@@ -0,0 +1,62 @@
+// sesh:transfer-ownership and sesh:check-ownership, hand a deployment off to
+// its long-term owner and confirm the owner accepted. See
+// scripts/lib/ownership.js.
+const chalk = require("chalk");
+const { task } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { readManifest } = require("../scripts/lib/manifest.js");
+const { ownershipSteps, ownershipStatus, recordOwnership } = require("../scripts/lib/ownership.js");
+const { runSteps } = require("../scripts/lib/steps.js");
+const { parseOwner } = require("./params.js");
+
+task("sesh:transfer-ownership", "Transfer every contract and proxy admin in the deployment manifest to a new owner, e.g. a multisig")
+    .addParam("owner", "New owner, Ownable2Step contracts wait for it to call acceptOwnership")
+    .addOptionalParam("contracts", "Comma separated manifest names to hand off (default: every ownable contract)")
+    .addFlag("allowEoa", "Allow an --owner without code")
+    .setAction(async (args, hre) => {
+        const owner    = await parseOwner(hre, args.owner, args.allowEoa);
+        const manifest = readManifest(hre.network.name);
+        const names    = args.contracts?.split(",").map((name) => name.trim());
+
+        let steps;
+        try {
+            steps = await ownershipSteps(hre, manifest, owner, { names });
+        } catch (error) {
+            throw new HardhatPluginError("sesh", error.message);
+        }
+        if (!steps.length) throw new HardhatPluginError("sesh", `Nothing to transfer in the ${hre.network.name} deployment manifest`);
+
+        const results = await runSteps(hre, `ownership-${owner}`, steps);
+        console.log(chalk.green(`Ownership of ${steps.length} contract(s) and proxy admin(s) transferred to ${owner}`));
+        console.log(`Ownable2Step contracts now wait for ${owner} to call acceptOwnership, confirm it with sesh:check-ownership`);
+        return results;
+    });
+
+task("sesh:check-ownership", "Confirm the owner accepted every ownership transfer recorded in the deployment manifest")
+    .setAction(async (args, hre) => {
+        const manifest = readManifest(hre.network.name);
+        const status   = await ownershipStatus(hre, manifest);
+        if (!status.entries.length)
+            throw new HardhatPluginError("sesh", `No ownership transfers recorded in the ${hre.network.name} deployment manifest`);
+
+        console.log(`Ownership of the ${hre.network.name} deployment`);
+        for (const entry of status.entries) {
+            if (entry.accepted) {
+                console.log(`  ${chalk.green("PASS")} ${entry.name.padEnd(40)} owned by ${entry.owner}`);
+            } else {
+                const pending = entry.pendingOwner === hre.ethers.ZeroAddress ? "" : `, pending ${entry.pendingOwner}`;
+                console.log(`  ${chalk.red("FAIL")} ${entry.name.padEnd(40)} owned by ${entry.owner}${pending}, expected ${entry.expected}`);
+            }
+        }
+
+        // NOTE: Record the acceptances so later checks expect the new owner
+        const accepted = status.entries.filter((entry) => entry.accepted && manifest.contracts[entry.name]);
+        for (const entry of accepted) recordOwnership(hre, [entry.name], { owner: entry.owner, pendingOwner: null });
+
+        if (!status.ok) {
+            const missing = status.entries.filter((entry) => !entry.accepted).map((entry) => entry.name);
+            throw new HardhatPluginError("sesh", `Ownership not accepted for: ${missing.join(", ")}`);
+        }
+        console.log(chalk.green("Every ownership transfer has been accepted"));
+        return status;
+    });
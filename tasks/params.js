@@ -0,0 +1,125 @@
+// Parameter validation shared by the sesh:* tasks. Invalid values throw a
+// HardhatPluginError naming the offending parameter.
+const chalk = require("chalk");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { resolveAddress } = require("../scripts/lib/manifest.js");
+const { SESH_DECIMALS } = require("../scripts/lib/sesh-token.js");
+const { verificationBackends } = require("../scripts/lib/verify.js");
+
+// Networks without a block explorer to verify contracts on
+const LOCAL_NETWORKS = ["hardhat", "localhost", "localL1", "localL2"];
+
+/**
+ * @param {Object} hre
+ * @param {string} name Parameter name, for the error
+ * @param {string} value
+ * @returns {string} The checksummed address
+ */
+function parseAddress(hre, name, value) {
+    if (!hre.ethers.isAddress(value)) throw new HardhatPluginError("sesh", `Invalid --${name} address: ${value}`);
+    return hre.ethers.getAddress(value);
+}
+
+/**
+ * @param {Object} hre
+ * @param {string} name Parameter name, for the error
+ * @param {string} value Amount of SESH, e.g. "20000" or "0.5"
+ * @returns {bigint} The amount in atomic units
+ */
+function parseSESH(hre, name, value) {
+    let amount;
+    try {
+        amount = hre.ethers.parseUnits(String(value), SESH_DECIMALS);
+    } catch (error) {
+        throw new HardhatPluginError("sesh", `Invalid --${name} amount of SESH: ${value}`);
+    }
+    if (amount < 0n) throw new HardhatPluginError("sesh", `--${name} must not be negative, got ${value}`);
+    return amount;
+}
+
+/**
+ * Validate the owner to hand contracts off to. ProxyAdmin ownership moves
+ * without the new owner accepting it, so unless explicitly allowed the owner
+ * must be a contract (e.g. a Safe) to catch a mistyped address.
+ * @param {Object} hre
+ * @param {string} value
+ * @param {boolean} allowEoa
+ * @returns {Promise<string>} The checksummed owner
+ */
+async function parseOwner(hre, value, allowEoa) {
+    const owner = parseAddress(hre, "owner", value);
+    if (owner === hre.ethers.ZeroAddress) throw new HardhatPluginError("sesh", "--owner must not be the zero address");
+    if (!allowEoa && (await hre.ethers.provider.getCode(owner)) === "0x")
+        throw new HardhatPluginError("sesh", `--owner ${owner} is not a contract on ${hre.network.name}, pass --allow-eoa to hand off to an EOA`);
+    return owner;
+}
+
+/**
+ * Throw unless a contract is deployed at `address` on the current network.
+ * @param {Object} hre
+ * @param {string} label What the contract is, for the error
+ * @param {string} address
+ */
+async function requireContract(hre, label, address) {
+    if ((await hre.ethers.provider.getCode(address)) === "0x")
+        throw new HardhatPluginError("sesh", `No ${label} contract deployed at ${address} on ${hre.network.name}`);
+}
+
+/**
+ * Take the address of a contract from its parameter or, without it, from the
+ * network's deployment manifest, and require a contract there.
+ * @param {Object} hre
+ * @param {Object} args Task arguments
+ * @param {string} param Parameter name, e.g. "rewards"
+ * @param {string} name Name of the contract in the deployment manifest
+ * @param {Object} [options]
+ * @param {string} [options.label] What the contract is, for the error,
+ * defaults to `name`
+ * @param {boolean} [options.requireCode] False to skip requiring a contract,
+ * e.g. when only predicting addresses
+ * @returns {Promise<string>} The checksummed address
+ */
+async function contractAddress(hre, args, param, name, options = {}) {
+    let address;
+    if (args[param] !== undefined) {
+        address = parseAddress(hre, param, args[param]);
+    } else {
+        try {
+            address = resolveAddress(name, { network: hre.network.name });
+        } catch (error) {
+            throw new HardhatPluginError("sesh", `${error.message}, or pass --${param}`);
+        }
+    }
+    if (options.requireCode ?? true) await requireContract(hre, options.label ?? name, address);
+    return address;
+}
+
+/**
+ * Decide whether to verify deployed contracts: never on a local network or
+ * with --no-verify, otherwise the block explorer API key must be configured
+ * unless Sourcify is enabled to verify on instead.
+ * @param {Object} hre
+ * @param {Object} args Task arguments with the `noVerify` flag
+ * @returns {boolean}
+ */
+function shouldVerify(hre, args) {
+    if (args.noVerify || LOCAL_NETWORKS.includes(hre.network.name)) return false;
+
+    const backends = verificationBackends(hre);
+    if (!backends.etherscan && !backends.sourcify)
+        throw new HardhatPluginError("sesh",
+            `API key for contract verification on ${hre.network.name} is missing, set it under 'etherscan.apiKey' or pass --no-verify`);
+    if (!backends.etherscan)
+        console.log(chalk.yellow(`No block explorer API key for ${hre.network.name}, verifying on Sourcify only`));
+    return true;
+}
+
+module.exports = {
+    LOCAL_NETWORKS,
+    parseAddress,
+    parseSESH,
+    parseOwner,
+    requireContract,
+    contractAddress,
+    shouldVerify,
+};
@@ -0,0 +1,94 @@
+// sesh:seed-nodes, the one-time migration of the Oxen service node list onto
+// ServiceNodeRewards with seedPublicKeyList, and sesh:verify-seed to check the
+// result against the list before start(). See scripts/lib/seed.js.
+const fs = require("fs");
+const path = require("path");
+const chalk = require("chalk");
+const { task } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { resetSteps } = require("../scripts/lib/steps.js");
+const { readSeedList, seedListErrors, seedNodes, defaultReportFile, verifySeededNodes } = require("../scripts/lib/seed.js");
+const { contractAddress } = require("./params.js");
+
+// The service node list at --list
+function readList(args) {
+    try {
+        return readSeedList(args.list);
+    } catch (error) {
+        throw new HardhatPluginError("sesh", error.message);
+    }
+}
+
+// Read the list and check it against the rules of the contract
+async function seedList(hre, args, address) {
+    const rewards = await hre.ethers.getContractAt("ServiceNodeRewards", address);
+    const nodes   = readList(args);
+    const errors  = seedListErrors(nodes, {
+        stakingRequirement: await rewards.stakingRequirement(),
+        maxContributors:    await rewards.maxContributors(),
+    });
+    if (errors.length)
+        throw new HardhatPluginError("sesh", `The service node list ${args.list} breaks the rules of ServiceNodeRewards:\n  - ${errors.join("\n  - ")}`);
+    return nodes;
+}
+
+task("sesh:seed-nodes", "Seed ServiceNodeRewards with an exported service node list before it is started")
+    .addParam("list", "JSON export of the service node list, see scripts/lib/seed.js for its format")
+    .addOptionalParam("rewards", "Address of ServiceNodeRewards (default: the network's deployment manifest)")
+    .addOptionalParam("maxGas", "Gas each seedPublicKeyList transaction may use", "10000000")
+    .addFlag("fresh", "Start a new migration instead of resuming an unfinished one from the manifest")
+    .setAction(async (args, hre) => {
+        let maxGas;
+        try {
+            maxGas = BigInt(args.maxGas);
+        } catch (error) {
+            throw new HardhatPluginError("sesh", `Invalid --max-gas: ${args.maxGas}`);
+        }
+        if (maxGas <= 0n) throw new HardhatPluginError("sesh", "--max-gas must be greater than 0");
+
+        const address = await contractAddress(hre, args, "rewards", "ServiceNodeRewards");
+        const nodes   = await seedList(hre, args, address);
+        console.log(`Read ${chalk.cyan(nodes.length)} service nodes from ${args.list}, all within the rules of ServiceNodeRewards`);
+
+        if (args.fresh) resetSteps(hre, "seed");
+        try {
+            return await seedNodes(hre, address, nodes, {
+                source: hre.ethers.keccak256(fs.readFileSync(args.list)),
+                maxGas,
+            });
+        } catch (error) {
+            throw new HardhatPluginError("sesh", error.message);
+        }
+    });
+
+task("sesh:verify-seed", "Compare the service nodes seeded onto ServiceNodeRewards with the list they were seeded from")
+    .addParam("list", "JSON export of the service node list that was seeded")
+    .addOptionalParam("rewards", "Address of ServiceNodeRewards (default: the network's deployment manifest)")
+    .addOptionalParam("out", "File to write the per-node report to (default: deployments/seed-report-<network>-<time>.json)")
+    .setAction(async (args, hre) => {
+        const address = await contractAddress(hre, args, "rewards", "ServiceNodeRewards");
+        const nodes   = readList(args);
+        console.log(`Comparing ${chalk.cyan(nodes.length)} service nodes from ${args.list} with ServiceNodeRewards at ${chalk.yellow(address)}`);
+
+        const report = await verifySeededNodes(hre, address, nodes);
+        const out    = args.out ?? defaultReportFile(hre.network.name);
+        fs.mkdirSync(path.dirname(out), { recursive: true });
+        fs.writeFileSync(out, JSON.stringify({ list: args.list, network: hre.network.name, ...report }, null, 2) + "\n");
+        console.log("Report written to:", chalk.green(out));
+
+        for (const node of report.nodes) {
+            if (node.status === "missing") console.log(chalk.red(`node ${node.index}: not on ServiceNodeRewards`));
+            for (const mismatch of node.mismatches)
+                console.log(chalk.red(`node ${node.index} (service node ${node.id}): ${mismatch.field} is ${mismatch.actual}, expected ${mismatch.expected}`));
+        }
+        if (report.unlisted.length)
+            console.log(chalk.yellow(`${report.unlisted.length} service nodes on ServiceNodeRewards are not in the list: ${report.unlisted.join(", ")}`));
+        if (report.isStarted)
+            console.log(chalk.yellow("ServiceNodeRewards is already started, nodes may have changed since they were seeded"));
+
+        if (report.missing || report.mismatched)
+            throw new HardhatPluginError("sesh", `${report.missing} service nodes of the list are missing and ${report.mismatched} differ ` +
+                                                 `from it on ServiceNodeRewards, see ${out}`);
+        console.log(chalk.green(`All ${report.checked} service nodes of the list match ServiceNodeRewards`));
+        return { ...report, out };
+    });
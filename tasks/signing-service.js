@@ -0,0 +1,58 @@
+// sesh:signing-service, serve oxend-style BLS signing requests from a set of
+// local node keys. See scripts/lib/signing-service.js.
+const chalk = require("chalk");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { createSigningService, readNodeKeys } = require("../scripts/lib/signing-service.js");
+
+const REWARDS_ABI = [
+    "function proofOfPossessionTag() view returns (bytes32)",
+    "function rewardTag() view returns (bytes32)",
+    "function exitTag() view returns (bytes32)",
+    "function liquidateTag() view returns (bytes32)",
+    "function hashToG2Tag() view returns (bytes32)",
+    "function blsNonSignerThreshold() view returns (uint256)",
+    "function allServiceNodeIDs() view returns (uint64[] ids, tuple(uint256 X, uint256 Y)[] pubkeys)",
+];
+
+const parseIDs = (value) => value ? value.split(",").map((id) => BigInt(id.trim())) : [];
+
+task("sesh:signing-service", "Serve oxend-style BLS signing requests (bls_rewards_request, bls_exit_liquidation_request) from local node keys")
+    .addParam("rewards", "Address of the ServiceNodeRewards contract")
+    .addParam("keys", "JSON file of node keys, {\"nodes\": [{blsSecretKey, ed25519Pubkey}, ...]}")
+    .addOptionalParam("port", "Port to listen on", 22023, types.int)
+    .addOptionalParam("host", "Interface to listen on", "127.0.0.1")
+    .addOptionalParam("nettype", "Network type reported by get_info", "localdev")
+    .addOptionalParam("offline", "Comma separated service node IDs that never sign")
+    .addOptionalParam("invalid", "Comma separated service node IDs that return invalid partial signatures")
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        if (!ethers.isAddress(args.rewards)) throw new HardhatPluginError("sesh", `Invalid rewards address: ${args.rewards}`);
+        if ((await ethers.provider.getCode(args.rewards)) === "0x")
+            throw new HardhatPluginError("sesh", `No contract deployed at ${args.rewards} on ${hre.network.name}`);
+
+        const rewards = new ethers.Contract(args.rewards, REWARDS_ABI, ethers.provider);
+        const service = await createSigningService(rewards, { nettype: args.nettype });
+        const nodes   = await service.quorum.addKeys(readNodeKeys(args.keys));
+        const missing = nodes.filter((node) => node.id === null);
+        if (missing.length > 0)
+            console.warn(chalk.yellow(`Warning: ${missing.length} of ${nodes.length} keys are not registered on the contract`));
+
+        for (const [behaviour, ids] of [["offline", parseIDs(args.offline)], ["invalid", parseIDs(args.invalid)]]) {
+            for (const id of ids) {
+                const node = nodes.find((candidate) => candidate.id === id);
+                if (!node) throw new HardhatPluginError("sesh", `No node with ID ${id} in ${args.keys}`);
+                service.setBehaviour(node, behaviour);
+            }
+        }
+
+        const url = await service.listen(args.port, args.host);
+        console.log(`Signing for ${nodes.length - missing.length} service nodes of ${args.rewards} at ${chalk.cyan(url + "/json_rpc")}`);
+        console.log("Press Ctrl+C to stop");
+
+        await new Promise((resolve) => {
+            const stop = () => service.close().then(resolve);
+            process.once("SIGINT", stop);
+            process.once("SIGTERM", stop);
+        });
+    });
@@ -0,0 +1,213 @@
+// sesh:upgrade, upgrade a proxy from the deployment manifest to a new
+// implementation and record it. The upgrade is validated by the upgrades
+// plugin, its storage layout diffed against the recorded one and `VERSION` has
+// to increase, see scripts/lib/upgrade-safety.js. Once upgraded, state samples
+// are read again and the upgrade is only recorded if they still match. With
+// --safe the implementation is deployed and the upgrade itself exported to a
+// Safe Transaction Builder batch for the owner of the proxy admin to execute.
+const chalk = require("chalk");
+const { task } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { readManifest, recordUpgrade } = require("../scripts/lib/manifest.js");
+const { ownerCall } = require("../scripts/lib/owner-call.js");
+const { verifyContracts } = require("../scripts/lib/verify.js");
+const {
+    openzeppelinManifestFile,
+    readOpenzeppelinManifest,
+    recordedLayout,
+    findProxies,
+    diffLayouts,
+    readVersion,
+    sampleState,
+    compareSamples,
+} = require("../scripts/lib/upgrade-safety.js");
+const { parseAddress, requireContract, shouldVerify } = require("./params.js");
+
+const PROXY_ADMIN_ABI = [
+    "function owner() view returns (address)",
+    "function upgradeAndCall(address proxy, address implementation, bytes data) payable",
+];
+
+task("sesh:upgrade", "Upgrade a proxy in the deployment manifest to a new implementation")
+    .addOptionalParam("contract", "Name of the proxy in the deployment manifest", "ServiceNodeRewards")
+    .addOptionalParam("artifact", "Contract to upgrade the implementation to (default: the manifest's current contract)")
+    .addOptionalParam("proxy", "Proxy address, overriding the manifest (the upgrade is then not recorded)")
+    .addOptionalParam("call", "Initializer of the new implementation to call during the upgrade, e.g. \"initializeV2(uint256)\"")
+    .addOptionalParam("args", "JSON array of arguments for --call")
+    .addOptionalParam("safe", "Deploy the implementation and export the upgrade to a Safe Transaction Builder batch for this Safe instead of upgrading")
+    .addOptionalParam("out", "Batch file to write with --safe, appended to if it exists (default: deployments/safe-<network>-<time>.json)")
+    .addFlag("allowSameVersion", "Allow a new implementation whose VERSION equals the current one")
+    .addFlag("noVerify", "Skip verifying the new implementation on the block explorer")
+    .setAction(async (args, hre) => {
+        const networkName = hre.network.name;
+        const entry       = readManifest(networkName).contracts[args.contract];
+        if (args.proxy === undefined && entry && !entry.implementation)
+            throw new HardhatPluginError("sesh", `${args.contract} in the ${networkName} deployment manifest is not a proxy`);
+
+        let proxyAddress;
+        if (args.proxy !== undefined) proxyAddress = parseAddress(hre, "proxy", args.proxy);
+        else if (entry) proxyAddress = entry.address;
+        else proxyAddress = await openzeppelinProxy(hre, args.contract);
+
+        const artifact = args.artifact ?? entry?.contract ?? args.contract;
+        await requireContract(hre, `${args.contract} proxy`, proxyAddress);
+        const safe = args.safe !== undefined ? parseAddress(hre, "safe", args.safe) : undefined;
+        if (safe) await requireContract(hre, "Safe", safe);
+        if (args.out !== undefined && !safe) throw new HardhatPluginError("sesh", "--out only applies with --safe");
+        const verify = shouldVerify(hre, args);
+
+        let factory;
+        try {
+            factory = await hre.ethers.getContractFactory(artifact);
+        } catch (error) {
+            throw new HardhatPluginError("sesh", `Unknown --artifact ${artifact}: ${error.message}`);
+        }
+        const data = initializerData(factory, artifact, args);
+
+        console.log("Upgrading contracts on:", networkName);
+        try {
+            await hre.upgrades.validateUpgrade(proxyAddress, factory);
+        } catch (error) {
+            throw new HardhatPluginError("sesh", `${artifact} is not a safe upgrade of the ${args.contract} proxy at ${proxyAddress}: ${error.message}`);
+        }
+
+        const previous = await hre.upgrades.erc1967.getImplementationAddress(proxyAddress);
+        console.log(`Deploying the ${artifact} implementation for the ${args.contract} proxy at`, chalk.yellow(proxyAddress), "...");
+        const implementation = await hre.upgrades.prepareUpgrade(proxyAddress, factory);
+        console.log(`${artifact} implementation:`, chalk.greenBright(implementation));
+
+        const layout  = await printLayoutDiff(hre, artifact, previous, implementation);
+        const version = await checkVersion(hre, args, artifact, previous, implementation);
+
+        const proxy   = new hre.ethers.Contract(proxyAddress, factory.interface, hre.ethers.provider);
+        const samples = { before: await sampleState(proxy, args.contract), after: null };
+        for (const [getter, value] of Object.entries(samples.before)) console.log(`  ${getter}:`, value);
+
+        const adminAddress = await hre.upgrades.erc1967.getAdminAddress(proxyAddress);
+        const proxyAdmin   = new hre.ethers.Contract(adminAddress, PROXY_ADMIN_ABI, hre.ethers.provider);
+        const initializer  = args.call !== undefined ? ` and calls ${args.call}` : "";
+        let sent;
+        try {
+            sent = await ownerCall(hre, proxyAdmin, "upgradeAndCall", [proxyAddress, implementation, data], {
+                label: `${args.contract} ProxyAdmin`,
+                note:  `upgrades ${args.contract} to ${artifact}${initializer}`,
+                safe,
+                out:   args.out,
+            });
+        } catch (error) {
+            throw new HardhatPluginError("sesh", error.shortMessage ?? error.message);
+        }
+
+        const result = { proxy: proxyAddress, implementation, previousImplementation: previous, artifact, version, layout, samples };
+        if (safe) {
+            console.log(chalk.yellow(`${args.contract} keeps its current implementation until the Safe executes the batch, the upgrade is not recorded in the deployment manifest`));
+            await verifyImplementation(hre, verify, artifact, implementation);
+            return { ...result, batch: sent.batch, transaction: sent.transaction };
+        }
+        console.log(`${args.contract} upgraded, implementation:`, chalk.greenBright(implementation));
+
+        // NOTE: The proxy is upgraded by now, a mismatch cannot be prevented
+        // anymore but it is reported before the upgrade is recorded
+        samples.after = await sampleState(proxy, args.contract);
+        const changed = compareSamples(samples.before, samples.after);
+        if (changed.length) {
+            const lines = changed.map((sample) => `${sample.getter}: ${sample.before} -> ${sample.after}`);
+            throw new HardhatPluginError("sesh",
+                `State of ${args.contract} changed across the upgrade, check its storage layout:\n  ${lines.join("\n  ")}\n` +
+                `The ${args.contract} proxy at ${proxyAddress} IS upgraded to ${implementation} (tx ${sent.txHash}), ` +
+                `the upgrade is not recorded in the deployment manifest. Upgrade it back to ${previous} or to a fixed implementation`);
+        }
+        if (Object.keys(samples.before).length)
+            console.log(chalk.green(`State samples of ${args.contract} unchanged: ${Object.keys(samples.before).join(", ")}`));
+
+        if (entry?.address === proxyAddress) {
+            await recordUpgrade(hre, args.contract, { contract: artifact });
+            console.log("Upgrade recorded in the deployment manifest");
+        }
+        await verifyImplementation(hre, verify, artifact, implementation);
+        return { ...result, txHash: sent.txHash };
+    });
+
+// Find a proxy missing from the deployment manifest in the `.openzeppelin` one
+async function openzeppelinProxy(hre, name) {
+    const file  = await openzeppelinManifestFile(hre);
+    const found = await findProxies(hre, readOpenzeppelinManifest(file), name);
+    if (found.length === 1) {
+        console.log(`Found the ${name} proxy at`, chalk.yellow(found[0]), "in", file);
+        return found[0];
+    }
+    const matches = found.length ? ` and ${found.length} ${name} proxies in ${file} (${found.join(", ")})` : "";
+    throw new HardhatPluginError("sesh", `No ${name} in the ${hre.network.name} deployment manifest${matches}, pass --proxy`);
+}
+
+// Encode --call and --args, or "0x" to call nothing
+function initializerData(factory, artifact, args) {
+    if (args.call === undefined) {
+        if (args.args !== undefined) throw new HardhatPluginError("sesh", "--args only applies with --call");
+        return "0x";
+    }
+    let values;
+    try {
+        values = JSON.parse(args.args ?? "[]");
+    } catch (error) {
+        values = undefined;
+    }
+    if (!Array.isArray(values)) throw new HardhatPluginError("sesh", `Invalid --args, expected a JSON array: ${args.args}`);
+    try {
+        return factory.interface.encodeFunctionData(args.call, values);
+    } catch (error) {
+        throw new HardhatPluginError("sesh", `Invalid --call ${args.call} of ${artifact}: ${error.shortMessage ?? error.message}`);
+    }
+}
+
+async function printLayoutDiff(hre, artifact, previous, implementation) {
+    const file   = await openzeppelinManifestFile(hre);
+    const data   = readOpenzeppelinManifest(file);
+    const before = recordedLayout(data, previous);
+    const after  = recordedLayout(data, implementation);
+    if (!before || !after) {
+        console.log(chalk.yellow(`No storage layout recorded in ${file} for ${before ? implementation : previous}, skipping the diff`));
+        return null;
+    }
+
+    const diff = diffLayouts(before, after);
+    console.log(`Storage layout of ${artifact} against the current implementation ${previous}:`);
+    if (!diff.length) console.log("  unchanged");
+    for (const change of diff) {
+        if (change.change === "added") console.log(chalk.green(`  + ${change.after}`));
+        else if (change.change === "removed") console.log(chalk.red(`  - ${change.before}`));
+        else console.log(chalk.yellow(`  ~ ${change.before} -> ${change.after}`));
+    }
+    return diff;
+}
+
+// NOTE: Runs once the implementation is deployed as that is where the new
+// VERSION constant can be read, the proxy is untouched if this throws
+async function checkVersion(hre, args, artifact, previous, implementation) {
+    const before = await readVersion(hre.ethers.provider, previous);
+    const after  = await readVersion(hre.ethers.provider, implementation);
+    if (before === undefined || after === undefined) {
+        console.log(chalk.yellow(`${before === undefined ? "The current implementation" : artifact} has no VERSION, skipping the version check`));
+        return { before, after };
+    }
+    console.log(`VERSION ${before} -> ${after}`);
+    if (after < before || (after === before && !args.allowSameVersion)) {
+        const allow = after === before ? ", pass --allow-same-version to upgrade anyway" : "";
+        throw new HardhatPluginError("sesh",
+            `VERSION ${after} of ${artifact} is not greater than ${before} of the current implementation. ` +
+            `${implementation} is deployed but the ${args.contract} proxy was not upgraded${allow}`);
+    }
+    return { before, after };
+}
+
+async function verifyImplementation(hre, verify, artifact, implementation) {
+    if (!verify) return;
+    const { sourceName, contractName } = await hre.artifacts.readArtifact(artifact);
+    await verifyContracts(hre, [{
+        name:                 `${artifact} implementation`,
+        address:              implementation,
+        contract:             `${sourceName}:${contractName}`,
+        constructorArguments: [],
+        txHash:               null,
+    }]);
+}
@@ -0,0 +1,36 @@
+// sesh:verify, verify the contracts of the network's deployment manifest on the
+// block explorer, e.g. those whose verification failed during the deploy. See
+// scripts/lib/verify.js.
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { readManifest } = require("../scripts/lib/manifest.js");
+const { verificationBackends, manifestTargets, verifyContracts } = require("../scripts/lib/verify.js");
+const { LOCAL_NETWORKS } = require("./params.js");
+
+task("sesh:verify", "Verify the contracts in the deployment manifest on the block explorer")
+    .addOptionalParam("contracts", "Comma separated names in the manifest to verify, TokenVestingStaking for the vesting contracts (default: all)")
+    .addOptionalParam("confirmations", "Confirmations of each deploy to wait for before verifying", 5, types.int)
+    .addOptionalParam("retries", "Etherscan attempts after the first while it has not indexed a contract", 4, types.int)
+    .addFlag("force", "Verify again contracts the manifest records as verified")
+    .setAction(async (args, hre) => {
+        const networkName = hre.network.name;
+        if (LOCAL_NETWORKS.includes(networkName))
+            throw new HardhatPluginError("sesh", `Contracts on ${networkName} cannot be verified, there is no block explorer`);
+        const backends = verificationBackends(hre);
+        if (!backends.etherscan && !backends.sourcify)
+            throw new HardhatPluginError("sesh", `API key for contract verification on ${networkName} is missing, set it under 'etherscan.apiKey'`);
+
+        const names   = args.contracts?.split(",").map((name) => name.trim()).filter(Boolean);
+        const targets = await manifestTargets(hre, readManifest(networkName), { names });
+        if (!targets.length) throw new HardhatPluginError("sesh", `Nothing to verify in the ${networkName} deployment manifest`);
+
+        const results = await verifyContracts(hre, targets, {
+            confirmations: args.confirmations,
+            retries:       args.retries,
+            force:         args.force,
+            backends,
+        });
+        const failed = results.filter((result) => result.status === "failed").map((result) => result.name);
+        if (failed.length) throw new HardhatPluginError("sesh", `Verification failed for: ${failed.join(", ")}`);
+        return results;
+    });
@@ -0,0 +1,103 @@
+// sesh:vesting-deploy and sesh:vesting-fund, deploy a TokenVestingStaking
+// contract per investor and fund them, or with --predict print the addresses
+// --create2 deploys them to. See scripts/lib/vesting.js.
+const fs = require("fs");
+const chalk = require("chalk");
+const { task } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const {
+    readInvestors,
+    vestingSalts,
+    vestingPipeline,
+    predictVesting,
+    deployVesting,
+    latestVestingFile,
+    fundVesting,
+} = require("../scripts/lib/vesting.js");
+const { contractAddress, shouldVerify } = require("./params.js");
+
+task("sesh:vesting-deploy", "Deploy a TokenVestingStaking contract for every investor in a CSV")
+    .addOptionalParam("investors", "CSV with the headers beneficiary,revoker,start,end,transferableBeneficiary,amount", "investors.csv")
+    .addOptionalParam("sesh", "SESH token (default: SESH in the network's manifest)")
+    .addOptionalParam("rewards", "ServiceNodeRewards (default: the network's manifest)")
+    .addOptionalParam("factory", "ServiceNodeContributionFactory (default: the network's manifest)")
+    .addOptionalParam("out", "Directory to write the vesting-<network>-<time>.{json,csv} results to (default: the manifest directory)")
+    .addFlag("fund", "Transfer each investor's amount from the deployer after deploying their contract")
+    .addFlag("noVerify", "Skip verifying the contracts on the block explorer")
+    .addFlag("fresh", "Deploy every investor's contract again instead of resuming the CSV's earlier run")
+    .addFlag("create2", "Deploy through the CREATE2 deployer to addresses derived from each CSV row, skipping contracts already there")
+    .addOptionalParam("salt", "Mixed into the CREATE2 salt of every row, to deploy the same CSV to other addresses")
+    .addFlag("predict", "Only print the addresses --create2 deploys to, and whether they are deployed already")
+    .setAction(async (args, hre) => {
+        if (args.salt !== undefined && !args.create2 && !args.predict)
+            throw new HardhatPluginError("sesh", "--salt only applies with --create2 or --predict");
+        if (args.predict && (args.fund || args.fresh))
+            throw new HardhatPluginError("sesh", "--predict does not deploy, --fund and --fresh do not apply");
+
+        const [deployer] = await hre.ethers.getSigners();
+        if (!args.predict) console.log("Deploying contracts with account:", chalk.yellow(deployer.address));
+        console.log("Network:", chalk.cyan(hre.network.name));
+
+        const verify  = !args.predict && shouldVerify(hre, args);
+        const sesh    = await contractAddress(hre, args, "sesh", "SESH", { label: "SESH token", requireCode: !args.predict });
+        const rewards = await contractAddress(hre, args, "rewards", "ServiceNodeRewards", { requireCode: !args.predict });
+        const factory = await contractAddress(hre, args, "factory", "ServiceNodeContributionFactory", { requireCode: !args.predict });
+        console.log("SESH token address:", chalk.yellow(sesh));
+        console.log("Rewards contract address:", chalk.yellow(rewards));
+        console.log("Multi-contributor factory address:", chalk.yellow(factory));
+
+        // NOTE: The contracts require their start to be after the block they
+        // are deployed in
+        const latest = await hre.ethers.provider.getBlock("latest");
+        let investors;
+        try {
+            investors = readInvestors(hre, args.investors, { now: latest.timestamp });
+            if (args.create2 || args.predict) vestingSalts(hre, investors, args.salt);
+        } catch (error) {
+            throw new HardhatPluginError("sesh", error.message);
+        }
+        console.log(`CSV file: ${args.investors}, ${investors.length} investor(s)`);
+        if (args.predict) return predictVesting(hre, investors, { sesh, rewards, factory, salt: args.salt });
+
+        const result = await deployVesting(hre, investors, {
+            sesh,
+            rewards,
+            factory,
+            verify,
+            pipeline: vestingPipeline(args.investors),
+            fresh:    args.fresh,
+            fund:     args.fund,
+            create2:  args.create2,
+            salt:     args.salt,
+            outDir:   args.out,
+        });
+        if (result.failed.length)
+            throw new HardhatPluginError("sesh", `Failed to deploy ${result.failed.length} vesting contract(s): ` +
+                                                 result.failed.map((entry) => entry.beneficiary).join(", "));
+        return result;
+    });
+
+task("sesh:vesting-fund", "Transfer each vesting contract's amount from the deployer")
+    .addOptionalParam("file", "vesting-<network>-<time>.json written by sesh:vesting-deploy (default: the network's latest)")
+    .addOptionalParam("sesh", "SESH token (default: SESH in the network's manifest)")
+    .setAction(async (args, hre) => {
+        const [deployer] = await hre.ethers.getSigners();
+        console.log("Transferring tokens with account:", chalk.yellow(deployer.address));
+        console.log("Network:", chalk.cyan(hre.network.name));
+
+        const file = args.file ?? latestVestingFile(hre.network.name);
+        if (!file) throw new HardhatPluginError("sesh", `No vesting deployments found for ${hre.network.name}, pass --file`);
+        if (!fs.existsSync(file)) throw new HardhatPluginError("sesh", `Vesting deployments not found at ${file}`);
+        const sesh = await contractAddress(hre, args, "sesh", "SESH", { label: "SESH token" });
+        console.log("SESH token address:", chalk.yellow(sesh));
+        console.log("JSON file:", chalk.yellow(file));
+
+        let result;
+        try {
+            result = await fundVesting(hre, file, { sesh });
+        } catch (error) {
+            throw new HardhatPluginError("sesh", error.message);
+        }
+        if (result.failed) throw new HardhatPluginError("sesh", `${result.failed} transfer(s) failed`);
+        return result;
+    });
@@ -20,4 +20,5 @@ set(test_sources
   src/basic_ethereum.cpp
   src/rewards_contract.cpp
   src/hash.cpp
+  src/vectors.cpp
 )
@@ -37,7 +37,7 @@ struct ContractServiceNode {
 
 class ServiceNodeRewardsContract {
 public:
-    // TODO: Taken from scripts/deploy-local-test.js and hardcoded
+    // TODO: Taken from the --staking-req of `make deploy-local` and hardcoded
     static constexpr inline uint64_t STAKING_REQUIREMENT = 120'000'000'000;
 
     // Method for creating a transaction to add a public key
@@ -1,6 +1,8 @@
 #include <iostream>
 #include <limits>
 #include <chrono>
+#include <cstdlib>
+#include <fstream>
 
 #include "ethyl/provider.hpp"
 #include "ethyl/signer.hpp"
@@ -10,6 +12,7 @@
 #include "service_node_rewards/erc20_contract.hpp"
 #include "service_node_rewards/service_node_list.hpp"
 
+#include <nlohmann/json.hpp>
 #include <catch2/catch_test_macros.hpp>
 #include <catch2/catch_all.hpp>
 
@@ -44,6 +47,17 @@ int main(int argc, char *argv[]) {
     // because we use a pre-determined debug wallet provided by Hardhat.
     contract_address = "0x5FC8d32690cc91D4c39d9d3abcBD16989F875707";
 
+    // NOTE: Or take it from the JSON written by `npx hardhat sesh:devnet`. The
+    // tests expect an empty node list, so bootstrap the devnet without nodes.
+    if (const char* devnet_file = std::getenv("SESH_DEVNET_FILE")) {
+        std::ifstream file(devnet_file);
+        if (!file.good()) {
+            std::cerr << "Failed to read SESH_DEVNET_FILE " << devnet_file << "\n";
+            return 1;
+        }
+        contract_address = nlohmann::json::parse(file)["contracts"]["ServiceNodeRewards"].get<std::string>();
+    }
+
     // NOTE: Setup keys
     seckey        = ethyl::utils::fromHexString(std::string(config.PRIVATE_KEY));
     senderAddress = signer.secretKeyToAddressString(seckey);
@@ -123,7 +137,7 @@ static void verifyEVMServiceNodesAgainstCPPState(const ServiceNodeList& snl)
         {
             INFO("Staking requirement did not match, ours was '" << STAKING_REQUIREMENT_HEX
                  << "'. The contract reported '" << ethNode.deposit
-                 << "': Check if scripts/deploy-local-testnet.js requirement matches the hardcoded staking amount at ServiceNodeRewardsContract::STAKING_REQUIREMENT.");
+                 << "': Check if the --staking-req of 'make deploy-local' matches the hardcoded staking amount at ServiceNodeRewardsContract::STAKING_REQUIREMENT.");
             REQUIRE(ethNode.deposit == STAKING_REQUIREMENT_HEX);
         }
     }
@@ -0,0 +1,158 @@
+#include <fstream>
+#include <string>
+#include <vector>
+
+#include "service_node_rewards/ec_utils.hpp" // utils::Expand...
+#include <nlohmann/json.hpp>
+#include <catch2/catch_test_macros.hpp>
+#include <catch2/catch_all.hpp>
+
+// NOTE: Vectors are generated by eth-sn-contracts/scripts/generate-test-vectors.js
+// and checked against the contracts in eth-sn-contracts/test/unit-js/TestVectors.js.
+// The file format is documented in the generator.
+static constexpr int TEST_VECTORS_VERSION = 1;
+
+static nlohmann::json loadTestVectors() {
+    std::ifstream file(TEST_VECTORS_PATH);
+    REQUIRE(file.good());
+    nlohmann::json result = nlohmann::json::parse(file);
+    REQUIRE(result["version"].get<int>() == TEST_VECTORS_VERSION);
+    return result;
+}
+
+static std::vector<uint8_t> bytesFromHex(std::string_view hex) {
+    if (hex.substr(0, 2) == "0x")
+        hex.remove_prefix(2);
+    std::string bytes = oxenc::from_hex(hex);
+    return std::vector<uint8_t>(bytes.begin(), bytes.end());
+}
+
+static mcl::bn::G1 g1FromJSON(const nlohmann::json& point) {
+    mcl::bn::G1 result;
+    const std::string X = point["X"].get<std::string>();
+    const std::string Y = point["Y"].get<std::string>();
+    if (X == "0" && Y == "0")
+        result.clear();
+    else
+        result.setStr("1 " + X + " " + Y, mcl::IoDec);
+    return result;
+}
+
+static mcl::bn::G2 g2FromJSON(const nlohmann::json& point) {
+    mcl::bn::G2 result;
+    const auto& x = point["x"];
+    const auto& y = point["y"];
+    if (x[0] == "0" && x[1] == "0" && y[0] == "0" && y[1] == "0")
+        result.clear();
+    else
+        result.setStr("1 " + x[0].get<std::string>() + " " + x[1].get<std::string>() + " " +
+                      y[0].get<std::string>() + " " + y[1].get<std::string>(), mcl::IoDec);
+    return result;
+}
+
+static nlohmann::json g1ToJSON(mcl::bn::G1 point) {
+    if (point.isZero())
+        return {{"X", "0"}, {"Y", "0"}};
+    point.normalize();
+    return {{"X", point.x.getStr(mcl::IoDec)}, {"Y", point.y.getStr(mcl::IoDec)}};
+}
+
+TEST_CASE("Test vectors: expand message via keccak256", "[vectors]") {
+    const nlohmann::json vectors = loadTestVectors();
+    for (const auto& vector : vectors["expandMessageXMDKeccak256"]) {
+        const std::vector<uint8_t> message = bytesFromHex(vector["message"].get<std::string>());
+        const std::vector<uint8_t> dst     = bytesFromHex(vector["dst"].get<std::string>());
+
+        uint8_t md[128];
+        utils::ExpandMessageXMDKeccak256(md, message, dst);
+
+        INFO("expandMessageXMDKeccak256 of " << vector["message"] << " with DST " << vector["dst"]);
+        for (size_t i = 0; i < 4; i++)
+            CHECK("0x" + oxenc::to_hex(md + i * 32, md + (i + 1) * 32) == vector["expected"][i].get<std::string>());
+    }
+}
+
+TEST_CASE("Test vectors: hash to field", "[vectors]") {
+    bls::init(mclBn_CurveSNARK1);
+    const nlohmann::json vectors = loadTestVectors();
+    for (const auto& vector : vectors["hashToField"]) {
+        const std::vector<uint8_t> message = bytesFromHex(vector["message"].get<std::string>());
+        const std::vector<uint8_t> dst     = bytesFromHex(vector["dst"].get<std::string>());
+
+        uint8_t md[128];
+        utils::ExpandMessageXMDKeccak256(md, message, dst);
+
+        mcl::bn::Fp u0, u1;
+        bool converted;
+        u0.setBigEndianMod(&converted, &md[0], 48);
+        REQUIRE(converted);
+        u1.setBigEndianMod(&converted, &md[48], 48);
+        REQUIRE(converted);
+        bool b = ((md[127] & 1) == 1);
+
+        INFO("hashToField of " << vector["message"] << " with DST " << vector["dst"]);
+        CHECK(u0.getStr(mcl::IoDec) == vector["expected"]["u0"].get<std::string>());
+        CHECK(u1.getStr(mcl::IoDec) == vector["expected"]["u1"].get<std::string>());
+        CHECK(b == vector["expected"]["b"].get<bool>());
+    }
+}
+
+TEST_CASE("Test vectors: FQ2Sqrt", "[vectors]") {
+    bls::init(mclBn_CurveSNARK1);
+    const nlohmann::json vectors = loadTestVectors();
+    for (const auto& vector : vectors["fq2Sqrt"]) {
+        mcl::Fp2T<mcl::bn::Fp> x;
+        x.setStr(vector["input"][0].get<std::string>() + " " + vector["input"][1].get<std::string>(), mcl::IoDec);
+
+        mcl::Fp2T<mcl::bn::Fp> y;
+        bool rootExists = mcl::Fp2T<mcl::bn::Fp>::squareRoot(y, x);
+
+        INFO("FQ2Sqrt of " << vector["input"]);
+        CHECK(rootExists == vector["isSquare"].get<bool>());
+
+        // NOTE: The contract returns (0, 0) when there is no root, only
+        // compare the roots that exist.
+        if (rootExists)
+            CHECK(y.getStr(mcl::IoDec) == vector["expected"][0].get<std::string>() + " " + vector["expected"][1].get<std::string>());
+    }
+}
+
+TEST_CASE("Test vectors: G1 add and negate", "[vectors]") {
+    bls::init(mclBn_CurveSNARK1);
+    const nlohmann::json vectors = loadTestVectors();
+    for (const auto& vector : vectors["g1"]["add"]) {
+        mcl::bn::G1 sum;
+        mcl::bn::G1::add(sum, g1FromJSON(vector["p1"]), g1FromJSON(vector["p2"]));
+        INFO("G1 add of " << vector["p1"] << " and " << vector["p2"]);
+        CHECK(g1ToJSON(sum) == vector["expected"]);
+    }
+
+    for (const auto& vector : vectors["g1"]["negate"]) {
+        mcl::bn::G1 negated;
+        mcl::bn::G1::neg(negated, g1FromJSON(vector["p"]));
+        INFO("G1 negate of " << vector["p"]);
+        CHECK(g1ToJSON(negated) == vector["expected"]);
+    }
+}
+
+TEST_CASE("Test vectors: pairing checks", "[vectors]") {
+    bls::init(mclBn_CurveSNARK1);
+    const nlohmann::json vectors = loadTestVectors();
+    for (const auto& vector : vectors["pairing"]) {
+        mcl::bn::Fp12 product;
+        product = 1;
+        for (const auto& pair : vector["pairs"]) {
+            mcl::bn::G1 P = g1FromJSON(pair["g1"]);
+            mcl::bn::G2 Q = g2FromJSON(pair["g2"]);
+            if (P.isZero() || Q.isZero())
+                continue;
+            mcl::bn::Fp12 f;
+            mcl::bn::millerLoop(f, P, Q);
+            product *= f;
+        }
+        mcl::bn::finalExp(product, product);
+
+        INFO("Pairing check: " << vector["description"]);
+        CHECK(product.isOne() == vector["expected"].get<bool>());
+    }
+}
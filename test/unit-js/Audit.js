@@ -0,0 +1,135 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { auditServiceNodeList } = require("../../scripts/lib/audit.js");
+const { createQuorum } = require("../../scripts/lib/quorum.js");
+
+describe("Service Node List Audit Tests", function () {
+    let serviceNodeRewards;
+    let rewardsAddress;
+    let quorum;
+
+    const staking_req = 120000000000n;
+    const NODE_COUNT  = 10;
+
+    // NOTE: Storage slots of `ServiceNodeRewards`, see the storage layout in
+    // the build info
+    const TOTAL_NODES_SLOT      = 2n;
+    const AGGREGATE_PUBKEY_SLOT = 19n;
+    const ED25519_TO_ID_SLOT    = 27n;
+
+    async function setStorage(slot, value) {
+        await hre.network.provider.send("hardhat_setStorageAt",
+            [rewardsAddress, ethers.toQuantity(slot), ethers.toBeHex(value, 32)]);
+    }
+
+    const failedChecks = (report) => report.checks.filter((check) => !check.ok).map((check) => check.name);
+
+    beforeEach(async function () {
+        const [, foundationPool] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const mockERC20 = await MockERC20.deploy("SESH Token", "SESH", 240_000_000n * 1_000_000_000n);
+
+        const ServiceNodeRewardsMaster = await ethers.getContractFactory("ServiceNodeRewards");
+        serviceNodeRewards = await upgrades.deployProxy(ServiceNodeRewardsMaster,
+            [ await mockERC20.getAddress(),              // token address
+            await foundationPool.getAddress(),         // foundation pool address
+            staking_req,                    // testnet staking requirement
+            10,                             // max contributors
+            1,                              // liquidator reward ratio
+            1,                              // pool share of liquidation ratio
+            8                               // recipient ratio
+            ]);
+        rewardsAddress = await serviceNodeRewards.getAddress();
+
+        quorum = await createQuorum(serviceNodeRewards);
+        await quorum.seed(NODE_COUNT);
+        await serviceNodeRewards.start();
+
+        // NOTE: Seeded nodes don't transfer their stake, fund the contract so
+        // exits can be paid out.
+        await mockERC20.transfer(rewardsAddress, staking_req * BigInt(NODE_COUNT));
+    });
+
+    it("Should pass on a consistent contract", async function () {
+        const report = await auditServiceNodeList(serviceNodeRewards);
+        expect(report.ok).to.equal(true);
+        expect(report.nodes).to.have.length(NODE_COUNT);
+        expect(report.derived.aggregatePubkey).to.deep.equal(report.onChain.aggregatePubkey);
+        expect(report.rederive).to.deep.equal({ changesTotalNodes: false, changesAggregatePubkey: false });
+    });
+
+    it("Should pass after a node is removed", async function () {
+        await time.increase(2 * 60 * 60);
+        const node      = quorum.nodes[3];
+        const timestamp = await time.latest();
+        const { signature, ids } = await quorum.signExit(node.blsPubkey, timestamp);
+        await serviceNodeRewards.exitBLSPublicKeyWithSignature(node.blsPubkey, timestamp, signature, ids);
+
+        const report = await auditServiceNodeList(serviceNodeRewards);
+        expect(failedChecks(report)).to.deep.equal([]);
+        expect(report.nodes.map((entry) => entry.id)).to.not.include(node.id);
+    });
+
+    it("Should detect a drifted node count", async function () {
+        await setStorage(TOTAL_NODES_SLOT, NODE_COUNT + 2);
+        const report = await auditServiceNodeList(serviceNodeRewards);
+        expect(failedChecks(report)).to.deep.equal(["allServiceNodeIDs", "totalNodes"]);
+        expect(report.rederive).to.deep.equal({ changesTotalNodes: true, changesAggregatePubkey: false });
+
+        await serviceNodeRewards.rederiveTotalNodesAndAggregatePubkey();
+        expect((await auditServiceNodeList(serviceNodeRewards)).ok).to.equal(true);
+    });
+
+    it("Should detect a drifted aggregate pubkey", async function () {
+        await setStorage(AGGREGATE_PUBKEY_SLOT, 1n);
+        await setStorage(AGGREGATE_PUBKEY_SLOT + 1n, 2n);
+        const report = await auditServiceNodeList(serviceNodeRewards);
+        expect(failedChecks(report)).to.deep.equal(["aggregatePubkey"]);
+        expect(report.onChain.aggregatePubkey).to.deep.equal({ X: 1n, Y: 2n });
+        expect(report.rederive).to.deep.equal({ changesTotalNodes: false, changesAggregatePubkey: true });
+
+        await serviceNodeRewards.rederiveTotalNodesAndAggregatePubkey();
+        expect((await auditServiceNodeList(serviceNodeRewards)).ok).to.equal(true);
+    });
+
+    it("Should detect a broken Ed25519 lookup that rederiving does not fix", async function () {
+        const node = quorum.nodes[5];
+        const slot = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+            ["uint256", "uint256"], [node.ed25519Pubkey, ED25519_TO_ID_SLOT]));
+        await setStorage(slot, 0n);
+
+        const report = await auditServiceNodeList(serviceNodeRewards);
+        expect(failedChecks(report)).to.deep.equal(["ed25519ToServiceNodeID"]);
+        expect(report.checks.find((check) => check.name === "ed25519ToServiceNodeID").detail)
+            .to.equal(`node ${node.id} Ed25519 pubkey maps to 0`);
+        expect(report.rederive).to.deep.equal({ changesTotalNodes: false, changesAggregatePubkey: false });
+    });
+
+    it("Should audit at a past block", async function () {
+        await time.increase(2 * 60 * 60);
+        const before    = await ethers.provider.getBlockNumber();
+        const node      = quorum.nodes[0];
+        const timestamp = await time.latest();
+        const { signature, ids } = await quorum.signExit(node.blsPubkey, timestamp);
+        await serviceNodeRewards.exitBLSPublicKeyWithSignature(node.blsPubkey, timestamp, signature, ids);
+
+        expect((await auditServiceNodeList(serviceNodeRewards)).nodes).to.have.length(NODE_COUNT - 1);
+        const report = await auditServiceNodeList(serviceNodeRewards, { blockTag: before });
+        expect(report.blockNumber).to.equal(before);
+        expect(report.ok).to.equal(true);
+        expect(report.nodes).to.have.length(NODE_COUNT);
+        expect(report.onChain.totalNodes).to.equal(NODE_COUNT);
+    });
+
+    it("Should fail the sesh:audit-aggregate task on drift", async function () {
+        const report = await hre.run("sesh:audit-aggregate", { rewards: rewardsAddress });
+        expect(report.ok).to.equal(true);
+
+        await setStorage(TOTAL_NODES_SLOT, NODE_COUNT - 1);
+        await expect(hre.run("sesh:audit-aggregate", { rewards: rewardsAddress }))
+            .to.be.rejectedWith("Audit failed: allServiceNodeIDs, totalNodes");
+    });
+});
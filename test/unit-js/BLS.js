@@ -0,0 +1,169 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const bls = require("../../scripts/lib/bls.js");
+
+describe("BLS JS Library Tests", function () {
+
+    // NOTE: Same DST/message as the contract tests in BN256G2.js and the C++
+    // unit-tests in test/cpp/test/src/hash.cpp
+    const DOMAIN_SEPARATION_TAG = "0xff54977c9d08fb9098f6beae0e4634cb9b2d4c2b9c86f0b3e2f2f0073b73f51c";
+    const MESSAGE               = ethers.toUtf8Bytes("asdf");
+
+    describe("Hash to field", function () {
+        let bn256G2;
+
+        before(async function () {
+            const factory = await ethers.getContractFactory("BN256G2");
+            bn256G2       = await factory.deploy();
+        });
+
+        it("Matches the hardcoded expand_message_xmd vector", async function () {
+            expect(bls.expandMessageXMDKeccak256(MESSAGE, DOMAIN_SEPARATION_TAG)).to.deep.equal([
+                "0xa9289d6c3626c2275c7f94a2aec2b47e90522afcfacea9d7d2d6d758bfcd0209",
+                "0xe929d19bf0b1b42ec2674bc2d6395aa7a1d5988766413feb1aa4dc9c2e87a15d",
+                "0xd34bd9627c1e82adcdb3359afde8ddc5946db33c4255c47497956d677155af6b",
+                "0x47debeec9747b0b08909e419594a087497df70f8b60fdc66ebb577dab9a33696",
+            ]);
+        });
+
+        it("Matches the hardcoded hashToField vector", async function () {
+            expect(bls.hashToField(MESSAGE, DOMAIN_SEPARATION_TAG)).to.deep.equal([
+                307410635215970536626579586125711284326114787973043528925905382633054236085n,
+                1183035087006320090803410940370628752170722813268233981705860145243604330069n,
+                false,
+            ]);
+        });
+
+        it("Matches the contract for random messages", async function () {
+            for (let i = 0; i < 8; i++) {
+                const message = ethers.randomBytes(i * 17);
+                const dst     = ethers.hexlify(ethers.randomBytes(32));
+                const [u0, u1, b] = await bn256G2.hashToField(message, dst);
+                expect(bls.hashToField(message, dst)).to.deep.equal([u0, u1, b]);
+                expect(bls.expandMessageXMDKeccak256(message, dst)).to.deep.equal(
+                    [...await bn256G2.expandMessageXMDKeccak256(message, dst)]);
+            }
+        });
+
+        it("Matches the contract FQ2Sqrt", async function () {
+            for (let i = 0; i < 8; i++) {
+                const x1 = BigInt(ethers.hexlify(ethers.randomBytes(32))) % bls.FIELD_MODULUS;
+                const x2 = i == 0 ? 0n : BigInt(ethers.hexlify(ethers.randomBytes(32))) % bls.FIELD_MODULUS;
+                const [y1, y2] = await bn256G2.FQ2Sqrt(x1, x2);
+                expect(bls.fq2Sqrt(x1, x2)).to.deep.equal([y1, y2]);
+            }
+        });
+    });
+
+    describe("Curve arithmetic", function () {
+        it("Hashes to a point in the G2 subgroup", async function () {
+            const point = bls.hashToG2(MESSAGE, DOMAIN_SEPARATION_TAG);
+            expect(bls.g2IsOnCurve(point)).to.equal(true);
+            expect(bls.g2Mul(point, bls.CURVE_ORDER)).to.equal(null);
+        });
+
+        it("Matches the G1 precompiles", async function () {
+            const factory = await ethers.getContractFactory("BN256G1Test");
+            const bn256G1 = await factory.deploy();
+
+            const p1 = bls.getPublicKey(bls.generateSecretKey());
+            const p2 = bls.getPublicKey(bls.generateSecretKey());
+            const [X, Y] = await bn256G1.addPoints(p1, p2);
+            expect(bls.g1Add(p1, p2)).to.deep.equal({ X, Y });
+
+            const [negX, negY] = await bn256G1.negatePoint(p1);
+            expect(bls.g1Negate(p1)).to.deep.equal({ X: negX, Y: negY });
+            expect(bls.g1Add(p1, bls.g1Negate(p1))).to.deep.equal({ X: 0n, Y: 0n });
+        });
+
+        it("Aggregates signatures homomorphically", async function () {
+            const sk1 = bls.generateSecretKey();
+            const sk2 = bls.generateSecretKey();
+            const aggregateSig = bls.aggregateSignatures([
+                bls.sign(sk1, MESSAGE, DOMAIN_SEPARATION_TAG),
+                bls.sign(sk2, MESSAGE, DOMAIN_SEPARATION_TAG),
+            ]);
+            const aggregateSk = (sk1 + sk2) % bls.CURVE_ORDER;
+            expect(aggregateSig).to.deep.equal(bls.sign(aggregateSk, MESSAGE, DOMAIN_SEPARATION_TAG));
+            expect(bls.aggregatePublicKeys([bls.getPublicKey(sk1), bls.getPublicKey(sk2)]))
+                .to.deep.equal(bls.getPublicKey(aggregateSk));
+        });
+
+        it("Round trips signatures through BLSSignatureParams", async function () {
+            const sig = bls.sign(bls.generateSecretKey(), MESSAGE, DOMAIN_SEPARATION_TAG);
+            expect(bls.paramsToSignature(bls.signatureToParams(sig))).to.deep.equal(sig);
+        });
+    });
+
+    describe("Pairing", function () {
+        it("Is bilinear", async function () {
+            const a = bls.generateSecretKey();
+            const b = bls.generateSecretKey();
+            expect(bls.pairingCheck([
+                [bls.g1Mul(bls.G1_GENERATOR, a), bls.g2Mul(bls.G2_GENERATOR, b)],
+                [bls.g1Negate(bls.g1Mul(bls.G1_GENERATOR, a * b)), bls.G2_GENERATOR],
+            ])).to.equal(true);
+            expect(bls.pairingCheck([[bls.G1_GENERATOR, bls.G2_GENERATOR]])).to.equal(false);
+        });
+
+        it("Verifies signatures and rejects other messages", async function () {
+            const secretKey = bls.generateSecretKey();
+            const signature = bls.sign(secretKey, MESSAGE, DOMAIN_SEPARATION_TAG);
+            expect(bls.verify(bls.getPublicKey(secretKey), MESSAGE, signature, DOMAIN_SEPARATION_TAG)).to.equal(true);
+            expect(bls.verify(bls.getPublicKey(secretKey), "0x00", signature, DOMAIN_SEPARATION_TAG)).to.equal(false);
+        });
+    });
+
+    describe("Signatures accepted by ServiceNodeRewards", function () {
+        let serviceNodeRewards;
+        let tags;
+
+        before(async function () {
+            const [owner, foundationPool] = await ethers.getSigners();
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const mockERC20 = await MockERC20.deploy("SESH Token", "SESH", 240_000_000n * 1_000_000_000n);
+            const ServiceNodeRewards = await ethers.getContractFactory("ServiceNodeRewards");
+            serviceNodeRewards = await upgrades.deployProxy(ServiceNodeRewards,
+                [ await mockERC20.getAddress(),
+                await foundationPool.getAddress(),
+                120000000000n,
+                10,
+                1,
+                1,
+                8
+                ]);
+
+            tags = {
+                proofOfPossessionTag: await serviceNodeRewards.proofOfPossessionTag(),
+                hashToG2Tag:          await serviceNodeRewards.hashToG2Tag(),
+            };
+        });
+
+        it("Derives the same tags as the contract", async function () {
+            const { chainId } = await ethers.provider.getNetwork();
+            const address     = await serviceNodeRewards.getAddress();
+            expect(bls.buildTag("BLS_SIG_TRYANDINCREMENT_POP", chainId, address)).to.equal(tags.proofOfPossessionTag);
+            expect(bls.buildTag("BLS_SIG_TRYANDINCREMENT_REWARD", chainId, address)).to.equal(await serviceNodeRewards.rewardTag());
+            expect(bls.buildTag("BLS_SIG_HASH_TO_FIELD_TAG", chainId, address)).to.equal(tags.hashToG2Tag);
+        });
+
+        it("Produces a valid proof of possession", async function () {
+            const [, operator] = await ethers.getSigners();
+            const secretKey         = bls.generateSecretKey();
+            const serviceNodePubkey = BigInt(ethers.hexlify(ethers.randomBytes(32)));
+            const pop = bls.proofOfPossession(secretKey, tags, operator.address, serviceNodePubkey);
+            await expect(serviceNodeRewards.validateProofOfPossession(
+                bls.getPublicKey(secretKey), pop, operator.address, serviceNodePubkey)).to.not.be.reverted;
+        });
+
+        it("Rejects a proof of possession for a different operator", async function () {
+            const [, operator, other] = await ethers.getSigners();
+            const secretKey         = bls.generateSecretKey();
+            const serviceNodePubkey = BigInt(ethers.hexlify(ethers.randomBytes(32)));
+            const pop = bls.proofOfPossession(secretKey, tags, operator.address, serviceNodePubkey);
+            await expect(serviceNodeRewards.validateProofOfPossession(
+                bls.getPublicKey(secretKey), pop, other.address, serviceNodePubkey))
+                .to.be.revertedWithCustomError(serviceNodeRewards, "InvalidBLSProofOfPossession");
+        });
+    });
+});
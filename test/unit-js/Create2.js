@@ -0,0 +1,117 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { readManifest } = require("../../scripts/lib/manifest.js");
+const { CREATE2_DEPLOYER, deriveSalt, predictAddress, deployCreate2 } = require("../../scripts/lib/create2.js");
+const { useTempDeployments } = require("./util");
+
+describe("CREATE2 Deployment Tests", function () {
+    const deployments = useTempDeployments();
+
+    const SESH_UNIT = 1_000_000_000n;
+
+    it("Should deploy to the predicted address from any deployer", async function () {
+        const [, other] = await ethers.getSigners();
+        const factory   = await ethers.getContractFactory("MockERC20");
+        const args      = ["Token", "TKN", 1000n];
+        const salt      = deriveSalt(["string"], ["token"]);
+        expect(salt).to.equal(deriveSalt(["string"], ["token"], ""));
+        expect(salt).to.not.equal(deriveSalt(["string"], ["token"], "other"));
+
+        const predicted = await predictAddress(factory, args, salt);
+        const deployed  = await deployCreate2(hre, factory.connect(other), args, salt);
+        expect(deployed).to.deep.include({ address: predicted, existing: false });
+        expect(await ethers.provider.getCode(CREATE2_DEPLOYER)).to.not.equal("0x");
+        expect(await (await ethers.getContractAt("MockERC20", predicted)).totalSupply()).to.equal(1000n);
+
+        const again = await deployCreate2(hre, factory, args, salt);
+        expect(again).to.deep.equal({ address: predicted, txHash: null, existing: true });
+    });
+
+    it("Should predict and deploy vesting contracts at addresses derived from the CSV", async function () {
+        await hre.run("sesh:deploy", {});
+        const [, beneficiary, revoker] = await ethers.getSigners();
+        const start = new Date((await time.latest() + 24 * 60 * 60) * 1000).toISOString();
+        const end   = new Date((await time.latest() + 365 * 24 * 60 * 60) * 1000).toISOString();
+        const csv   = path.join(deployments.dir, "investors.csv");
+        fs.writeFileSync(csv, [
+            "beneficiary,revoker,start,end,transferableBeneficiary,amount",
+            `${beneficiary.address},${revoker.address},${start},${end},true,100`,
+            `${beneficiary.address},${revoker.address},${start},${end},true,200`,
+        ].join("\n"));
+
+        const predicted = await hre.run("sesh:vesting-deploy", { investors: csv, predict: true });
+        expect(predicted.map((prediction) => prediction.deployed)).to.deep.equal([false, false]);
+        expect(predicted[0].vestingAddress).to.not.equal(predicted[1].vestingAddress);
+        const salted = await hre.run("sesh:vesting-deploy", { investors: csv, predict: true, salt: "round-2" });
+        expect(salted[0].vestingAddress).to.not.equal(predicted[0].vestingAddress);
+
+        const deployed = await hre.run("sesh:vesting-deploy", { investors: csv, create2: true, fund: true });
+        expect(deployed.contracts.map((contract) => contract.vestingAddress))
+            .to.deep.equal(predicted.map((prediction) => prediction.vestingAddress));
+        const token = await ethers.getContractAt("MockERC20", readManifest("hardhat").contracts.SESH.address);
+        expect(await token.balanceOf(predicted[1].vestingAddress)).to.equal(200n * SESH_UNIT);
+
+        // NOTE: Starting over finds the contracts on chain rather than
+        // deploying or funding them again
+        const after = await hre.run("sesh:vesting-deploy", { investors: csv, predict: true });
+        expect(after.map((prediction) => prediction.deployed)).to.deep.equal([true, true]);
+        const fresh = await hre.run("sesh:vesting-deploy", { investors: csv, create2: true, fund: true, fresh: true });
+        expect(fresh.contracts).to.deep.equal(deployed.contracts);
+        expect(await token.balanceOf(predicted[1].vestingAddress)).to.equal(200n * SESH_UNIT);
+        const steps = readManifest("hardhat").steps["vesting-investors"].steps;
+        expect(steps["investor-1"].result).to.deep.equal({ vestingAddress: predicted[0].vestingAddress, txHash: null, existing: true });
+
+        const duplicate = path.join(deployments.dir, "duplicate.csv");
+        fs.writeFileSync(duplicate, fs.readFileSync(csv, "utf8") + `\n${beneficiary.address},${revoker.address},${start},${end},true,200`);
+        await expect(hre.run("sesh:vesting-deploy", { investors: duplicate, predict: true }))
+            .to.be.rejectedWith("Investors rows 2 and 3 are identical and would get the same CREATE2 address");
+        await expect(hre.run("sesh:vesting-deploy", { investors: duplicate, create2: true, fund: true }))
+            .to.be.rejectedWith("Investors rows 2 and 3 are identical");
+
+        await expect(hre.run("sesh:vesting-deploy", { investors: csv, salt: "round-2" }))
+            .to.be.rejectedWith("--salt only applies with --create2 or --predict");
+        await expect(hre.run("sesh:vesting-deploy", { investors: csv, predict: true, fund: true }))
+            .to.be.rejectedWith("--predict does not deploy, --fund and --fresh do not apply");
+    });
+
+    it("Should deploy the TokenConverter deterministically", async function () {
+        const [owner, other] = await ethers.getSigners();
+        const manifest = await hre.run("sesh:deploy", {});
+        const sesh     = manifest.contracts.SESH.address;
+        const args     = { tokenA: sesh, numerator: 1n, denominator: 2n, owner: other.address };
+
+        const predicted = await hre.run("sesh:deploy-token-converter", { ...args, predict: true });
+        expect(predicted.existing).to.equal(false);
+        const deployed = await hre.run("sesh:deploy-token-converter", { ...args, create2: true });
+        expect(deployed).to.deep.include({ address: predicted.address, existing: false });
+
+        const converter = await ethers.getContractAt("TokenConverter", deployed.address);
+        expect(await converter.owner()).to.equal(other.address);
+        expect(await converter.tokenB()).to.equal(sesh);
+        const entry = readManifest("hardhat").contracts.TokenConverter;
+        expect(entry).to.deep.include({ address: deployed.address, txHash: deployed.txHash, deployer: owner.address });
+        expect(entry.constructorArgs).to.deep.equal([sesh, sesh, "1", "2"]);
+
+        // NOTE: The address is tied to the owner, nobody can take it with
+        // another one
+        const otherOwner = await hre.run("sesh:deploy-token-converter", { ...args, owner: owner.address, predict: true });
+        expect(otherOwner.address).to.not.equal(deployed.address);
+
+        const again = await hre.run("sesh:deploy-token-converter", { ...args, create2: true });
+        expect(again).to.deep.equal({ address: deployed.address, txHash: null, existing: true });
+        expect(readManifest("hardhat").contracts.TokenConverter.txHash).to.equal(deployed.txHash);
+
+        const plain = await hre.run("sesh:deploy-token-converter", { tokenA: sesh, numerator: 1n, denominator: 2n });
+        expect(plain.address).to.not.equal(deployed.address);
+        expect(await (await ethers.getContractAt("TokenConverter", plain.address)).owner()).to.equal(owner.address);
+        const handed = await hre.run("sesh:deploy-token-converter", { ...args });
+        expect(await (await ethers.getContractAt("TokenConverter", handed.address)).owner()).to.equal(other.address);
+
+        await expect(hre.run("sesh:deploy-token-converter", { tokenA: sesh, numerator: 0n, denominator: 2n }))
+            .to.be.rejectedWith("--numerator and --denominator must be greater than 0");
+    });
+});
@@ -0,0 +1,221 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { readManifest, writeManifest } = require("../../scripts/lib/manifest.js");
+const { createQuorum } = require("../../scripts/lib/quorum.js");
+const { useTempDeployments } = require("./util");
+
+describe("Deployment Task Tests", function () {
+    const deployments = useTempDeployments();
+
+    const SESH_UNIT = 1_000_000_000n;
+
+    describe("sesh:deploy", function () {
+        it("Should deploy and record the contracts", async function () {
+            const manifest = await hre.run("sesh:deploy", { stakingReq: "120", poolInitial: "1000" });
+            expect(Object.keys(manifest.contracts)).to.deep.equal(
+                ["SESH", "RewardRatePool", "ServiceNodeRewards", "ServiceNodeContributionFactory"]);
+
+            const rewards = await ethers.getContractAt("ServiceNodeRewards", manifest.contracts.ServiceNodeRewards.address);
+            const token   = await ethers.getContractAt("MockERC20", manifest.contracts.SESH.address);
+            expect(await rewards.stakingRequirement()).to.equal(120n * SESH_UNIT);
+            expect(await token.balanceOf(manifest.contracts.RewardRatePool.address)).to.equal(1000n * SESH_UNIT);
+            expect(manifest.contracts.ServiceNodeRewards.contract).to.equal("TestnetServiceNodeRewards");
+        });
+
+        it("Should deploy against an existing token", async function () {
+            const first  = await hre.run("sesh:deploy", { localDevnet: true });
+            const second = await hre.run("sesh:deploy", { token: first.contracts.SESH.address, mainnet: true, stakingReq: "25000" });
+            expect(second.contracts.SESH).to.deep.equal(first.contracts.SESH);
+            expect(second.contracts.ServiceNodeRewards.contract).to.equal("ServiceNodeRewards");
+            expect(second.contracts.RewardRatePool.contract).to.equal("RewardRatePool");
+            expect(second.contracts.ServiceNodeRewards.address).to.not.equal(first.contracts.ServiceNodeRewards.address);
+        });
+
+        it("Should resume an unfinished deployment", async function () {
+            const first = await hre.run("sesh:deploy", {});
+            const again = await hre.run("sesh:deploy", {});
+            expect(again.contracts).to.deep.equal(first.contracts);
+
+            // NOTE: Forget the last steps as if the deploy crashed before them
+            const manifest = readManifest("hardhat");
+            delete manifest.steps.contracts.steps["factory"];
+            delete manifest.steps.contracts.steps["set-beneficiary"];
+            manifest.steps.contracts.completedAt = null;
+            writeManifest(manifest);
+
+            await expect(hre.run("sesh:deploy", { stakingReq: "120" }))
+                .to.be.rejectedWith("The unfinished contracts deployment on hardhat was started with different parameters");
+            const resumed = await hre.run("sesh:deploy", {});
+            for (const name of ["SESH", "RewardRatePool", "ServiceNodeRewards"])
+                expect(resumed.contracts[name]).to.deep.equal(first.contracts[name]);
+            expect(resumed.contracts.ServiceNodeContributionFactory.address)
+                .to.not.equal(first.contracts.ServiceNodeContributionFactory.address);
+            expect(resumed.steps.contracts.completedAt).to.not.equal(null);
+
+            const fresh = await hre.run("sesh:deploy", { fresh: true });
+            expect(fresh.contracts.ServiceNodeRewards.address).to.not.equal(first.contracts.ServiceNodeRewards.address);
+        });
+
+        it("Should validate its parameters", async function () {
+            await expect(hre.run("sesh:deploy", { mainnet: true }))
+                .to.be.rejectedWith("--staking-req must be set explicitly for a --mainnet deployment");
+            await expect(hre.run("sesh:deploy", { mainnet: true, localDevnet: true }))
+                .to.be.rejectedWith("--mainnet and --local-devnet are mutually exclusive");
+            await expect(hre.run("sesh:deploy", { mainnet: true, stakingReq: "25000" }))
+                .to.be.rejectedWith("No address for SESH on hardhat, deploy it or set SESH_ADDRESS, or pass --token");
+            await expect(hre.run("sesh:deploy", { stakingReq: "lots" }))
+                .to.be.rejectedWith("Invalid --staking-req amount of SESH: lots");
+            await expect(hre.run("sesh:deploy", { stakingReq: "0" }))
+                .to.be.rejectedWith("--staking-req must be greater than 0");
+            await expect(hre.run("sesh:deploy", { token: "0x1234" }))
+                .to.be.rejectedWith("Invalid --token address: 0x1234");
+            await expect(hre.run("sesh:deploy", { token: ethers.ZeroAddress }))
+                .to.be.rejectedWith(`No SESH token contract deployed at ${ethers.ZeroAddress} on hardhat`);
+            expect(fs.readdirSync(deployments.dir)).to.deep.equal([]);
+        });
+    });
+
+    describe("sesh:deploy-l1, sesh:deploy-l2 and sesh:bridge-register", function () {
+        const router  = ethers.Wallet.createRandom().address;
+        const gateway = ethers.Wallet.createRandom().address;
+
+        it("Should deploy the L1 and L2 tokens", async function () {
+            await expect(hre.run("sesh:deploy-l1", {}))
+                .to.be.rejectedWith("No default Arbitrum router for hardhat, pass --router");
+
+            const l1Token = await hre.run("sesh:deploy-l1", { router, gateway, supply: "1000" });
+            const l1      = await ethers.getContractAt("SESH", l1Token);
+            const [owner] = await ethers.getSigners();
+            expect(await l1.balanceOf(owner.address)).to.equal(1000n * SESH_UNIT);
+            expect(await l1.router()).to.equal(router);
+            expect(await l1.gateway()).to.equal(gateway);
+            expect(readManifest("hardhat").contracts.SESH.constructorArgs).to.deep.equal(
+                [(1000n * SESH_UNIT).toString(), owner.address, gateway, router]);
+
+            await expect(hre.run("sesh:deploy-l2", { gateway }))
+                .to.be.rejectedWith("No L1 network is known for hardhat, pass --l1-token");
+            const l2Token = await hre.run("sesh:deploy-l2", { gateway, l1Token });
+            const entry   = readManifest("hardhat").contracts.SESH;
+            expect(entry.contract).to.equal("SESHL2");
+            expect(entry.address).to.equal(l2Token);
+            expect(entry.initializerArgs).to.deep.equal([gateway, l1Token]);
+            expect(entry.implementation).to.equal(await upgrades.erc1967.getImplementationAddress(l2Token));
+        });
+
+        it("Should validate the bridge parameters", async function () {
+            await expect(hre.run("sesh:bridge-register", {}))
+                .to.be.rejectedWith("No address for SESH on hardhat, deploy it or set SESH_ADDRESS, or pass --l1-token");
+
+            const l1Token = await hre.run("sesh:deploy-l1", { router, gateway });
+            await expect(hre.run("sesh:bridge-register", {}))
+                .to.be.rejectedWith("No L2 network is known for hardhat, pass --l2-token");
+            await expect(hre.run("sesh:bridge-register", { skipRegister: true }))
+                .to.be.rejectedWith("Nothing to do, --skip-register without an --amount to bridge");
+            await expect(hre.run("sesh:bridge-register", { l1Token: router, l2Token: l1Token }))
+                .to.be.rejectedWith(`No L1 SESH token contract deployed at ${router} on hardhat`);
+        });
+    });
+
+    describe("sesh:upgrade and sesh:dump", function () {
+        it("Should upgrade a proxy from the manifest", async function () {
+            await expect(hre.run("sesh:upgrade", {}))
+                .to.be.rejectedWith(/^No ServiceNodeRewards in the hardhat deployment manifest.*, pass --proxy$/);
+
+            const manifest = await hre.run("sesh:deploy", {});
+            const before   = manifest.contracts.ServiceNodeRewards;
+            await expect(hre.run("sesh:upgrade", { contract: "SESH" }))
+                .to.be.rejectedWith("SESH in the hardhat deployment manifest is not a proxy");
+            await expect(hre.run("sesh:upgrade", { artifact: "NoSuchContract" }))
+                .to.be.rejectedWith(/Unknown --artifact NoSuchContract/);
+
+            const result = await hre.run("sesh:upgrade", { artifact: "ServiceNodeRewards", allowSameVersion: true });
+            expect(result.proxy).to.equal(before.address);
+            expect(result.implementation).to.not.equal(before.implementation);
+
+            const after = readManifest("hardhat").contracts.ServiceNodeRewards;
+            expect(after.contract).to.equal("ServiceNodeRewards");
+            expect(after.implementation).to.equal(result.implementation);
+            expect(after.previousImplementations).to.deep.equal([before.implementation]);
+        });
+
+        it("Should dump the service nodes and contributors", async function () {
+            const manifest = await hre.run("sesh:deploy", {});
+            const rewards  = await ethers.getContractAt("ServiceNodeRewards", manifest.contracts.ServiceNodeRewards.address);
+            const quorum   = await createQuorum(rewards);
+            const nodes    = await quorum.seed(3);
+
+            const dump = await hre.run("sesh:dump", {});
+            expect(dump.address).to.equal(await rewards.getAddress());
+            expect(dump.totalNodes).to.equal(3n);
+            expect(dump.serviceNodes.map((node) => node.id)).to.deep.equal(nodes.map((node) => node.id));
+            expect(dump.contributors.reduce((sum, contributor) => sum + contributor.total_staked, 0n))
+                .to.equal(3n * (await rewards.stakingRequirement()));
+
+            const brief = await hre.run("sesh:dump", { rewards: await rewards.getAddress(), skipContributors: true });
+            expect(brief.contributors).to.equal(null);
+        });
+    });
+
+    describe("sesh:vesting-deploy and sesh:vesting-fund", function () {
+        it("Should deploy and fund a vesting contract per investor", async function () {
+            await hre.run("sesh:deploy", {});
+            const [, beneficiary, revoker] = await ethers.getSigners();
+            const start = new Date((await time.latest() + 24 * 60 * 60) * 1000).toISOString();
+            const end   = new Date((await time.latest() + 365 * 24 * 60 * 60) * 1000).toISOString();
+            const csv   = path.join(deployments.dir, "investors.csv");
+            fs.writeFileSync(csv, [
+                "beneficiary,revoker,start,end,transferableBeneficiary,amount",
+                `${beneficiary.address},${revoker.address},${start},${end},true,100`,
+                `${revoker.address},${beneficiary.address},${start},${end},false,250.5`,
+            ].join("\n"));
+
+            const deployed = await hre.run("sesh:vesting-deploy", { investors: csv, fund: true });
+            expect(deployed.contracts).to.have.length(2);
+            expect(fs.existsSync(deployed.json)).to.equal(true);
+            expect(fs.existsSync(deployed.csv)).to.equal(true);
+
+            const token    = await ethers.getContractAt("MockERC20", readManifest("hardhat").contracts.SESH.address);
+            const vesting  = await ethers.getContractAt("TokenVestingStaking", deployed.contracts[1].vestingAddress);
+            expect(await token.balanceOf(deployed.contracts[0].vestingAddress)).to.equal(100n * SESH_UNIT);
+            expect(await token.balanceOf(deployed.contracts[1].vestingAddress)).to.equal(250_500_000_000n);
+            expect(await vesting.beneficiary()).to.equal(revoker.address);
+
+            // NOTE: Re-running neither deploys nor funds the contracts again
+            const rerun = await hre.run("sesh:vesting-deploy", { investors: csv, fund: true });
+            expect(rerun.contracts).to.deep.equal(deployed.contracts);
+            const funded = await hre.run("sesh:vesting-fund", {});
+            expect(funded).to.deep.equal({ successful: 0, skipped: 2, failed: 0 });
+            expect(await token.balanceOf(deployed.contracts[0].vestingAddress)).to.equal(100n * SESH_UNIT);
+
+            const fresh = await hre.run("sesh:vesting-deploy", { investors: csv, fresh: true });
+            expect(fresh.contracts[0].vestingAddress).to.not.equal(deployed.contracts[0].vestingAddress);
+            expect(await hre.run("sesh:vesting-fund", {})).to.deep.equal({ successful: 2, skipped: 0, failed: 0 });
+            expect(await token.balanceOf(fresh.contracts[0].vestingAddress)).to.equal(100n * SESH_UNIT);
+        });
+
+        it("Should reject invalid investors", async function () {
+            await expect(hre.run("sesh:vesting-deploy", { investors: path.join(deployments.dir, "investors.csv") }))
+                .to.be.rejectedWith("No address for SESH on hardhat, deploy it or set SESH_ADDRESS, or pass --sesh");
+
+            await hre.run("sesh:deploy", {});
+            const csv = path.join(deployments.dir, "investors.csv");
+            await expect(hre.run("sesh:vesting-deploy", { investors: csv }))
+                .to.be.rejectedWith(/Investors CSV not found/);
+
+            const [, beneficiary] = await ethers.getSigners();
+            fs.writeFileSync(csv, [
+                "beneficiary,revoker,start,end,transferableBeneficiary,amount",
+                `${beneficiary.address},0x1234,2030-01-01T00:00:00Z,2031-01-01T00:00:00Z,true,100`,
+            ].join("\n"));
+            await expect(hre.run("sesh:vesting-deploy", { investors: csv }))
+                .to.be.rejectedWith(`${csv} row 1: invalid revoker address: 0x1234`);
+
+            await expect(hre.run("sesh:vesting-fund", {}))
+                .to.be.rejectedWith("No vesting deployments found for hardhat, pass --file");
+        });
+    });
+});
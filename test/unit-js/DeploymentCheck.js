@@ -0,0 +1,88 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+const { readManifest } = require("../../scripts/lib/manifest.js");
+const { checkDeployment } = require("../../scripts/lib/deployment-check.js");
+const { deployFixture } = require("./util");
+
+describe("Deployment Check Tests", function () {
+    const deployments = deployFixture({ args: { poolInitial: "1000" } });
+    let manifest;
+    let owner;
+    let other;
+
+    const failures = (report) => report.checks.filter((check) => !check.ok);
+
+    beforeEach(async function () {
+        [owner, other] = await ethers.getSigners();
+        manifest = deployments.manifest;
+    });
+
+    it("Should pass a fresh deployment", async function () {
+        const report = await hre.run("sesh:check-deployment", { started: false });
+        expect(failures(report)).to.deep.equal([]);
+
+        const names = report.checks.map((check) => check.name);
+        for (const name of ["RewardRatePool.beneficiary", "RewardRatePool deposited", "ServiceNodeRewards.recipientRatio",
+                            "ServiceNodeRewards.isStarted", "ServiceNodeContributionFactory.stakingRewardsContract",
+                            "ServiceNodeRewards implementation", "ServiceNodeContributionFactory.owner"])
+            expect(names).to.include(name);
+        expect(report.checks.find((check) => check.name === "ServiceNodeRewards.stakingRequirement").actual)
+            .to.equal((20_000n * 1_000000000n).toString());
+    });
+
+    it("Should report every relationship that does not match", async function () {
+        const pool    = await ethers.getContractAt("RewardRatePool", manifest.contracts.RewardRatePool.address);
+        const rewards = await ethers.getContractAt("ServiceNodeRewards", manifest.contracts.ServiceNodeRewards.address);
+        await pool.setBeneficiary(other.address);
+        await rewards.pause();
+        await rewards.start();
+
+        const report = await checkDeployment(hre, readManifest("hardhat"), { started: false, poolInitial: 2000n * 1_000000000n });
+        expect(failures(report)).to.deep.equal([
+            { name: "RewardRatePool.beneficiary", ok: false, expected: manifest.contracts.ServiceNodeRewards.address, actual: other.address },
+            { name: "RewardRatePool deposited", ok: false, expected: ">= 2000000000000", actual: "1000000000000" },
+            { name: "ServiceNodeRewards.isStarted", ok: false, expected: "false", actual: "true" },
+            { name: "ServiceNodeRewards.paused", ok: false, expected: "false", actual: "true" },
+        ]);
+
+        await expect(hre.run("sesh:check-deployment", {}))
+            .to.be.rejectedWith("Deployment check failed: RewardRatePool.beneficiary, ServiceNodeRewards.paused");
+        await expect(hre.run("sesh:check-deployment", { started: true, paused: true }))
+            .to.be.rejectedWith("Deployment check failed: RewardRatePool.beneficiary, ServiceNodeContributionFactory.paused");
+    });
+
+    it("Should check owners and implementations", async function () {
+        const report = await checkDeployment(hre, manifest, { owner: other.address });
+        expect(failures(report).map((check) => check.name)).to.deep.equal([
+            "RewardRatePool.owner",
+            "ServiceNodeRewards.owner",
+            "ServiceNodeContributionFactory.owner",
+            ...["RewardRatePool", "ServiceNodeRewards", "ServiceNodeContributionFactory"]
+                .map((name) => `ProxyAdmin ${manifest.contracts[name].proxyAdmin} owner`),
+        ]);
+        expect(failures(report)[0]).to.include({ expected: other.address, actual: owner.address });
+
+        // NOTE: An upgrade the manifest does not know about
+        await upgrades.upgradeProxy(manifest.contracts.ServiceNodeRewards.address, await ethers.getContractFactory("ServiceNodeRewards"));
+        const upgraded = await checkDeployment(hre, manifest);
+        expect(failures(upgraded)).to.have.length(1);
+        expect(failures(upgraded)[0]).to.include({
+            name:     "ServiceNodeRewards implementation",
+            expected: manifest.contracts.ServiceNodeRewards.implementation,
+            actual:   await upgrades.erc1967.getImplementationAddress(manifest.contracts.ServiceNodeRewards.address),
+        });
+    });
+
+    it("Should require the deployment in the manifest", async function () {
+        const empty = { network: "hardhat", contracts: {} };
+        await expect(checkDeployment(hre, empty))
+            .to.be.rejectedWith("The hardhat deployment manifest has no SESH, RewardRatePool, ServiceNodeRewards, ServiceNodeContributionFactory to check");
+
+        const gone = structuredClone(manifest);
+        gone.contracts.ServiceNodeRewards.address = other.address;
+        const report = await checkDeployment(hre, gone);
+        expect(report.ok).to.equal(false);
+        expect(failures(report)).to.deep.equal([{ name: "ServiceNodeRewards code", ok: false, expected: "deployed", actual: "no code" }]);
+    });
+});
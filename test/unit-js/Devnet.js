@@ -0,0 +1,90 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const bls = require("../../scripts/lib/bls.js");
+const { nodeKeys, walletKey, writeDevnet } = require("../../scripts/lib/devnet.js");
+const { useTempDeployments } = require("./util");
+
+describe("Devnet Bootstrap Tests", function () {
+    this.timeout(5 * 60 * 1000);
+
+    const SESH_UNIT = 1_000_000_000n;
+
+    const deployments = useTempDeployments();
+
+    it("Should register solo, multi-contributor and vesting nodes and write them out", async function () {
+        const out    = path.join(deployments.dir, "devnet.json");
+        const devnet = await hre.run("sesh:devnet", { solo: 1, multi: 1, vesting: 1, contributors: 3, wallets: 1, seed: "test", out });
+        expect(JSON.parse(fs.readFileSync(out, "utf8"))).to.deep.equal(devnet);
+        expect(fs.statSync(out).mode & 0o777).to.equal(0o600);
+
+        const rewards = await ethers.getContractAt("ServiceNodeRewards", devnet.contracts.ServiceNodeRewards);
+        const token   = await ethers.getContractAt("MockERC20", devnet.contracts.SESH);
+        expect(await rewards.isStarted()).to.equal(true);
+        expect(await rewards.totalNodes()).to.equal(3n);
+        expect(await token.symbol()).to.equal("SENT");
+
+        // NOTE: Wallets are handed out to the nodes in order, the spare one last
+        expect(devnet.wallets.map((wallet) => wallet.privateKey)).to.deep.equal([0, 1, 2, 3, 4, 5].map((index) => walletKey("test", index)));
+        const [solo, multi, vesting] = devnet.nodes;
+        const spare = devnet.wallets[5].address;
+        expect(await token.balanceOf(spare)).to.equal(1120n * SESH_UNIT);
+        expect(await ethers.provider.getBalance(spare)).to.equal(ethers.parseEther("10"));
+
+        const onChain = async (node) => rewards.serviceNodes(node.serviceNodeID);
+        expect(solo.kind).to.equal("solo");
+        expect((await onChain(solo)).operator).to.equal(devnet.wallets[0].address);
+        expect(BigInt(solo.blsSecretKey)).to.equal(nodeKeys("test", 0).blsSecretKey);
+        expect(bls.getPublicKey(BigInt(solo.blsSecretKey)).X).to.equal(BigInt(solo.blsPubkey.X));
+
+        expect(multi.kind).to.equal("multi");
+        const contributors = (await onChain(multi)).contributors;
+        expect(contributors.map((contributor) => contributor.staker.addr)).to.deep.equal(devnet.wallets.slice(1, 4).map((wallet) => wallet.address));
+        expect(contributors.map((contributor) => contributor.stakedAmount.toString())).to.deep.equal(multi.contributors.map((contributor) => contributor.amount));
+        expect(multi.contributors.reduce((total, contributor) => total + BigInt(contributor.amount), 0n)).to.equal(120n * SESH_UNIT);
+        expect(await (await ethers.getContractAt("ServiceNodeContribution", multi.contract)).operator()).to.equal(devnet.wallets[1].address);
+
+        expect(vesting.kind).to.equal("vesting");
+        expect(vesting.beneficiary).to.equal(devnet.wallets[4].address);
+        const vestingNode = await onChain(vesting);
+        expect(vestingNode.operator).to.equal(vesting.contract);
+        expect(vestingNode.contributors[0].staker.beneficiary).to.equal(vesting.beneficiary);
+
+        const env = fs.readFileSync(path.join(deployments.dir, "devnet.env"), "utf8");
+        expect(env).to.include(`SERVICE_NODE_REWARDS_ADDRESS=${devnet.contracts.ServiceNodeRewards}\n`);
+        expect(env).to.include(`DEVNET_WALLET_5_PRIVATE_KEY=${devnet.wallets[5].privateKey}\n`);
+        expect(env).to.include(`DEVNET_NODE_2_CONTRACT=${vesting.contract}\n`);
+        expect(env).to.include(`DEVNET_NODE_0_BLS_PUBKEY=${solo.blsPubkey.X}${solo.blsPubkey.Y.slice(2)}\n`);
+        // NOTE: The hardhat network is in process, there is no RPC for Echidna
+        expect(fs.existsSync(path.join(deployments.dir, "devnet.echidna.yml"))).to.equal(false);
+
+        const files = writeDevnet({ ...devnet, rpcUrl: "http://127.0.0.1:8545" }, path.join(deployments.dir, "rpc.json"));
+        expect(files[2]).to.equal(path.join(deployments.dir, "rpc.echidna.yml"));
+        const echidna = fs.readFileSync(files[2], "utf8");
+        expect(echidna).to.include(`testMode:        "assertion"\n`);
+        expect(echidna).to.include(`rpcUrl:          "http://127.0.0.1:8545"\n`);
+        expect(echidna).to.include(`rpcBlock:        ${devnet.block}\n`);
+    });
+
+    it("Should derive the same keys from the same seed", async function () {
+        const first  = await hre.run("sesh:devnet", { solo: 1, seed: "same", out: path.join(deployments.dir, "first.json") });
+        const second = await hre.run("sesh:devnet", { solo: 1, seed: "same", out: path.join(deployments.dir, "second.json") });
+        expect(second.wallets).to.deep.equal(first.wallets);
+        expect(second.nodes[0].blsPubkey).to.deep.equal(first.nodes[0].blsPubkey);
+        expect(second.nodes[0].serviceNodeParams.serviceNodePubkey).to.equal(first.nodes[0].serviceNodeParams.serviceNodePubkey);
+        // NOTE: A new deployment has new tags, so new proofs of possession
+        expect(second.contracts.ServiceNodeRewards).to.not.equal(first.contracts.ServiceNodeRewards);
+        expect(second.nodes[0].blsSignature).to.not.deep.equal(first.nodes[0].blsSignature);
+    });
+
+    it("Should refuse what the devnet cannot be bootstrapped with", async function () {
+        await expect(hre.run("sesh:devnet", { multi: 1, contributors: 1 }))
+            .to.be.rejectedWith("A multi-contributor node takes 2 to 10 contributors, got 1");
+        await expect(hre.run("sesh:devnet", { wallets: 1, fund: "300000000" }))
+            .to.be.rejectedWith(/The deployer 0x\w+ holds 200000000.0 SESH, funding 1 wallets and 0 vesting contracts needs 300000120.0/);
+        await expect(hre.run("sesh:devnet", { solo: -1 })).to.be.rejectedWith("--solo must not be negative, got -1");
+        await expect(hre.run("sesh:devnet", { eth: "lots" })).to.be.rejectedWith("Invalid --eth amount: lots");
+    });
+});
@@ -0,0 +1,88 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const bls = require("../../scripts/lib/bls.js");
+const fuzzer = require("../../scripts/lib/fuzz-bn256.js");
+
+describe("BN256 Differential Fuzzer Tests", function () {
+    let contracts;
+    let corpusFile;
+
+    // NOTE: A reference that is off by one in the real part, so every input
+    // mismatches
+    const BROKEN_TARGETS = {
+        ...fuzzer.TARGETS,
+        fq2Add: {
+            ...fuzzer.TARGETS.fq2Add,
+            reference: (input) => {
+                const [x, y] = bls.Fp2.add(input.a.map(BigInt), input.b.map(BigInt));
+                return [((x + 1n) % bls.FIELD_MODULUS).toString(), y.toString()];
+            },
+        },
+    };
+
+    before(async function () {
+        contracts = await fuzzer.deployFuzzContracts(hre.ethers);
+    });
+
+    beforeEach(async function () {
+        corpusFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "sesh-fuzz-")), "corpus.json");
+    });
+
+    it("Agrees with the JS reference on every target", async function () {
+        const result = await fuzzer.fuzz(contracts, { iterations: 3, seed: "unit-test" });
+        expect(result.cases).to.equal(3 * Object.keys(fuzzer.TARGETS).length);
+        expect(result.mismatches).to.deep.equal([]);
+    });
+
+    it("Generates the same inputs for the same seed", async function () {
+        const generate = (seed) => {
+            const rng = fuzzer.fuzzRandom(seed);
+            return Object.values(fuzzer.TARGETS).map((target) => target.generate(rng));
+        };
+        expect(generate("a")).to.deep.equal(generate("a"));
+        expect(generate("a")).to.not.deep.equal(generate("b"));
+    });
+
+    it("Saves mismatches to the corpus and replays them", async function () {
+        const result = await fuzzer.fuzz(contracts, { iterations: 2, targets: ["fq2Add"], definitions: BROKEN_TARGETS });
+        expect(result.mismatches).to.have.length(2);
+        expect(result.mismatches[0].target).to.equal("fq2Add");
+
+        expect(fuzzer.saveToCorpus(corpusFile, result.mismatches)).to.equal(2);
+        expect(fuzzer.saveToCorpus(corpusFile, result.mismatches)).to.equal(0);
+
+        const corpus = fuzzer.readCorpus(corpusFile);
+        expect(corpus.version).to.equal(fuzzer.CORPUS_VERSION);
+        expect(corpus.entries).to.have.length(2);
+
+        const broken = await fuzzer.replayCorpus(contracts, corpus, BROKEN_TARGETS);
+        expect(broken.map((entry) => entry.match)).to.deep.equal([false, false]);
+        const fixed = await fuzzer.replayCorpus(contracts, corpus);
+        expect(fixed.map((entry) => entry.match)).to.deep.equal([true, true]);
+    });
+
+    it("Treats a missing corpus as empty and rejects other versions", async function () {
+        expect(fuzzer.readCorpus(corpusFile)).to.deep.equal({ version: fuzzer.CORPUS_VERSION, entries: [] });
+        fs.writeFileSync(corpusFile, JSON.stringify({ version: fuzzer.CORPUS_VERSION + 1, entries: [] }));
+        expect(() => fuzzer.readCorpus(corpusFile)).to.throw(/version/);
+    });
+
+    it("Matches on every input saved in the checked-in corpus", async function () {
+        const results = await fuzzer.replayCorpus(contracts, fuzzer.readCorpus(fuzzer.DEFAULT_CORPUS));
+        for (const result of results) {
+            expect(result.match, `${result.entry.target} ${JSON.stringify(result.entry.input)}`).to.equal(true);
+        }
+    });
+
+    it("Runs from the sesh:fuzz-bn256 task", async function () {
+        const result = await hre.run("sesh:fuzz-bn256", { iterations: 1, seed: "task", targets: "g1Add,fq2Mul", corpus: corpusFile });
+        expect(result.cases).to.equal(2);
+        expect(fs.existsSync(corpusFile)).to.equal(false);
+
+        await expect(hre.run("sesh:fuzz-bn256", { iterations: 1, targets: "nope", corpus: corpusFile }))
+            .to.be.rejectedWith(/Unknown target 'nope'/);
+    });
+});
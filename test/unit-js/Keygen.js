@@ -0,0 +1,88 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+const { readRegistration, ed25519Verify } = require("../../scripts/lib/registration.js");
+const bls = require("../../scripts/lib/bls.js");
+
+describe("sesh:keygen Task Tests", function () {
+    let mockERC20;
+    let serviceNodeRewards;
+    let rewardsAddress;
+    let operator;
+    let out;
+
+    const staking_req = 120000000000n;
+
+    beforeEach(async function () {
+        let foundationPool;
+        [operator, foundationPool] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        mockERC20       = await MockERC20.deploy("SESH Token", "SESH", 240_000_000n * 1_000_000_000n);
+
+        const ServiceNodeRewardsMaster = await ethers.getContractFactory("ServiceNodeRewards");
+        serviceNodeRewards = await upgrades.deployProxy(ServiceNodeRewardsMaster,
+            [ await mockERC20.getAddress(),
+            await foundationPool.getAddress(),
+            staking_req,
+            10,
+            1,
+            1,
+            8
+            ]);
+        await serviceNodeRewards.start();
+        rewardsAddress = await serviceNodeRewards.getAddress();
+
+        out = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "sesh-keygen-")), "registration.json");
+    });
+
+    afterEach(function () {
+        fs.rmSync(path.dirname(out), { recursive: true, force: true });
+    });
+
+    it("Should write a bundle that registers with addBLSPublicKey", async function () {
+        await hre.run("sesh:keygen", { rewards: rewardsAddress, operator: operator.address, out: out });
+        const registration = readRegistration(out);
+
+        expect(registration.rewardsAddress).to.equal(rewardsAddress);
+        expect(registration.operator).to.equal(operator.address);
+        expect(bls.getPublicKey(registration.blsSecretKey)).to.deep.equal(registration.blsPubkey);
+
+        await mockERC20.approve(rewardsAddress, staking_req);
+        await expect(serviceNodeRewards.addBLSPublicKey(
+            registration.blsPubkey,
+            registration.blsSignature,
+            registration.serviceNodeParams,
+            [])).to.emit(serviceNodeRewards, "NewServiceNodeV2");
+    });
+
+    it("Should sign the proof of possession message with the Ed25519 key", async function () {
+        await hre.run("sesh:keygen", { rewards: rewardsAddress, operator: operator.address, out: out });
+        const registration = readRegistration(out);
+        const params       = registration.serviceNodeParams;
+        const message      = bls.proofOfPossessionMessage(
+            registration.tags.proofOfPossessionTag, registration.blsPubkey, operator.address, params.serviceNodePubkey);
+        const signature    = ethers.concat([ethers.toBeHex(params.serviceNodeSignature1, 32), ethers.toBeHex(params.serviceNodeSignature2, 32)]);
+        expect(ed25519Verify(ethers.toBeHex(params.serviceNodePubkey, 32), message, signature)).to.equal(true);
+    });
+
+    it("Should derive the same tags offline", async function () {
+        const { chainId } = await ethers.provider.getNetwork();
+        await hre.run("sesh:keygen", { rewards: rewardsAddress, operator: operator.address, out: out, chainId: Number(chainId) });
+        const registration = readRegistration(out);
+        expect(registration.tags.proofOfPossessionTag).to.equal(await serviceNodeRewards.proofOfPossessionTag());
+        expect(registration.tags.hashToG2Tag).to.equal(await serviceNodeRewards.hashToG2Tag());
+        await expect(serviceNodeRewards.validateProofOfPossession(
+            registration.blsPubkey, registration.blsSignature, operator.address, registration.serviceNodeParams.serviceNodePubkey))
+            .to.not.be.reverted;
+    });
+
+    it("Should reject an address without a contract", async function () {
+        await expect(hre.run("sesh:keygen", { rewards: ethers.ZeroAddress, operator: operator.address, out: out }))
+            .to.be.rejectedWith("No contract deployed");
+        expect(fs.existsSync(out)).to.equal(false);
+    });
+});
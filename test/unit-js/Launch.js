@@ -0,0 +1,186 @@
+const { expect } = require("chai");
+const net = require("net");
+const { spawn } = require("child_process");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { readManifest } = require("../../scripts/lib/manifest.js");
+const { launch, taskArguments } = require("../../scripts/lib/launch.js");
+const { useTempDeployments } = require("./util");
+
+// NOTE: A launch runs its stages as tasks on the localL1 and localL2 networks,
+// so these tests start a Hardhat node for each of them. They listen on free
+// ports rather than the configured ones, which `make node` may be using, and
+// the stages' processes find them through SESH_LOCAL_L1_URL and
+// SESH_LOCAL_L2_URL.
+describe("Launch Tests", function () {
+    this.timeout(10 * 60 * 1000);
+
+    const SESH_UNIT = 1_000_000_000n;
+    const URL_ENV   = { localL1: "SESH_LOCAL_L1_URL", localL2: "SESH_LOCAL_L2_URL" };
+
+    const nodes      = {};
+    const configured = {};
+
+    useTempDeployments();
+
+    function freePort() {
+        return new Promise((resolve, reject) => {
+            const server = net.createServer();
+            server.on("error", reject);
+            server.listen(0, "127.0.0.1", () => {
+                const { port } = server.address();
+                server.close(() => resolve(port));
+            });
+        });
+    }
+
+    // Start a Hardhat node for a network of the config on a free port,
+    // resolving once it listens
+    async function startNode(network) {
+        const port = await freePort();
+        const url  = `http://127.0.0.1:${port}`;
+        configured[network]              = hre.config.networks[network].url;
+        hre.config.networks[network].url = url;
+        process.env[URL_ENV[network]]    = url;
+
+        const child = spawn(process.execPath, [require.resolve("hardhat/internal/cli/bootstrap.js"), "node", "--port", String(port)], {
+            cwd:   hre.config.paths.root,
+            stdio: ["ignore", "pipe", "inherit"],
+        });
+        return new Promise((resolve, reject) => {
+            let output = "";
+            child.on("exit", (code) => reject(new Error(`Hardhat node for ${network} exited with code ${code}`)));
+            child.stdout.on("data", (data) => {
+                output += data;
+                if (output.includes("Started HTTP")) {
+                    child.stdout.resume().removeAllListeners("data");
+                    child.removeAllListeners("exit");
+                    resolve({ child, provider: new ethers.JsonRpcProvider(url) });
+                }
+            });
+        });
+    }
+
+    async function deployMocks() {
+        const l1Signer  = await nodes.localL1.provider.getSigner(0);
+        const l2Signer  = await nodes.localL2.provider.getSigner(0);
+        const gateway   = await (await ethers.getContractFactory("MockL1CustomGateway", l1Signer)).deploy();
+        const router    = await (await ethers.getContractFactory("MockL1GatewayRouter", l1Signer)).deploy();
+        const l2Gateway = await (await ethers.getContractFactory("MockL2CustomGateway", l2Signer)).deploy();
+        return {
+            deployer:  await l1Signer.getAddress(),
+            l1Signer,
+            l2Signer,
+            gateway,
+            router,
+            l2Gateway,
+            args: {
+                l1Network:  "localL1",
+                l2Network:  "localL2",
+                stakingReq: "20000",
+                router:     await router.getAddress(),
+                gateway:    await gateway.getAddress(),
+                l2Gateway:  await l2Gateway.getAddress(),
+                noVerify:   true,
+                yes:        true,
+            },
+        };
+    }
+
+    before(async function () {
+        nodes.localL1 = await startNode("localL1");
+        nodes.localL2 = await startNode("localL2");
+    });
+
+    after(async function () {
+        for (const node of Object.values(nodes)) {
+            node.provider.destroy();
+            node.child.kill();
+        }
+        for (const [network, url] of Object.entries(configured)) {
+            hre.config.networks[network].url = url;
+            delete process.env[URL_ENV[network]];
+        }
+    });
+
+    it("Should turn task arguments into command line arguments", async function () {
+        expect(taskArguments({ l1Token: "0x01", amount: "10", skipRegister: true, noVerify: false, owner: undefined }))
+            .to.deep.equal(["--l1-token", "0x01", "--amount", "10", "--skip-register"]);
+    });
+
+    it("Should launch across both networks, waiting on L2 for the bridged SESH", async function () {
+        const mocks = await deployMocks();
+
+        // NOTE: The mock gateways do not deliver deposits on L2, so the launch
+        // stops at the rewards stage until the bridged SESH is minted by hand
+        await expect(hre.run("sesh:launch", mocks.args))
+            .to.be.rejectedWith(`The deployer ${mocks.deployer} has 0.0 SESH on localL2, 40000000.0 are needed to fund the RewardRatePool`);
+        const l1Token = readManifest("localL1").contracts.SESH.address;
+        const l2Token = readManifest("localL2").contracts.SESH.address;
+        const stages  = readManifest("localL1").steps.launch.steps;
+        expect(Object.keys(stages)).to.deep.equal(["l1-token", "l2-token", "register", "bridge"]);
+        expect(stages["l2-token"].result).to.deep.equal({ address: l2Token });
+
+        expect(await mocks.gateway.l1ToL2Token(l1Token)).to.equal(l2Token);
+        expect(await mocks.router.l1TokenToGateway(l1Token)).to.equal(mocks.args.gateway);
+        const seshl2 = await ethers.getContractAt("SESHL2", l2Token, mocks.l2Signer);
+        expect(await seshl2.l1Address()).to.equal(l1Token);
+        const sesh = await ethers.getContractAt("SESH", l1Token, mocks.l1Signer);
+        expect(await sesh.balanceOf(mocks.args.gateway)).to.equal(40_000_000n * SESH_UNIT);
+
+        await (await mocks.l2Gateway.finalizeInboundTransfer(l2Token, mocks.deployer, 40_000_000n * SESH_UNIT)).wait();
+        const results = await hre.run("sesh:launch", mocks.args);
+        expect(results["l1-token"]).to.deep.equal({ address: l1Token });
+        const rewards = readManifest("localL2").contracts.ServiceNodeRewards.address;
+        expect(results.rewards).to.deep.equal({ serviceNodeRewards: rewards });
+        expect(readManifest("localL1").steps.launch.completedAt).to.not.equal(null);
+
+        const serviceNodeRewards = await ethers.getContractAt("ServiceNodeRewards", rewards, mocks.l2Signer);
+        expect(await serviceNodeRewards.designatedToken()).to.equal(l2Token);
+        expect(await serviceNodeRewards.stakingRequirement()).to.equal(20_000n * SESH_UNIT);
+        expect(await seshl2.balanceOf(readManifest("localL2").contracts.RewardRatePool.address)).to.equal(40_000_000n * SESH_UNIT);
+    });
+
+    it("Should check each stage's preconditions before running it", async function () {
+        const mocks = await deployMocks();
+        await expect(hre.run("sesh:launch", { ...mocks.args, l2Network: "localL1" }))
+            .to.be.rejectedWith("--l1-network and --l2-network must be different networks");
+        await expect(hre.run("sesh:launch", { ...mocks.args, stakingReq: undefined }))
+            .to.be.rejectedWith("--staking-req must be set explicitly for a launch");
+        await expect(hre.run("sesh:launch", { ...mocks.args, stakingReq: undefined, profile: "mainnet" }))
+            .to.be.rejectedWith("Deployment profile mainnet is for arbitrum, not localL2");
+        await expect(hre.run("sesh:launch", { ...mocks.args, profile: "mainnet" }))
+            .to.be.rejectedWith("--staking-req and --pool-initial cannot be combined with it");
+
+        const SESH  = await ethers.getContractFactory("SESH", mocks.l1Signer);
+        const other = await SESH.deploy(1000n * SESH_UNIT, mocks.deployer, mocks.args.gateway, mocks.deployer);
+        await expect(hre.run("sesh:launch", { ...mocks.args, l1Token: await other.getAddress() }))
+            .to.be.rejectedWith(`was deployed for the router ${mocks.deployer}`);
+
+        const token = await SESH.deploy(1000n * SESH_UNIT, mocks.deployer, mocks.args.gateway, mocks.args.router);
+        const args  = { ...mocks.args, l1Token: await token.getAddress() };
+        await expect(hre.run("sesh:launch", { ...args, l2Gateway: mocks.deployer }))
+            .to.be.rejectedWith(`No Arbitrum L2 custom gateway contract at ${mocks.deployer} on localL2`);
+        await expect(hre.run("sesh:launch", args))
+            .to.be.rejectedWith("was started with different parameters");
+
+        const params = {
+            l1Network:    "localL1",
+            l2Network:    "localL2",
+            l1Token:      await token.getAddress(),
+            supply:       1000n * SESH_UNIT,
+            stakingReq:   20_000n * SESH_UNIT,
+            poolInitial:  1000n * SESH_UNIT,
+            bridgeAmount: 1000n * SESH_UNIT,
+            router:       mocks.args.router,
+            gateway:      mocks.args.gateway,
+            l2Gateway:    mocks.args.l2Gateway,
+            fresh:        true,
+        };
+        const questions = [];
+        const confirm   = async (question) => questions.push(question) < 2;
+        await expect(launch(hre, params, { confirm })).to.be.rejectedWith("Launch stopped before the l2-token stage, re-run to resume");
+        expect(questions[1]).to.equal("Stage 2/5 l2-token on localL2: deploy the L2 SESHL2 token for the L1 token. Continue?");
+        expect(Object.keys(readManifest("localL1").steps.launch.steps)).to.deep.equal(["l1-token"]);
+    });
+});
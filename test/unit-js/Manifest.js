@@ -0,0 +1,98 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+const {
+    manifestPath,
+    readManifest,
+    recordUpgrade,
+    overrideVariable,
+    resolveAddress,
+} = require("../../scripts/lib/manifest.js");
+const { deployContracts } = require("../../scripts/deploy-common.js");
+const { useTempDeployments } = require("./util");
+
+describe("Deployment Manifest Tests", function () {
+    const deployments = useTempDeployments();
+    let owner;
+
+    beforeEach(async function () {
+        [owner] = await ethers.getSigners();
+    });
+
+    afterEach(async function () {
+        delete process.env.SERVICE_NODE_REWARDS_ADDRESS;
+    });
+
+    it("Should record every contract deployContracts deploys", async function () {
+        const deployed = await deployContracts({}, false);
+        const manifest = readManifest("hardhat");
+        expect(fs.existsSync(manifestPath("hardhat", deployments.dir))).to.equal(true);
+        expect(manifest.network).to.equal("hardhat");
+        expect(manifest.chainId).to.equal(31337);
+        expect(Object.keys(manifest.contracts)).to.deep.equal(
+            ["SESH", "RewardRatePool", "ServiceNodeRewards", "ServiceNodeContributionFactory"]);
+
+        const token = manifest.contracts.SESH;
+        expect(token.contract).to.equal("MockERC20");
+        expect(token.address).to.equal(await deployed.tokenContract.getAddress());
+        expect(token.constructorArgs).to.deep.equal(["SESH Token", "SESH", (240_000_000n * 1_000000000n).toString()]);
+        expect(token).to.not.have.property("implementation");
+
+        const rewards = manifest.contracts.ServiceNodeRewards;
+        const receipt = await deployed.serviceNodeRewards.deploymentTransaction().wait();
+        expect(rewards.contract).to.equal("TestnetServiceNodeRewards");
+        expect(rewards.address).to.equal(await deployed.serviceNodeRewards.getAddress());
+        expect(rewards.implementation).to.equal(await upgrades.erc1967.getImplementationAddress(rewards.address));
+        expect(rewards.proxyAdmin).to.equal(await upgrades.erc1967.getAdminAddress(rewards.address));
+        expect(rewards.txHash).to.equal(receipt.hash);
+        expect(rewards.blockNumber).to.equal(receipt.blockNumber);
+        expect(rewards.deployer).to.equal(owner.address);
+        expect(rewards.initializerArgs).to.deep.equal([
+            token.address, manifest.contracts.RewardRatePool.address, (20_000n * 1_000000000n).toString(), 10, 3, 17, 9980]);
+        expect(rewards.git.commit).to.match(/^[0-9a-f]{40}$/);
+
+        expect(manifest.contracts.ServiceNodeContributionFactory.initializerArgs).to.deep.equal([rewards.address]);
+    });
+
+    it("Should resolve addresses from the manifest with an override", async function () {
+        await deployContracts({}, false);
+        const recorded = readManifest("hardhat").contracts.ServiceNodeRewards.address;
+        expect(resolveAddress("ServiceNodeRewards", { network: "hardhat" })).to.equal(recorded);
+
+        const other = ethers.Wallet.createRandom().address;
+        process.env.SERVICE_NODE_REWARDS_ADDRESS = other.toLowerCase();
+        expect(resolveAddress("ServiceNodeRewards", { network: "hardhat" })).to.equal(other);
+        expect(resolveAddress("ServiceNodeRewards", { network: "hardhat", override: recorded })).to.equal(recorded);
+
+        process.env.SERVICE_NODE_REWARDS_ADDRESS = "0x1234";
+        expect(() => resolveAddress("ServiceNodeRewards", { network: "hardhat" }))
+            .to.throw("Invalid ServiceNodeRewards address from SERVICE_NODE_REWARDS_ADDRESS: 0x1234");
+        expect(() => resolveAddress("TokenConverter", { network: "hardhat" }))
+            .to.throw("No address for TokenConverter on hardhat, deploy it or set TOKEN_CONVERTER_ADDRESS");
+        expect(() => resolveAddress("SESH", { network: "arbitrum" }))
+            .to.throw("No address for SESH on arbitrum, deploy it or set SESH_ADDRESS");
+    });
+
+    it("Should record upgrades of a proxy", async function () {
+        const { serviceNodeRewards } = await deployContracts({}, false);
+        const before = readManifest("hardhat").contracts.ServiceNodeRewards;
+
+        await upgrades.upgradeProxy(serviceNodeRewards, await ethers.getContractFactory("ServiceNodeRewards"));
+        const entry = await recordUpgrade(hre, "ServiceNodeRewards", { contract: "ServiceNodeRewards" });
+        expect(entry.contract).to.equal("ServiceNodeRewards");
+        expect(entry.implementation).to.not.equal(before.implementation);
+        expect(entry.implementation).to.equal(await upgrades.erc1967.getImplementationAddress(before.address));
+        expect(entry.previousImplementations).to.deep.equal([before.implementation]);
+        expect(readManifest("hardhat").contracts.ServiceNodeRewards).to.deep.equal(entry);
+
+        await expect(recordUpgrade(hre, "SESH")).to.be.rejectedWith("SESH is not a proxy in the hardhat deployment manifest");
+    });
+
+    it("Should name the override variables after the contract", async function () {
+        expect(overrideVariable("SESH")).to.equal("SESH_ADDRESS");
+        expect(overrideVariable("ServiceNodeRewards")).to.equal("SERVICE_NODE_REWARDS_ADDRESS");
+        expect(overrideVariable("ServiceNodeContributionFactory")).to.equal("SERVICE_NODE_CONTRIBUTION_FACTORY_ADDRESS");
+        expect(overrideVariable("RewardRatePool")).to.equal("REWARD_RATE_POOL_ADDRESS");
+    });
+});
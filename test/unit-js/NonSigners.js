@@ -0,0 +1,130 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createQuorum } = require("../../scripts/lib/quorum.js");
+const { NON_SIGNER_GAS, buildNonSignerList } = require("../../scripts/lib/non-signers.js");
+
+describe("Non-signer List Builder Tests", function () {
+    let serviceNodeRewards;
+    let owner;
+    let recipient;
+    let quorum;
+
+    const staking_req = 120000000000n;
+    const NODE_COUNT  = 10;
+
+    // Sign for `updateRewardsBalance` with only `signers` contributing
+    async function signRewardsBy(signers, amount = 1000n) {
+        const nonSigners = quorum.nodes.filter((node) => node.id !== null && !signers.includes(node));
+        const { signature } = await quorum.signRewards(recipient.address, amount, nonSigners);
+        return signature;
+    }
+
+    beforeEach(async function () {
+        let foundationPool;
+        [owner, foundationPool, recipient] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const mockERC20 = await MockERC20.deploy("SESH Token", "SESH", 240_000_000n * 1_000_000_000n);
+
+        const ServiceNodeRewardsMaster = await ethers.getContractFactory("ServiceNodeRewards");
+        serviceNodeRewards = await upgrades.deployProxy(ServiceNodeRewardsMaster,
+            [ await mockERC20.getAddress(),              // token address
+            await foundationPool.getAddress(),         // foundation pool address
+            staking_req,                    // testnet staking requirement
+            10,                             // max contributors
+            1,                              // liquidator reward ratio
+            1,                              // pool share of liquidation ratio
+            8                               // recipient ratio
+            ]);
+
+        quorum = await createQuorum(serviceNodeRewards);
+        await quorum.seed(NODE_COUNT);
+        await serviceNodeRewards.start();
+        await mockERC20.transfer(await serviceNodeRewards.getAddress(), staking_req * BigInt(NODE_COUNT));
+    });
+
+    it("Should complement signer IDs and pubkeys", async function () {
+        const signers   = quorum.nodes.slice(2);
+        const signature = await signRewardsBy(signers);
+
+        const fromIDs     = await buildNonSignerList(serviceNodeRewards, signers.map((node) => node.id));
+        const fromPubkeys = await buildNonSignerList(serviceNodeRewards, signers.map((node) => node.blsPubkey));
+        expect(fromIDs.ids).to.deep.equal(quorum.nodes.slice(0, 2).map((node) => node.id));
+        expect(fromPubkeys.ids).to.deep.equal(fromIDs.ids);
+        expect(fromIDs.enoughSigners).to.equal(true);
+        expect(fromIDs.warnings).to.deep.equal([]);
+
+        await expect(serviceNodeRewards.updateRewardsBalance(recipient.address, 1000n, signature, fromIDs.ids))
+            .to.emit(serviceNodeRewards, "RewardsBalanceUpdated");
+    });
+
+    it("Should predict InsufficientBLSSignatures", async function () {
+        const signers   = quorum.nodes.slice(4);
+        const signature = await signRewardsBy(signers);
+        const result    = await buildNonSignerList(serviceNodeRewards, signers.map((node) => node.id), {
+            submission: { method: "updateRewardsBalance", args: [recipient.address, 1000n, signature] },
+        });
+
+        expect(result.enoughSigners).to.equal(false);
+        expect(result.error).to.deep.equal({ name: "InsufficientBLSSignatures", args: [BigInt(NODE_COUNT - 4), BigInt(NODE_COUNT - 3)] });
+        expect(result.warnings.map((warning) => warning.check)).to.deep.equal(["threshold"]);
+        expect(result.gas.estimate).to.equal(null);
+        expect(result.gas.error).to.deep.equal(result.error);
+
+        await expect(serviceNodeRewards.updateRewardsBalance(recipient.address, 1000n, signature, result.ids))
+            .to.be.revertedWithCustomError(serviceNodeRewards, "InsufficientBLSSignatures")
+            .withArgs(...result.error.args);
+    });
+
+    it("Should warn about nodes that joined after signing", async function () {
+        const signedAtBlock = await ethers.provider.getBlockNumber();
+        const signers       = [...quorum.nodes];
+        const signature     = await signRewardsBy(signers);
+        const [joined]      = await quorum.register(1, owner);
+
+        const result = await buildNonSignerList(serviceNodeRewards, signers.map((node) => node.id), { signedAtBlock });
+        expect(result.ids).to.deep.equal([joined.id]);
+        expect(result.joined).to.deep.equal([joined.id]);
+        expect(result.warnings.map((warning) => warning.check)).to.deep.equal(["joined"]);
+
+        await expect(serviceNodeRewards.updateRewardsBalance(recipient.address, 1000n, signature, result.ids))
+            .to.emit(serviceNodeRewards, "RewardsBalanceUpdated");
+    });
+
+    it("Should warn about signers that left after signing", async function () {
+        await time.increase(2 * 60 * 60);
+        const signedAtBlock = await ethers.provider.getBlockNumber();
+        const signers       = [...quorum.nodes];
+        const signature     = await signRewardsBy(signers);
+
+        const leaving   = quorum.nodes[0];
+        const timestamp = await time.latest();
+        const exit      = await quorum.signExit(leaving.blsPubkey, timestamp);
+        await serviceNodeRewards.exitBLSPublicKeyWithSignature(leaving.blsPubkey, timestamp, exit.signature, exit.ids);
+
+        const result = await buildNonSignerList(serviceNodeRewards, signers.map((node) => node.blsPubkey), {
+            signedAtBlock,
+            submission: { method: "updateRewardsBalance", args: [recipient.address, 1000n, signature] },
+        });
+        expect(result.ids).to.deep.equal([]);
+        expect(result.left).to.deep.equal([leaving.id]);
+        expect(result.warnings.map((warning) => warning.check)).to.deep.equal(["signers", "left"]);
+        expect(result.gas.error.name).to.equal("InvalidBLSSignature");
+    });
+
+    it("Should estimate the gas of each non-signer", async function () {
+        const all      = await buildNonSignerList(serviceNodeRewards, quorum.nodes.map((node) => node.id), {
+            submission: { method: "updateRewardsBalance", args: [recipient.address, 1000n, await signRewardsBy(quorum.nodes)] },
+        });
+        const signers  = quorum.nodes.slice(3);
+        const fewer    = await buildNonSignerList(serviceNodeRewards, signers.map((node) => node.id), {
+            submission: { method: "updateRewardsBalance", args: [recipient.address, 1000n, await signRewardsBy(signers)] },
+        });
+
+        expect(all.gas.nonSigners).to.equal(0n);
+        expect(fewer.gas.nonSigners).to.equal(3n * NON_SIGNER_GAS);
+        const measured = fewer.gas.estimate - all.gas.estimate;
+        expect(Number(measured)).to.be.closeTo(Number(fewer.gas.nonSigners), 1000);
+    });
+});
@@ -0,0 +1,80 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { readManifest } = require("../../scripts/lib/manifest.js");
+const { useTempDeployments } = require("./util");
+
+describe("Ownership Hand-off Tests", function () {
+    useTempDeployments();
+    let owner;
+    let multisig;
+
+    const OWNABLE = ["RewardRatePool", "ServiceNodeRewards", "ServiceNodeContributionFactory"];
+
+    const proxyAdmin = (address) => new ethers.Contract(address, ["function owner() view returns (address)"], ethers.provider);
+
+    beforeEach(async function () {
+        [owner, multisig] = await ethers.getSigners();
+    });
+
+    it("Should hand the deployment off as its final stage", async function () {
+        await expect(hre.run("sesh:deploy", { owner: multisig.address }))
+            .to.be.rejectedWith(`--owner ${multisig.address} is not a contract on hardhat, pass --allow-eoa to hand off to an EOA`);
+        await expect(hre.run("sesh:deploy", { owner: ethers.ZeroAddress, allowEoa: true }))
+            .to.be.rejectedWith("--owner must not be the zero address");
+
+        const manifest = await hre.run("sesh:deploy", { owner: multisig.address, allowEoa: true });
+        for (const name of OWNABLE) {
+            const contract = await ethers.getContractAt(name, manifest.contracts[name].address);
+            expect(await contract.owner()).to.equal(owner.address);
+            expect(await contract.pendingOwner()).to.equal(multisig.address);
+            expect(manifest.contracts[name].pendingOwner).to.equal(multisig.address);
+            expect(manifest.contracts[name].proxyAdminOwner).to.equal(multisig.address);
+            expect(await proxyAdmin(manifest.contracts[name].proxyAdmin).owner()).to.equal(multisig.address);
+            expect(manifest.steps.contracts.steps[`ownership:${name}`].status).to.equal("done");
+        }
+        expect(manifest.contracts.SESH).to.not.have.property("pendingOwner");
+
+        await expect(hre.run("sesh:check-ownership", {}))
+            .to.be.rejectedWith(`Ownership not accepted for: ${OWNABLE.join(", ")}`);
+
+        for (const name of OWNABLE)
+            await (await ethers.getContractAt(name, manifest.contracts[name].address)).connect(multisig).acceptOwnership();
+        const status = await hre.run("sesh:check-ownership", {});
+        expect(status.ok).to.equal(true);
+        expect(status.entries).to.have.length(6);
+
+        const accepted = readManifest("hardhat");
+        for (const name of OWNABLE) {
+            expect(accepted.contracts[name].owner).to.equal(multisig.address);
+            expect(accepted.contracts[name].pendingOwner).to.equal(null);
+        }
+        const check = await hre.run("sesh:check-deployment", {});
+        expect(check.ok).to.equal(true);
+    });
+
+    it("Should transfer an existing deployment", async function () {
+        await expect(hre.run("sesh:check-ownership", {}))
+            .to.be.rejectedWith("No ownership transfers recorded in the hardhat deployment manifest");
+
+        const manifest = await hre.run("sesh:deploy", {});
+        // NOTE: Any contract will do as the owner, e.g. a Safe
+        const safe = manifest.contracts.SESH.address;
+        await expect(hre.run("sesh:transfer-ownership", { owner: safe, contracts: "Nonexistent" }))
+            .to.be.rejectedWith("No Nonexistent in the hardhat deployment manifest");
+
+        await hre.run("sesh:transfer-ownership", { owner: safe, contracts: "ServiceNodeRewards" });
+        const rewards = await ethers.getContractAt("ServiceNodeRewards", manifest.contracts.ServiceNodeRewards.address);
+        const pool    = await ethers.getContractAt("RewardRatePool", manifest.contracts.RewardRatePool.address);
+        expect(await rewards.pendingOwner()).to.equal(safe);
+        expect(await pool.pendingOwner()).to.equal(ethers.ZeroAddress);
+        expect(await proxyAdmin(manifest.contracts.ServiceNodeRewards.proxyAdmin).owner()).to.equal(safe);
+        expect(await proxyAdmin(manifest.contracts.RewardRatePool.proxyAdmin).owner()).to.equal(owner.address);
+
+        // NOTE: Re-running sends nothing for contracts already pending
+        const before = await ethers.provider.getTransactionCount(owner.address);
+        await hre.run("sesh:transfer-ownership", { owner: safe });
+        expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(before + 2 + 2);
+        expect(await pool.pendingOwner()).to.equal(safe);
+    });
+});
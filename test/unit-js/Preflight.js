@@ -0,0 +1,94 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createQuorum } = require("../../scripts/lib/quorum.js");
+const { preflightRewards, preflightExit, preflightLiquidate } = require("../../scripts/lib/preflight.js");
+
+describe("Signature Preflight Tests", function () {
+    let serviceNodeRewards;
+    let recipient;
+    let quorum;
+
+    const staking_req = 120000000000n;
+    const NODE_COUNT  = 10;
+
+    beforeEach(async function () {
+        let foundationPool;
+        [, foundationPool, recipient] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const mockERC20 = await MockERC20.deploy("SESH Token", "SESH", 240_000_000n * 1_000_000_000n);
+
+        const ServiceNodeRewardsMaster = await ethers.getContractFactory("ServiceNodeRewards");
+        serviceNodeRewards = await upgrades.deployProxy(ServiceNodeRewardsMaster,
+            [ await mockERC20.getAddress(),
+            await foundationPool.getAddress(),
+            staking_req,
+            10,
+            1,
+            1,
+            8
+            ]);
+
+        quorum = await createQuorum(serviceNodeRewards);
+        await quorum.seed(NODE_COUNT);
+        await serviceNodeRewards.start();
+        await mockERC20.transfer(await serviceNodeRewards.getAddress(), staking_req * BigInt(NODE_COUNT));
+    });
+
+    it("Should pass a valid signature that the contract accepts", async function () {
+        const { signature, ids } = await quorum.signRewards(recipient.address, 1000n, quorum.nodes.slice(0, 3));
+        const report = await preflightRewards(serviceNodeRewards, recipient.address, 1000n, signature, ids);
+        expect(report.ok).to.equal(true);
+        expect(report.failures).to.have.length(0);
+        await expect(serviceNodeRewards.updateRewardsBalance(recipient.address, 1000n, signature, ids))
+            .to.emit(serviceNodeRewards, "RewardsBalanceUpdated");
+    });
+
+    it("Should report too many non-signers", async function () {
+        const { signature, ids } = await quorum.signRewards(recipient.address, 1000n, quorum.nodes.slice(0, 4));
+        const report = await preflightRewards(serviceNodeRewards, recipient.address, 1000n, signature, ids);
+        expect(report.ok).to.equal(false);
+        expect(report.failures.map(f => f.check)).to.deep.equal(["threshold"]);
+        await expect(serviceNodeRewards.updateRewardsBalance(recipient.address, 1000n, signature, ids))
+            .to.be.revertedWithCustomError(serviceNodeRewards, report.failures[0].error);
+    });
+
+    it("Should report a stale non-signer list", async function () {
+        const { signature } = await quorum.signRewards(recipient.address, 1000n, quorum.nodes.slice(0, 2));
+        const staleIDs = [quorum.nodes[0].id];
+        const report = await preflightRewards(serviceNodeRewards, recipient.address, 1000n, signature, staleIDs);
+        expect(report.failures.map(f => f.check)).to.deep.equal(["pairing"]);
+        await expect(serviceNodeRewards.updateRewardsBalance(recipient.address, 1000n, signature, staleIDs))
+            .to.be.revertedWithCustomError(serviceNodeRewards, report.failures[0].error);
+    });
+
+    it("Should report unknown and repeated non-signers", async function () {
+        const { signature } = await quorum.signRewards(recipient.address, 1000n);
+        const report = await preflightRewards(serviceNodeRewards, recipient.address, 1000n, signature, [1000n, quorum.nodes[0].id, quorum.nodes[0].id]);
+        expect(report.failures.map(f => f.check)).to.deep.equal(["nonSigners", "nonSigners", "pairing"]);
+    });
+
+    it("Should report an expired exit signature", async function () {
+        await time.increase(2 * 60 * 60);
+        const node      = quorum.nodes[0];
+        const timestamp = await time.latest();
+        const { signature, ids } = await quorum.signExit(node.blsPubkey, timestamp);
+        expect((await preflightExit(serviceNodeRewards, node.blsPubkey, timestamp, signature, ids)).ok).to.equal(true);
+
+        await time.increase((await serviceNodeRewards.signatureExpiry()) + 1n);
+        const report = await preflightExit(serviceNodeRewards, node.blsPubkey, timestamp, signature, ids);
+        expect(report.failures.map(f => f.check)).to.deep.equal(["expiry"]);
+        await expect(serviceNodeRewards.exitBLSPublicKeyWithSignature(node.blsPubkey, timestamp, signature, ids))
+            .to.be.revertedWithCustomError(serviceNodeRewards, report.failures[0].error);
+    });
+
+    it("Should report a signature made for a different message", async function () {
+        await time.increase(2 * 60 * 60);
+        const node      = quorum.nodes[0];
+        const timestamp = await time.latest();
+        const { signature, ids } = await quorum.signExit(node.blsPubkey, timestamp);
+        const report = await preflightLiquidate(serviceNodeRewards, node.blsPubkey, timestamp, signature, ids);
+        expect(report.failures.map(f => f.check)).to.deep.equal(["pairing"]);
+    });
+});
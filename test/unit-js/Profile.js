@@ -0,0 +1,105 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { readManifest } = require("../../scripts/lib/manifest.js");
+const { listProfiles, loadProfile, parseProfile } = require("../../scripts/lib/profile.js");
+const { useTempDeployments } = require("./util");
+
+describe("Deployment Profile Tests", function () {
+    const deployments = useTempDeployments();
+
+    const SESH_UNIT = 1_000_000_000n;
+
+    // A valid profile for the hardhat network, with `changes` applied
+    function profile(changes = {}) {
+        return {
+            version:                     1,
+            network:                     "hardhat",
+            contracts:                   "testnet",
+            token:                       { name: "SESH Token", symbol: "SESH", supply: "1000000", decimals: 9 },
+            poolInitial:                 "1000",
+            stakingRequirement:          "120",
+            maxContributors:             5,
+            liquidatorRewardRatio:       2,
+            poolShareOfLiquidationRatio: 10,
+            recipientRatio:              9000,
+            ...changes,
+        };
+    }
+
+    function writeProfile(name, json) {
+        const file = path.join(deployments.dir, `${name}.json`);
+        fs.writeFileSync(file, JSON.stringify(json));
+        return file;
+    }
+
+    it("Should ship a valid profile per network", async function () {
+        expect(listProfiles()).to.deep.equal(["devnet", "local", "mainnet", "stagenet"]);
+        const mainnet = loadProfile("mainnet");
+        expect(mainnet).to.deep.include({ network: "arbitrum", contracts: "mainnet", stakingRequirement: 25_000n * SESH_UNIT });
+        expect(mainnet.token.address).to.equal("manifest");
+        expect(loadProfile("local").stakingRequirement).to.equal(120n * SESH_UNIT);
+
+        const profiles = await hre.run("sesh:check-profile", {});
+        expect(profiles.map((profile) => profile.name)).to.deep.equal(["devnet", "local", "mainnet", "stagenet"]);
+    });
+
+    it("Should reject parameters the contracts would not accept", async function () {
+        expect(() => parseProfile(profile({ liquidatorRewardRatio: 3000 }), "test"))
+            .to.throw("(liquidatorRewardRatio + poolShareOfLiquidationRatio) * 3 must not exceed recipientRatio, (3000 + 10) * 3 > 9000");
+        expect(() => parseProfile(profile({ recipientRatio: 0, liquidatorRewardRatio: 0, poolShareOfLiquidationRatio: 0 }), "test"))
+            .to.throw("recipientRatio must be at least 1");
+        expect(() => parseProfile(profile({ stakingRequirement: "0", maxContributors: 0 }), "test"))
+            .to.throw("Invalid deployment profile test:\n  - stakingRequirement must be greater than 0\n  - maxContributors must be greater than 0");
+        expect(() => parseProfile(profile({ token: { name: "SESH Token", symbol: "SESH", supply: "1000000", decimals: 18 } }), "test"))
+            .to.throw("token.decimals must be 9, got 18");
+        expect(() => parseProfile(profile({ poolInitial: "1000001" }), "test"))
+            .to.throw("poolInitial of 1000001.0 SESH exceeds the token.supply of 1000000.0 SESH");
+        expect(() => parseProfile(profile({ contracts: "mainnet" }), "test"))
+            .to.throw("mainnet contracts are deployed against an existing token, set token.address");
+        expect(() => parseProfile(profile({ token: { address: "manifest", supply: "10", decimals: 9 } }), "test"))
+            .to.throw("token.supply only apply to a token to deploy, not one at an address");
+        expect(() => parseProfile(profile({ stakingRequirement: 120, claimThreshold: 1 }), "test"))
+            .to.throw("unknown key claimThreshold\n  - stakingRequirement must be a string amount of SESH");
+        expect(() => parseProfile(profile({ recipientRatio: undefined }), "test")).to.throw("recipientRatio is missing");
+        expect(() => parseProfile(profile({ version: 2 }), "test")).to.throw("Unsupported deployment profile version 2 in test, expected 1");
+        expect(() => loadProfile("nonexistent")).to.throw("No deployment profile nonexistent at");
+    });
+
+    it("Should deploy with the parameters of a profile", async function () {
+        const manifest = await hre.run("sesh:deploy", { profile: writeProfile("test", profile()) });
+        const rewards  = await ethers.getContractAt("TestnetServiceNodeRewards", manifest.contracts.ServiceNodeRewards.address);
+        expect(await rewards.stakingRequirement()).to.equal(120n * SESH_UNIT);
+        expect(await rewards.maxContributors()).to.equal(5n);
+        expect(await rewards.liquidatorRewardRatio()).to.equal(2n);
+        expect(await rewards.poolShareOfLiquidationRatio()).to.equal(10n);
+        expect(await rewards.recipientRatio()).to.equal(9000n);
+        const token = await ethers.getContractAt("MockERC20", manifest.contracts.SESH.address);
+        expect(await token.totalSupply()).to.equal(1_000_000n * SESH_UNIT);
+        expect(manifest.steps.contracts.params).to.deep.include({ maxContributors: "5", recipientRatio: "9000" });
+
+        // NOTE: Against the token just deployed the deployer holds what is
+        // left of its supply
+        const existing = writeProfile("existing", profile({
+            contracts:   "mainnet",
+            token:       { address: "manifest", decimals: 9 },
+            poolInitial: "999001",
+        }));
+        await expect(hre.run("sesh:deploy", { profile: existing }))
+            .to.be.rejectedWith(/the deployer 0x\w+ holds 999000.0 of the token at 0x\w+, poolInitial needs 999001.0/);
+        await expect(hre.run("sesh:check-profile", { profile: existing })).to.be.rejectedWith("Invalid deployment profiles: existing");
+        await expect(hre.run("sesh:deploy", { profile: existing, stakingReq: "120", mainnet: true }))
+            .to.be.rejectedWith("--profile holds every deployment parameter, --staking-req, --mainnet cannot be combined with it");
+        await expect(hre.run("sesh:deploy", { profile: "local" }))
+            .to.be.rejectedWith("Deployment profile local is for localhost, not hardhat");
+        expect(readManifest("hardhat").contracts.ServiceNodeRewards).to.deep.equal(manifest.contracts.ServiceNodeRewards);
+    });
+
+    it("Should check the parameters of the command line too", async function () {
+        await expect(hre.run("sesh:deploy", { supply: "100", poolInitial: "1000" }))
+            .to.be.rejectedWith("Invalid deployment parameters (command line):\n  - poolInitial of 1000.0 SESH exceeds the token.supply of 100.0 SESH");
+        expect(fs.readdirSync(deployments.dir)).to.deep.equal([]);
+    });
+});
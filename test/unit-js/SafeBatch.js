@@ -0,0 +1,140 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+const { readManifest } = require("../../scripts/lib/manifest.js");
+const { calculateChecksum, batchCalldata } = require("../../scripts/lib/safe-batch.js");
+const { deployFixture } = require("./util");
+
+describe("Safe Batch Export Tests", function () {
+    const deployments = deployFixture();
+    let owner;
+    let signer;
+    let manifest;
+    let safe;
+    let rewards;
+    let pool;
+    let converter;
+
+    const OWNABLE = ["RewardRatePool", "ServiceNodeRewards", "ServiceNodeContributionFactory"];
+
+    // Execute every transaction of a batch from the Safe, as its signers would
+    async function execute(batch) {
+        for (const tx of batch.transactions)
+            await (await safe.connect(signer).execTransaction(tx.to, tx.value, batchCalldata(tx))).wait();
+    }
+
+    beforeEach(async function () {
+        [owner, signer] = await ethers.getSigners();
+        manifest  = deployments.manifest;
+        safe      = await (await ethers.getContractFactory("MockSafe")).deploy([signer.address]);
+        rewards   = await ethers.getContractAt("ServiceNodeRewards", manifest.contracts.ServiceNodeRewards.address);
+        pool      = await ethers.getContractAt("RewardRatePool", manifest.contracts.RewardRatePool.address);
+        const sesh = manifest.contracts.SESH.address;
+        converter = await (await ethers.getContractFactory("TokenConverter")).deploy(sesh, sesh, 1, 1);
+
+        // NOTE: Hand everything to the Safe and accept from it
+        const safeAddress = await safe.getAddress();
+        await hre.run("sesh:transfer-ownership", { owner: safeAddress });
+        await (await converter.transferOwnership(safeAddress)).wait();
+        for (const name of OWNABLE) {
+            const contract = await ethers.getContractAt(name, manifest.contracts[name].address);
+            const data     = contract.interface.encodeFunctionData("acceptOwnership");
+            await (await safe.connect(signer).execTransaction(manifest.contracts[name].address, 0, data)).wait();
+        }
+    });
+
+    it("Should export owner-only calls to a batch without broadcasting them", async function () {
+        const safeAddress = await safe.getAddress();
+        const out         = path.join(deployments.dir, "batch.json");
+        const requirement = await rewards.stakingRequirement();
+        const before      = await ethers.provider.getBlockNumber();
+
+        await hre.run("sesh:set-staking-requirement", { amount: "25000", safe: safeAddress, out });
+        await hre.run("sesh:set-claim-threshold", { amount: "1000000", safe: safeAddress, out });
+        await hre.run("sesh:set-liquidation-ratios", { liquidator: 1, pool: 2, recipient: 9, safe: safeAddress, out });
+        await hre.run("sesh:set-beneficiary", { beneficiary: signer.address, safe: safeAddress, out });
+        await hre.run("sesh:update-conversion-rate", {
+            numerator: 3n, denominator: 2n, address: await converter.getAddress(), safe: safeAddress, out,
+        });
+        await hre.run("sesh:pause", { safe: safeAddress, out });
+        const result = await hre.run("sesh:pause", {
+            contract: "TokenConverter", address: await converter.getAddress(), safe: safeAddress, out,
+        });
+        expect(result.batch).to.equal(out);
+
+        // Nothing was sent
+        expect(await ethers.provider.getBlockNumber()).to.equal(before);
+        expect(await rewards.stakingRequirement()).to.equal(requirement);
+        expect(await rewards.paused()).to.equal(false);
+
+        const batch = JSON.parse(fs.readFileSync(out, "utf8"));
+        expect(batch.chainId).to.equal("31337");
+        expect(batch.meta.createdFromSafeAddress).to.equal(safeAddress);
+        expect(batch.meta.checksum).to.equal(calculateChecksum(batch));
+        expect(batch.transactions).to.have.length(7);
+        expect(batch.transactions[0]).to.deep.include({ to: await rewards.getAddress(), value: "0", data: null });
+        expect(batch.transactions[0].contractMethod.name).to.equal("setStakingRequirement");
+        expect(batch.transactions[0].contractInputsValues).to.deep.equal({ newRequirement: "25000000000000" });
+
+        const description = batch.meta.description.split("\n");
+        expect(description[0]).to.equal(`1. ServiceNodeRewards.setStakingRequirement(newRequirement: 25000000000000) at ${await rewards.getAddress()}, 25000 SESH`);
+        expect(description[2]).to.equal(`3. ServiceNodeRewards.setLiquidationRatios(liquidator: 1, pool: 2, recipient: 9) at ${await rewards.getAddress()}, 1/2/9 of 12`);
+        expect(description[3]).to.equal(`4. RewardRatePool.setBeneficiary(newBeneficiary: ${signer.address}) at ${await pool.getAddress()}`);
+        expect(description[6]).to.equal(`7. TokenConverter.pause() at ${await converter.getAddress()}`);
+
+        await execute(batch);
+        expect(await rewards.stakingRequirement()).to.equal(25000n * 10n ** 9n);
+        expect(await rewards.claimThreshold()).to.equal(1000000n * 10n ** 9n);
+        expect(await rewards.liquidatorRewardRatio()).to.equal(1n);
+        expect(await rewards.poolShareOfLiquidationRatio()).to.equal(2n);
+        expect(await rewards.recipientRatio()).to.equal(9n);
+        expect(await pool.beneficiary()).to.equal(signer.address);
+        expect(await converter.conversionRateNumerator()).to.equal(3n);
+        expect(await converter.conversionRateDenominator()).to.equal(2n);
+        expect(await rewards.paused()).to.equal(true);
+        expect(await converter.paused()).to.equal(true);
+    });
+
+    it("Should refuse calls that cannot succeed", async function () {
+        const safeAddress = await safe.getAddress();
+        await expect(hre.run("sesh:pause", {}))
+            .to.be.rejectedWith(`${owner.address} is not the owner of ServiceNodeRewards, ${safeAddress} is. Pass --safe ${safeAddress} to export a Safe batch instead`);
+        await expect(hre.run("sesh:set-liquidation-ratios", { liquidator: 1, pool: 1, recipient: 1, safe: safeAddress }))
+            .to.be.rejectedWith(/reverts when executed by the Safe: .*LiquidatorPenaltyTooHigh/);
+        await expect(hre.run("sesh:pause", { contract: "RewardRatePool", safe: safeAddress }))
+            .to.be.rejectedWith("--contract must be one of ServiceNodeRewards, ServiceNodeContributionFactory, TokenConverter, got RewardRatePool");
+        await expect(hre.run("sesh:update-conversion-rate", { numerator: 1n, denominator: 1n, safe: safeAddress }))
+            .to.be.rejectedWith("No address for TokenConverter on hardhat");
+
+        const out = path.join(deployments.dir, "other.json");
+        await hre.run("sesh:pause", { contract: "ServiceNodeContributionFactory", safe: safeAddress, out });
+        await expect(hre.run("sesh:pause", { safe: await pool.getAddress(), out }))
+            .to.be.rejectedWith(`Safe batch ${out} is for the Safe ${safeAddress}, not ${await pool.getAddress()}`);
+    });
+
+    it("Should deploy the implementation and export the upgrade", async function () {
+        const safeAddress = await safe.getAddress();
+        const out         = path.join(deployments.dir, "upgrade.json");
+        const before      = manifest.contracts.ServiceNodeRewards;
+
+        const result = await hre.run("sesh:upgrade", { artifact: "ServiceNodeRewards", allowSameVersion: true, safe: safeAddress, out });
+        expect(result.implementation).to.not.equal(before.implementation);
+        expect(await ethers.provider.getCode(result.implementation)).to.not.equal("0x");
+        expect(await upgrades.erc1967.getImplementationAddress(before.address)).to.equal(before.implementation);
+        expect(readManifest("hardhat").contracts.ServiceNodeRewards.implementation).to.equal(before.implementation);
+
+        const batch = JSON.parse(fs.readFileSync(out, "utf8"));
+        expect(batch.transactions).to.have.length(1);
+        expect(batch.transactions[0].to).to.equal(before.proxyAdmin);
+        expect(batch.transactions[0].contractInputsValues).to.deep.equal({
+            proxy: before.address, implementation: result.implementation, data: "0x",
+        });
+        expect(batch.meta.description).to.equal(
+            `1. ServiceNodeRewards ProxyAdmin.upgradeAndCall(proxy: ${before.address}, implementation: ${result.implementation}, data: 0x) at ${before.proxyAdmin}, upgrades ServiceNodeRewards to ServiceNodeRewards`);
+
+        await execute(batch);
+        expect(await upgrades.erc1967.getImplementationAddress(before.address)).to.equal(result.implementation);
+    });
+});
@@ -0,0 +1,183 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const bls = require("../../scripts/lib/bls.js");
+const { readManifest, writeManifest } = require("../../scripts/lib/manifest.js");
+const { deployFixture } = require("./util");
+
+describe("Service Node Seeding Tests", function () {
+    this.timeout(5 * 60 * 1000);
+
+    const SESH_UNIT           = 1_000_000_000n;
+    const STAKING_REQUIREMENT = 20_000n * SESH_UNIT;
+
+    const deployments = deployFixture();
+    let rewards;
+    let signers;
+
+    // An exported list of `count` nodes with 1 to 3 contributors each, the
+    // BLS keys alternating between the hex and {X, Y} forms
+    function exportList(count, offset = 0) {
+        const nodes = [];
+        for (let index = 0; index < count; index++) {
+            const pubkey       = bls.getPublicKey(BigInt(offset + index + 1));
+            const contributors = signers.slice(0, index % 3 + 1).map((signer) => ({ address: signer.address, amount: "0" }));
+            const share        = STAKING_REQUIREMENT / BigInt(contributors.length);
+            contributors.forEach((contributor, position) => {
+                contributor.amount = (position === 0 ? STAKING_REQUIREMENT - share * BigInt(contributors.length - 1) : share).toString();
+            });
+            contributors[contributors.length - 1].beneficiary = signers[5].address;
+            nodes.push({
+                blsPubkey:      index % 2 ? { X: pubkey.X.toString(), Y: pubkey.Y.toString() } : ethers.toBeHex(pubkey.X, 32) + ethers.toBeHex(pubkey.Y, 32).slice(2),
+                ed25519Pubkey:  ethers.toBeHex(offset + index + 1, 32),
+                addedTimestamp: 1_700_000_000 + index,
+                contributors,
+            });
+        }
+        return nodes;
+    }
+
+    function writeList(name, nodes) {
+        const file = path.join(deployments.dir, `${name}.json`);
+        fs.writeFileSync(file, JSON.stringify({ height: 1234, nodes }));
+        return file;
+    }
+
+    beforeEach(async function () {
+        signers = await ethers.getSigners();
+        rewards = await ethers.getContractAt("ServiceNodeRewards", deployments.manifest.contracts.ServiceNodeRewards.address);
+    });
+
+    it("Should seed a list in batches sized by their gas and confirm the totals", async function () {
+        const list   = writeList("list", exportList(40));
+        const result = await hre.run("sesh:seed-nodes", { list, maxGas: "3000000" });
+        expect(result.batches.length).to.be.greaterThan(2);
+        expect(result.batches.map((batch) => batch.count).reduce((sum, count) => sum + count, 0)).to.equal(40);
+        for (const batch of result.batches) expect(BigInt(batch.gasUsed)).to.be.at.most(3_000_000n);
+
+        const expected = bls.aggregatePublicKeys(exportList(40).map((node, index) => bls.getPublicKey(BigInt(index + 1))));
+        expect(result.totalNodes).to.equal(40n);
+        expect(result.aggregatePubkey).to.deep.equal(expected);
+        expect(await rewards.totalNodes()).to.equal(40n);
+
+        const node = await rewards.serviceNodes(3);
+        expect(node.operator).to.equal(signers[0].address);
+        expect(node.addedTimestamp).to.equal(1_700_000_002n);
+        expect(node.contributors.map((contributor) => contributor.staker.beneficiary))
+            .to.deep.equal([signers[0].address, signers[1].address, signers[5].address]);
+
+        // NOTE: Seeding the same list again resumes the completed migration
+        const again = await hre.run("sesh:seed-nodes", { list, maxGas: "3000000" });
+        expect(again.batches).to.deep.equal(result.batches);
+        expect(await rewards.totalNodes()).to.equal(40n);
+    });
+
+    it("Should resume an interrupted migration from the batch it stopped at", async function () {
+        const list     = writeList("list", exportList(30));
+        const snapshot = await hre.network.provider.send("evm_snapshot");
+        const seeded   = await hre.run("sesh:seed-nodes", { list, maxGas: "3000000" });
+
+        // NOTE: Rewind to before the migration, then replay its first batch and
+        // record only that one as a run that stopped there would have
+        await hre.network.provider.send("evm_revert", [snapshot]);
+        const manifest = readManifest("hardhat");
+        const state    = manifest.steps.seed;
+        const first    = state.steps.plan.result.batches[0];
+        const nodes    = exportList(30).slice(0, first.count).map((node, index) => {
+            const pubkey = bls.getPublicKey(BigInt(index + 1));
+            return {
+                blsPubkey:      pubkey,
+                ed25519Pubkey:  BigInt(node.ed25519Pubkey),
+                addedTimestamp: node.addedTimestamp,
+                contributors:   node.contributors.map((contributor) => ({
+                    staker:       { addr: contributor.address, beneficiary: contributor.beneficiary ?? contributor.address },
+                    stakedAmount: BigInt(contributor.amount),
+                })),
+            };
+        });
+        const receipt = await (await rewards.seedPublicKeyList(nodes)).wait();
+        // NOTE: The gas marks the recorded result, which a skipped step returns
+        state.steps       = { plan: state.steps.plan, "batch-0": { ...state.steps["batch-0"], result: { txHash: receipt.hash, gasUsed: "1" } } };
+        state.completedAt = null;
+        writeManifest(manifest);
+
+        const resumed = await hre.run("sesh:seed-nodes", { list, maxGas: "3000000" });
+        expect(resumed.batches[0]).to.deep.include({ txHash: receipt.hash, gasUsed: "1" });
+        expect(resumed.batches.slice(1)).to.deep.equal(seeded.batches.slice(1));
+        expect(readManifest("hardhat").steps.seed.completedAt).to.not.equal(null);
+        expect(resumed.totalNodes).to.equal(30n);
+        expect(resumed.aggregatePubkey).to.deep.equal(seeded.aggregatePubkey);
+
+        // NOTE: Another list is seeded on top of the nodes already there
+        const other = await hre.run("sesh:seed-nodes", { list: writeList("other", exportList(5, 100)), maxGas: "3000000" });
+        expect(other.totalNodes).to.equal(35n);
+        await expect(hre.run("sesh:seed-nodes", { list, maxGas: "3000000", fresh: true }))
+            .to.be.rejectedWith("The service node list overlaps the nodes on ServiceNodeRewards:\n  - node 0: blsPubkey is already registered as service node 1");
+    });
+
+    it("Should reject entries the contract would not accept before sending anything", async function () {
+        const nodes = exportList(6);
+        nodes[1].blsPubkey = nodes[0].blsPubkey;
+        nodes[2].ed25519Pubkey = ethers.toBeHex(0, 32);
+        nodes[3].contributors[0].amount = "1";
+        nodes[4].contributors = Array.from({ length: 11 }, () => ({ address: signers[0].address, amount: (STAKING_REQUIREMENT / 11n).toString() }));
+        nodes[5].blsPubkey = { X: "1", Y: "3" };
+        await expect(hre.run("sesh:seed-nodes", { list: writeList("invalid", nodes) })).to.be.rejectedWith(
+            "breaks the rules of ServiceNodeRewards:\n" +
+            "  - node 1: blsPubkey duplicates that of node 0\n" +
+            "  - node 2: ed25519Pubkey is zero\n" +
+            `  - node 3: contributions add up to 1, not the staking requirement of ${STAKING_REQUIREMENT}\n` +
+            "  - node 4: has 11 contributors, the contract allows 10\n" +
+            `  - node 4: contributions add up to ${STAKING_REQUIREMENT / 11n * 11n}, not the staking requirement of ${STAKING_REQUIREMENT}\n` +
+            "  - node 5: blsPubkey is not a point on BN254");
+
+        const malformed = exportList(2);
+        malformed[0].ed25519 = malformed[0].ed25519Pubkey;
+        malformed[1].contributors[0].address = "0x1234";
+        await expect(hre.run("sesh:seed-nodes", { list: writeList("malformed", malformed) }))
+            .to.be.rejectedWith("  - node 0: unknown key ed25519\n  - node 1: contributor 0 address is not an address: 0x1234");
+        await expect(hre.run("sesh:seed-nodes", { list: writeList("valid", exportList(2)), maxGas: "1000" }))
+            .to.be.rejectedWith(/Seeding node 0 alone needs \d+ gas, more than the maximum of 1000/);
+
+        await (await rewards.start()).wait();
+        await expect(hre.run("sesh:seed-nodes", { list: writeList("valid", exportList(2)) }))
+            .to.be.rejectedWith(`ServiceNodeRewards at ${await rewards.getAddress()} is started, it can no longer be seeded`);
+        expect(await rewards.totalNodes()).to.equal(0n);
+    });
+
+    it("Should report every seeded node that differs from the list it was seeded from", async function () {
+        const list = writeList("list", exportList(12));
+        await hre.run("sesh:seed-nodes", { list });
+        const verified = await hre.run("sesh:verify-seed", { list });
+        expect(verified.checked).to.equal(12);
+        expect(verified.nodes.map((node) => node.status)).to.deep.equal(Array(12).fill("ok"));
+        expect(verified.unlisted).to.deep.equal([]);
+        expect(JSON.parse(fs.readFileSync(verified.out, "utf8")).nodes[11]).to.deep.equal({ index: 11, id: "12", status: "ok", mismatches: [] });
+
+        const nodes = exportList(12);
+        nodes[1].contributors[1].amount = (BigInt(nodes[1].contributors[1].amount) + 1n).toString();
+        nodes[2].contributors[2].beneficiary = signers[6].address;
+        nodes[4].addedTimestamp += 1;
+        nodes[5].ed25519Pubkey = ethers.toBeHex(999, 32);
+        nodes.splice(7, 1);
+        nodes.push(...exportList(1, 100));
+        const out = path.join(deployments.dir, "report.json");
+        await expect(hre.run("sesh:verify-seed", { list: writeList("changed", nodes), out }))
+            .to.be.rejectedWith("1 service nodes of the list are missing and 4 differ from it on ServiceNodeRewards");
+
+        const report     = JSON.parse(fs.readFileSync(out, "utf8"));
+        const mismatches = (index) => report.nodes[index].mismatches.map((mismatch) => mismatch.field);
+        expect(mismatches(1)).to.deep.equal(["deposit", "contributors[1].amount"]);
+        expect(report.nodes[2].mismatches).to.deep.equal([
+            { field: "contributors[2].beneficiary", expected: signers[6].address, actual: signers[5].address },
+        ]);
+        expect(mismatches(4)).to.deep.equal(["addedTimestamp"]);
+        expect(mismatches(5)).to.deep.equal(["ed25519Pubkey"]);
+        expect(report.nodes[7]).to.deep.include({ id: "9", status: "ok" });
+        expect(report.nodes[11]).to.deep.equal({ index: 11, id: null, status: "missing", mismatches: [] });
+        expect(report.unlisted).to.deep.equal(["8"]);
+        expect(report.isStarted).to.equal(false);
+    });
+});
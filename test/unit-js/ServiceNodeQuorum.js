@@ -0,0 +1,169 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createQuorum } = require("../../scripts/lib/quorum.js");
+
+describe("Simulated Service Node Quorum Tests", function () {
+    let mockERC20;
+    let serviceNodeRewards;
+    let owner;
+    let foundationPool;
+    let recipient;
+    let quorum;
+
+    const staking_req = 120000000000n;
+    const NODE_COUNT  = 10;
+
+    beforeEach(async function () {
+        [owner, foundationPool, recipient] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        mockERC20       = await MockERC20.deploy("SESH Token", "SESH", 240_000_000n * 1_000_000_000n);
+
+        const ServiceNodeRewardsMaster = await ethers.getContractFactory("ServiceNodeRewards");
+        serviceNodeRewards = await upgrades.deployProxy(ServiceNodeRewardsMaster,
+            [ await mockERC20.getAddress(),              // token address
+            await foundationPool.getAddress(),         // foundation pool address
+            staking_req,                    // testnet staking requirement
+            10,                             // max contributors
+            1,                              // liquidator reward ratio
+            1,                              // pool share of liquidation ratio
+            8                               // recipient ratio
+            ]);
+
+        quorum = await createQuorum(serviceNodeRewards);
+        await quorum.seed(NODE_COUNT);
+        await serviceNodeRewards.start();
+
+        // NOTE: Seeded nodes don't transfer their stake, fund the contract so
+        // exits and liquidations can be paid out.
+        await mockERC20.transfer(await serviceNodeRewards.getAddress(), staking_req * BigInt(NODE_COUNT));
+    });
+
+    it("Should seed nodes and resolve their IDs", async function () {
+        expect(await serviceNodeRewards.totalNodes()).to.equal(NODE_COUNT);
+        const [ids] = await serviceNodeRewards.allServiceNodeIDs();
+        expect(quorum.nodes.map(node => node.id)).to.deep.equal([...ids]);
+        expect(await serviceNodeRewards.blsNonSignerThreshold()).to.equal(3);
+    });
+
+    describe("updateRewardsBalance", function () {
+        it("Should accept a signature from every node", async function () {
+            const { signature, ids } = await quorum.signRewards(recipient.address, 1000n);
+            expect(ids).to.have.length(0);
+            await expect(serviceNodeRewards.updateRewardsBalance(recipient.address, 1000n, signature, ids))
+                .to.emit(serviceNodeRewards, "RewardsBalanceUpdated")
+                .withArgs(recipient.address, 1000n, 0);
+            expect((await serviceNodeRewards.recipients(recipient.address)).rewards).to.equal(1000n);
+        });
+
+        it("Should subtract non-signers up to the threshold", async function () {
+            const nonSigners = quorum.nodes.slice(0, 3);
+            const { signature, ids } = await quorum.signRewards(recipient.address, 1000n, nonSigners);
+            expect(ids).to.deep.equal(nonSigners.map(node => node.id));
+            await expect(serviceNodeRewards.updateRewardsBalance(recipient.address, 1000n, signature, ids))
+                .to.emit(serviceNodeRewards, "RewardsBalanceUpdated");
+        });
+
+        it("Should revert with too many non-signers", async function () {
+            const { signature, ids } = await quorum.signRewards(recipient.address, 1000n, quorum.nodes.slice(0, 4));
+            await expect(serviceNodeRewards.updateRewardsBalance(recipient.address, 1000n, signature, ids))
+                .to.be.revertedWithCustomError(serviceNodeRewards, "InsufficientBLSSignatures")
+                .withArgs(NODE_COUNT - 4, NODE_COUNT - 3);
+        });
+
+        it("Should revert if a non-signer is not reported", async function () {
+            const { signature } = await quorum.signRewards(recipient.address, 1000n, quorum.nodes.slice(0, 1));
+            await expect(serviceNodeRewards.updateRewardsBalance(recipient.address, 1000n, signature, []))
+                .to.be.revertedWithCustomError(serviceNodeRewards, "InvalidBLSSignature");
+        });
+
+        it("Should revert if a signer is reported as a non-signer", async function () {
+            const { signature } = await quorum.signRewards(recipient.address, 1000n);
+            await expect(serviceNodeRewards.updateRewardsBalance(recipient.address, 1000n, signature, [quorum.nodes[0].id]))
+                .to.be.revertedWithCustomError(serviceNodeRewards, "InvalidBLSSignature");
+        });
+
+        it("Should revert if the signed amount differs", async function () {
+            const { signature, ids } = await quorum.signRewards(recipient.address, 1000n);
+            await expect(serviceNodeRewards.updateRewardsBalance(recipient.address, 1001n, signature, ids))
+                .to.be.revertedWithCustomError(serviceNodeRewards, "InvalidBLSSignature");
+        });
+    });
+
+    describe("exitBLSPublicKeyWithSignature", function () {
+        it("Should exit a node with a network signature", async function () {
+            await time.increase(2 * 60 * 60);
+            const node      = quorum.nodes[0];
+            const timestamp = await time.latest();
+            const { signature, ids } = await quorum.signExit(node.blsPubkey, timestamp, quorum.nodes.slice(1, 4));
+            await expect(serviceNodeRewards.exitBLSPublicKeyWithSignature(node.blsPubkey, timestamp, signature, ids))
+                .to.emit(serviceNodeRewards, "ServiceNodeExit")
+                .withArgs(node.id, owner.address, staking_req, [node.blsPubkey.X, node.blsPubkey.Y]);
+            expect(await serviceNodeRewards.totalNodes()).to.equal(NODE_COUNT - 1);
+
+            // NOTE: The remaining network still produces valid signatures
+            const rewards = await quorum.signRewards(recipient.address, 1000n);
+            await expect(serviceNodeRewards.updateRewardsBalance(recipient.address, 1000n, rewards.signature, rewards.ids))
+                .to.emit(serviceNodeRewards, "RewardsBalanceUpdated");
+        });
+
+        it("Should revert with an expired signature", async function () {
+            await time.increase(2 * 60 * 60);
+            const node      = quorum.nodes[0];
+            const timestamp = await time.latest();
+            const { signature, ids } = await quorum.signExit(node.blsPubkey, timestamp);
+            const expiry = await serviceNodeRewards.signatureExpiry();
+            await time.increase(expiry + 1n);
+            await expect(serviceNodeRewards.exitBLSPublicKeyWithSignature(node.blsPubkey, timestamp, signature, ids))
+                .to.be.revertedWithCustomError(serviceNodeRewards, "SignatureExpired");
+        });
+
+        it("Should revert with a liquidation signature", async function () {
+            await time.increase(2 * 60 * 60);
+            const node      = quorum.nodes[0];
+            const timestamp = await time.latest();
+            const { signature, ids } = await quorum.signLiquidate(node.blsPubkey, timestamp);
+            await expect(serviceNodeRewards.exitBLSPublicKeyWithSignature(node.blsPubkey, timestamp, signature, ids))
+                .to.be.revertedWithCustomError(serviceNodeRewards, "InvalidBLSSignature");
+        });
+    });
+
+    describe("liquidateBLSPublicKeyWithSignature", function () {
+        it("Should liquidate a node with a network signature", async function () {
+            await time.increase(2 * 60 * 60);
+            const node      = quorum.nodes[NODE_COUNT - 1];
+            const timestamp = await time.latest();
+            const { signature, ids } = await quorum.signLiquidate(node.blsPubkey, timestamp, [node]);
+            await expect(serviceNodeRewards.connect(recipient).liquidateBLSPublicKeyWithSignature(node.blsPubkey, timestamp, signature, ids))
+                .to.emit(serviceNodeRewards, "ServiceNodeLiquidated")
+                .withArgs(node.id, recipient.address, [node.blsPubkey.X, node.blsPubkey.Y]);
+
+            // NOTE: Liquidator ratio is 1/10 of the deposit
+            expect(await mockERC20.balanceOf(recipient.address)).to.equal(staking_req / 10n);
+            expect(await serviceNodeRewards.totalNodes()).to.equal(NODE_COUNT - 1);
+        });
+
+        it("Should revert before the minimum exit age", async function () {
+            const node      = quorum.nodes[0];
+            const timestamp = await time.latest();
+            const { signature, ids } = await quorum.signLiquidate(node.blsPubkey, timestamp);
+            await expect(serviceNodeRewards.liquidateBLSPublicKeyWithSignature(node.blsPubkey, timestamp, signature, ids))
+                .to.be.revertedWithCustomError(serviceNodeRewards, "ExitTooEarly");
+        });
+    });
+
+    describe("addBLSPublicKey registrations", function () {
+        it("Should sign with nodes registered after start", async function () {
+            const [, , , operator] = await ethers.getSigners();
+            await mockERC20.transfer(operator.address, staking_req * 2n);
+            const registered = await quorum.register(2, operator);
+            expect(registered.every(node => node.id !== null)).to.equal(true);
+            expect(await serviceNodeRewards.totalNodes()).to.equal(NODE_COUNT + 2);
+
+            const { signature, ids } = await quorum.signRewards(recipient.address, 1000n, [registered[0]]);
+            await expect(serviceNodeRewards.updateRewardsBalance(recipient.address, 1000n, signature, ids))
+                .to.emit(serviceNodeRewards, "RewardsBalanceUpdated");
+        });
+    });
+});
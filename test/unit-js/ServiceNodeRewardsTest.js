@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
+const bls = require("../../scripts/lib/bls.js");
 
 async function verifySeedData(contractSN, seedEntry) {
     expect(contractSN.blsPubkey[0]).to.equal(BigInt(seedEntry.blsPubkey.X));
@@ -7,8 +8,8 @@ async function verifySeedData(contractSN, seedEntry) {
     expect(contractSN.deposit).to.equal(BigInt(seedEntry.deposit));
     expect(contractSN.contributors.length).to.equal(seedEntry.contributors.length);
     for (let contributorIndex = 0; contributorIndex < contractSN.contributors.length; contributorIndex++) {
-        expect(BigInt(contractSN.contributors[0].staker.addr)).to.equal(BigInt(seedEntry.contributors[contributorIndex].staker.addr));
-        expect(contractSN.contributors[0].stakedAmount).to.equal(seedEntry.contributors[contributorIndex].stakedAmount);
+        expect(BigInt(contractSN.contributors[contributorIndex].staker.addr)).to.equal(BigInt(seedEntry.contributors[contributorIndex].staker.addr));
+        expect(contractSN.contributors[contributorIndex].stakedAmount).to.equal(seedEntry.contributors[contributorIndex].stakedAmount);
     }
 }
 
@@ -6591,16 +6592,9 @@ describe("ServiceNodeRewards Contract Tests", function () {
         let contributor;
         let contr_addr;
         let rewards_addr;
-        const blsPubkey = {
-            X: BigInt("0x28852e6bd8fc98305370c1636e35d3b1fe30cb5d79e5392b1238f18a1f60a1ed"),
-            Y: BigInt("0x1d0a9ed200fc6762ce53b42d6c9173a11c233a8e41d634ec7014c00ebb5ed4b0"),
-        };
-        const blsSig = {
-            sigs0: BigInt("0x27ceb4fb24b0cb43c55af0ce2f6463e6d14ec1c7f9edbad7c00fbb31a38e3d53"),
-            sigs1: BigInt("0x2386070cdd9a315241a8d351e2185addc042ad36aca524ad93a7862ac452b9a1"),
-            sigs2: BigInt("0x2170a69f683f44baabf1c590e6c5863a0d30b84d50144cb2f8cc8cb105fad7e9"),
-            sigs3: BigInt("0x0d9e3b16e83584504b5a597e98cfa76f9d7487878b6a03677beed56fe7a1ba39"),
-        };
+        const blsSecretKey = bls.generateSecretKey();
+        const blsPubkey    = bls.getPublicKey(blsSecretKey);
+        let blsSig;
         const snParams = {
             serviceNodePubkey: BigInt("0x3621a81c1ef05d48fc9be9dd590ab0869a70fa751e40d8fbebdb0d90e285dbd8"),
             serviceNodeSignature1: BigInt("0x9812e9d91f4e468c56f77fdbb6735b50c2c3590055efb38f26796a4630d4da42"),
@@ -6616,6 +6610,13 @@ describe("ServiceNodeRewards Contract Tests", function () {
             await mockERC20.transfer(submitter, staking_req);
             rewards_addr = await serviceNodeRewards.getAddress();
             await mockERC20.connect(submitter).approve(rewards_addr, staking_req);
+
+            // NOTE: The PoP commits to the rewards contract address (via its
+            // tags) so it has to be generated against each fresh deployment.
+            blsSig = bls.proofOfPossession(blsSecretKey, {
+                proofOfPossessionTag: await serviceNodeRewards.proofOfPossessionTag(),
+                hashToG2Tag:          await serviceNodeRewards.hashToG2Tag(),
+            }, op_addr, snParams.serviceNodePubkey);
         });
 
         const get_stakes = function(op_percent, contr_percent) {
@@ -6637,18 +6638,12 @@ describe("ServiceNodeRewards Contract Tests", function () {
             ];
         };
 
-        // These "allow" tests below are testing that we get rejected with
-        // InvalidBLSProofOfPossession, which is simply because we aren't generating real BLS
-        // signatures here (as the PoP signature depends on the actual rewards contract address),
-        // but the staking validation checks happen *before* the PoP signature verification, so if
-        // we get that far we consider it successful.
-
         it("allows 30% operator stake", async function () {
             await expect(serviceNodeRewards.connect(submitter).addBLSPublicKey(
                 blsPubkey,
                 blsSig,
                 snParams,
-                get_stakes(30, 70))).to.be.revertedWithCustomError(serviceNodeRewards, 'InvalidBLSProofOfPossession');
+                get_stakes(30, 70))).to.emit(serviceNodeRewards, 'NewServiceNodeV2');
         });
 
         it("allows 25% operator stake", async function () {
@@ -6656,7 +6651,7 @@ describe("ServiceNodeRewards Contract Tests", function () {
                 blsPubkey,
                 blsSig,
                 snParams,
-                get_stakes(25, 75))).to.be.revertedWithCustomError(serviceNodeRewards, 'InvalidBLSProofOfPossession');
+                get_stakes(25, 75))).to.emit(serviceNodeRewards, 'NewServiceNodeV2');
         });
 
         it("rejects 24% operator stake", async function () {
@@ -0,0 +1,174 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createSigningService, readNodeKeys } = require("../../scripts/lib/signing-service.js");
+
+// Decode the oxend hex encodings the same way scripts/liquidator.py does
+function decodeSignature(hex) {
+    const [sigs0, sigs1, sigs2, sigs3] = [0, 64, 128, 192].map((offset) => BigInt("0x" + hex.slice(offset, offset + 64)));
+    return { sigs0, sigs1, sigs2, sigs3 };
+}
+
+function decodePubkey(hex) {
+    return { X: BigInt("0x" + hex.slice(0, 64)), Y: BigInt("0x" + hex.slice(64, 128)) };
+}
+
+describe("Signing Service Tests", function () {
+    let mockERC20;
+    let serviceNodeRewards;
+    let recipient;
+    let service;
+    let url;
+
+    const staking_req = 120000000000n;
+    const NODE_COUNT  = 10;
+
+    async function rpc(method, params) {
+        const response = await fetch(url + "/json_rpc", {
+            method:  "POST",
+            headers: { "Content-Type": "application/json" },
+            body:    JSON.stringify({ jsonrpc: "2.0", id: 0, method, params }),
+        });
+        return response.json();
+    }
+
+    beforeEach(async function () {
+        let foundationPool;
+        [, foundationPool, recipient] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        mockERC20       = await MockERC20.deploy("SESH Token", "SESH", 240_000_000n * 1_000_000_000n);
+
+        const ServiceNodeRewardsMaster = await ethers.getContractFactory("ServiceNodeRewards");
+        serviceNodeRewards = await upgrades.deployProxy(ServiceNodeRewardsMaster,
+            [ await mockERC20.getAddress(),              // token address
+            await foundationPool.getAddress(),         // foundation pool address
+            staking_req,                    // testnet staking requirement
+            10,                             // max contributors
+            1,                              // liquidator reward ratio
+            1,                              // pool share of liquidation ratio
+            8                               // recipient ratio
+            ]);
+
+        service = await createSigningService(serviceNodeRewards);
+        await service.quorum.seed(NODE_COUNT);
+        await serviceNodeRewards.start();
+        await mockERC20.transfer(await serviceNodeRewards.getAddress(), staking_req * BigInt(NODE_COUNT));
+
+        url = await service.listen();
+    });
+
+    afterEach(async function () {
+        await service.close();
+    });
+
+    it("Should answer get_info and get_height", async function () {
+        const height = await ethers.provider.getBlockNumber();
+        expect((await rpc("get_info")).result).to.deep.equal({ status: "OK", nettype: "localdev", height });
+        expect((await rpc("get_height")).result).to.deep.equal({ status: "OK", height });
+    });
+
+    it("Should sign a rewards request the contract accepts", async function () {
+        const { result } = await rpc("bls_rewards_request", { address: recipient.address, amount: "1000" });
+        expect(result.non_signer_indices).to.deep.equal([]);
+        await expect(serviceNodeRewards.updateRewardsBalance(
+            result.address, result.amount, decodeSignature(result.signature), result.non_signer_indices))
+            .to.emit(serviceNodeRewards, "RewardsBalanceUpdated")
+            .withArgs(recipient.address, 1000, 0);
+    });
+
+    it("Should report offline nodes as non-signers", async function () {
+        const offline = service.quorum.nodes.slice(0, 3);
+        for (const node of offline) service.setBehaviour(node, "offline");
+
+        const { result } = await rpc("bls_rewards_request", { address: recipient.address, amount: "1000" });
+        expect(result.non_signer_indices).to.have.members(offline.map((node) => Number(node.id)));
+        await expect(serviceNodeRewards.updateRewardsBalance(
+            result.address, result.amount, decodeSignature(result.signature), result.non_signer_indices))
+            .to.emit(serviceNodeRewards, "RewardsBalanceUpdated");
+    });
+
+    it("Should drop invalid partial signatures", async function () {
+        const [offline, invalid] = service.quorum.nodes;
+        service.setBehaviour(offline, "offline");
+        service.setBehaviour(invalid, "invalid");
+
+        const { result } = await rpc("bls_rewards_request", { address: recipient.address, amount: "1000" });
+        expect(result.non_signer_indices).to.have.members([Number(offline.id), Number(invalid.id)]);
+        await expect(serviceNodeRewards.updateRewardsBalance(
+            result.address, result.amount, decodeSignature(result.signature), result.non_signer_indices))
+            .to.emit(serviceNodeRewards, "RewardsBalanceUpdated");
+
+        service.setBehaviour(invalid, "online");
+        const retry = await rpc("bls_rewards_request", { address: recipient.address, amount: "2000" });
+        expect(retry.result.non_signer_indices).to.deep.equal([Number(offline.id)]);
+    });
+
+    it("Should fail when too many nodes are offline", async function () {
+        for (const node of service.quorum.nodes.slice(0, 4)) service.setBehaviour(node, "offline");
+        const response = await rpc("bls_rewards_request", { address: recipient.address, amount: "1000" });
+        expect(response.result).to.equal(undefined);
+        expect(response.error.message).to.match(/Insufficient signatures: 6 of 10/);
+    });
+
+    it("Should sign an exit request the contract accepts", async function () {
+        const node = service.quorum.nodes[0];
+        await time.increase(2 * 60 * 60);
+
+        const { result } = await rpc("bls_exit_liquidation_request", {
+            pubkey: node.ed25519Pubkey.toString(16).padStart(64, "0"), liquidate: false });
+        expect(decodePubkey(result.bls_pubkey)).to.deep.equal(node.blsPubkey);
+        await expect(serviceNodeRewards.exitBLSPublicKeyWithSignature(
+            decodePubkey(result.bls_pubkey), result.timestamp, decodeSignature(result.signature), result.non_signer_indices))
+            .to.emit(serviceNodeRewards, "ServiceNodeExit");
+    });
+
+    it("Should sign a liquidation for a node that is offline", async function () {
+        const node = service.quorum.nodes[1];
+        service.setBehaviour(node, "offline");
+        service.setLiquidatable(node);
+        await time.increase(2 * 60 * 60);
+
+        const list = (await rpc("bls_exit_liquidation_list")).result;
+        expect(list).to.have.length(1);
+        expect(list[0].liquidation_height).to.equal(0);
+        expect(decodePubkey(list[0].info.bls_public_key)).to.deep.equal(node.blsPubkey);
+
+        const { result } = await rpc("bls_exit_liquidation_request", { pubkey: list[0].service_node_pubkey, liquidate: true });
+        expect(result.non_signer_indices).to.deep.equal([Number(node.id)]);
+        await expect(serviceNodeRewards.liquidateBLSPublicKeyWithSignature(
+            decodePubkey(result.bls_pubkey), result.timestamp, decodeSignature(result.signature), result.non_signer_indices))
+            .to.emit(serviceNodeRewards, "ServiceNodeLiquidated");
+    });
+
+    it("Should return JSON-RPC errors for bad requests", async function () {
+        expect((await rpc("get_nope")).error.code).to.equal(-32601);
+        expect((await rpc("bls_rewards_request", { address: "0x1234", amount: "1" })).error.code).to.equal(-32602);
+        expect((await rpc("bls_rewards_request", { address: recipient.address, amount: "lots" })).error.code).to.equal(-32602);
+        expect((await rpc("bls_exit_liquidation_request", { pubkey: "00".repeat(32) })).error.message)
+            .to.match(/not known to this service/);
+
+        const response = await fetch(url + "/json_rpc", { method: "POST", body: "{" });
+        expect((await response.json()).error.code).to.equal(-32700);
+    });
+
+    it("Should read node keys and sesh:keygen bundles", async function () {
+        const [first, second] = service.quorum.nodes;
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "sesh-signing-")), "keys.json");
+        fs.writeFileSync(file, JSON.stringify({ nodes: [
+            { blsSecretKey: ethers.toBeHex(first.secretKey, 32), ed25519Pubkey: ethers.toBeHex(first.ed25519Pubkey, 32) },
+            { blsSecretKey: ethers.toBeHex(second.secretKey, 32), serviceNodeParams: { serviceNodePubkey: ethers.toBeHex(second.ed25519Pubkey, 32) } },
+        ]}));
+        expect(readNodeKeys(file)).to.deep.equal([
+            { secretKey: first.secretKey, ed25519Pubkey: first.ed25519Pubkey },
+            { secretKey: second.secretKey, ed25519Pubkey: second.ed25519Pubkey },
+        ]);
+
+        const other = await createSigningService(serviceNodeRewards);
+        const added = await other.quorum.addKeys(readNodeKeys(file));
+        expect(added.map((node) => node.id)).to.deep.equal([first.id, second.id]);
+    });
+});
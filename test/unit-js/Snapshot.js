@@ -0,0 +1,138 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { createQuorum } = require("../../scripts/lib/quorum.js");
+const { MULTICALL3 } = require("../../scripts/lib/multicall.js");
+const { snapshotRewards } = require("../../scripts/lib/snapshot.js");
+const { deployFixture } = require("./util");
+
+describe("ServiceNodeRewards Snapshot Tests", function () {
+    this.timeout(10 * 60 * 1000);
+
+    const NODE_COUNT = 2000;
+
+    const deployments = deployFixture({ once: true });
+    let rewards;
+    let rewardsAddress;
+    let quorum;
+    let signers;
+    let stakingRequirement;
+
+    // Raise the rewards of `recipient` to `amount` with the quorum's signature
+    async function updateRewards(recipient, amount) {
+        const { signature, ids } = await quorum.signRewards(recipient, amount);
+        await (await rewards.updateRewardsBalance(recipient, amount, signature, ids)).wait();
+    }
+
+    // Run `fn` counting the `eth_call`s it makes
+    async function countCalls(fn) {
+        const provider = hre.network.provider;
+        const send     = provider.send;
+        let calls      = 0;
+        provider.send = (method, params) => {
+            if (method === "eth_call") calls += 1;
+            return send.call(provider, method, params);
+        };
+        try {
+            return { result: await fn(), calls };
+        } finally {
+            provider.send = send;
+        }
+    }
+
+    before(async function () {
+        signers = await ethers.getSigners();
+        rewardsAddress     = deployments.manifest.contracts.ServiceNodeRewards.address;
+        rewards            = await ethers.getContractAt("ServiceNodeRewards", rewardsAddress);
+        stakingRequirement = await rewards.stakingRequirement();
+
+        // NOTE: 1 to 3 contributors each, the last paid out to its own
+        // beneficiary
+        quorum = await createQuorum(rewards);
+        await quorum.seed(NODE_COUNT, {
+            contributors: (index) => {
+                const count = index % 3 + 1;
+                const share = stakingRequirement / BigInt(count);
+                return signers.slice(0, count).map((signer, position) => ({
+                    staker: {
+                        addr:        signer.address,
+                        beneficiary: position === count - 1 && count > 1 ? signers[5].address : signer.address,
+                    },
+                    stakedAmount: position === 0 ? stakingRequirement - share * BigInt(count - 1) : share,
+                }));
+            },
+        });
+        await (await rewards.start()).wait();
+
+        // NOTE: Seeded nodes deposit nothing, fund the contract for the claim
+        const token = await ethers.getContractAt("MockERC20", deployments.manifest.contracts.SESH.address);
+        await (await token.transfer(rewardsAddress, 34n)).wait();
+        await updateRewards(signers[5].address, 1234n);
+        await (await rewards.connect(signers[5])["claimRewards(uint256)"](34n)).wait();
+    });
+
+    it("Should snapshot a seeded list of 2000 nodes in a few batched calls", async function () {
+        const { result: dump, calls } = await countCalls(() => hre.run("sesh:dump", {}));
+        // NOTE: The state, the node list, the nodes and the recipients
+        expect(calls).to.equal(1 + 1 + NODE_COUNT / 200 + 1);
+        expect((await ethers.provider.getCode(MULTICALL3)).length).to.be.greaterThan(2);
+
+        expect(dump.totalNodes).to.equal(BigInt(NODE_COUNT));
+        expect(dump.state.aggregatePubkey).to.deep.equal(await rewards.aggregatePubkey().then(({ X, Y }) => ({ X, Y })));
+        expect(dump.state.stakingRequirement).to.equal(stakingRequirement);
+        expect(dump.state.isStarted).to.equal(true);
+        expect(dump.serviceNodes).to.have.length(NODE_COUNT);
+
+        for (const index of [0, 1, 2, 1000, NODE_COUNT - 1]) {
+            const node   = dump.serviceNodes[index];
+            const direct = await rewards.serviceNodes(node.id);
+            expect(node.blsPubkey).to.deep.equal({ X: direct.blsPubkey.X, Y: direct.blsPubkey.Y });
+            expect(node.operator).to.equal(direct.operator);
+            expect(node.ed25519Pubkey).to.equal(direct.ed25519Pubkey);
+            expect(node.deposit).to.equal(stakingRequirement);
+            expect(node.contributors).to.deep.equal(direct.contributors.map((contributor) => ({
+                staker:       contributor.staker.addr,
+                beneficiary:  contributor.staker.beneficiary,
+                stakedAmount: contributor.stakedAmount,
+            })));
+        }
+
+        const byAddress = new Map(dump.contributors.map((contributor) => [contributor.address, contributor]));
+        expect(dump.contributors.reduce((sum, contributor) => sum + contributor.total_staked, 0n))
+            .to.equal(BigInt(NODE_COUNT) * stakingRequirement);
+        expect(byAddress.get(signers[5].address)).to.deep.include({ rewards_balance: 1234n, rewards_claimed: 34n });
+        expect(byAddress.get(signers[0].address)).to.deep.include({ rewards_balance: 0n, rewards_claimed: 0n });
+    });
+
+    it("Should read every batch at the pinned block", async function () {
+        const pinned = await ethers.provider.getBlockNumber();
+        const before = await snapshotRewards(hre, rewardsAddress, { batchSize: 150 });
+        expect(before.blockNumber).to.equal(pinned);
+
+        await quorum.register(5, signers[0]);
+        await updateRewards(signers[5].address, 5678n);
+
+        const { result: again, calls } = await countCalls(() => snapshotRewards(hre, rewardsAddress, { blockTag: pinned, batchSize: 150 }));
+        expect(calls).to.equal(1 + 1 + Math.ceil(NODE_COUNT / 150) + 1);
+        expect(again).to.deep.equal(before);
+
+        const latest = await snapshotRewards(hre, rewardsAddress, { skipContributors: true });
+        expect(latest.blockNumber).to.be.greaterThan(pinned);
+        expect(latest.serviceNodes).to.have.length(NODE_COUNT + 5);
+        expect(latest.serviceNodes[0]).to.have.all.keys("id", "blsPubkey");
+        expect(latest.contributors).to.equal(null);
+    });
+
+    it("Should refuse a block before Multicall3 was installed", async function () {
+        await hre.network.provider.send("hardhat_setCode", [MULTICALL3, "0x"]);
+        await hre.network.provider.send("evm_mine", []);
+        const pinned = await ethers.provider.getBlockNumber();
+        await hre.network.provider.send("evm_mine", []);
+
+        await expect(hre.run("sesh:dump", { block: pinned }))
+            .to.be.rejectedWith(`No Multicall3 at ${MULTICALL3} at block ${pinned} on hardhat, it was deployed after that block, read a later one`);
+        expect((await ethers.provider.getCode(MULTICALL3)).length).to.be.greaterThan(2);
+        const latest = await snapshotRewards(hre, rewardsAddress, { skipContributors: true });
+        expect(latest.totalNodes).to.equal(BigInt(NODE_COUNT + 5));
+    });
+});
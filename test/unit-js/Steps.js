@@ -0,0 +1,126 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { readManifest, writeManifest } = require("../../scripts/lib/manifest.js");
+const { pipelineState, resetSteps, runSteps, hasCode } = require("../../scripts/lib/steps.js");
+const { useTempDeployments } = require("./util");
+
+describe("Resumable Deployment Step Tests", function () {
+    useTempDeployments();
+    let runs;
+
+    // A step counting how often it ran, failing while `fail` is set
+    const step = (name, options = {}) => ({
+        name,
+        params: options.params,
+        run: async () => {
+            runs[name] = (runs[name] ?? 0) + 1;
+            if (options.fail?.()) throw new Error(`${name} failed`);
+            return { value: `${name}-${runs[name]}` };
+        },
+        check: options.check,
+    });
+
+    beforeEach(async function () {
+        runs = {};
+    });
+
+    it("Should skip the steps completed by an earlier run", async function () {
+        let failing = true;
+        const steps = [step("a"), step("b", { fail: () => failing }), step("c")];
+        await expect(runSteps(hre, "test", steps)).to.be.rejectedWith("b failed");
+        expect(runs).to.deep.equal({ a: 1, b: 1 });
+
+        const state = pipelineState("hardhat", "test");
+        expect(state.completedAt).to.equal(null);
+        expect(state.steps.a.status).to.equal("done");
+        expect(state.steps.a.result).to.deep.equal({ value: "a-1" });
+        expect(state.steps).to.not.have.property("b");
+
+        failing = false;
+        const results = await runSteps(hre, "test", steps);
+        expect(runs).to.deep.equal({ a: 1, b: 2, c: 1 });
+        expect(results).to.deep.equal({ a: { value: "a-1" }, b: { value: "b-2" }, c: { value: "c-1" } });
+        expect(pipelineState("hardhat", "test").completedAt).to.not.equal(null);
+
+        expect(await runSteps(hre, "test", steps)).to.deep.equal(results);
+        expect(runs).to.deep.equal({ a: 1, b: 2, c: 1 });
+
+        resetSteps(hre, "test");
+        expect(pipelineState("hardhat", "test")).to.equal(null);
+        await runSteps(hre, "test", steps);
+        expect(runs).to.deep.equal({ a: 2, b: 3, c: 2 });
+    });
+
+    it("Should wait on a transaction sent before a crash instead of resending it", async function () {
+        const [owner, recipient] = await ethers.getSigners();
+        const before = await ethers.provider.getBalance(recipient.address);
+        let sends    = 0;
+        let crash    = true;
+        const steps  = [{
+            name: "transfer",
+            run: async (ctx) => {
+                sends++;
+                const tx = await owner.sendTransaction({ to: recipient.address, value: 1000n });
+                await ctx.sent(tx);
+                if (crash) throw new Error("crashed");
+                await tx.wait();
+                return { txHash: tx.hash };
+            },
+            resume: async (ctx, receipt) => ({ txHash: receipt.hash, resumed: true }),
+        }];
+
+        await expect(runSteps(hre, "test", steps)).to.be.rejectedWith("crashed");
+        const pending = pipelineState("hardhat", "test").steps.transfer;
+        expect(pending.status).to.equal("pending");
+
+        crash = false;
+        const results = await runSteps(hre, "test", steps);
+        expect(sends).to.equal(1);
+        expect(results.transfer).to.deep.equal({ txHash: pending.txHash, resumed: true });
+        expect(await ethers.provider.getBalance(recipient.address)).to.equal(before + 1000n);
+
+        // NOTE: A transaction that never made it out is sent again
+        const manifest = readManifest("hardhat");
+        manifest.steps.test.steps.transfer = { status: "pending", params: null, txHash: ethers.ZeroHash };
+        writeManifest(manifest);
+        await runSteps(hre, "test", steps);
+        expect(sends).to.equal(2);
+        expect(await ethers.provider.getBalance(recipient.address)).to.equal(before + 2000n);
+    });
+
+    it("Should refuse to resume with different parameters", async function () {
+        const steps = [step("a"), step("b", { fail: () => true })];
+        await expect(runSteps(hre, "test", steps, { params: { stakingReq: 1n } })).to.be.rejectedWith("b failed");
+        await expect(runSteps(hre, "test", steps, { params: { stakingReq: 2n } }))
+            .to.be.rejectedWith("The unfinished test deployment on hardhat was started with different parameters");
+        expect(runs).to.deep.equal({ a: 1, b: 1 });
+
+        // NOTE: Completed deployments start over with new parameters
+        await runSteps(hre, "other", [step("a")], { params: { stakingReq: 1n } });
+        await runSteps(hre, "other", [step("a")], { params: { stakingReq: 1n } });
+        expect(runs.a).to.equal(2);
+        await runSteps(hre, "other", [step("a")], { params: { stakingReq: 2n } });
+        expect(runs.a).to.equal(3);
+        expect(pipelineState("hardhat", "other").params).to.deep.equal({ stakingReq: "2" });
+
+        await runSteps(hre, "rows", [step("row", { params: ["alice", 100] })]);
+        await expect(runSteps(hre, "rows", [step("row", { params: ["alice", 200] })]))
+            .to.be.rejectedWith("Step row of the rows deployment on hardhat was completed with different parameters");
+    });
+
+    it("Should check completed steps still hold", async function () {
+        const token = await (await ethers.getContractFactory("MockERC20")).deploy("SESH Token", "SESH", 1000n);
+        const steps = [{
+            name:  "token",
+            run:   async () => ({ address: await token.getAddress() }),
+            check: hasCode(),
+        }];
+        await runSteps(hre, "test", steps);
+        await runSteps(hre, "test", steps);
+
+        await hre.network.provider.send("hardhat_setCode", [await token.getAddress(), "0x"]);
+        await expect(runSteps(hre, "test", steps)).to.be.rejectedWith(
+            `Completed step token of the test deployment on hardhat no longer holds: there is no contract at ${await token.getAddress()}`);
+    });
+});
@@ -0,0 +1,159 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createSigningService } = require("../../scripts/lib/signing-service.js");
+const { signatureWindow, requestRemovalSignature, submitRemoval } = require("../../scripts/lib/submission.js");
+
+describe("Signature Expiry Submission Tests", function () {
+    let serviceNodeRewards;
+    let service;
+    let quorum;
+
+    const staking_req = 120000000000n;
+    const NODE_COUNT  = 10;
+    const EXPIRY      = 10n * 60n;
+
+    // NOTE: Earlier tests move the chain's clock forward, the wall clock is
+    // pinned relative to the latest block to simulate skew.
+    async function clockAt(offset) {
+        const chainTime = BigInt(await time.latest());
+        return () => chainTime + BigInt(offset);
+    }
+
+    beforeEach(async function () {
+        const [, foundationPool] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const mockERC20 = await MockERC20.deploy("SESH Token", "SESH", 240_000_000n * 1_000_000_000n);
+
+        const ServiceNodeRewardsMaster = await ethers.getContractFactory("ServiceNodeRewards");
+        serviceNodeRewards = await upgrades.deployProxy(ServiceNodeRewardsMaster,
+            [ await mockERC20.getAddress(),              // token address
+            await foundationPool.getAddress(),         // foundation pool address
+            staking_req,                    // testnet staking requirement
+            10,                             // max contributors
+            1,                              // liquidator reward ratio
+            1,                              // pool share of liquidation ratio
+            8                               // recipient ratio
+            ]);
+
+        service = await createSigningService(serviceNodeRewards);
+        quorum  = service.quorum;
+        await quorum.seed(NODE_COUNT);
+        await serviceNodeRewards.start();
+        await mockERC20.transfer(await serviceNodeRewards.getAddress(), staking_req * BigInt(NODE_COUNT));
+        await time.increase(2 * 60 * 60);
+    });
+
+    it("Should compute the validity window against the chain and local clocks", async function () {
+        const timestamp = BigInt(await time.latest());
+        const inSync    = await signatureWindow(serviceNodeRewards, timestamp, { now: await clockAt(0) });
+        expect(inSync.expiresAt).to.equal(timestamp + EXPIRY);
+        expect(inSync.skew).to.equal(0n);
+        expect(inSync.expectedInclusion).to.equal(timestamp + 30n);
+        expect(inSync.remaining).to.equal(EXPIRY - 30n);
+        expect(inSync.usable).to.equal(true);
+
+        // Chain behind the local clock, assume it catches up before inclusion
+        const lagging = await signatureWindow(serviceNodeRewards, timestamp, { now: await clockAt(550) });
+        expect(lagging.skew).to.equal(-550n);
+        expect(lagging.remaining).to.equal(EXPIRY - 580n);
+        expect(lagging.usable).to.equal(false);
+
+        // Chain ahead of the local clock, the next block is no earlier than the latest
+        const leading = await signatureWindow(serviceNodeRewards, timestamp, { now: await clockAt(-300) });
+        expect(leading.skew).to.equal(300n);
+        expect(leading.remaining).to.equal(EXPIRY - 30n);
+    });
+
+    it("Should follow the contract's signatureExpiry", async function () {
+        await serviceNodeRewards.setSignatureExpiry(60);
+        const timestamp = BigInt(await time.latest());
+        const result    = await signatureWindow(serviceNodeRewards, timestamp, { now: await clockAt(0) });
+        expect(result.expiresAt).to.equal(timestamp + 60n);
+        expect(result.usable).to.equal(true);
+        expect((await signatureWindow(serviceNodeRewards, timestamp, { now: await clockAt(10) })).usable).to.equal(false);
+    });
+
+    it("Should submit an exit with a fresh signature", async function () {
+        const node = quorum.nodes[0];
+        const result = await submitRemoval(serviceNodeRewards, {
+            blsPubkey:        node.blsPubkey,
+            now:              await clockAt(0),
+            requestSignature: async () => {
+                const timestamp = await time.latest();
+                return { timestamp, ...(await quorum.signExit(node.blsPubkey, timestamp)) };
+            },
+        });
+        expect(result.attempts).to.equal(1);
+        await expect(result.tx).to.emit(serviceNodeRewards, "ServiceNodeExit");
+    });
+
+    it("Should re-request a signature that expires before inclusion", async function () {
+        const node    = quorum.nodes[0];
+        const stale   = BigInt(await time.latest());
+        const signed  = [];
+        const refused = [];
+        await time.increase(EXPIRY - 45n);
+
+        const result = await submitRemoval(serviceNodeRewards, {
+            blsPubkey:        node.blsPubkey,
+            liquidate:        true,
+            now:              await clockAt(0),
+            log:              (message) => refused.push(message),
+            requestSignature: async () => {
+                const timestamp = signed.length === 0 ? stale : BigInt(await time.latest());
+                signed.push(timestamp);
+                return { timestamp, ...(await quorum.signLiquidate(node.blsPubkey, timestamp)) };
+            },
+        });
+        expect(signed).to.have.length(2);
+        expect(refused).to.have.length(1);
+        expect(refused[0]).to.match(/requesting a new one \(attempt 1\/3\)/);
+        expect(result.attempts).to.equal(2);
+        expect(result.validity.timestamp).to.equal(signed[1]);
+        await expect(result.tx).to.emit(serviceNodeRewards, "ServiceNodeLiquidated");
+    });
+
+    it("Should refuse to submit when the local clock is too far ahead of the chain", async function () {
+        const node = quorum.nodes[0];
+        let requests = 0;
+        await expect(submitRemoval(serviceNodeRewards, {
+            blsPubkey:        node.blsPubkey,
+            maxAttempts:      2,
+            now:              await clockAt(EXPIRY),
+            requestSignature: async () => {
+                requests++;
+                const timestamp = await time.latest();
+                return { timestamp, ...(await quorum.signExit(node.blsPubkey, timestamp)) };
+            },
+        })).to.be.rejectedWith(/Unable to obtain a signature that stays valid until inclusion after 2 attempts/);
+        expect(requests).to.equal(2);
+        expect(await serviceNodeRewards.totalNodes()).to.equal(NODE_COUNT);
+    });
+
+    it("Should submit a liquidation signed over oxend RPC", async function () {
+        const node = quorum.nodes[1];
+        service.setBehaviour(node, "offline");
+        service.setLiquidatable(node);
+        const url = await service.listen();
+        try {
+            const pubkey = node.ed25519Pubkey.toString(16).padStart(64, "0");
+            const signed = await requestRemovalSignature(url, pubkey, { liquidate: true });
+            expect(signed.blsPubkey).to.deep.equal(node.blsPubkey);
+            expect(signed.ids).to.deep.equal([node.id]);
+
+            const result = await submitRemoval(serviceNodeRewards, {
+                blsPubkey:        signed.blsPubkey,
+                liquidate:        true,
+                now:              await clockAt(0),
+                requestSignature: () => requestRemovalSignature(url, pubkey, { liquidate: true }),
+            });
+            await expect(result.tx).to.emit(serviceNodeRewards, "ServiceNodeLiquidated");
+
+            await expect(requestRemovalSignature(url, "00".repeat(32))).to.be.rejectedWith(/not known to this service/);
+        } finally {
+            await service.close();
+        }
+    });
+});
@@ -0,0 +1,77 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { TEST_VECTORS_VERSION, DEFAULT_OUTPUT, generateTestVectors } = require("../../scripts/generate-test-vectors.js");
+
+// NOTE: Vectors are shared with the C++ unit-tests, see
+// test/cpp/test/src/vectors.cpp. Regenerate them with
+// `node scripts/generate-test-vectors.js`.
+const vectors = require(DEFAULT_OUTPUT);
+
+// The contract's G2Point stores the imaginary component first
+const toContractG2 = (p) => ({ X: [p.x[1], p.x[0]], Y: [p.y[1], p.y[0]] });
+const fromContractG2 = (p) => ({ x: [p.X[1].toString(), p.X[0].toString()], y: [p.Y[1].toString(), p.Y[0].toString()] });
+
+describe("Cross-language Test Vectors", function () {
+    let bn256G1;
+    let bn256G2;
+    let bn256G2Test;
+
+    before(async function () {
+        bn256G1     = await (await ethers.getContractFactory("BN256G1Test")).deploy();
+        bn256G2     = await (await ethers.getContractFactory("BN256G2")).deploy();
+        bn256G2Test = await (await ethers.getContractFactory("BN256G2Test")).deploy();
+    });
+
+    it("Are up to date with the generator", async function () {
+        expect(vectors.version).to.equal(TEST_VECTORS_VERSION);
+        expect(generateTestVectors(vectors.seed)).to.deep.equal(vectors);
+    });
+
+    it("expandMessageXMDKeccak256 matches the contract", async function () {
+        for (const vector of vectors.expandMessageXMDKeccak256) {
+            const result = await bn256G2.expandMessageXMDKeccak256(vector.message, vector.dst);
+            expect([...result]).to.deep.equal(vector.expected);
+        }
+    });
+
+    it("hashToField matches the contract", async function () {
+        for (const vector of vectors.hashToField) {
+            const [u0, u1, b] = await bn256G2.hashToField(vector.message, vector.dst);
+            expect({ u0: u0.toString(), u1: u1.toString(), b }).to.deep.equal(vector.expected);
+        }
+    });
+
+    it("FQ2Sqrt matches the contract", async function () {
+        for (const vector of vectors.fq2Sqrt) {
+            const [y1, y2] = await bn256G2.FQ2Sqrt(vector.input[0], vector.input[1]);
+            expect([y1.toString(), y2.toString()]).to.deep.equal(vector.expected);
+        }
+    });
+
+    it("mapToG2 and hashToG2 match the contract", async function () {
+        for (const vector of vectors.hashToG2) {
+            expect(fromContractG2(await bn256G2Test.mapToG2(vector.message, vector.dst))).to.deep.equal(vector.mapToG2);
+            expect(fromContractG2(await bn256G2Test.hashToG2(vector.message, vector.dst))).to.deep.equal(vector.expected);
+        }
+    });
+
+    it("G1 add and negate match the contract", async function () {
+        for (const vector of vectors.g1.add) {
+            const [X, Y] = await bn256G1.addPoints(vector.p1, vector.p2);
+            expect({ X: X.toString(), Y: Y.toString() }).to.deep.equal(vector.expected);
+        }
+        for (const vector of vectors.g1.negate) {
+            const [X, Y] = await bn256G1.negatePoint(vector.p);
+            expect({ X: X.toString(), Y: Y.toString() }).to.deep.equal(vector.expected);
+        }
+    });
+
+    it("Pairing checks match the precompile", async function () {
+        for (const vector of vectors.pairing) {
+            const result = await bn256G2Test.pairing.staticCall(
+                vector.pairs.map(pair => pair.g1),
+                vector.pairs.map(pair => toContractG2(pair.g2)));
+            expect(result, vector.description).to.equal(vector.expected);
+        }
+    });
+});
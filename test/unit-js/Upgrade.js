@@ -0,0 +1,109 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+const { readManifest } = require("../../scripts/lib/manifest.js");
+const { createQuorum } = require("../../scripts/lib/quorum.js");
+const { diffLayouts } = require("../../scripts/lib/upgrade-safety.js");
+const { useTempDeployments } = require("./util");
+
+describe("Upgrade Safety Tests", function () {
+    useTempDeployments();
+
+    const deployV1 = async (value) =>
+        upgrades.deployProxy(await ethers.getContractFactory("MockUpgradeableV1"), [value], { kind: "transparent" });
+
+    it("Should upgrade a proxy found in the .openzeppelin manifest and call its initializer", async function () {
+        const proxy  = await deployV1(7);
+        const before = await upgrades.erc1967.getImplementationAddress(await proxy.getAddress());
+
+        const result = await hre.run("sesh:upgrade", {
+            contract: "MockUpgradeableV1", artifact: "MockUpgradeableV2", call: "initializeV2(uint256)", args: "[42]",
+        });
+        expect(result.proxy).to.equal(await proxy.getAddress());
+        expect(result.previousImplementation).to.equal(before);
+        expect(result.version).to.deep.equal({ before: 1n, after: 2n });
+        expect(result.layout).to.deep.equal([
+            { change: "added", variable: "extra", before: null, after: "uint256 extra (slot 1)" },
+        ]);
+
+        const upgraded = await ethers.getContractAt("MockUpgradeableV2", await proxy.getAddress());
+        expect(await upgrades.erc1967.getImplementationAddress(await proxy.getAddress())).to.equal(result.implementation);
+        expect(await upgraded.value()).to.equal(7n);
+        expect(await upgraded.extra()).to.equal(42n);
+        // NOTE: Not in the deployment manifest so nothing was recorded
+        expect(readManifest("hardhat").contracts).to.deep.equal({});
+    });
+
+    it("Should refuse unsafe upgrades without touching the proxy", async function () {
+        const proxy   = await deployV1(7);
+        const address = await proxy.getAddress();
+        const before  = await upgrades.erc1967.getImplementationAddress(address);
+
+        await expect(hre.run("sesh:upgrade", { contract: "MockUpgradeableV1", proxy: address, artifact: "MockUpgradeableV2Broken" }))
+            .to.be.rejectedWith(/^MockUpgradeableV2Broken is not a safe upgrade of the MockUpgradeableV1 proxy at 0x[0-9a-fA-F]{40}: /);
+        await expect(hre.run("sesh:upgrade", { contract: "MockUpgradeableV1", proxy: address, artifact: "MockUpgradeableV1" }))
+            .to.be.rejectedWith("VERSION 1 of MockUpgradeableV1 is not greater than 1 of the current implementation");
+        await expect(hre.run("sesh:upgrade", { contract: "MockUpgradeableV1", proxy: address, artifact: "MockUpgradeableV2", args: "[1]" }))
+            .to.be.rejectedWith("--args only applies with --call");
+        await expect(hre.run("sesh:upgrade", {
+            contract: "MockUpgradeableV1", proxy: address, artifact: "MockUpgradeableV2", call: "initializeV2(uint256)", args: "{}",
+        })).to.be.rejectedWith("Invalid --args, expected a JSON array: {}");
+        await expect(hre.run("sesh:upgrade", {
+            contract: "MockUpgradeableV1", proxy: address, artifact: "MockUpgradeableV2", call: "initializeV3()",
+        })).to.be.rejectedWith(/^Invalid --call initializeV3\(\) of MockUpgradeableV2/);
+        expect(await upgrades.erc1967.getImplementationAddress(address)).to.equal(before);
+
+        const same = await hre.run("sesh:upgrade", {
+            contract: "MockUpgradeableV1", proxy: address, artifact: "MockUpgradeableV1", allowSameVersion: true,
+        });
+        expect(same.implementation).to.equal(before);
+        expect(same.layout).to.deep.equal([]);
+    });
+
+    it("Should keep the state of ServiceNodeRewards across an upgrade", async function () {
+        const manifest = await hre.run("sesh:deploy", {});
+        const rewards  = await ethers.getContractAt("ServiceNodeRewards", manifest.contracts.ServiceNodeRewards.address);
+        await (await createQuorum(rewards)).seed(2);
+
+        const result = await hre.run("sesh:upgrade", { artifact: "ServiceNodeRewards", allowSameVersion: true });
+        expect(Object.keys(result.samples.before)).to.deep.equal(["totalNodes", "aggregatePubkey", "stakingRequirement"]);
+        expect(result.samples.after).to.deep.equal(result.samples.before);
+        expect(result.samples.before.totalNodes).to.equal('"2"');
+        expect(result.layout).to.be.an("array");
+        expect(readManifest("hardhat").contracts.ServiceNodeRewards.implementation).to.equal(result.implementation);
+    });
+
+    it("Should report state changed by the upgrade and not record it", async function () {
+        const manifest = await hre.run("sesh:deploy", {});
+        const address  = manifest.contracts.ServiceNodeRewards.address;
+        const before   = manifest.contracts.ServiceNodeRewards.implementation;
+        const rewards  = await ethers.getContractAt("ServiceNodeRewards", address);
+        const staking  = await rewards.stakingRequirement();
+
+        await expect(hre.run("sesh:upgrade", {
+            artifact: "MockServiceNodeRewardsReinitialized", call: "initializeV2(uint256)", args: "[1]", allowSameVersion: true,
+        })).to.be.rejectedWith(
+            `State of ServiceNodeRewards changed across the upgrade, check its storage layout:\n  stakingRequirement: "${staking}" -> "1"\n` +
+            `The ServiceNodeRewards proxy at ${address} IS upgraded to `);
+        expect(await rewards.stakingRequirement()).to.equal(1n);
+        expect(await upgrades.erc1967.getImplementationAddress(address)).to.not.equal(before);
+        expect(readManifest("hardhat").contracts.ServiceNodeRewards).to.have.property("implementation", before);
+    });
+
+    it("Should diff storage layouts by variable", function () {
+        const types  = { t_uint256: { label: "uint256" }, t_address: { label: "address" } };
+        const before = { types, storage: [
+            { contract: "A", label: "a", slot: "0", offset: 0, type: "t_uint256" },
+            { contract: "A", label: "b", slot: "1", offset: 0, type: "t_uint256" },
+        ] };
+        const after = { types, storage: [
+            { contract: "A", label: "a", slot: "0", offset: 0, type: "t_address" },
+            { contract: "A", label: "c", slot: "1", offset: 20, type: "t_address" },
+        ] };
+        expect(diffLayouts(before, after)).to.deep.equal([
+            { change: "changed", variable: "a", before: "uint256 a (slot 0)", after: "address a (slot 0)" },
+            { change: "removed", variable: "b", before: "uint256 b (slot 1)", after: null },
+            { change: "added", variable: "c", before: null, after: "address c (slot 1, offset 20)" },
+        ]);
+    });
+});
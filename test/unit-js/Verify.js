@@ -0,0 +1,117 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { readManifest } = require("../../scripts/lib/manifest.js");
+const { manifestTargets, verifyContract, verifyContracts } = require("../../scripts/lib/verify.js");
+const { useTempDeployments } = require("./util");
+
+describe("Contract Verification Tests", function () {
+    useTempDeployments();
+
+    const ADDRESS  = "0x1111111111111111111111111111111111111111";
+    const TARGET   = { name: "Mock", address: ADDRESS, contract: "contracts/test/MockERC20.sol:MockERC20", constructorArguments: [], txHash: null };
+    const BACKENDS = { etherscan: true, sourcify: true };
+
+    // Stand in for the verify subtasks, failing with `errors` in turn then succeeding
+    function explorer(errors = {}) {
+        const calls = [];
+        const run   = async (subtask, args) => {
+            calls.push({ subtask, args });
+            const error = errors[subtask]?.shift();
+            if (error) throw new Error(error);
+        };
+        return { calls, run };
+    }
+
+    it("Should retry Etherscan with backoff until it has indexed the contract", async function () {
+        const { calls, run } = explorer({ "verify:etherscan": [
+            `The address ${ADDRESS} does not have bytecode.`,
+            "Unable to locate ContractCode at the address",
+        ] });
+        const delays = [];
+        const result = await verifyContract(hre, TARGET, { run, sleep: async (ms) => delays.push(ms), backends: BACKENDS, backoffMs: 10 });
+
+        expect(result).to.deep.include({ status: "verified", explorer: "Etherscan", attempts: 3 });
+        expect(delays).to.deep.equal([10, 20]);
+        expect(calls.map((call) => call.subtask)).to.deep.equal(Array(3).fill("verify:etherscan"));
+        expect(calls[0].args).to.deep.equal({ address: ADDRESS, constructorArgsParams: [], contract: TARGET.contract, force: true });
+    });
+
+    it("Should treat already verified contracts as verified", async function () {
+        const { calls, run } = explorer({ "verify:etherscan": [`The contract ${ADDRESS} has already been verified on the block explorer.`] });
+        const result = await verifyContract(hre, TARGET, { run, backends: BACKENDS });
+        expect(result).to.deep.include({ status: "already verified", explorer: "Etherscan", attempts: 1, error: null });
+        expect(calls).to.have.length(1);
+    });
+
+    it("Should fall back to Sourcify and report failures", async function () {
+        let explorerStub = explorer({ "verify:etherscan": ["Invalid API Key"] });
+        let result = await verifyContract(hre, TARGET, { run: explorerStub.run, backends: BACKENDS });
+        expect(result).to.deep.include({ status: "verified", explorer: "Sourcify", attempts: 2, error: null });
+        expect(explorerStub.calls.map((call) => call.subtask)).to.deep.equal(["verify:etherscan", "verify:sourcify"]);
+
+        const delays = [];
+        explorerStub = explorer({
+            "verify:etherscan": Array(3).fill("Request failed with status code: 503"),
+            "verify:sourcify":  ["The contract was not found on Sourcify"],
+        });
+        result = await verifyContract(hre, TARGET, {
+            run: explorerStub.run, sleep: async (ms) => delays.push(ms), backends: BACKENDS, retries: 2, backoffMs: 1,
+        });
+        expect(result).to.deep.include({ status: "failed", explorer: null, attempts: 4, error: "The contract was not found on Sourcify" });
+        expect(delays).to.deep.equal([1, 2]);
+
+        result = await verifyContract(hre, TARGET, { run: explorerStub.run, backends: { etherscan: false, sourcify: false } });
+        expect(result).to.deep.include({ status: "failed", attempts: 0, error: "No block explorer to verify on for hardhat" });
+    });
+
+    it("Should collect the contracts to verify from the deployment manifest", async function () {
+        const manifest = await hre.run("sesh:deploy", {});
+        const targets  = await manifestTargets(hre, manifest);
+
+        expect(targets.map((target) => target.name)).to.deep.equal([
+            "SESH", "RewardRatePool implementation", "ServiceNodeRewards implementation", "ServiceNodeContributionFactory implementation",
+        ]);
+        expect(targets[0]).to.deep.equal({
+            name:                 "SESH",
+            address:              manifest.contracts.SESH.address,
+            contract:             "contracts/test/MockERC20.sol:MockERC20",
+            constructorArguments: manifest.contracts.SESH.constructorArgs,
+            txHash:               manifest.contracts.SESH.txHash,
+        });
+        expect(targets[2].address).to.equal(manifest.contracts.ServiceNodeRewards.implementation);
+        expect(targets[2].contract).to.equal("contracts/test/TestnetServiceNodeRewards.sol:TestnetServiceNodeRewards");
+
+        const some = await manifestTargets(hre, manifest, { names: ["ServiceNodeRewards"] });
+        expect(some.map((target) => target.name)).to.deep.equal(["ServiceNodeRewards implementation"]);
+    });
+
+    it("Should record verifications in the manifest and skip them afterwards", async function () {
+        const manifest = await hre.run("sesh:deploy", {});
+        const targets  = await manifestTargets(hre, manifest, { names: ["SESH", "RewardRatePool"] });
+
+        let explorerStub = explorer({ "verify:etherscan": [null, "Invalid constructor arguments"], "verify:sourcify": ["Not found"] });
+        let results = await verifyContracts(hre, targets, { run: explorerStub.run, backends: BACKENDS, confirmations: 0 });
+        expect(results.map((result) => result.status)).to.deep.equal(["verified", "failed"]);
+
+        const recorded = readManifest("hardhat").verifications;
+        expect(recorded[targets[0].address]).to.deep.include({ name: "SESH", status: "verified", explorer: "Etherscan", error: null });
+        expect(recorded[targets[0].address].verifiedAt).to.be.a("string");
+        expect(recorded[targets[1].address]).to.deep.include({ status: "failed", error: "Not found", verifiedAt: null });
+
+        // NOTE: Only the failed one is tried again
+        explorerStub = explorer();
+        results = await verifyContracts(hre, targets, { run: explorerStub.run, backends: BACKENDS, confirmations: 0 });
+        expect(results.map((result) => result.status)).to.deep.equal(["skipped", "verified"]);
+        expect(explorerStub.calls.map((call) => call.args.address)).to.deep.equal([targets[1].address]);
+
+        explorerStub = explorer();
+        results = await verifyContracts(hre, targets, { run: explorerStub.run, backends: BACKENDS, confirmations: 0, force: true });
+        expect(results.map((result) => result.status)).to.deep.equal(["verified", "verified"]);
+    });
+
+    it("Should refuse to verify on a local network", async function () {
+        await hre.run("sesh:deploy", {});
+        await expect(hre.run("sesh:verify", {}))
+            .to.be.rejectedWith("Contracts on hardhat cannot be verified, there is no block explorer");
+    });
+});
@@ -1,3 +1,8 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+
 /**
  * Get the first event with the given name from the given logs
  * @param {Array<{eventName:string}>} events
@@ -8,6 +13,46 @@ function getContractEvent(events, name) {
     return events.find(({eventName}) => eventName === name);
 }
 
+/**
+ * Keep the deployment manifests of the calling suite in a temp directory,
+ * a new one for each test or one for the whole suite with `once`. Call it
+ * before the suite's own hooks so they see the directory.
+ * @param {Object} [options]
+ * @param {boolean} [options.once]
+ * @returns {{dir: string}} Holds the directory while the tests run
+ */
+function useTempDeployments(options = {}) {
+    const deployments = { dir: null };
+    (options.once ? before : beforeEach)(function () {
+        deployments.dir = fs.mkdtempSync(path.join(os.tmpdir(), "sesh-deployments-"));
+        process.env.SESH_DEPLOYMENTS_DIR = deployments.dir;
+    });
+    (options.once ? after : afterEach)(function () {
+        delete process.env.SESH_DEPLOYMENTS_DIR;
+        fs.rmSync(deployments.dir, { recursive: true, force: true });
+    });
+    return deployments;
+}
+
+/**
+ * `useTempDeployments` with the contracts deployed by `sesh:deploy` into it
+ * @param {Object} [options]
+ * @param {Object} [options.args] Arguments of `sesh:deploy`
+ * @param {boolean} [options.once]
+ * @returns {{dir: string, manifest: Object}} Holds the directory and the
+ * manifest returned by `sesh:deploy` while the tests run
+ */
+function deployFixture(options = {}) {
+    const deployments = useTempDeployments(options);
+    deployments.manifest = null;
+    (options.once ? before : beforeEach)(async function () {
+        deployments.manifest = await hre.run("sesh:deploy", options.args ?? {});
+    });
+    return deployments;
+}
+
 module.exports = {
-    getContractEvent
-}
\ No newline at end of file
+    getContractEvent,
+    useTempDeployments,
+    deployFixture,
+}